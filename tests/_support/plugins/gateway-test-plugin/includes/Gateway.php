@@ -18,6 +18,7 @@ class Gateway extends Framework\SV_WC_Payment_Gateway {
 				'supports'           => [
 					self::FEATURE_PAYMENT_FORM,
 					self::FEATURE_APPLE_PAY,
+					self::FEATURE_CREDENTIAL_TEST,
 				],
 			]
 		);
@@ -26,7 +27,27 @@ class Gateway extends Framework\SV_WC_Payment_Gateway {
 
 	protected function get_method_form_fields() {
 
-		return [];
+		return [
+			'api_key' => [
+				'title' => __( 'API Key', 'sv-wc-gateway-test-plugin' ),
+				'type'  => 'password',
+			],
+			'statement_descriptor' => [
+				'title' => __( 'Statement Descriptor', 'sv-wc-gateway-test-plugin' ),
+				'type'  => 'text',
+			],
+		];
+	}
+
+
+	/**
+	 * Stands in for a processor API call, accepting only "valid-key".
+	 */
+	public function test_credentials( array $credentials ) {
+
+		if ( 'valid-key' !== $credentials['api_key'] ) {
+			throw new Framework\SV_WC_API_Exception( 'Invalid API key.' );
+		}
 	}
 
 
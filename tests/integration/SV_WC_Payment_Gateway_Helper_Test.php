@@ -37,4 +37,231 @@ class SV_WC_Payment_Gateway_Helper_Test extends \Codeception\TestCase\WPTestCase
 	}
 
 
+	/**
+	 * @see SV_WC_Payment_Gateway_Helper::routing_number_check()
+	 *
+	 * @dataProvider provider_routing_number_check
+	 */
+	public function test_routing_number_check( $routing_number, $expected_result ) {
+
+		$this->assertSame( $expected_result, SV_WC_Payment_Gateway_Helper::routing_number_check( $routing_number ) );
+	}
+
+
+	public function provider_routing_number_check() {
+
+		return [
+			[ '011000015', true ],
+			[ '021000021', true ],
+			[ '011000016', false ],
+			[ '01100001',  false ],
+			[ '01100001a', false ],
+			[ '',          false ],
+		];
+	}
+
+
+	/**
+	 * @see SV_WC_Payment_Gateway_Helper::iban_check()
+	 *
+	 * @dataProvider provider_iban_check
+	 */
+	public function test_iban_check( $iban, $expected_result ) {
+
+		$this->assertSame( $expected_result, SV_WC_Payment_Gateway_Helper::iban_check( $iban ) );
+	}
+
+
+	public function provider_iban_check() {
+
+		return [
+			[ 'GB82WEST12345698765432',      true ],
+			[ 'GB82 WEST 1234 5698 7654 32', true ],
+			[ 'de89370400440532013000',      true ],
+			[ 'GB82WEST12345698765433',      false ],
+			[ 'GB82WEST',                    false ],
+			[ '',                            false ],
+		];
+	}
+
+
+	/**
+	 * @see SV_WC_Payment_Gateway_Helper::bank_account_checksum()
+	 *
+	 * @dataProvider provider_bank_account_checksum
+	 */
+	public function test_bank_account_checksum( $type, $value, $expected_result ) {
+
+		$this->assertSame( $expected_result, SV_WC_Payment_Gateway_Helper::bank_account_checksum( $type, $value ) );
+	}
+
+
+	public function provider_bank_account_checksum() {
+
+		return [
+			[ 'aba',  '011000015',              true ],
+			[ 'aba',  '011000016',              false ],
+			[ 'iban', 'GB82WEST12345698765432', true ],
+			[ 'iban', 'GB82WEST12345698765433', false ],
+			[ '',     '123456',                 true ],
+			[ 'bsb',  '123456',                 true ],
+		];
+	}
+
+
+	/**
+	 * @see SV_WC_Payment_Gateway_Helper::bank_account_checksum()
+	 */
+	public function test_bank_account_checksum_filter() {
+
+		$callback = static function( $is_valid, $type, $value ) {
+			return 'bsb' === $type ? '082902' === $value : $is_valid;
+		};
+
+		add_filter( 'wc_payment_gateway_bank_account_checksum', $callback, 10, 3 );
+
+		$this->assertTrue( SV_WC_Payment_Gateway_Helper::bank_account_checksum( 'bsb', '082902' ) );
+		$this->assertFalse( SV_WC_Payment_Gateway_Helper::bank_account_checksum( 'bsb', '123456' ) );
+		$this->assertTrue( SV_WC_Payment_Gateway_Helper::bank_account_checksum( 'aba', '011000015' ) );
+
+		remove_filter( 'wc_payment_gateway_bank_account_checksum', $callback );
+	}
+
+
+	/**
+	 * @see SV_WC_Payment_Gateway_Helper::matches_pattern()
+	 *
+	 * @dataProvider provider_matches_pattern
+	 */
+	public function test_matches_pattern( $value, $pattern, $expected_result ) {
+
+		$this->assertSame( $expected_result, SV_WC_Payment_Gateway_Helper::matches_pattern( $value, $pattern ) );
+	}
+
+
+	public function provider_matches_pattern() {
+
+		return [
+			'full match'               => [ '123456789', '^\d{9}$', true ],
+			'anchored without anchors' => [ '1234', '[0-9]{4}', true ],
+			'partial match'            => [ '12345', '[0-9]{4}', false ],
+			'alternation is anchored'  => [ '5xyz', '4|5', false ],
+			'unescaped slash'          => [ '01/30', '(0[1-9]|1[012])[- /.]\d\d', true ],
+			'escaped slash'            => [ '01/30', '\d\d\/\d\d', true ],
+			'escaped backslash'        => [ '\\/', '\\\\/', true ],
+			'no match'                 => [ 'GB82', '^\d{9}$', false ],
+		];
+	}
+
+
+	/**
+	 * @see SV_WC_Payment_Gateway_Helper::normalize_bank_account_value()
+	 */
+	public function test_normalize_bank_account_value() {
+
+		$this->assertEquals( '123456', SV_WC_Payment_Gateway_Helper::normalize_bank_account_value( '12-34 56' ) );
+		$this->assertEquals( 'GB82WEST', SV_WC_Payment_Gateway_Helper::normalize_bank_account_value( 'gb82 west' ) );
+	}
+
+
+	/**
+	 * @see SV_WC_Payment_Gateway_Helper::get_bank_account_formats()
+	 */
+	public function test_get_bank_account_formats() {
+
+		$formats = SV_WC_Payment_Gateway_Helper::get_bank_account_formats();
+
+		$this->assertEquals( [ 'us', 'iban', 'uk', 'ca', 'au' ], array_keys( $formats ) );
+
+		foreach ( $formats as $format ) {
+
+			$this->assertArrayHasKey( 'account-number', $format['fields'] );
+
+			foreach ( $format['fields'] as $field ) {
+				$this->assertNotEmpty( $field['mask'] );
+				$this->assertNotEmpty( $field['messages']['missing'] );
+				$this->assertNotEmpty( $field['messages']['invalid'] );
+			}
+		}
+	}
+
+
+
+	/**
+	 * @see SV_WC_Payment_Gateway_Helper::card_type_from_account_number()
+	 *
+	 * @dataProvider provider_card_type_from_account_number
+	 */
+	public function test_card_type_from_account_number( $account_number, $expected_result ) {
+
+		$this->assertSame( $expected_result, SV_WC_Payment_Gateway_Helper::card_type_from_account_number( $account_number ) );
+	}
+
+
+	public function provider_card_type_from_account_number() {
+
+		return [
+			[ '4111111111111111', SV_WC_Payment_Gateway_Helper::CARD_TYPE_VISA ],
+			[ '5555555555554444', SV_WC_Payment_Gateway_Helper::CARD_TYPE_MASTERCARD ],
+			[ '378282246310005',  SV_WC_Payment_Gateway_Helper::CARD_TYPE_AMEX ],
+			[ '6011111111111117', SV_WC_Payment_Gateway_Helper::CARD_TYPE_DISCOVER ],
+			[ '3530111333300000', SV_WC_Payment_Gateway_Helper::CARD_TYPE_JCB ],
+			[ '2221000000000009', SV_WC_Payment_Gateway_Helper::CARD_TYPE_MASTERCARD ],
+			[ '2720999999999996', SV_WC_Payment_Gateway_Helper::CARD_TYPE_MASTERCARD ],
+			[ '2721000000000004', null ],
+			[ '6221260000000000', SV_WC_Payment_Gateway_Helper::CARD_TYPE_DISCOVER ],
+			[ '6200000000000005', SV_WC_Payment_Gateway_Helper::CARD_TYPE_UNIONPAY ],
+			[ '8100000000000000', SV_WC_Payment_Gateway_Helper::CARD_TYPE_UNIONPAY ],
+			[ '30569309025904',   SV_WC_Payment_Gateway_Helper::CARD_TYPE_DINERSCLUB ],
+			[ '6759649826438453', SV_WC_Payment_Gateway_Helper::CARD_TYPE_MAESTRO ],
+			[ '6771000000000000', SV_WC_Payment_Gateway_Helper::CARD_TYPE_LASER ],
+			[ '9999999999999999', null ],
+		];
+	}
+
+
+	/**
+	 * @see SV_WC_Payment_Gateway_Helper::get_card_brand_rules()
+	 */
+	public function test_get_card_brand_rules() {
+
+		$rules = SV_WC_Payment_Gateway_Helper::get_card_brand_rules();
+
+		$this->assertEquals( [ 15 ], $rules[ SV_WC_Payment_Gateway_Helper::CARD_TYPE_AMEX ]['lengths'] );
+		$this->assertEquals( 4, $rules[ SV_WC_Payment_Gateway_Helper::CARD_TYPE_AMEX ]['csc_length'] );
+		$this->assertEquals( 3, $rules[ SV_WC_Payment_Gateway_Helper::CARD_TYPE_VISA ]['csc_length'] );
+		$this->assertEquals( [ 4, 10 ], $rules[ SV_WC_Payment_Gateway_Helper::CARD_TYPE_AMEX ]['gaps'] );
+		$this->assertFalse( $rules[ SV_WC_Payment_Gateway_Helper::CARD_TYPE_UNIONPAY ]['luhn'] );
+	}
+
+
+	/**
+	 * Tests that the card brand rules localized to the card utilities JS match the table its tests run against.
+	 *
+	 * @see SV_WC_Payment_Gateway_Helper::get_card_brand_rules()
+	 */
+	public function test_get_card_brand_rules_match_js_fixture() {
+
+		$fixture = json_decode( file_get_contents( dirname( __DIR__ ) . '/js/fixtures/card-brand-rules.json' ), true );
+
+		$this->assertSame( $fixture, SV_WC_Payment_Gateway_Helper::get_card_brand_rules() );
+	}
+
+
+	/**
+	 * @see SV_WC_Payment_Gateway_Helper::get_card_brand_rules()
+	 */
+	public function test_get_card_brand_rules_luhn() {
+
+		$rules = SV_WC_Payment_Gateway_Helper::get_card_brand_rules();
+
+		foreach ( $rules as $type => $rule ) {
+
+			// only UnionPay issues account numbers that don't pass the Luhn check
+			$this->assertSame( SV_WC_Payment_Gateway_Helper::CARD_TYPE_UNIONPAY !== $type, $rule['luhn'], $type );
+		}
+	}
+
+
+
 }
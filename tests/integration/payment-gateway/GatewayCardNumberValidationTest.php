@@ -0,0 +1,97 @@
+<?php
+
+use SkyVerge\WooCommerce\PluginFramework\v5_10_8\SV_WC_Payment_Gateway_Direct;
+
+/**
+ * Tests for the direct gateway card number validation.
+ *
+ * @see \SkyVerge\WooCommerce\PluginFramework\v5_10_8\SV_WC_Payment_Gateway_Direct
+ */
+class GatewayCardNumberValidationTest extends \Codeception\TestCase\WPTestCase {
+
+
+	/** @var \IntegrationTester */
+	protected $tester;
+
+
+	protected function _before() {
+
+		WC()->initialize_session();
+	}
+
+
+	protected function _after() {
+
+		wc_clear_notices();
+	}
+
+
+	/** Tests *********************************************************************************************************/
+
+
+	/**
+	 * @see SV_WC_Payment_Gateway_Direct::validate_credit_card_account_number()
+	 *
+	 * @param string $account_number account number
+	 * @param bool $expected whether the account number is valid
+	 *
+	 * @dataProvider provider_validate_credit_card_account_number
+	 */
+	public function test_validate_credit_card_account_number( $account_number, $expected ) {
+
+		$method = new ReflectionMethod( SV_WC_Payment_Gateway_Direct::class, 'validate_credit_card_account_number' );
+		$method->setAccessible( true );
+
+		$this->assertSame( $expected, $method->invoke( $this->get_gateway(), $account_number ) );
+		$this->assertSame( $expected ? 0 : 1, wc_notice_count( 'error' ) );
+	}
+
+
+	/**
+	 * Provider for test_validate_credit_card_account_number()
+	 *
+	 * @return array
+	 */
+	public function provider_validate_credit_card_account_number() {
+
+		return [
+			[ '4111111111111111', true ],
+			[ '4111111111111112', false ],
+			// Discover cards co-branded with UnionPay still use the Luhn check
+			[ '6221260000000001', false ],
+			// UnionPay cards skip it
+			[ '6200000000000005', true ],
+			[ '6200000000000006', true ],
+			[ '8100000000000001', true ],
+			// unknown brands use it
+			[ '9999999999999995', true ],
+			[ '9999999999999999', false ],
+		];
+	}
+
+
+	/** Helper methods ************************************************************************************************/
+
+
+	/**
+	 * Gets a direct gateway instance.
+	 *
+	 * The validation doesn't depend on the gateway settings, so the gateway isn't constructed.
+	 *
+	 * @return SV_WC_Payment_Gateway_Direct
+	 */
+	protected function get_gateway() {
+
+		return new class extends SV_WC_Payment_Gateway_Direct {
+
+			public function __construct() {}
+
+			protected function get_method_form_fields() {
+
+				return [];
+			}
+		};
+	}
+
+
+}
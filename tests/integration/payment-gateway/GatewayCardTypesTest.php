@@ -0,0 +1,103 @@
+<?php
+
+use SkyVerge\WooCommerce\PluginFramework\v5_10_8\SV_WC_Payment_Gateway;
+
+/**
+ * Tests for the gateway card type helpers.
+ *
+ * @see \SkyVerge\WooCommerce\PluginFramework\v5_10_8\SV_WC_Payment_Gateway
+ */
+class GatewayCardTypesTest extends \Codeception\TestCase\WPTestCase {
+
+
+	/** @var \IntegrationTester */
+	protected $tester;
+
+	/** @var \SkyVerge\WooCommerce\GatewayTestPlugin\Gateway instance */
+	protected $gateway;
+
+
+	protected function _before() {
+
+		add_filter( 'wc_payment_gateway_test_gateway_co_badged_card_networks', static function() {
+
+			return [
+				[
+					'pattern'  => '^4970',
+					'networks' => [ 'cartebleue', 'Visa' ],
+				],
+			];
+		} );
+	}
+
+
+	protected function _after() {
+
+		remove_all_filters( 'wc_payment_gateway_test_gateway_co_badged_card_networks' );
+	}
+
+
+	/** Tests *********************************************************************************************************/
+
+
+	/**
+	 * @see SV_WC_Payment_Gateway::get_card_co_badged_networks()
+	 *
+	 * @param string $account_number account number
+	 * @param string[] $expected expected networks
+	 *
+	 * @dataProvider provider_get_card_co_badged_networks
+	 */
+	public function test_get_card_co_badged_networks( $account_number, $expected ) {
+
+		$this->assertSame( $expected, $this->get_gateway()->get_card_co_badged_networks( $account_number ) );
+	}
+
+
+	/**
+	 * Provider for test_get_card_co_badged_networks()
+	 *
+	 * @return array
+	 */
+	public function provider_get_card_co_badged_networks() {
+
+		return [
+			[ '4970100000000000', [ 'cartebleue', 'visa' ] ],
+			[ '4970 1000 0000 0000', [ 'cartebleue', 'visa' ] ],
+			[ '4970', [ 'cartebleue', 'visa' ] ],
+			[ '4111111111111111', [] ],
+			[ '', [] ],
+		];
+	}
+
+
+	/**
+	 * @see SV_WC_Payment_Gateway::is_card_type_accepted()
+	 */
+	public function test_is_card_type_accepted() {
+
+		// the test gateway doesn't support choosing card types, so all are accepted
+		$this->assertTrue( $this->get_gateway()->is_card_type_accepted( 'visa' ) );
+		$this->assertTrue( $this->get_gateway()->is_card_type_accepted( 'cartebleue' ) );
+	}
+
+
+	/** Helper methods ************************************************************************************************/
+
+
+	/**
+	 * Gets the gateway instance.
+	 *
+	 * @return \SkyVerge\WooCommerce\GatewayTestPlugin\Gateway
+	 */
+	protected function get_gateway() {
+
+		if ( null === $this->gateway ) {
+			$this->gateway = sv_wc_gateway_test_plugin()->get_gateway( 'test_gateway' );
+		}
+
+		return $this->gateway;
+	}
+
+
+}
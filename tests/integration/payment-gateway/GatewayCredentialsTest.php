@@ -0,0 +1,155 @@
+<?php
+
+use SkyVerge\WooCommerce\PluginFramework\v5_10_8\SV_WC_API_Exception;
+use SkyVerge\WooCommerce\PluginFramework\v5_10_8\SV_WC_Payment_Gateway;
+
+/**
+ * Tests for the gateway credential test feature.
+ *
+ * @see \SkyVerge\WooCommerce\PluginFramework\v5_10_8\SV_WC_Payment_Gateway::test_credentials()
+ */
+class GatewayCredentialsTest extends \Codeception\TestCase\WPTestCase {
+
+
+	/** @var \IntegrationTester */
+	protected $tester;
+
+	/** @var \SkyVerge\WooCommerce\GatewayTestPlugin\Gateway instance */
+	protected $gateway;
+
+
+	protected function _before() {
+
+		$this->get_gateway()->update_option( 'api_key', 'saved-key' );
+	}
+
+
+	protected function _after() {
+
+		delete_option( 'wc_' . $this->get_gateway()->get_id() . '_credentials_verified' );
+	}
+
+
+	/** Tests *********************************************************************************************************/
+
+
+	/**
+	 * @see SV_WC_Payment_Gateway::supports_credential_test()
+	 */
+	public function test_supports_credential_test() {
+
+		$this->assertTrue( $this->get_gateway()->supports_credential_test() );
+		$this->assertArrayHasKey( 'credential_test', $this->get_gateway()->get_form_fields() );
+	}
+
+
+	/**
+	 * @see SV_WC_Payment_Gateway::get_credential_field_keys()
+	 */
+	public function test_get_credential_field_keys() {
+
+		// only password fields are credentials by default
+		$this->assertSame( [ 'api_key' ], $this->get_gateway()->get_credential_field_keys() );
+	}
+
+
+	/**
+	 * @see SV_WC_Payment_Gateway::remove_credential_test_setting()
+	 */
+	public function test_remove_credential_test_setting() {
+
+		$this->assertSame( [ 'api_key' => 'saved-key' ], $this->get_gateway()->remove_credential_test_setting( [
+			'api_key'         => 'saved-key',
+			'credential_test' => '',
+		] ) );
+	}
+
+
+	/**
+	 * @see SV_WC_Payment_Gateway::get_credentials()
+	 */
+	public function test_get_credentials() {
+
+		$this->assertSame( [ 'api_key' => 'saved-key' ], $this->get_gateway()->get_credentials() );
+
+		// entered values take precedence, and values that aren't credentials are ignored
+		$this->assertSame( [ 'api_key' => 'entered-key' ], $this->get_gateway()->get_credentials( [
+			'api_key'              => 'entered-key',
+			'statement_descriptor' => 'Test',
+			'debug'                => 'yes',
+		] ) );
+	}
+
+
+	/**
+	 * @see SV_WC_Payment_Gateway::test_credentials()
+	 */
+	public function test_test_credentials() {
+
+		$this->get_gateway()->test_credentials( [ 'api_key' => 'valid-key' ] );
+
+		$this->expectException( SV_WC_API_Exception::class );
+		$this->expectExceptionMessage( 'Invalid API key.' );
+
+		$this->get_gateway()->test_credentials( [ 'api_key' => 'saved-key' ] );
+	}
+
+
+	/**
+	 * @see SV_WC_Payment_Gateway::record_credentials_verified()
+	 * @see SV_WC_Payment_Gateway::get_credentials_verified_time()
+	 */
+	public function test_get_credentials_verified_time() {
+
+		$this->assertNull( $this->get_gateway()->get_credentials_verified_time() );
+
+		$this->get_gateway()->record_credentials_verified( $this->get_gateway()->get_credentials() );
+
+		$this->assertEqualsWithDelta( time(), $this->get_gateway()->get_credentials_verified_time(), 5 );
+
+		// the verification doesn't apply to other credentials
+		$this->get_gateway()->update_option( 'api_key', 'other-key' );
+
+		$this->assertNull( $this->get_gateway()->get_credentials_verified_time() );
+	}
+
+
+	/**
+	 * @see SV_WC_Payment_Gateway::get_credential_test_html()
+	 */
+	public function test_get_credential_test_html() {
+
+		$html = $this->get_gateway()->get_credential_test_html();
+
+		$this->assertStringContainsString( 'data-gateway-id="test_gateway"', $html );
+		$this->assertStringContainsString( 'data-fields="' . esc_attr( wp_json_encode( [ 'api_key' => 'woocommerce_test_gateway_api_key' ] ) ) . '"', $html );
+		$this->assertStringNotContainsString( 'Credentials last verified', $html );
+
+		$this->get_gateway()->record_credentials_verified( $this->get_gateway()->get_credentials() );
+
+		$html = $this->get_gateway()->get_credential_test_html( [ 'api_key' => 'api_key' ] );
+
+		$this->assertStringContainsString( 'data-fields="' . esc_attr( wp_json_encode( [ 'api_key' => 'api_key' ] ) ) . '"', $html );
+		$this->assertStringContainsString( 'Credentials last verified on', $html );
+	}
+
+
+	/** Helper methods ************************************************************************************************/
+
+
+	/**
+	 * Gets the gateway instance.
+	 *
+	 * @return \SkyVerge\WooCommerce\GatewayTestPlugin\Gateway
+	 */
+	protected function get_gateway() {
+
+		if ( null === $this->gateway ) {
+			$this->gateway = sv_wc_gateway_test_plugin()->get_gateway( 'test_gateway' );
+		}
+
+		return $this->gateway;
+	}
+
+
+}
@@ -0,0 +1,149 @@
+<?php
+
+use SkyVerge\WooCommerce\PluginFramework\v5_10_8\Payment_Gateway\Handlers\Capture;
+use SkyVerge\WooCommerce\PluginFramework\v5_10_8\SV_WC_Payment_Gateway_API_Response;
+
+/**
+ * Tests for the capture handler.
+ *
+ * @see \SkyVerge\WooCommerce\PluginFramework\v5_10_8\Payment_Gateway\Handlers\Capture
+ */
+class CaptureTest extends \Codeception\TestCase\WPTestCase {
+
+
+	/** @var \IntegrationTester */
+	protected $tester;
+
+	/** @var \SkyVerge\WooCommerce\GatewayTestPlugin\Plugin instance */
+	protected $plugin;
+
+
+	protected function _before() {
+
+
+	}
+
+
+	protected function _after() {
+
+
+	}
+
+
+	/** Tests *********************************************************************************************************/
+
+
+	/**
+	 * @see Capture::get_order_remaining_capture_amount()
+	 */
+	public function test_get_order_remaining_capture_amount() {
+
+		$order = $this->get_order( 20 );
+
+		$this->assertSame( 20.0, $this->get_handler()->get_order_remaining_capture_amount( $order ) );
+
+		$this->get_gateway()->update_order_meta( $order, 'capture_total', '12.50' );
+
+		$this->assertSame( 7.5, $this->get_handler()->get_order_remaining_capture_amount( $order ) );
+
+		$this->get_gateway()->update_order_meta( $order, 'capture_total', '25.00' );
+
+		$this->assertSame( 0.0, $this->get_handler()->get_order_remaining_capture_amount( $order ) );
+	}
+
+
+	/**
+	 * @see Capture::get_order_captures()
+	 */
+	public function test_get_order_captures_without_history() {
+
+		$this->assertSame( [], $this->get_handler()->get_order_captures( $this->get_order( 20 ) ) );
+	}
+
+
+	/**
+	 * @see Capture::do_capture_success()
+	 */
+	public function test_do_capture_success_records_capture_history() {
+
+		$order = $this->get_order( 20 );
+
+		$response = $this->createMock( SV_WC_Payment_Gateway_API_Response::class );
+		$response->method( 'get_transaction_id' )->willReturn( 'capture-1' );
+
+		$order->capture = (object) [ 'amount' => '12.5', 'comment' => 'First shipment' ];
+
+		$this->get_handler()->do_capture_success( $order, $response );
+
+		$order->capture = (object) [ 'amount' => '7.5', 'comment' => '' ];
+
+		$this->get_handler()->do_capture_success( $order, $response );
+
+		$captures = $this->get_handler()->get_order_captures( $order );
+
+		$this->assertCount( 2, $captures );
+		$this->assertSame( '12.50', $captures[0]['amount'] );
+		$this->assertSame( 'First shipment', $captures[0]['comment'] );
+		$this->assertSame( 'capture-1', $captures[0]['trans_id'] );
+		$this->assertSame( '7.50', $captures[1]['amount'] );
+		$this->assertSame( '20.00', $this->get_gateway()->get_order_meta( $order, 'capture_total' ) );
+	}
+
+
+	/** Helper methods ************************************************************************************************/
+
+
+	/**
+	 * Gets a new order.
+	 *
+	 * @param float $total order total
+	 * @return \WC_Order
+	 */
+	protected function get_order( $total ) {
+
+		$order = new \WC_Order();
+		$order->set_total( $total );
+		$order->save();
+
+		return $order;
+	}
+
+
+	/**
+	 * Gets the capture handler instance.
+	 *
+	 * @return Capture
+	 */
+	protected function get_handler() {
+
+		return new Capture( $this->get_gateway() );
+	}
+
+
+	/**
+	 * Gets the gateway instance.
+	 *
+	 * @return \SkyVerge\WooCommerce\GatewayTestPlugin\Gateway
+	 */
+	protected function get_gateway() {
+
+		return $this->get_plugin()->get_gateway();
+	}
+
+
+	/**
+	 * Gets the plugin instance.
+	 *
+	 * @return \SkyVerge\WooCommerce\GatewayTestPlugin\Plugin
+	 */
+	protected function get_plugin() {
+
+		if ( null === $this->plugin ) {
+			$this->plugin = sv_wc_gateway_test_plugin();
+		}
+
+		return $this->plugin;
+	}
+
+
+}
@@ -69,16 +69,22 @@ class MyPaymentMethodsTest extends \Codeception\TestCase\WPTestCase {
 		$result = $method->invoke( $payment_methods );
 
 		$expected_result = [
-			'id'              => $this->get_plugin()->get_id(),
-			'slug'            => $this->get_plugin()->get_id_dasherized(),
-			'has_core_tokens' => false,
-			'ajax_url'        => admin_url( 'admin-ajax.php' ),
-			'ajax_nonce'      => wp_create_nonce( 'wc_' . $this->get_plugin()->get_id() . '_save_payment_method' ),
-			'i18n'            => [
+			'id'                   => $this->get_plugin()->get_id(),
+			'slug'                 => $this->get_plugin()->get_id_dasherized(),
+			'has_core_tokens'      => false,
+			'ajax_url'             => admin_url( 'admin-ajax.php' ),
+			'ajax_nonce'           => wp_create_nonce( 'wc_' . $this->get_plugin()->get_id() . '_save_payment_method' ),
+			'update_card_gateways' => [],
+			'i18n'                 => [
 				'edit_button'   => esc_html__( 'Edit', 'woocommerce-plugin-framework' ),
 				'cancel_button' => esc_html__( 'Cancel', 'woocommerce-plugin-framework' ),
 				'save_error'    => esc_html__( 'Oops, there was an error updating your payment method. Please try again.', 'woocommerce-plugin-framework' ),
 				'delete_ays'    => esc_html__( 'Are you sure you want to delete this payment method?', 'woocommerce-plugin-framework' ),
+				'delete_error'  => esc_html__( 'Oops, there was an error deleting your payment method. Please try again.', 'woocommerce-plugin-framework' ),
+				'default_mark'  => esc_html__( 'Default', 'woocommerce-plugin-framework' ),
+				'make_default'  => esc_html__( 'Make default', 'woocommerce-plugin-framework' ),
+				'move_handle'   => esc_html__( 'Drag to reorder, or use the arrow keys', 'woocommerce-plugin-framework' ),
+				'no_methods'    => esc_html__( 'No saved methods found.', 'woocommerce-plugin-framework' ),
 			],
 		];
 
@@ -390,6 +390,43 @@ class SV_WC_Payment_Gateway_Payment_Token_Test extends \Codeception\TestCase\WPT
 	}
 
 
+	/**
+	 * @see Framework\SV_WC_Payment_Gateway_Payment_Token::is_expired()
+	 * @see Framework\SV_WC_Payment_Gateway_Payment_Token::is_expiring()
+	 *
+	 * @dataProvider provider_expiration
+	 */
+	public function test_expiration( $exp_month, $exp_year, $is_expired, $is_expiring ) {
+
+		$token = $this->get_new_credit_card_token();
+
+		$token->set_exp_month( $exp_month );
+		$token->set_exp_year( $exp_year );
+
+		$this->assertSame( $is_expired, $token->is_expired() );
+		$this->assertSame( $is_expiring, $token->is_expiring( 45 ) );
+	}
+
+
+	/**
+	 * Provides test data for test_expiration()
+	 */
+	public function provider_expiration() {
+
+		$last_month = strtotime( 'first day of last month' );
+		$this_month = time();
+		$next_year  = strtotime( '+1 year' );
+
+		return [
+			'expired last month' => [ date( 'm', $last_month ), date( 'Y', $last_month ), true, false ],
+			'expires this month' => [ date( 'm', $this_month ), date( 'Y', $this_month ), false, true ],
+			'two-digit year'     => [ date( 'm', $this_month ), date( 'y', $this_month ), false, true ],
+			'expires next year'  => [ date( 'm', $next_year ), date( 'Y', $next_year ), false, false ],
+			'no expiration date' => [ '', '', false, false ],
+		];
+	}
+
+
 	/**
 	 * @see Framework\SV_WC_Payment_Gateway_Payment_Token::set_image_url()
 	 */
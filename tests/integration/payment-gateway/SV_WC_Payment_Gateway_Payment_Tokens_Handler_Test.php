@@ -259,6 +259,44 @@ class SV_WC_Payment_Gateway_Payment_Tokens_Handler_Test extends \Codeception\Tes
 	}
 
 
+	/**
+	 * @see Framework\SV_WC_Payment_Gateway_Payment_Tokens_Handler::update_token_order()
+	 */
+	public function test_update_token_order() {
+
+		foreach ( [ '12345', '67890' ] as $token_id ) {
+			$this->get_handler()->add_token( 1, new Framework\SV_WC_Payment_Gateway_Payment_Token( $token_id, $this->get_legacy_token_data() ) );
+		}
+
+		$this->get_handler()->update_token_order( 1, [ '67890', 'unknown', '12345', '67890' ] );
+
+		$this->assertSame( [ '67890', '12345' ], $this->get_handler()->get_token_order( 1 ) );
+	}
+
+
+	/**
+	 * @see Framework\SV_WC_Payment_Gateway_Payment_Tokens_Handler::sort_tokens()
+	 */
+	public function test_sort_tokens() {
+
+		$tokens = [];
+
+		foreach ( [ '12345', '67890', '24680' ] as $token_id ) {
+
+			$tokens[ $token_id ] = new Framework\SV_WC_Payment_Gateway_Payment_Token( $token_id, $this->get_legacy_token_data() );
+
+			$this->get_handler()->add_token( 1, $tokens[ $token_id ] );
+		}
+
+		// tokens without a preferred position keep their order
+		$this->assertEquals( [ '12345', '67890', '24680' ], array_keys( $this->get_handler()->sort_tokens( 1, $tokens ) ) );
+
+		$this->get_handler()->update_token_order( 1, [ '24680', '12345' ] );
+
+		$this->assertEquals( [ '24680', '12345', '67890' ], array_keys( $this->get_handler()->sort_tokens( 1, $tokens ) ) );
+	}
+
+
 	/**
 	 * @see Framework\SV_WC_Payment_Gateway_Payment_Tokens_Handler::get_user_meta_name()
 	 *
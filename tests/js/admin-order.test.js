@@ -0,0 +1,327 @@
+const { describe, it, beforeEach, afterEach } = require( 'node:test' );
+const assert = require( 'node:assert/strict' );
+
+const { createEnvironment, tick } = require( './support/environment' );
+
+const PARAMS = {
+	ajax_url: '/wp-admin/admin-ajax.php',
+	gateway_id: 'test_gateway',
+	order_id: 123,
+	capture_ays: 'Are you sure you wish to process this capture? The action cannot be undone.',
+	capture_action: 'wc_test_plugin_capture_charge',
+	capture_nonce: 'capture-nonce',
+	capture_error: 'Something went wrong, and the capture could no be completed. Please try again.',
+	capture_exceeds_remaining: 'The capture amount cannot be more than the remaining authorization amount.',
+	void_ays: 'Are you sure you wish to void this authorization? The order will be cancelled and the charge can no longer be captured.',
+	void_action: 'wc_test_plugin_void_authorization',
+	void_nonce: 'void-nonce',
+	void_error: 'Something went wrong, and the authorization could not be voided. Please try again.',
+};
+
+const NOTES_HTML = '<ul class="order_notes"><li class="note system-note"><div class="note_content"><p>Test Gateway Capture of $12.50 Approved</p></div></li><li class="note system-note"><div class="note_content"><p>Test Gateway Authorization Approved</p></div></li></ul>';
+
+// the order items box content once reloaded, with the capture form in it as the capture button outputs it
+const ITEMS_HTML = `
+	<div class="wc-order-data-row wc-order-totals-items wc-order-items-editable">
+		<table class="wc-order-totals"><tr><td class="label">Order Total:</td><td class="total"><span class="woocommerce-Price-amount amount">$20.00</span></td></tr></table>
+	</div>
+	<div class="wc-order-data-row wc-order-bulk-actions wc-order-data-row-toggle">
+		<p class="add-items">
+			<button type="button" class="button sv-wc-payment-gateway-capture partial-capture">Capture Charge</button>
+		</p>
+		<div class="wc-order-data-row wc-order-data-row-toggle sv-wc-payment-gateway-partial-capture reloaded" style="display: none;">
+			<table class="wc-order-totals">
+				<tr><td class="label">Amount already captured:</td><td class="total">$12.50</td></tr>
+				<tr><td class="total"><input type="text" id="capture_amount" name="capture_amount" class="text wc_input_price" data-remaining="7.50" /></td></tr>
+				<tr><td class="total"><input type="text" id="capture_comment" name="capture_comment" /></td></tr>
+			</table>
+			<table class="widefat capture-history"><tbody><tr><td class="capture-amount">$12.50</td><td class="capture-comment">First shipment</td></tr></tbody></table>
+			<div class="capture-actions">
+				<button type="button" class="button button-primary capture-action" disabled="disabled">Capture <span class="capture-amount"><span class="amount">$0.00</span></span></button>
+			</div>
+		</div>
+	</div>`;
+
+// the parts of accounting.js, loaded by WooCommerce on the order screen, used by the capture UI
+const accounting = {
+	unformat: ( value ) => parseFloat( String( value ).replace( /[^0-9.-]/g, '' ) ) || 0,
+	formatMoney: ( value, options ) => options.symbol + value.toFixed( options.precision ),
+};
+
+describe( 'Order capture', () => {
+
+	let env;
+
+	beforeEach( async () => {
+
+		env = await createEnvironment( {
+			fixture: 'order.html',
+			scripts: [ 'woocommerce/payment-gateway/assets/js/admin/sv-wc-payment-gateway-admin-order.coffee' ],
+			globals: {
+				sv_wc_payment_gateway_admin_order: PARAMS,
+				woocommerce_admin: { mon_decimal_point: '.' },
+				woocommerce_admin_meta_boxes: { currency_format_symbol: '$', currency_format_num_decimals: 2, order_item_nonce: 'order-item-nonce' },
+				accounting,
+			},
+		} );
+	} );
+
+	afterEach( () => env.close() );
+
+	it( 'moves the partial capture form into the order items box', () => {
+
+		assert.equal( env.$( '#woocommerce-order-items .inside .sv-wc-payment-gateway-partial-capture' ).length, 1 );
+	} );
+
+	it( 'shows the partial capture form', () => {
+
+		env.$( '.sv-wc-payment-gateway-capture' ).trigger( 'click' );
+
+		assert.ok( env.$( '.sv-wc-payment-gateway-partial-capture' ).is( ':visible' ) );
+		assert.ok( env.$( '.wc-order-totals-items' ).is( ':hidden' ) );
+	} );
+
+	it( 'only enables the capture button once an amount is entered', () => {
+
+		env.$( '#capture_amount' ).val( '12.5' ).trigger( 'keyup' );
+
+		assert.equal( env.$( 'button.capture-action' ).attr( 'disabled' ), undefined );
+		assert.equal( env.$( 'button .capture-amount .amount' ).text(), '$12.50' );
+
+		env.$( '#capture_amount' ).val( '' ).trigger( 'keyup' );
+
+		assert.equal( env.$( 'button.capture-action' ).attr( 'disabled' ), 'disabled' );
+	} );
+
+	it( 'captures the entered amount via AJAX', async () => {
+
+		env.ajax.wc_test_plugin_capture_charge = () => ( { success: true, data: { message: 'Capture successful', notes_html: NOTES_HTML } } );
+		env.ajax.woocommerce_load_order_items = () => ITEMS_HTML;
+
+		env.$( '#capture_amount' ).val( '12.50' ).trigger( 'keyup' );
+		env.$( '#capture_comment' ).val( 'First shipment' );
+		env.$( 'button.capture-action' ).trigger( 'click' );
+
+		assert.ok( env.$( '#woocommerce-order-items' ).hasClass( 'blockUI-blocked' ) );
+
+		await tick();
+
+		assert.deepEqual( { ...env.requests[0].data }, {
+			action: 'wc_test_plugin_capture_charge',
+			nonce: 'capture-nonce',
+			gateway_id: 'test_gateway',
+			order_id: 123,
+			amount: '12.50',
+			comment: 'First shipment',
+		} );
+		assert.equal( env.requests[0].type, 'POST' );
+
+		assert.deepEqual( env.window.dialogs.map( ( dialog ) => dialog.message ), [ PARAMS.capture_ays ] );
+
+		await tick();
+
+		// the message is still displayed once the order items are reloaded
+		assert.equal( env.$( '.sv-wc-payment-gateway-order-message.notice-success' ).text(), 'Capture successful' );
+		assert.equal( env.$( '#woocommerce-order-items' ).hasClass( 'blockUI-blocked' ), false );
+	} );
+
+	it( 'updates the order in place after a capture', async () => {
+
+		env.ajax.wc_test_plugin_capture_charge = () => ( { success: true, data: { message: 'Capture successful', notes_html: NOTES_HTML } } );
+		env.ajax.woocommerce_load_order_items = () => ITEMS_HTML;
+
+		let reloaded = 0;
+
+		env.$( '#woocommerce-order-items' ).on( 'wc_order_items_reloaded', () => reloaded++ );
+
+		env.$( '#capture_amount' ).val( '12.50' ).trigger( 'keyup' );
+		env.$( 'button.capture-action' ).trigger( 'click' );
+
+		await tick();
+
+		// the order items stay blocked until they are reloaded
+		assert.ok( env.$( '#woocommerce-order-items' ).hasClass( 'blockUI-blocked' ) );
+		assert.equal( env.$( '#woocommerce-order-notes li.note' ).length, 2 );
+
+		await tick();
+
+		assert.deepEqual( { ...env.requests[1].data }, {
+			action: 'woocommerce_load_order_items',
+			order_id: 123,
+			security: 'order-item-nonce',
+		} );
+		assert.equal( env.requests[1].type, 'POST' );
+
+		assert.equal( reloaded, 1 );
+		assert.equal( env.$( '.sv-wc-payment-gateway-partial-capture' ).length, 1 );
+		assert.ok( env.$( '#woocommerce-order-items .inside > .sv-wc-payment-gateway-partial-capture' ).hasClass( 'reloaded' ) );
+		assert.equal( env.$( '.capture-history .capture-comment' ).text(), 'First shipment' );
+		assert.equal( env.$( '#woocommerce-order-items' ).hasClass( 'blockUI-blocked' ), false );
+	} );
+
+	it( 'updates the order status after a full capture', async () => {
+
+		env.ajax.wc_test_plugin_capture_charge = () => ( { success: true, data: { message: 'Capture successful', status: 'processing', notes_html: NOTES_HTML } } );
+		env.ajax.woocommerce_load_order_items = () => ITEMS_HTML;
+
+		env.$( '#capture_amount' ).val( '20.00' ).trigger( 'keyup' );
+		env.$( 'button.capture-action' ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( env.$( '#order_status' ).val(), 'wc-processing' );
+	} );
+
+	it( 'allows another partial capture from the reloaded form', async () => {
+
+		env.ajax.wc_test_plugin_capture_charge = () => ( { success: true, data: { message: 'Capture successful' } } );
+		env.ajax.woocommerce_load_order_items = () => ITEMS_HTML;
+
+		env.$( '#capture_amount' ).val( '12.50' ).trigger( 'keyup' );
+		env.$( 'button.capture-action' ).trigger( 'click' );
+
+		await tick();
+		await tick();
+
+		env.$( '.sv-wc-payment-gateway-capture' ).trigger( 'click' );
+
+		assert.ok( env.$( '.sv-wc-payment-gateway-partial-capture' ).is( ':visible' ) );
+
+		env.$( '#capture_amount' ).val( '7.50' ).trigger( 'keyup' );
+		env.$( 'button.capture-action' ).trigger( 'click' );
+
+		await tick();
+
+		const captures = env.requests.filter( ( request ) => 'wc_test_plugin_capture_charge' === request.data.action );
+
+		assert.equal( captures.length, 2 );
+		assert.equal( captures[1].data.amount, '7.50' );
+	} );
+
+	it( 'prevents capturing more than the remaining amount', () => {
+
+		env.$( '#capture_amount' ).val( '20.01' ).trigger( 'keyup' );
+
+		assert.equal( env.$( 'button.capture-action' ).attr( 'disabled' ), 'disabled' );
+		assert.equal( env.$( '.capture-amount-error' ).text(), PARAMS.capture_exceeds_remaining );
+
+		env.$( '#capture_amount' ).val( '20' ).trigger( 'keyup' );
+
+		assert.equal( env.$( 'button.capture-action' ).attr( 'disabled' ), undefined );
+		assert.equal( env.$( '.capture-amount-error' ).length, 0 );
+	} );
+
+	it( 'does not capture unless confirmed', async () => {
+
+		env.window.confirmResult = false;
+
+		env.$( '#capture_amount' ).val( '12.50' ).trigger( 'keyup' );
+		env.$( 'button.capture-action' ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( env.requests.length, 0 );
+	} );
+
+	it( 'displays the capture error and keeps the order as is', async () => {
+
+		env.ajax.wc_test_plugin_capture_charge = () => ( { success: false, data: { message: 'The capture amount cannot be more than the remaining authorization amount.' } } );
+
+		env.$( '#capture_amount' ).val( '12.50' ).trigger( 'keyup' );
+		env.$( 'button.capture-action' ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( env.$( '.sv-wc-payment-gateway-order-message.notice-error' ).text(), 'The capture amount cannot be more than the remaining authorization amount.' );
+		assert.equal( env.window.dialogs.length, 1 );
+		assert.equal( env.requests.length, 1 );
+		assert.equal( env.$( '#woocommerce-order-items' ).hasClass( 'blockUI-blocked' ), false );
+	} );
+
+	it( 'displays the capture error when the connection fails', async () => {
+
+		env.$( '#capture_amount' ).val( '12.50' ).trigger( 'keyup' );
+		env.$( 'button.capture-action' ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( env.$( '.sv-wc-payment-gateway-order-message.notice-error' ).text(), PARAMS.capture_error );
+		assert.equal( env.window.dialogs.length, 1 );
+		assert.equal( env.$( '#woocommerce-order-items' ).hasClass( 'blockUI-blocked' ), false );
+	} );
+
+	it( 'voids the authorization and updates the order in place', async () => {
+
+		env.ajax.wc_test_plugin_void_authorization = () => ( { success: true, data: {
+			message: 'The authorization was voided and the order cancelled.',
+			status: 'cancelled',
+			notes_html: '<ul class="order_notes"><li class="note">Test Gateway Void in the amount of $20.00 approved.</li></ul>',
+		} } );
+		env.ajax.woocommerce_load_order_items = () => '<div class="wc-order-data-row wc-order-totals-items"></div>';
+
+		let statusChanged = false;
+
+		env.$( '#order_status' ).on( 'change', () => statusChanged = true );
+
+		env.$( '.sv-wc-payment-gateway-void' ).trigger( 'click' );
+
+		assert.ok( env.$( '#woocommerce-order-items' ).hasClass( 'blockUI-blocked' ) );
+
+		await tick();
+
+		assert.deepEqual( { ...env.requests[0].data }, {
+			action: 'wc_test_plugin_void_authorization',
+			nonce: 'void-nonce',
+			gateway_id: 'test_gateway',
+			order_id: 123,
+		} );
+		assert.equal( env.requests[0].type, 'POST' );
+
+		assert.deepEqual( env.window.dialogs.map( ( dialog ) => dialog.message ), [ PARAMS.void_ays, 'The authorization was voided and the order cancelled.' ] );
+		assert.equal( env.$( '#order_status' ).val(), 'wc-cancelled' );
+		assert.ok( statusChanged );
+		assert.equal( env.$( '#woocommerce-order-notes li.note' ).text(), 'Test Gateway Void in the amount of $20.00 approved.' );
+
+		await tick();
+
+		assert.equal( env.requests[1].data.action, 'woocommerce_load_order_items' );
+		assert.equal( env.$( '.sv-wc-payment-gateway-void' ).length, 0 );
+		assert.equal( env.$( '#woocommerce-order-items' ).hasClass( 'blockUI-blocked' ), false );
+	} );
+
+	it( 'does not void unless confirmed', async () => {
+
+		env.window.confirmResult = false;
+
+		env.$( '.sv-wc-payment-gateway-void' ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( env.requests.length, 0 );
+		assert.equal( env.$( '#woocommerce-order-items' ).hasClass( 'blockUI-blocked' ), false );
+	} );
+
+	it( 'displays the void error and keeps the order as is', async () => {
+
+		env.ajax.wc_test_plugin_void_authorization = () => ( { success: false, data: { message: 'Test Gateway Void Failed: Transaction not found' } } );
+
+		env.$( '.sv-wc-payment-gateway-void' ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( env.window.dialogs[1].message, 'Test Gateway Void Failed: Transaction not found' );
+		assert.equal( env.$( '#order_status' ).val(), 'wc-on-hold' );
+		assert.equal( env.requests.length, 1 );
+		assert.equal( env.$( '#woocommerce-order-items' ).hasClass( 'blockUI-blocked' ), false );
+	} );
+
+	it( 'alerts the void error when the connection fails', async () => {
+
+		env.$( '.sv-wc-payment-gateway-void' ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( env.window.dialogs[1].message, PARAMS.void_error );
+		assert.equal( env.$( '#woocommerce-order-items' ).hasClass( 'blockUI-blocked' ), false );
+	} );
+} );
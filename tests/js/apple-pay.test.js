@@ -0,0 +1,207 @@
+const { describe, it, afterEach } = require( 'node:test' );
+const assert = require( 'node:assert/strict' );
+
+const { createEnvironment, tick } = require( './support/environment' );
+
+const PAYMENT_REQUEST = {
+	countryCode: 'US',
+	currencyCode: 'USD',
+	merchantCapabilities: [ 'supports3DS' ],
+	supportedNetworks: [ 'visa', 'masterCard' ],
+	total: { label: 'Test Store', amount: '36.00', type: 'final' },
+	lineItems: [ { label: 'Subtotal', amount: '36.00', type: 'final' } ],
+	requiredBillingContactFields: [ 'postalAddress' ],
+	requiredShippingContactFields: [ 'phone', 'email', 'name' ],
+};
+
+const PARAMS = {
+	gateway_id: 'test_gateway',
+	merchant_id: 'merchant.com.example',
+	ajax_url: '/wp-admin/admin-ajax.php',
+	validate_nonce: 'validate-nonce',
+	recalculate_totals_nonce: 'recalculate-nonce',
+	process_nonce: 'process-nonce',
+	generic_error: 'An error occurred, please try again or try an alternate form of payment',
+	payment_request: PAYMENT_REQUEST,
+};
+
+const TOTALS = {
+	total: { label: 'Test Store', amount: '41.00', type: 'final' },
+	line_items: [
+		{ label: 'Subtotal', amount: '36.00', type: 'final' },
+		{ label: 'Shipping', amount: '5.00', type: 'final' },
+	],
+	shipping_methods: [ { identifier: 'flat_rate:1', label: 'Flat rate', detail: '', amount: '5.00' } ],
+};
+
+const MERCHANT_SESSION = { merchantSessionIdentifier: 'session', signature: 'signature' };
+
+/**
+ * Copies a value created in the jsdom window, so it can be deeply compared with test values.
+ *
+ * @param {*} value value to copy
+ * @returns {*}
+ */
+const plain = ( value ) => JSON.parse( JSON.stringify( value ) );
+
+describe( 'Apple Pay', () => {
+
+	let env;
+	let mock;
+
+	async function setUp( { wallet = {}, payment_request = PAYMENT_REQUEST, ajax = {} } = {} ) {
+
+		env = await createEnvironment( {
+			fixture: 'cart.html',
+			scripts: [
+				'woocommerce/payment-gateway/assets/js/frontend/sv-wc-payment-gateway-mock-wallet.js',
+				'woocommerce/payment-gateway/assets/js/frontend/sv-wc-payment-gateway-apple-pay.coffee',
+			],
+			ajax: Object.assign( {
+				wc_test_gateway_apple_pay_validate_merchant: () => ( { success: true, data: JSON.stringify( MERCHANT_SESSION ) } ),
+				wc_test_gateway_apple_pay_recalculate_totals: () => ( { success: true, data: TOTALS } ),
+				wc_test_gateway_apple_pay_process_payment: () => ( { success: true, data: { result: 'success', redirect: '/checkout/order-received/123/' } } ),
+			}, ajax ),
+		} );
+
+		mock = env.window.SV_WC_Mock_Wallet_v5_10_8;
+
+		mock.install( 'apple_pay', wallet );
+
+		new env.window.SV_WC_Apple_Pay_Handler_v5_10_8( Object.assign( {}, PARAMS, { payment_request } ) ).init();
+
+		await tick( 20 );
+	}
+
+	async function openSheet() {
+
+		env.$( '.sv-wc-apple-pay-button' ).trigger( 'click' );
+
+		await tick( 20 );
+
+		return mock.sheets.apple_pay;
+	}
+
+	function actions() {
+		return env.requests.map( ( request ) => request.data.action );
+	}
+
+	function completed( method ) {
+		return plain( mock.events.filter( ( event ) => event.name === method ).map( ( event ) => event.data ) );
+	}
+
+	afterEach( () => env.close() );
+
+	it( 'displays the button for the cart payment request', async () => {
+
+		await setUp();
+
+		assert.ok( env.$( '.sv-wc-apple-pay-button' ).is( ':visible' ) );
+		assert.deepEqual( completed( 'canMakePaymentsWithActiveCard' ), [ { merchantIdentifier: 'merchant.com.example' } ] );
+	} );
+
+	it( 'validates the merchant before the payment sheet is displayed', async () => {
+
+		await setUp( { wallet: { steps: [] } } );
+
+		const sheet = await openSheet();
+
+		assert.deepEqual( plain( env.requests[0].data ), {
+			action: 'wc_test_gateway_apple_pay_validate_merchant',
+			nonce: 'validate-nonce',
+			merchant_id: 'merchant.com.example',
+			url: 'https://apple-pay-gateway.apple.com/paymentservices/startSession',
+		} );
+		assert.deepEqual( completed( 'completeMerchantValidation' ), [ [ MERCHANT_SESSION ] ] );
+		assert.equal( completed( 'construct' )[0].version, 14 );
+		assert.ok( ! sheet.closed );
+		assert.ok( env.$( 'div.woocommerce' ).hasClass( 'blockUI-blocked' ) );
+	} );
+
+	it( 'aborts the payment if the merchant could not be validated', async () => {
+
+		await setUp( { ajax: { wc_test_gateway_apple_pay_validate_merchant: () => ( { success: false, data: { message: 'Invalid merchant certificate.' } } ) } } );
+
+		const sheet = await openSheet();
+
+		assert.equal( await sheet.done, 'abort' );
+		assert.deepEqual( actions(), [ 'wc_test_gateway_apple_pay_validate_merchant' ] );
+		assert.equal( env.$( '.woocommerce-error' ).text(), PARAMS.generic_error );
+		assert.ok( ! env.$( 'div.woocommerce' ).hasClass( 'blockUI-blocked' ) );
+	} );
+
+	it( 'recalculates the totals when a shipping address is chosen', async () => {
+
+		await setUp( {
+			wallet: { steps: [] },
+			payment_request: Object.assign( {}, PAYMENT_REQUEST, { requiredShippingContactFields: [ 'postalAddress', 'phone', 'email', 'name' ] } ),
+		} );
+
+		await openSheet();
+
+		assert.deepEqual( plain( env.requests.at( -1 ).data ), {
+			action: 'wc_test_gateway_apple_pay_recalculate_totals',
+			nonce: 'recalculate-nonce',
+			contact: { locality: 'Pittsburgh', administrativeArea: 'PA', postalCode: '15213', countryCode: 'US' },
+		} );
+		assert.deepEqual( completed( 'completeShippingContactSelection' ), [ [ {
+			newTotal: TOTALS.total,
+			newLineItems: TOTALS.line_items,
+			newShippingMethods: TOTALS.shipping_methods,
+		} ] ] );
+	} );
+
+	it( 'processes the authorized payment', async () => {
+
+		await setUp();
+
+		const sheet = await openSheet();
+
+		assert.equal( await sheet.done, 'success' );
+
+		const data = env.requests.at( -1 ).data;
+
+		assert.equal( data.action, 'wc_test_gateway_apple_pay_process_payment' );
+		assert.equal( data.nonce, 'process-nonce' );
+		assert.equal( JSON.parse( data.payment ).token.paymentMethod.displayName, 'Visa 1111' );
+		assert.equal( JSON.parse( data.payment ).billingContact.emailAddress, 'jane.doe@example.com' );
+		assert.deepEqual( completed( 'completePayment' ), [ [ 0 ] ] );
+		assert.deepEqual( plain( mock.getEventNames( 'apple_pay' ) ), [
+			'install',
+			'canMakePaymentsWithActiveCard',
+			'construct',
+			'begin',
+			'onvalidatemerchant',
+			'completeMerchantValidation',
+			'onpaymentmethodselected',
+			'completePaymentMethodSelection',
+			'onpaymentauthorized',
+			'completePayment',
+			'close',
+		] );
+	} );
+
+	it( 'fails the payment if it could not be processed', async () => {
+
+		await setUp( { ajax: { wc_test_gateway_apple_pay_process_payment: () => ( { success: false, data: { message: 'Gateway processing error.' } } ) } } );
+
+		const sheet = await openSheet();
+
+		assert.deepEqual( completed( 'completePayment' ), [ [ 1 ] ] );
+		assert.ok( ! sheet.closed );
+		assert.equal( env.$( '.woocommerce-error' ).text(), PARAMS.generic_error );
+		assert.ok( ! env.$( 'div.woocommerce' ).hasClass( 'blockUI-blocked' ) );
+	} );
+
+	it( 'unblocks the page when the sheet is closed', async () => {
+
+		await setUp( { wallet: { steps: [ { type: 'cancel' } ] } } );
+
+		const sheet = await openSheet();
+
+		assert.equal( await sheet.done, 'cancel' );
+		assert.ok( ! actions().includes( 'wc_test_gateway_apple_pay_process_payment' ) );
+		assert.equal( env.$( '.woocommerce-error' ).length, 0 );
+		assert.ok( ! env.$( 'div.woocommerce' ).hasClass( 'blockUI-blocked' ) );
+	} );
+} );
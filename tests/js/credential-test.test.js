@@ -0,0 +1,165 @@
+const { describe, it, beforeEach, afterEach } = require( 'node:test' );
+const assert = require( 'node:assert/strict' );
+
+const { createEnvironment, tick } = require( './support/environment' );
+
+const ARGS = {
+	ajax_url: '/wp-admin/admin-ajax.php',
+	action: 'wc_test_plugin_test_credentials',
+	nonce: 'credential-nonce',
+	i18n: {
+		testing: 'Testing the connection…',
+		success: 'Connection successful! The credentials are valid.',
+		error: 'The connection could not be tested. Please try again.',
+	},
+};
+
+describe( 'SV_WC_Payment_Gateway_Credential_Test', () => {
+
+	let env;
+
+	beforeEach( async () => {
+
+		env = await createEnvironment( {
+			fixture: 'credential-test.html',
+			scripts: [ 'woocommerce/payment-gateway/assets/js/admin/sv-wc-payment-gateway-credential-test.coffee' ],
+			ajax: {
+				wc_test_plugin_test_credentials: ( data ) => {
+
+					if ( 'valid-key' !== data.credentials.api_key ) {
+						return { success: false, data: { message: 'Invalid API key.' } };
+					}
+
+					return { success: true, data: { message: ARGS.i18n.success, verified: 'Credentials last verified on October 19, 2026 9:00 am.' } };
+				},
+			},
+		} );
+
+		new env.window.SV_WC_Payment_Gateway_Credential_Test_v5_10_8( ARGS );
+	} );
+
+	afterEach( () => env.close() );
+
+	/**
+	 * Gets the control's result element.
+	 *
+	 * @returns {jQuery} the result element
+	 */
+	function getResult() {
+
+		return env.$( '.sv-wc-payment-gateway-credential-test-result' );
+	}
+
+
+	it( 'tests the entered credentials', async () => {
+
+		const tested = [];
+
+		env.$( '.sv-wc-payment-gateway-credential-test' ).on( 'sv_wc_payment_gateway_credentials_tested', ( event, success ) => tested.push( success ) );
+
+		env.$( '#woocommerce_test_gateway_api_key' ).val( 'valid-key' );
+		env.$( '.sv-wc-payment-gateway-credential-test-button' ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( env.requests.length, 1 );
+		assert.equal( env.requests[0].type, 'POST' );
+		assert.equal( env.requests[0].data.action, 'wc_test_plugin_test_credentials' );
+		assert.equal( env.requests[0].data.nonce, 'credential-nonce' );
+		assert.equal( env.requests[0].data.gateway_id, 'test_gateway' );
+
+		// checkboxes are sent as settings values, and credentials without a field are left for the saved values
+		assert.deepEqual( { ...env.requests[0].data.credentials }, {
+			environment: 'test',
+			api_key: 'valid-key',
+			sandbox: 'yes',
+		} );
+
+		assert.equal( getResult().text(), ARGS.i18n.success );
+		assert.ok( getResult().hasClass( 'success' ) );
+		assert.equal( env.$( '.sv-wc-payment-gateway-credential-test-verified' ).text(), 'Credentials last verified on October 19, 2026 9:00 am.' );
+		assert.deepEqual( tested, [ true ] );
+	} );
+
+	it( 'shows the processor error message', async () => {
+
+		env.$( '#woocommerce_test_gateway_sandbox' ).prop( 'checked', false );
+		env.$( '.sv-wc-payment-gateway-credential-test-button' ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( env.requests[0].data.credentials.sandbox, 'no' );
+		assert.equal( getResult().text(), 'Invalid API key.' );
+		assert.ok( getResult().hasClass( 'error' ) );
+		assert.ok( env.$( '.sv-wc-payment-gateway-credential-test' ).hasClass( 'error' ) );
+
+		// the last verification is kept
+		assert.equal( env.$( '.sv-wc-payment-gateway-credential-test-verified' ).text(), 'Credentials last verified on October 1, 2020 10:00 am.' );
+	} );
+
+	it( 'shows an error when the request fails', async () => {
+
+		env.ajax.wc_test_plugin_test_credentials = () => { throw new Error( 'Internal Server Error' ); };
+
+		env.$( '.sv-wc-payment-gateway-credential-test-button' ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( getResult().text(), ARGS.i18n.error );
+		assert.ok( getResult().hasClass( 'error' ) );
+
+		env.ajax.wc_test_plugin_test_credentials = () => {
+
+			const error = new Error( 'Forbidden' );
+
+			error.status   = 403;
+			error.response = { success: false, data: { message: 'Invalid permissions' } };
+
+			throw error;
+		};
+
+		env.$( '.sv-wc-payment-gateway-credential-test-button' ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( getResult().text(), 'Invalid permissions' );
+	} );
+
+	it( 'disables the button while testing', async () => {
+
+		const $button = env.$( '.sv-wc-payment-gateway-credential-test-button' );
+
+		$button.trigger( 'click' );
+
+		assert.ok( $button.prop( 'disabled' ) );
+		assert.equal( getResult().text(), ARGS.i18n.testing );
+		assert.ok( getResult().hasClass( 'testing' ) );
+
+		// a test in progress isn't repeated
+		$button.prop( 'disabled', false ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( env.requests.length, 1 );
+		assert.equal( $button.prop( 'disabled' ), false );
+		assert.equal( getResult().hasClass( 'testing' ), false );
+	} );
+
+	it( 'clears the result when the credentials change', async () => {
+
+		env.$( '.sv-wc-payment-gateway-credential-test-button' ).trigger( 'click' );
+
+		await tick();
+
+		// other settings don't affect the result
+		env.$( '#woocommerce_test_gateway_debug_mode' ).val( 'log' ).trigger( 'change' );
+
+		assert.equal( getResult().text(), 'Invalid API key.' );
+
+		env.$( '#woocommerce_test_gateway_api_key' ).val( 'valid-key' ).trigger( 'input' );
+
+		assert.equal( getResult().text(), '' );
+		assert.equal( getResult().hasClass( 'error' ), false );
+		assert.equal( env.$( '.sv-wc-payment-gateway-credential-test' ).hasClass( 'error' ), false );
+	} );
+} );
@@ -0,0 +1,202 @@
+const { describe, it, afterEach } = require( 'node:test' );
+const assert = require( 'node:assert/strict' );
+
+const { createEnvironment, tick } = require( './support/environment' );
+
+const PARAMS = {
+	plugin_id: 'test_plugin',
+	merchant_id: 'merchant',
+	merchant_name: 'Test Store',
+	gateway_id: 'test_gateway',
+	gateway_id_dasherized: 'test-gateway',
+	ajax_url: '/wp-admin/admin-ajax.php',
+	recalculate_totals_nonce: 'recalculate-nonce',
+	process_nonce: 'process-nonce',
+	button_style: 'black',
+	card_types: [ 'VISA', 'MASTERCARD' ],
+	available_countries: [ 'US' ],
+	currency_code: 'USD',
+	needs_shipping: true,
+	generic_error: 'An error occurred, please try again or try an alternate form of payment',
+};
+
+const TRANSACTION_INFO = {
+	countryCode: 'US',
+	currencyCode: 'USD',
+	totalPriceStatus: 'FINAL',
+	totalPrice: '36.00',
+};
+
+const TOTALS = {
+	newTransactionInfo: Object.assign( {}, TRANSACTION_INFO, { totalPrice: '41.00' } ),
+	newShippingOptionParameters: {
+		defaultSelectedOptionId: 'flat_rate:1',
+		shippingOptions: [ { id: 'flat_rate:1', label: 'Flat rate', description: '$5.00' } ],
+	},
+};
+
+/**
+ * Copies a value created in the jsdom window, so it can be deeply compared with test values.
+ *
+ * @param {*} value value to copy
+ * @returns {*}
+ */
+const plain = ( value ) => JSON.parse( JSON.stringify( value ) );
+
+describe( 'Google Pay', () => {
+
+	let env;
+	let mock;
+
+	async function setUp( { wallet = {}, ajax = {} } = {} ) {
+
+		env = await createEnvironment( {
+			fixture: 'cart.html',
+			scripts: [
+				'woocommerce/payment-gateway/assets/js/frontend/sv-wc-payment-gateway-mock-wallet.js',
+				'woocommerce/payment-gateway/assets/js/frontend/sv-wc-payment-gateway-google-pay.js',
+			],
+			ajax: Object.assign( {
+				wc_test_gateway_google_pay_get_transaction_info: () => ( { success: true, data: JSON.stringify( TRANSACTION_INFO ) } ),
+				wc_test_gateway_google_pay_recalculate_totals: () => ( { success: true, data: JSON.stringify( TOTALS ) } ),
+				wc_test_gateway_google_pay_process_payment: () => ( { success: true, data: { result: 'success', redirect: '/checkout/order-received/123/' } } ),
+			}, ajax ),
+		} );
+
+		mock = env.window.SV_WC_Mock_Wallet_v5_10_8;
+
+		mock.install( 'google_pay', wallet );
+
+		new env.window.SV_WC_Google_Pay_Handler_v5_10_8( PARAMS ).init();
+
+		await tick( 20 );
+	}
+
+	function button() {
+		return env.$( '#sv-wc-google-pay-button-container button' );
+	}
+
+	async function openSheet() {
+
+		button().trigger( 'click' );
+
+		await tick( 20 );
+
+		return mock.sheets.google_pay;
+	}
+
+	function actions() {
+		return env.requests.map( ( request ) => request.data.action );
+	}
+
+	function recorded( name ) {
+		return plain( mock.events.filter( ( event ) => event.name === name ).map( ( event ) => event.data ) );
+	}
+
+	afterEach( () => env.close() );
+
+	it( 'displays the button if the customer is ready to pay', async () => {
+
+		await setUp();
+
+		assert.equal( button().length, 1 );
+		assert.deepEqual( recorded( 'isReadyToPay' )[0].allowedPaymentMethods[0].parameters.allowedCardNetworks, PARAMS.card_types );
+		assert.equal( recorded( 'prefetchPaymentData' )[0].transactionInfo.totalPriceStatus, 'NOT_CURRENTLY_KNOWN' );
+	} );
+
+	it( 'does not display the button if the customer is not ready to pay', async () => {
+
+		await setUp( { wallet: { available: false } } );
+
+		assert.equal( button().length, 0 );
+		assert.equal( env.requests.length, 0 );
+	} );
+
+	it( 'updates the payment sheet with the totals for the shipping address', async () => {
+
+		await setUp( { wallet: { steps: [] } } );
+
+		const sheet = await openSheet();
+
+		assert.deepEqual( plain( env.requests.at( -1 ).data ), {
+			action: 'wc_test_gateway_google_pay_recalculate_totals',
+			nonce: 'recalculate-nonce',
+			shippingAddress: { administrativeArea: 'PA', countryCode: 'US', locality: 'Pittsburgh', postalCode: '15213' },
+			shippingMethod: '',
+		} );
+		assert.deepEqual( recorded( 'paymentDataRequestUpdate' ), [ TOTALS ] );
+		assert.deepEqual( plain( recorded( 'loadPaymentData' )[0].transactionInfo ), TRANSACTION_INFO );
+		assert.ok( ! sheet.closed );
+	} );
+
+	it( 'displays the error in the payment sheet if the totals could not be recalculated', async () => {
+
+		await setUp( {
+			wallet: { steps: [] },
+			ajax: { wc_test_gateway_google_pay_recalculate_totals: () => ( { success: false, data: { message: 'Sorry, we do not ship to this address.', code: 0 } } ) },
+		} );
+
+		const sheet = await openSheet();
+
+		assert.deepEqual( recorded( 'paymentDataRequestUpdate' ), [ {
+			error: { reason: 'OTHER_ERROR', message: 'Sorry, we do not ship to this address.', intent: 'SHIPPING_ADDRESS' },
+		} ] );
+		assert.ok( ! sheet.closed );
+		assert.ok( ! env.$( 'div.woocommerce' ).hasClass( 'blockUI-blocked' ) );
+	} );
+
+	it( 'processes the authorized payment', async () => {
+
+		await setUp();
+
+		const sheet = await openSheet();
+
+		assert.equal( await sheet.done, 'success' );
+
+		const data = env.requests.at( -1 ).data;
+
+		assert.equal( data.action, 'wc_test_gateway_google_pay_process_payment' );
+		assert.equal( data.nonce, 'process-nonce' );
+		assert.equal( JSON.parse( data.paymentData ).paymentMethodData.description, 'Visa •••• 1111' );
+		assert.deepEqual( JSON.parse( data.paymentData ).shippingOptionData, { id: 'flat_rate:1' } );
+		assert.deepEqual( recorded( 'paymentAuthorizationResult' ), [ { transactionState: 'SUCCESS' } ] );
+	} );
+
+	it( 'fails the payment if it could not be processed', async () => {
+
+		await setUp( { ajax: { wc_test_gateway_google_pay_process_payment: () => ( { success: false, data: { message: 'Gateway processing error.' } } ) } } );
+
+		const sheet = await openSheet();
+
+		assert.deepEqual( recorded( 'paymentAuthorizationResult' ), [ {
+			transactionState: 'ERROR',
+			error: { reason: 'PAYMENT_DATA_INVALID', message: PARAMS.generic_error, intent: 'PAYMENT_AUTHORIZATION' },
+		} ] );
+		assert.ok( ! sheet.closed );
+		assert.equal( env.$( '.woocommerce-error' ).text(), PARAMS.generic_error );
+		assert.ok( ! env.$( 'div.woocommerce' ).hasClass( 'blockUI-blocked' ) );
+	} );
+
+	it( 'unblocks the page when the sheet is closed', async () => {
+
+		await setUp( { wallet: { steps: [ { type: 'cancel' } ] } } );
+
+		const sheet = await openSheet();
+
+		assert.equal( await sheet.done, 'cancel' );
+		assert.ok( ! actions().includes( 'wc_test_gateway_google_pay_process_payment' ) );
+		assert.equal( env.$( '.woocommerce-error' ).length, 0 );
+		assert.ok( ! env.$( 'div.woocommerce' ).hasClass( 'blockUI-blocked' ) );
+	} );
+
+	it( 'displays an error if the payment sheet could not be loaded', async () => {
+
+		await setUp( { wallet: { errors: { loadPaymentData: 'Invalid merchant ID.' } } } );
+
+		await openSheet();
+
+		assert.equal( mock.sheets.google_pay, undefined );
+		assert.equal( env.$( '.woocommerce-error' ).text(), PARAMS.generic_error );
+		assert.ok( ! env.$( 'div.woocommerce' ).hasClass( 'blockUI-blocked' ) );
+	} );
+} );
@@ -0,0 +1,559 @@
+const { describe, it, beforeEach, afterEach } = require( 'node:test' );
+const assert = require( 'node:assert/strict' );
+
+const { createEnvironment, tick } = require( './support/environment' );
+
+const I18N = {
+	pause: 'Pause',
+	resume: 'Resume',
+	cancel: 'Cancel',
+	eta: '%s remaining',
+	retries: 'Retries: %d',
+	error: 'The job could not be completed.',
+	statuses: { paused: 'Paused', completed: 'Completed', failed: 'Failed', cancelled: 'Cancelled' },
+};
+
+/**
+ * Creates a batch endpoint processing 10 of 30 items per batch.
+ *
+ * @param {Function} before called with the batch number before it's processed
+ * @returns {Function} AJAX handler
+ */
+function createBatchEndpoint( before = () => {} ) {
+
+	let processed = 0, batch = 0;
+
+	return ( data ) => {
+
+		before( ++batch );
+
+		processed += 10;
+
+		return {
+			success: true,
+			data: { id: data.job_id, status: processed < 30 ? 'processing' : 'completed', progress: processed, total: 30, percentage: Math.round( processed / 30 * 100 ) },
+		};
+	};
+}
+
+describe( 'SV_WP_Job_Batch_Handler', () => {
+
+	let env, handler;
+
+	beforeEach( async () => {
+
+		env = await createEnvironment( {
+			fixture: 'admin.html',
+			scripts: [ 'woocommerce/assets/js/admin/sv-wp-admin-job-batch-handler.coffee' ],
+		} );
+
+		handler = new env.window.SV_WP_Job_Batch_Handler( { id: 'test_export', process_nonce: 'process-nonce', cancel_nonce: 'cancel-nonce', retry_delay: 5, i18n: I18N } );
+	} );
+
+	afterEach( () => env.close() );
+
+	it( 'processes a job in batches until it is completed', async () => {
+
+		env.ajax.test_export_process_batch = createBatchEndpoint();
+
+		const progress = [];
+
+		env.$( env.document ).on( 'test_export_batch_progress_job-1', ( event, data ) => progress.push( data.percentage ) );
+
+		const response = await handler.process_job( 'job-1' );
+
+		assert.equal( response.data.status, 'completed' );
+		assert.equal( env.requests.length, 3 );
+		assert.deepEqual( { ...env.requests[0].data }, { action: 'test_export_process_batch', security: 'process-nonce', job_id: 'job-1' } );
+		assert.equal( env.requests[0].url, '/wp-admin/admin-ajax.php' );
+		assert.deepEqual( progress, [ 33, 67 ] );
+	} );
+
+	it( 'rejects with the response when the job fails', async () => {
+
+		env.ajax.test_export_process_batch = () => ( { success: false, data: { message: 'Could not process the batch' } } );
+
+		await assert.rejects( handler.process_job( 'job-1' ), ( response ) => 'Could not process the batch' === response.data.message );
+	} );
+
+	it( 'rejects with the error when the request fails', async () => {
+
+		await assert.rejects( handler.process_job( 'job-1' ), ( error ) => 'Bad Request' === error );
+
+		// client errors are not retried
+		assert.equal( env.requests.length, 1 );
+	} );
+
+	it( 'retries batches that fail with a transient error', async () => {
+
+		const endpoint = createBatchEndpoint();
+		const retries  = [];
+
+		env.ajax.test_export_process_batch = ( data ) => {
+
+			// the second batch times out twice before it goes through
+			if ( 2 === env.requests.length || 3 === env.requests.length ) {
+				throw Object.assign( new Error( 'Gateway Timeout' ), { status: 504 } );
+			}
+
+			return endpoint( data );
+		};
+
+		env.$( env.document ).on( 'test_export_batch_retry_job-1', ( event, data ) => retries.push( [ data.attempt, data.delay, data.status ] ) );
+
+		const response = await handler.process_job( 'job-1' );
+
+		assert.equal( response.data.status, 'completed' );
+		assert.equal( env.requests.length, 5 );
+		assert.deepEqual( retries, [ [ 1, 5, 504 ], [ 2, 10, 504 ] ] );
+	} );
+
+	it( 'rejects once the retries are exhausted', async () => {
+
+		env.ajax.test_export_process_batch = () => {
+			throw new Error( 'Internal Server Error' );
+		};
+
+		const failures = [];
+
+		env.$( env.document ).on( 'test_export_batch_failed_job-1', ( event, data ) => failures.push( { ...data } ) );
+
+		await assert.rejects( handler.process_job( 'job-1' ), ( error ) => 'Internal Server Error' === error );
+
+		assert.equal( env.requests.length, 4 );
+		assert.deepEqual( failures, [ { status: 500, message: 'Internal Server Error' } ] );
+	} );
+
+	it( 'caps the retry delay', () => {
+
+		handler = new env.window.SV_WP_Job_Batch_Handler( { id: 'test_export' } );
+
+		assert.deepEqual( [ 0, 1, 2, 5, 10 ].map( ( attempt ) => handler.get_retry_delay( attempt ) ), [ 1000, 2000, 4000, 30000, 30000 ] );
+	} );
+
+	it( 'pauses and resumes a job between batches', async () => {
+
+		env.ajax.test_export_process_batch = createBatchEndpoint( ( batch ) => {
+			if ( 1 === batch ) {
+				handler.pause_job( 'job-1' );
+			}
+		} );
+
+		let paused = false;
+
+		env.$( env.document ).on( 'test_export_batch_paused_job-1', () => paused = true );
+
+		const job = handler.process_job( 'job-1' );
+
+		await tick( 20 );
+
+		assert.ok( paused );
+		assert.equal( env.requests.length, 1 );
+
+		handler.resume_job( 'job-1' );
+
+		const response = await job;
+
+		assert.equal( response.data.status, 'completed' );
+		assert.equal( env.requests.length, 3 );
+	} );
+
+	it( 'cancels a paused job', async () => {
+
+		env.ajax.test_export_process_batch = createBatchEndpoint( () => handler.pause_job( 'job-1' ) );
+		env.ajax.test_export_cancel_job = () => ( { success: true, data: null } );
+
+		const job = handler.process_job( 'job-1' );
+
+		await tick( 20 );
+
+		handler.request_cancel( 'job-1' );
+
+		await job;
+
+		assert.deepEqual( env.requests.map( ( request ) => request.data.action ), [ 'test_export_process_batch', 'test_export_cancel_job' ] );
+		assert.equal( handler.paused, false );
+	} );
+
+	it( 'cancels the job when the user cancels it between batches', async () => {
+
+		env.ajax.test_export_process_batch = ( data ) => {
+
+			// the user cancels the job while the first batch is processed
+			handler.cancelled = data.job_id;
+
+			return { success: true, data: { id: data.job_id, status: 'processing', progress: 10, total: 30, percentage: 33 } };
+		};
+
+		env.ajax.test_export_cancel_job = () => ( { success: true, data: { status: 'cancelled' } } );
+
+		const response = await handler.process_job( 'job-1' );
+
+		assert.equal( response.data.status, 'cancelled' );
+		assert.deepEqual( env.requests.map( ( request ) => request.data.action ), [ 'test_export_process_batch', 'test_export_cancel_job' ] );
+		assert.equal( env.requests[1].data.security, 'cancel-nonce' );
+		assert.equal( handler.cancelled, false );
+	} );
+} );
+
+
+describe( 'SV_WP_Job_Batch_Handler over REST', () => {
+
+	const JOBS_URL = '/wp-json/wc/v3/test_export/jobs';
+
+	let env, handler;
+
+	beforeEach( async () => {
+
+		env = await createEnvironment( {
+			fixture: 'admin.html',
+			scripts: [ 'woocommerce/assets/js/admin/sv-wp-admin-job-batch-handler.coffee' ],
+		} );
+
+		handler = new env.window.SV_WP_Job_Batch_Handler( { id: 'test_export', retry_delay: 5, rest: { url: `${ JOBS_URL }/`, nonce: 'rest-nonce' } } );
+	} );
+
+	afterEach( () => env.close() );
+
+	it( 'processes a job in batches', async () => {
+
+		const endpoint = createBatchEndpoint();
+
+		env.ajax[ `POST ${ JOBS_URL }/job-1/process` ] = () => endpoint( { job_id: 'job-1' } ).data;
+
+		const response = await handler.process_job( 'job-1' );
+
+		assert.equal( response.success, true );
+		assert.equal( response.data.status, 'completed' );
+		assert.equal( env.requests.length, 3 );
+		assert.equal( env.requests[0].headers['X-WP-Nonce'], 'rest-nonce' );
+	} );
+
+	it( 'rejects with the API error without retrying it', async () => {
+
+		env.ajax[ `POST ${ JOBS_URL }/job-1/process` ] = () => {
+			throw Object.assign( new Error( 'Not Found' ), { status: 404, response: { code: 'wc_rest_job_not_found', message: 'Job job-1 does not exist', data: { status: 404 } } } );
+		};
+
+		await assert.rejects( handler.process_job( 'job-1' ), ( response ) => false === response.success && 'Job job-1 does not exist' === response.data.message );
+
+		assert.equal( env.requests.length, 1 );
+	} );
+
+	it( 'retries server errors', async () => {
+
+		let attempts = 0;
+
+		env.ajax[ `POST ${ JOBS_URL }/job-1/process` ] = () => {
+
+			if ( ++attempts < 3 ) {
+				throw Object.assign( new Error( 'Service Unavailable' ), { status: 503 } );
+			}
+
+			return { id: 'job-1', status: 'completed', progress: 30, total: 30, percentage: 100 };
+		};
+
+		const response = await handler.process_job( 'job-1' );
+
+		assert.equal( response.data.status, 'completed' );
+		assert.equal( env.requests.length, 3 );
+	} );
+
+	it( 'cancels a job', async () => {
+
+		env.ajax[ `DELETE ${ JOBS_URL }/job-1` ] = () => ( { id: 'job-1', status: 'cancelled' } );
+
+		const response = await handler.cancel_job( 'job-1' );
+
+		assert.equal( response.data.status, 'cancelled' );
+		assert.equal( env.requests[0].type, 'DELETE' );
+	} );
+
+	it( 'creates and gets jobs with the client', async () => {
+
+		env.ajax[ `POST ${ JOBS_URL }` ] = ( data ) => ( { id: 'job-2', status: 'queued', total: data.attributes.items.length } );
+		env.ajax[ `GET ${ JOBS_URL }` ] = ( data ) => [ { id: 'job-2', status: data.status[0] } ];
+
+		const created = await handler.rest_client.create_job( { items: [ 1, 2, 3 ] } );
+		const jobs    = await handler.rest_client.get_jobs( [ 'queued' ] );
+
+		assert.equal( created.data.total, 3 );
+		assert.deepEqual( env.requests[0].data, { attributes: { items: [ 1, 2, 3 ] } } );
+		assert.equal( jobs.data[0].id, 'job-2' );
+	} );
+} );
+
+
+describe( 'SV_WP_Job_Batch_Handler queue', () => {
+
+	let env, handler;
+
+	beforeEach( async () => {
+
+		env = await createEnvironment( {
+			fixture: 'admin.html',
+			scripts: [ 'woocommerce/assets/js/admin/sv-wp-admin-job-batch-handler.coffee' ],
+		} );
+
+		handler = new env.window.SV_WP_Job_Batch_Handler( { id: 'test_export', process_nonce: 'process-nonce', cancel_nonce: 'cancel-nonce', i18n: I18N } );
+	} );
+
+	afterEach( () => env.close() );
+
+	it( 'processes queued jobs one after the other', async () => {
+
+		const endpoints = { 'job-1': createBatchEndpoint(), 'job-2': createBatchEndpoint() };
+
+		env.ajax.test_export_process_batch = ( data ) => endpoints[ data.job_id ]( data );
+
+		const responses = await Promise.all( [ handler.queue_job( 'job-1' ), handler.queue_job( 'job-2' ) ] );
+
+		assert.deepEqual( responses.map( ( response ) => response.data.status ), [ 'completed', 'completed' ] );
+		assert.deepEqual( env.requests.map( ( request ) => request.data.job_id ), [ 'job-1', 'job-1', 'job-1', 'job-2', 'job-2', 'job-2' ] );
+		assert.equal( handler.running, false );
+	} );
+
+	it( 'keeps processing the queue when a job fails', async () => {
+
+		const endpoint = createBatchEndpoint();
+
+		env.ajax.test_export_process_batch = ( data ) => 'job-1' === data.job_id ? { success: false, data: { message: 'Invalid job ID' } } : endpoint( data );
+
+		const jobs = [ handler.queue_job( 'job-1' ), handler.queue_job( 'job-2' ) ];
+
+		await assert.rejects( jobs[0] );
+
+		assert.equal( ( await jobs[1] ).data.status, 'completed' );
+	} );
+
+	it( 'cancels a queued job without waiting for its turn', async () => {
+
+		env.ajax.test_export_process_batch = createBatchEndpoint();
+		env.ajax.test_export_cancel_job = () => ( { success: true, data: null } );
+
+		const jobs = [ handler.queue_job( 'job-1' ), handler.queue_job( 'job-2' ) ];
+
+		handler.request_cancel( 'job-2' );
+
+		await Promise.all( jobs );
+
+		assert.deepEqual( env.requests.map( ( request ) => `${ request.data.action }:${ request.data.job_id }` ), [
+			'test_export_process_batch:job-1',
+			'test_export_cancel_job:job-2',
+			'test_export_process_batch:job-1',
+			'test_export_process_batch:job-1',
+		] );
+	} );
+} );
+
+
+describe( 'SV_WP_Job_Batch_Handler interrupted jobs', () => {
+
+	const ACTIVE_JOBS = [
+		{ id: 'job-1', status: 'processing', progress: 10, total: 30, percentage: 33 },
+		{ id: 'job-2', status: 'queued', progress: 0, total: 30, percentage: 0 },
+	];
+
+	let env, handler;
+
+	/**
+	 * Loads the handler with interrupted jobs.
+	 *
+	 * @param {Function} listen called to add listeners before the handler is ready
+	 */
+	async function createHandler( listen = () => {} ) {
+
+		env = await createEnvironment( {
+			fixture: 'admin.html',
+			scripts: [ 'woocommerce/assets/js/admin/sv-wp-admin-job-batch-handler.coffee' ],
+		} );
+
+		listen( env );
+
+		handler = new env.window.SV_WP_Job_Batch_Handler( {
+			id: 'test_export',
+			process_nonce: 'process-nonce',
+			cancel_nonce: 'cancel-nonce',
+			active_jobs: ACTIVE_JOBS,
+			i18n: { ...I18N, interrupted: '2 jobs were interrupted before they were completed. Would you like to resume them?' },
+		} );
+
+		await tick();
+	}
+
+	afterEach( () => env.close() );
+
+	it( 'offers to resume or cancel the interrupted jobs', async () => {
+
+		await createHandler();
+
+		const $notice = env.$( '.wp-header-end + .sv-wp-job-batch-resume' );
+
+		assert.equal( $notice.length, 1 );
+		assert.equal( $notice.find( '.message' ).text(), '2 jobs were interrupted before they were completed. Would you like to resume them?' );
+		assert.equal( $notice.find( '.resume' ).text(), 'Resume' );
+		assert.equal( env.requests.length, 0 );
+	} );
+
+	it( 'resumes the interrupted jobs in order', async () => {
+
+		await createHandler();
+
+		const endpoints = { 'job-1': createBatchEndpoint(), 'job-2': createBatchEndpoint() };
+
+		env.ajax.test_export_process_batch = ( data ) => endpoints[ data.job_id ]( data );
+
+		env.$( '.sv-wp-job-batch-resume .resume' ).trigger( 'click' );
+
+		const $progress = env.$( '.sv-wp-job-batch-resume .sv-wp-job-batch-progress' );
+
+		assert.equal( $progress.length, 2 );
+		assert.equal( $progress.eq( 0 ).find( '.percentage' ).text(), '33%' );
+		assert.equal( env.$( '.sv-wp-job-batch-resume > .actions' ).length, 0 );
+
+		await tick( 50 );
+
+		assert.deepEqual( env.requests.map( ( request ) => request.data.job_id ), [ 'job-1', 'job-1', 'job-1', 'job-2', 'job-2', 'job-2' ] );
+		assert.deepEqual( Array.from( $progress, ( element ) => element.getAttribute( 'data-status' ) ), [ 'completed', 'completed' ] );
+	} );
+
+	it( 'cancels the interrupted jobs', async () => {
+
+		await createHandler();
+
+		env.ajax.test_export_cancel_job = () => ( { success: true, data: null } );
+
+		env.$( '.sv-wp-job-batch-resume .cancel' ).trigger( 'click' );
+
+		await tick();
+
+		assert.deepEqual( env.requests.map( ( request ) => `${ request.data.action }:${ request.data.job_id }` ), [ 'test_export_cancel_job:job-1', 'test_export_cancel_job:job-2' ] );
+		assert.equal( env.$( '.sv-wp-job-batch-resume' ).length, 0 );
+	} );
+
+	it( 'lets plugins render their own UI for the interrupted jobs', async () => {
+
+		let interrupted;
+
+		await createHandler( ( env ) => {
+			env.$( env.document ).on( 'test_export_batch_interrupted', ( event, jobs ) => {
+				interrupted = jobs.map( ( job ) => job.id );
+				event.preventDefault();
+			} );
+		} );
+
+		assert.deepEqual( interrupted, [ 'job-1', 'job-2' ] );
+		assert.equal( env.$( '.sv-wp-job-batch-resume' ).length, 0 );
+	} );
+} );
+
+
+describe( 'SV_WP_Job_Batch_Progress', () => {
+
+	let env, handler, progress;
+
+	beforeEach( async () => {
+
+		env = await createEnvironment( {
+			fixture: 'admin.html',
+			scripts: [ 'woocommerce/assets/js/admin/sv-wp-admin-job-batch-handler.coffee' ],
+		} );
+
+		env.$( 'body' ).append( '<div id="job-progress"></div>' );
+
+		handler  = new env.window.SV_WP_Job_Batch_Handler( { id: 'test_export', process_nonce: 'process-nonce', cancel_nonce: 'cancel-nonce', retry_delay: 5, i18n: I18N } );
+		progress = new env.window.SV_WP_Job_Batch_Progress( { handler, job_id: 'job-1', container: '#job-progress' } );
+	} );
+
+	afterEach( () => env.close() );
+
+	/**
+	 * Gets the progress element.
+	 *
+	 * @returns {jQuery} element
+	 */
+	function getElement() {
+
+		return env.$( '#job-progress .sv-wp-job-batch-progress' );
+	}
+
+	it( 'displays the percentage and estimated time remaining', () => {
+
+		handler.trigger_event( 'progress', 'job-1', { percentage: 10, progress: 10, total: 100 } );
+
+		assert.equal( getElement().find( '.percentage' ).text(), '10%' );
+		assert.equal( getElement().find( 'progress' ).val(), 10 );
+
+		// 10 items took 30 seconds, so the remaining 80 take 4 minutes
+		progress.started.time -= 30000;
+
+		handler.trigger_event( 'progress', 'job-1', { percentage: 20, progress: 20, total: 100 } );
+
+		assert.equal( getElement().find( '.percentage' ).text(), '20%' );
+		assert.equal( getElement().find( '.eta' ).text(), '4:00 remaining' );
+	} );
+
+	it( 'displays the retry count and the error details', async () => {
+
+		env.ajax.test_export_process_batch = () => {
+			throw new Error( 'Service Unavailable' );
+		};
+
+		assert.ok( getElement().find( '.retries' ).is( ':hidden' ) );
+
+		await assert.rejects( handler.process_job( 'job-1' ) );
+
+		assert.equal( getElement().find( '.retries' ).text(), 'Retries: 3' );
+		assert.ok( getElement().find( '.error' ).is( ':visible' ) );
+		assert.equal( getElement().find( '.error' ).text(), 'The job could not be completed. 500 Service Unavailable' );
+		assert.equal( getElement().attr( 'data-status' ), 'failed' );
+		assert.ok( getElement().find( '.actions .button' ).is( ':hidden' ) );
+	} );
+
+	it( 'displays the error message returned for the job', async () => {
+
+		env.ajax.test_export_process_batch = () => ( { success: false, data: { message: 'Invalid job ID' } } );
+
+		await assert.rejects( handler.process_job( 'job-1' ) );
+
+		assert.equal( getElement().find( '.error' ).text(), 'The job could not be completed. Invalid job ID' );
+	} );
+
+	it( 'pauses, resumes and completes the job from its buttons', async () => {
+
+		env.ajax.test_export_process_batch = createBatchEndpoint();
+
+		const job = handler.process_job( 'job-1' );
+
+		getElement().find( '.pause' ).trigger( 'click' );
+
+		await tick( 20 );
+
+		assert.equal( getElement().attr( 'data-status' ), 'paused' );
+		assert.equal( getElement().find( '.status' ).text(), 'Paused' );
+		assert.ok( getElement().find( '.pause' ).is( ':hidden' ) );
+		assert.ok( getElement().find( '.resume' ).is( ':visible' ) );
+
+		getElement().find( '.resume' ).trigger( 'click' );
+
+		await job;
+
+		assert.equal( getElement().attr( 'data-status' ), 'completed' );
+		assert.equal( getElement().find( '.percentage' ).text(), '100%' );
+	} );
+
+	it( 'cancels the job from its button', async () => {
+
+		env.ajax.test_export_process_batch = createBatchEndpoint();
+		env.ajax.test_export_cancel_job = () => ( { success: true, data: null } );
+
+		const job = handler.process_job( 'job-1' );
+
+		getElement().find( '.cancel' ).trigger( 'click' );
+
+		await job;
+
+		assert.equal( getElement().attr( 'data-status' ), 'cancelled' );
+		assert.equal( env.requests[ env.requests.length - 1 ].data.action, 'test_export_cancel_job' );
+	} );
+} );
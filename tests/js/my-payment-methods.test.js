@@ -0,0 +1,462 @@
+const { describe, it, beforeEach, afterEach } = require( 'node:test' );
+const assert = require( 'node:assert/strict' );
+
+const { createEnvironment, tick } = require( './support/environment' );
+
+const ARGS = {
+	id: 'test_plugin',
+	slug: 'test-plugin',
+	ajax_url: '/wp-admin/admin-ajax.php',
+	ajax_nonce: 'nonce-1',
+	update_card_gateways: { 3: 'test_gateway' },
+	i18n: {
+		edit_button: 'Edit',
+		cancel_button: 'Cancel',
+		save_error: 'Oops, there was an error updating your payment method. Please try again.',
+		delete_ays: 'Are you sure you want to delete this payment method?',
+		delete_error: 'Oops, there was an error deleting your payment method. Please try again.',
+		default_mark: 'Default',
+		make_default: 'Make default',
+		move_handle: 'Drag to reorder, or use the arrow keys',
+		no_methods: 'No saved methods found.',
+	},
+};
+
+describe( 'SV_WC_Payment_Methods_Handler', () => {
+
+	let env;
+
+	beforeEach( async () => {
+
+		env = await createEnvironment( {
+			fixture: 'my-payment-methods.html',
+			scripts: [ 'woocommerce/payment-gateway/assets/js/frontend/sv-wc-payment-gateway-my-payment-methods.coffee' ],
+		} );
+
+		new env.window.SV_WC_Payment_Methods_Handler_v5_10_8( ARGS );
+	} );
+
+	afterEach( () => env.close() );
+
+	/**
+	 * Gets the table row of the framework token.
+	 *
+	 * @returns {jQuery} row
+	 */
+	function getRow() {
+
+		return env.$( '.woocommerce-MyAccount-paymentMethods tr.payment-method' ).first();
+	}
+
+
+	/**
+	 * Gets the token IDs of the framework tokens, in the order they are listed.
+	 *
+	 * @returns {string[]} token IDs
+	 */
+	function getTokenOrder() {
+
+		return Array.from( env.$( 'tr.payment-method input[name=token-id]' ), ( input ) => input.value );
+	}
+
+	it( 'replaces the method column with the title of framework tokens', () => {
+
+		const $row = getRow();
+
+		assert.equal( $row.find( 'td.woocommerce-PaymentMethod--title' ).length, 0 );
+		assert.equal( $row.find( '.woocommerce-PaymentMethod--method .view' ).text(), 'Personal card' );
+
+		// other tokens are left alone
+		assert.equal( env.$( 'tr.payment-method' ).eq( 1 ).find( '.woocommerce-PaymentMethod--method' ).text(), 'Mastercard ending in 4444' );
+	} );
+
+	it( 'removes duplicate default marks', () => {
+
+		assert.equal( getRow().find( 'mark.default' ).length, 1 );
+	} );
+
+	it( 'shows the edit fields and disables the other actions while editing', () => {
+
+		const $row = getRow();
+
+		$row.find( '.button.edit' ).trigger( 'click' );
+
+		assert.ok( $row.find( 'div.edit' ).is( ':visible' ) );
+		assert.ok( $row.find( 'div.view' ).is( ':hidden' ) );
+		assert.ok( $row.find( '.cancel-edit' ).length );
+		assert.equal( $row.find( '.cancel-edit' ).text(), 'Cancel' );
+		assert.ok( env.$( '.button[href*="add-payment-method"]' ).hasClass( 'disabled' ) );
+
+		$row.find( '.cancel-edit' ).trigger( 'click' );
+
+		assert.ok( $row.find( 'div.view' ).is( ':visible' ) );
+		assert.equal( $row.find( '.button.edit' ).text(), 'Edit' );
+		assert.equal( env.$( '.button[href*="add-payment-method"]' ).hasClass( 'disabled' ), false );
+	} );
+
+	it( 'saves the method via AJAX and displays the new title', async () => {
+
+		env.ajax.wc_test_plugin_save_payment_method = ( data ) => {
+
+			const fields = new env.window.URLSearchParams( data.data );
+			const title  = getRow().find( '.woocommerce-PaymentMethod--method' ).clone();
+
+			title.find( 'div.view' ).text( fields.get( 'nickname' ) );
+
+			return { success: true, data: { title: title.html(), nonce: 'nonce-2' } };
+		};
+
+		const $row = getRow();
+
+		$row.find( '.button.edit' ).trigger( 'click' );
+		$row.find( 'input[name=nickname]' ).val( 'Work card' );
+		$row.find( '.button.save' ).trigger( 'click' );
+
+		assert.ok( env.$( '.woocommerce-MyAccount-content' ).hasClass( 'blockUI-blocked' ) );
+
+		await tick();
+
+		assert.equal( env.requests.length, 1 );
+		assert.equal( env.requests[0].type, 'POST' );
+		assert.equal( env.requests[0].data.nonce, 'nonce-1' );
+		assert.equal( env.requests[0].data.token_id, '1' );
+
+		assert.equal( $row.find( '.woocommerce-PaymentMethod--method' ).text(), 'Work card' );
+		assert.equal( $row.find( '.button.edit' ).text(), 'Edit' );
+		assert.equal( env.$( '.woocommerce-MyAccount-content' ).hasClass( 'blockUI-blocked' ), false );
+
+		// the new nonce is used for the next request
+		$row.find( '.button.save' ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( env.requests[1].data.nonce, 'nonce-2' );
+	} );
+
+	it( 'displays an error when the method could not be saved', async () => {
+
+		env.ajax.wc_test_plugin_save_payment_method = () => ( { success: false, data: 'Invalid nickname' } );
+
+		const $row = getRow();
+
+		$row.find( '.button.edit' ).trigger( 'click' );
+		$row.find( '.button.save' ).trigger( 'click' );
+
+		await tick();
+
+		const $error = $row.next( 'tr.error' );
+
+		assert.equal( $error.text(), ARGS.i18n.save_error );
+		assert.equal( $error.find( 'td' ).attr( 'colspan' ), '6' );
+		assert.equal( env.$( '.woocommerce-MyAccount-content' ).hasClass( 'blockUI-blocked' ), false );
+	} );
+
+	it( 'displays an error when the connection fails', async () => {
+
+		env.ajax.wc_test_plugin_save_payment_method = () => {
+			throw new Error( 'Internal Server Error' );
+		};
+
+		const $row = getRow();
+
+		$row.find( '.button.save' ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( $row.next( 'tr.error' ).text(), ARGS.i18n.save_error );
+	} );
+
+	it( 'asks for confirmation before deleting a method', () => {
+
+		env.window.confirmResult = false;
+
+		const event = env.$.Event( 'click' );
+
+		getRow().find( '.button.delete' ).trigger( event );
+
+		assert.ok( event.isDefaultPrevented() );
+		assert.deepEqual( env.window.dialogs.map( ( dialog ) => dialog.message ), [ ARGS.i18n.delete_ays ] );
+	} );
+
+	it( 'deletes the method via AJAX and removes its row', async () => {
+
+		env.ajax.wc_test_plugin_delete_payment_method = () => ( { success: true, data: { default_tokens: [ '3' ], nonce: 'nonce-2' } } );
+
+		const event = env.$.Event( 'click' );
+
+		getRow().find( '.button.delete' ).trigger( event );
+
+		assert.ok( event.isDefaultPrevented() );
+		assert.ok( env.$( '.woocommerce-MyAccount-content' ).hasClass( 'blockUI-blocked' ) );
+
+		await tick();
+
+		assert.equal( env.requests[0].data.action, 'wc_test_plugin_delete_payment_method' );
+		assert.equal( env.requests[0].data.nonce, 'nonce-1' );
+		assert.equal( env.requests[0].data.token_id, '1' );
+
+		assert.deepEqual( getTokenOrder(), [ '3' ] );
+		assert.equal( env.$( 'tr.payment-method' ).length, 2 );
+		assert.equal( env.$( '.woocommerce-MyAccount-content' ).hasClass( 'blockUI-blocked' ), false );
+
+		// the new default is marked in place
+		const $newDefault = env.$( 'tr.payment-method' ).eq( 1 );
+
+		assert.ok( $newDefault.hasClass( 'default-payment-method' ) );
+		assert.equal( $newDefault.find( 'mark.default' ).text(), 'Default' );
+		assert.equal( $newDefault.find( '.button.default' ).length, 0 );
+	} );
+
+	it( 'does not delete the method when the deletion is not confirmed', async () => {
+
+		env.window.confirmResult = false;
+
+		getRow().find( '.button.delete' ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( env.requests.length, 0 );
+		assert.equal( env.$( 'tr.payment-method' ).length, 3 );
+	} );
+
+	it( 'keeps the row and displays an error when the method could not be deleted', async () => {
+
+		env.ajax.wc_test_plugin_delete_payment_method = () => ( { success: false, data: 'Could not delete token' } );
+
+		getRow().find( '.button.delete' ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( env.$( 'tr.payment-method' ).length, 3 );
+		assert.equal( getRow().next( 'tr.error' ).text(), ARGS.i18n.delete_error );
+	} );
+
+	it( 'shows a message once the last method is deleted', async () => {
+
+		env.ajax.wc_test_plugin_delete_payment_method = () => ( { success: true, data: { default_tokens: [] } } );
+
+		// the other plugin's method is deleted by WooCommerce
+		env.$( 'tr.payment-method' ).eq( 1 ).remove();
+
+		getRow().find( '.button.delete' ).trigger( 'click' );
+
+		await tick();
+
+		getRow().find( '.button.delete' ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( env.$( '.woocommerce-MyAccount-paymentMethods' ).length, 0 );
+		assert.equal( env.$( '.woocommerce-info' ).text(), ARGS.i18n.no_methods );
+	} );
+
+	it( 'makes the method the default via AJAX', async () => {
+
+		env.ajax.wc_test_plugin_make_default_payment_method = () => ( { success: true, data: { default_tokens: [ '3' ], nonce: 'nonce-2' } } );
+
+		const $row  = env.$( 'tr.payment-method' ).eq( 2 );
+		const event = env.$.Event( 'click' );
+
+		$row.find( '.button.default' ).trigger( event );
+
+		assert.ok( event.isDefaultPrevented() );
+
+		await tick();
+
+		assert.equal( env.requests[0].data.action, 'wc_test_plugin_make_default_payment_method' );
+		assert.equal( env.requests[0].data.token_id, '3' );
+
+		assert.ok( $row.hasClass( 'default-payment-method' ) );
+		assert.equal( $row.find( 'mark.default' ).length, 1 );
+		assert.equal( $row.find( '.button.default' ).length, 0 );
+
+		// the previous default can be made the default again
+		assert.equal( getRow().hasClass( 'default-payment-method' ), false );
+		assert.equal( getRow().find( 'mark.default' ).length, 0 );
+		assert.equal( getRow().find( '.button.default' ).text(), 'Make default' );
+
+		getRow().find( '.button.default' ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( env.requests[1].data.token_id, '1' );
+		assert.equal( env.requests[1].data.nonce, 'nonce-2' );
+	} );
+
+	it( 'displays an error when the method could not be made the default', async () => {
+
+		env.ajax.wc_test_plugin_make_default_payment_method = () => {
+			throw new Error( 'Internal Server Error' );
+		};
+
+		const $row = env.$( 'tr.payment-method' ).eq( 2 );
+
+		$row.find( '.button.default' ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( $row.next( 'tr.error' ).text(), ARGS.i18n.save_error );
+		assert.equal( $row.hasClass( 'default-payment-method' ), false );
+		assert.ok( getRow().hasClass( 'default-payment-method' ) );
+	} );
+
+	it( 'adds drag handles to the framework methods', () => {
+
+		const $handles = env.$( '.sv-wc-payment-gateway-payment-method-handle' );
+
+		assert.equal( $handles.length, 2 );
+		assert.equal( $handles.first().attr( 'aria-label' ), ARGS.i18n.move_handle );
+		assert.equal( env.$( 'tr.payment-method' ).eq( 1 ).find( '.sv-wc-payment-gateway-payment-method-handle' ).length, 0 );
+	} );
+
+	it( 'saves the new order after a method is dragged', async () => {
+
+		env.ajax.wc_test_plugin_reorder_payment_methods = () => ( { success: true, data: { nonce: 'nonce-2' } } );
+
+		const $row = getRow();
+
+		$row.find( '.sv-wc-payment-gateway-payment-method-handle' ).trigger( 'mousedown' );
+		$row.trigger( 'dragstart' );
+
+		assert.ok( $row.hasClass( 'dragging' ) );
+
+		// dragging over a method from another plugin does nothing
+		const overOther = env.$.Event( 'dragover' );
+
+		env.$( 'tr.payment-method' ).eq( 1 ).trigger( overOther );
+
+		assert.equal( overOther.isDefaultPrevented(), false );
+
+		const overLast = env.$.Event( 'dragover' );
+
+		env.$( 'tr.payment-method' ).eq( 2 ).trigger( overLast );
+
+		assert.ok( overLast.isDefaultPrevented() );
+		assert.deepEqual( getTokenOrder(), [ '3', '1' ] );
+
+		$row.trigger( 'drop' ).trigger( 'dragend' );
+
+		assert.equal( $row.hasClass( 'dragging' ), false );
+		assert.equal( $row.attr( 'draggable' ), undefined );
+
+		await tick();
+
+		assert.equal( env.requests.length, 1 );
+		assert.equal( env.requests[0].data.action, 'wc_test_plugin_reorder_payment_methods' );
+		assert.deepEqual( Array.from( env.requests[0].data.token_ids ), [ '3', '1' ] );
+	} );
+
+	it( 'does not save the order when a method is dropped in place', async () => {
+
+		const $row = getRow();
+
+		$row.find( '.sv-wc-payment-gateway-payment-method-handle' ).trigger( 'mousedown' );
+		$row.trigger( 'dragstart' ).trigger( 'dragend' );
+
+		await tick();
+
+		assert.equal( env.requests.length, 0 );
+	} );
+
+	it( 'moves methods with the arrow keys', async () => {
+
+		env.ajax.wc_test_plugin_reorder_payment_methods = () => ( { success: true, data: {} } );
+
+		const $handle = getRow().find( '.sv-wc-payment-gateway-payment-method-handle' );
+
+		// the first method can't be moved up
+		$handle.trigger( env.$.Event( 'keydown', { which: 38 } ) );
+
+		await tick();
+
+		assert.equal( env.requests.length, 0 );
+
+		$handle.trigger( env.$.Event( 'keydown', { which: 40 } ) );
+
+		assert.deepEqual( getTokenOrder(), [ '3', '1' ] );
+
+		await tick();
+
+		assert.deepEqual( Array.from( env.requests[0].data.token_ids ), [ '3', '1' ] );
+	} );
+
+	it( 'displays an error when the order could not be saved', async () => {
+
+		env.ajax.wc_test_plugin_reorder_payment_methods = () => ( { success: false, data: 'Invalid token IDs' } );
+
+		const $row = getRow();
+
+		$row.find( '.sv-wc-payment-gateway-payment-method-handle' ).trigger( env.$.Event( 'keydown', { which: 40 } ) );
+
+		await tick();
+
+		assert.equal( $row.next( 'tr.error' ).text(), ARGS.i18n.save_error );
+	} );
+
+	it( 'opens the update form below an expired card', () => {
+
+		const $row  = env.$( 'tr.payment-method' ).eq( 2 );
+		const $form = env.$( '.sv-wc-payment-gateway-update-payment-method-form' );
+		const event = env.$.Event( 'click' );
+
+		$row.find( '.button.update-card' ).trigger( event );
+
+		assert.ok( event.isDefaultPrevented() );
+
+		const $updateRow = $row.next( 'tr.sv-wc-payment-gateway-update-card' );
+
+		assert.equal( $updateRow.find( 'td' ).attr( 'colspan' ), '6' );
+		assert.ok( $updateRow.find( 'form' ).is( $form ) );
+		assert.ok( $form.is( ':visible' ) );
+
+		// only the fields of the card's gateway are shown
+		assert.ok( $form.find( 'li.payment_method_test_gateway' ).is( ':visible' ) );
+		assert.ok( $form.find( 'li.payment_method_test_gateway_echeck' ).is( ':hidden' ) );
+		assert.ok( $form.find( '#payment_method_test_gateway' ).is( ':checked' ) );
+		assert.equal( $form.find( 'input[name=wc-test-plugin-replace-token]' ).val(), '3' );
+		assert.equal( env.document.activeElement.id, 'wc-test-gateway-account-number' );
+
+		assert.ok( $row.hasClass( 'updating' ) );
+		assert.ok( env.$( '.button[href*="add-payment-method"]' ).hasClass( 'disabled' ) );
+	} );
+
+	it( 'closes the update form when the update is cancelled', () => {
+
+		const $row  = env.$( 'tr.payment-method' ).eq( 2 );
+		const $form = env.$( '.sv-wc-payment-gateway-update-payment-method-form' );
+
+		$row.find( '.button.update-card' ).trigger( 'click' );
+		$form.find( '.cancel-update' ).trigger( 'click' );
+
+		assert.equal( env.$( 'tr.sv-wc-payment-gateway-update-card' ).length, 0 );
+		assert.ok( $form.is( ':hidden' ) );
+		assert.ok( $form.prev().is( '.woocommerce-MyAccount-paymentMethods' ) );
+		assert.equal( $form.find( 'input[name=wc-test-plugin-replace-token]' ).val(), '' );
+
+		assert.equal( $row.hasClass( 'updating' ), false );
+		assert.equal( env.$( '.button[href*="add-payment-method"]' ).hasClass( 'disabled' ), false );
+		assert.ok( env.$( env.document.activeElement ).is( $row.find( '.button.update-card' ) ) );
+	} );
+
+	it( 'links to the Add Payment Method page when the card cannot be updated in place', () => {
+
+		env.$( '.sv-wc-payment-gateway-update-payment-method-form' ).remove();
+
+		const event = env.$.Event( 'click' );
+
+		env.$( 'tr.payment-method' ).eq( 2 ).find( '.button.update-card' ).trigger( event );
+
+		assert.equal( event.isDefaultPrevented(), false );
+		assert.equal( env.$( 'tr.sv-wc-payment-gateway-update-card' ).length, 0 );
+	} );
+
+	it( 'leaves the deletion of other methods to WooCommerce', () => {
+
+		const event = env.$.Event( 'click' );
+
+		env.$( 'tr.payment-method' ).eq( 1 ).find( '.button.delete' ).trigger( event );
+
+		assert.equal( event.isDefaultPrevented(), false );
+		assert.equal( env.window.dialogs.length, 0 );
+	} );
+} );
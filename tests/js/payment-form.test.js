@@ -0,0 +1,725 @@
+const { describe, it, beforeEach, afterEach } = require( 'node:test' );
+const assert = require( 'node:assert/strict' );
+
+const { createEnvironment, tick } = require( './support/environment' );
+
+const SCRIPTS = [
+	'woocommerce/payment-gateway/assets/js/frontend/sv-wc-payment-gateway-card-utils.coffee',
+	'woocommerce/payment-gateway/assets/js/frontend/sv-wc-payment-gateway-payment-form-challenge.coffee',
+	'woocommerce/payment-gateway/assets/js/frontend/sv-wc-payment-gateway-payment-form.coffee',
+];
+
+// a subset of SV_WC_Payment_Gateway::get_payment_form_js_localized_script_params()
+const PARAMS = {
+	general_error: 'An error occurred, please try again or try an alternate form of payment',
+	card_number_missing: 'Card number is missing',
+	card_number_invalid: 'Card number is invalid',
+	card_number_digits_invalid: 'Card number is invalid (only digits allowed)',
+	card_number_length_invalid: 'Card number is invalid (wrong length)',
+	cvv_missing: 'Card security code is missing',
+	cvv_digits_invalid: 'Card security code is invalid (only digits are allowed)',
+	cvv_length_invalid: 'Card security code is invalid (must be 3 or 4 digits)',
+	cvv_length_invalid_brand: 'Card security code is invalid (must be %d digits)',
+	card_type_not_accepted: '%s cards are not accepted, please use another card',
+	card_network_label: 'Card network',
+	card_exp_date_invalid: 'Card expiration date is invalid',
+	errors_summary: 'Please correct the payment details: %s',
+	challenge_title: 'Verify your payment',
+	challenge_cancel: 'Cancel verification',
+	challenge_cancelled: 'Payment verification was cancelled, please try again.',
+	challenge_failed: 'Payment verification failed, please try again or try an alternate form of payment.',
+};
+
+// a challenge the gateway returned for the last submission, see SV_WC_Payment_Gateway_Payment_Form::set_pending_challenge()
+const PENDING_CHALLENGE = {
+	challenge: { url: 'https://acs.example.com/challenge' },
+	redirect: 'https://example.com/checkout/order-received/1/',
+};
+
+// the US bank account format fields, see SV_WC_Payment_Gateway_Helper::get_bank_account_formats()
+const US_BANK_ACCOUNT_FIELDS = {
+	'routing-number': {
+		mask: '#########',
+		pattern: '^\\d{9}$',
+		checksum: 'aba',
+		messages: {
+			missing: 'Routing Number is missing',
+			invalid: 'Routing number is invalid (must be 9 digits)',
+			checksum: 'Routing Number is invalid, please check the number and try again',
+		},
+	},
+	'account-number': {
+		mask: '#################',
+		pattern: '^\\d{5,17}$',
+		checksum: '',
+		messages: {
+			missing: 'Account Number is missing',
+			invalid: 'Account number is invalid (must be between 5 and 17 digits)',
+		},
+	},
+};
+
+// the card brand rules localized to the card utilities, see SV_WC_Payment_Gateway_Helper::get_card_brand_rules()
+const CARD_BRAND_RULES = require( './fixtures/card-brand-rules.json' );
+
+// the version localized with the card brand rules, see SV_WC_Payment_Gateway_Helper::CARD_BRAND_RULES_VERSION
+const CARD_BRAND_RULES_VERSION = '5.11.0';
+
+// the card brand names added by SV_WC_Payment_Gateway::get_card_brand_rules()
+const CARD_BRAND_NAMES = {
+	visa: 'Visa',
+	mastercard: 'MasterCard',
+	amex: 'American Express',
+};
+
+const CARD_ARGS = {
+	id: 'test_gateway',
+	id_dasherized: 'test-gateway',
+	plugin_id: 'test_plugin',
+	type: 'credit-card',
+	csc_required: true,
+	csc_required_for_tokens: false,
+	inline_errors: true,
+};
+
+const ECHECK_ARGS = {
+	id: 'test_gateway_echeck',
+	id_dasherized: 'test-gateway-echeck',
+	plugin_id: 'test_plugin',
+	type: 'echeck',
+	csc_required: false,
+	csc_required_for_tokens: false,
+	inline_errors: true,
+	bank_account_format: 'us',
+	bank_account_fields: US_BANK_ACCOUNT_FIELDS,
+};
+
+/**
+ * Copies a value created in the jsdom window, so it can be deeply compared with test values.
+ *
+ * @param {*} value value to copy
+ * @returns {*}
+ */
+const plain = ( value ) => JSON.parse( JSON.stringify( value ) );
+
+/**
+ * Loads a payment page.
+ *
+ * @param {string} fixture page fixture
+ * @returns {Promise<Object>} test environment
+ */
+function loadPage( fixture ) {
+
+	return createEnvironment( {
+		fixture,
+		scripts: SCRIPTS,
+		globals: {
+			sv_wc_card_utils_params: { brands: CARD_BRAND_RULES, brands_version: CARD_BRAND_RULES_VERSION },
+			sv_wc_payment_gateway_payment_form_params: PARAMS,
+		},
+	} );
+}
+
+/**
+ * Instantiates a payment form handler, as the payment form JS rendered by PHP does.
+ *
+ * On checkout, the payment fields are only set up once WooCommerce has updated the checkout.
+ *
+ * @param {Object} env test environment
+ * @param {Object} args handler args
+ * @returns {Object} handler
+ */
+function createHandler( env, args ) {
+
+	// the card brand rules are the localized ones, with their names
+	if ( 'credit-card' === args.type && ! args.card_brands ) {
+
+		args = Object.assign( { card_brands: {} }, args );
+
+		for ( const [ brand, rule ] of Object.entries( env.window.SV_WC_Card_Utils_v5_10_8.brands ) ) {
+			args.card_brands[ brand ] = Object.assign( { name: CARD_BRAND_NAMES[ brand ] || brand }, rule );
+		}
+	}
+
+	const handler = new env.window.SV_WC_Payment_Form_Handler_v5_10_8( args );
+
+	env.$( env.document.body ).trigger( 'updated_checkout' );
+
+	return handler;
+}
+
+/**
+ * Reports a challenge result from the challenge page, as SV_WC_Payment_Gateway_Payment_Form::render_challenge_response() does.
+ *
+ * @param {Object} env test environment
+ * @param {Object} data result message data
+ */
+function completeChallenge( env, data ) {
+
+	env.window.dispatchEvent( new env.window.MessageEvent( 'message', {
+		origin: env.window.location.origin,
+		data: Object.assign( { type: 'sv_wc_payment_challenge_complete', gateway_id: 'test_gateway' }, data ),
+	} ) );
+}
+
+/**
+ * Fills in the card fields.
+ *
+ * @param {Object} env test environment
+ * @param {Object} values field values, keyed by field
+ */
+function fillCard( env, values ) {
+
+	for ( const [ field, value ] of Object.entries( values ) ) {
+		env.$( `#wc-test-gateway-${ field }` ).val( value );
+	}
+}
+
+/**
+ * Places the checkout order, as WooCommerce does before submitting the checkout form.
+ *
+ * @param {Object} env test environment
+ * @param {string} gatewayId selected gateway ID
+ * @returns {boolean} whether the order can be submitted
+ */
+function placeOrder( env, gatewayId = 'test_gateway' ) {
+
+	return env.$( 'form.checkout' ).triggerHandler( `checkout_place_order_${ gatewayId }` );
+}
+
+describe( 'SV_WC_Payment_Form_Handler', () => {
+
+	let env;
+
+	afterEach( () => env.close() );
+
+	describe( 'checkout page', () => {
+
+		beforeEach( async () => {
+			env = await loadPage( 'checkout.html' );
+		} );
+
+		it( 'accepts valid card data and strips spaces from the card number', () => {
+
+			createHandler( env, CARD_ARGS );
+
+			fillCard( env, { 'account-number': '4111 1111 1111 1111', expiry: '12 / 40', csc: '123' } );
+
+			assert.equal( placeOrder( env ), true );
+			assert.equal( env.$( '#wc-test-gateway-account-number' ).val(), '4111111111111111' );
+			assert.equal( env.$( '.sv-wc-payment-gateway-field-error' ).length, 0 );
+		} );
+
+		it( 'renders missing card data errors next to their fields', () => {
+
+			createHandler( env, CARD_ARGS );
+
+			assert.equal( placeOrder( env ), false );
+
+			const $number = env.$( '#wc-test-gateway-account-number' );
+			const $csc    = env.$( '#wc-test-gateway-csc' );
+
+			assert.equal( $number.attr( 'aria-invalid' ), 'true' );
+			assert.equal( $number.attr( 'aria-describedby' ), 'wc-test-gateway-account-number-error' );
+			assert.equal( env.$( '#wc-test-gateway-account-number-error' ).text(), PARAMS.card_number_missing );
+			assert.equal( env.$( '#wc-test-gateway-expiry-error' ).text(), PARAMS.card_exp_date_invalid );
+			assert.equal( env.$( '#wc-test-gateway-csc-error' ).text(), PARAMS.cvv_missing );
+			assert.ok( $number.closest( '.form-row' ).hasClass( 'woocommerce-invalid' ) );
+
+			// the field of the first error is focused
+			assert.equal( env.document.activeElement, $csc[0] );
+		} );
+
+		it( 'keeps the other field descriptions when an error is cleared', () => {
+
+			createHandler( env, CARD_ARGS );
+
+			const $number = env.$( '#wc-test-gateway-account-number' );
+
+			// an ID that contains the error ID must not be touched
+			$number.attr( 'aria-describedby', 'wc-test-gateway-account-number-error-hint' );
+
+			placeOrder( env );
+
+			assert.equal( $number.attr( 'aria-describedby' ), 'wc-test-gateway-account-number-error-hint wc-test-gateway-account-number-error' );
+
+			$number.val( '4111' ).trigger( 'input' );
+
+			assert.equal( $number.attr( 'aria-invalid' ), undefined );
+			assert.equal( $number.attr( 'aria-describedby' ), 'wc-test-gateway-account-number-error-hint' );
+		} );
+
+		it( 'fails card numbers that do not pass the Luhn check', () => {
+
+			createHandler( env, CARD_ARGS );
+
+			fillCard( env, { 'account-number': '4111111111111112', expiry: '12 / 40', csc: '123' } );
+
+			assert.equal( placeOrder( env ), false );
+			assert.equal( env.$( '#wc-test-gateway-account-number-error' ).text(), PARAMS.card_number_invalid );
+		} );
+
+		it( 'skips the Luhn check for card brands that do not use it', () => {
+
+			createHandler( env, CARD_ARGS );
+
+			fillCard( env, { 'account-number': '6200000000000006', expiry: '12 / 40', csc: '123' } );
+
+			assert.equal( placeOrder( env ), true );
+		} );
+
+		it( 'detects card brands with the localized rules when none are given', () => {
+
+			const utils = env.window.SV_WC_Card_Utils_v5_10_8;
+
+			assert.equal( utils.brands_version, CARD_BRAND_RULES_VERSION );
+			assert.equal( utils.get_brand( '2221000000000009' ), 'mastercard' );
+			assert.equal( utils.validate_card_number( '6200000000000006' ), true );
+			assert.equal( utils.validate_card_number( '4111111111111112' ), false );
+		} );
+
+		it( 'validates the security code length for the card brand', () => {
+
+			createHandler( env, CARD_ARGS );
+
+			fillCard( env, { 'account-number': '378282246310005', expiry: '12 / 40', csc: '123' } );
+
+			assert.equal( placeOrder( env ), false );
+			assert.equal( env.$( '#wc-test-gateway-csc-error' ).text(), 'Card security code is invalid (must be 4 digits)' );
+		} );
+
+		it( 'fails card brands the merchant does not accept', () => {
+
+			createHandler( env, Object.assign( {}, CARD_ARGS, { enabled_card_types: [ 'visa' ] } ) );
+
+			fillCard( env, { 'account-number': '5555555555554444', expiry: '12 / 40', csc: '123' } );
+
+			assert.equal( placeOrder( env ), false );
+			assert.equal( env.$( '#wc-test-gateway-account-number-error' ).text(), 'MasterCard cards are not accepted, please use another card' );
+		} );
+
+		it( 'clears a field error once the customer edits the field', () => {
+
+			createHandler( env, CARD_ARGS );
+
+			placeOrder( env );
+
+			env.$( '#wc-test-gateway-expiry' ).val( '12 / 4' ).trigger( 'input' );
+
+			assert.equal( env.$( '#wc-test-gateway-expiry-error' ).length, 0 );
+			assert.equal( env.$( '#wc-test-gateway-expiry' ).attr( 'aria-invalid' ), undefined );
+			assert.equal( env.$( '#wc-test-gateway-account-number' ).attr( 'aria-invalid' ), 'true' );
+		} );
+
+		it( 'announces the errors to screen readers', async () => {
+
+			createHandler( env, CARD_ARGS );
+
+			placeOrder( env );
+
+			await tick( 150 );
+
+			const $region = env.$( '.payment_box.payment_method_test_gateway .sv-wc-payment-gateway-payment-form-live-region' );
+
+			assert.equal( $region.attr( 'aria-live' ), 'polite' );
+			assert.match( $region.text(), /^Please correct the payment details: Card security code is missing Card number is missing/ );
+		} );
+
+		it( 'renders all errors at the top of the form when inline errors are disabled', () => {
+
+			createHandler( env, Object.assign( {}, CARD_ARGS, { inline_errors: false } ) );
+
+			placeOrder( env );
+
+			const $summary = env.$( 'form.checkout > ul.woocommerce-error' );
+
+			assert.equal( $summary.length, 1 );
+			assert.deepEqual( Array.from( $summary.find( 'li' ), ( li ) => li.textContent ), [ PARAMS.cvv_missing, PARAMS.card_number_missing, PARAMS.card_exp_date_invalid ] );
+			assert.equal( env.$( '.sv-wc-payment-gateway-field-error' ).length, 0 );
+		} );
+
+		it( 'hides the new card fields when a saved card is selected', () => {
+
+			createHandler( env, CARD_ARGS );
+
+			const $form = env.$( '.js-wc-test-gateway-new-payment-method-form' );
+
+			assert.ok( $form.is( ':visible' ) );
+
+			env.$( '#wc-test-gateway-payment-token-1' ).prop( 'checked', true ).trigger( 'change' );
+
+			assert.ok( $form.is( ':hidden' ) );
+
+			env.$( '#wc-test-gateway-use-new-payment-method' ).prop( 'checked', true ).trigger( 'change' );
+
+			assert.ok( $form.is( ':visible' ) );
+		} );
+
+		it( 'only validates the security code for saved cards', () => {
+
+			createHandler( env, Object.assign( {}, CARD_ARGS, { csc_required_for_tokens: true } ) );
+
+			env.$( '#wc-test-gateway-payment-token-1' ).prop( 'checked', true ).trigger( 'change' );
+
+			assert.equal( placeOrder( env ), false );
+			assert.equal( env.$( '#wc-test-gateway-csc-error' ).text(), PARAMS.cvv_missing );
+			assert.equal( env.$( '#wc-test-gateway-account-number-error' ).length, 0 );
+
+			env.$( '#wc-test-gateway-csc' ).val( '123' );
+
+			assert.equal( placeOrder( env ), true );
+		} );
+
+		it( 'moves the security code out of the new card fields for saved cards', () => {
+
+			createHandler( env, Object.assign( {}, CARD_ARGS, { csc_required_for_tokens: true } ) );
+
+			const $row = env.$( '#wc-test-gateway-csc_field' );
+			const $form = env.$( '.js-wc-test-gateway-new-payment-method-form' );
+
+			env.$( '#wc-test-gateway-payment-token-1' ).prop( 'checked', true ).trigger( 'change' );
+
+			assert.equal( $form.find( $row ).length, 0 );
+			assert.equal( $form.next()[0], $row[0] );
+			assert.ok( $row.hasClass( 'form-row-first' ) );
+			assert.ok( $row.is( ':visible' ) );
+
+			env.$( '#wc-test-gateway-use-new-payment-method' ).prop( 'checked', true ).trigger( 'change' );
+
+			assert.equal( env.$( '#wc-test-gateway-expiry_field' ).next()[0], $row[0] );
+			assert.ok( $row.hasClass( 'form-row-last' ) );
+		} );
+
+		it( 'only offers to save the card when an account is created', () => {
+
+			createHandler( env, CARD_ARGS );
+
+			const $row = env.$( '#wc-test-gateway-tokenize-payment-method' ).closest( 'p.form-row' );
+
+			assert.ok( $row.is( ':hidden' ) );
+
+			env.$( '#createaccount' ).prop( 'checked', true ).trigger( 'change' );
+
+			assert.ok( $row.is( ':visible' ) );
+		} );
+
+		it( 'validates bank account data against the bank account format', () => {
+
+			env.$( '#payment_method_test_gateway_echeck' ).prop( 'checked', true );
+
+			createHandler( env, ECHECK_ARGS );
+
+			env.$( '#wc-test-gateway-echeck-routing-number' ).val( '123456789' );
+
+			assert.equal( placeOrder( env, 'test_gateway_echeck' ), false );
+			assert.equal( env.$( '#wc-test-gateway-echeck-routing-number-error' ).text(), US_BANK_ACCOUNT_FIELDS['routing-number'].messages.checksum );
+			assert.equal( env.$( '#wc-test-gateway-echeck-account-number-error' ).text(), US_BANK_ACCOUNT_FIELDS['account-number'].messages.missing );
+
+			env.$( '#wc-test-gateway-echeck-routing-number' ).val( '011000015' );
+			env.$( '#wc-test-gateway-echeck-account-number' ).val( '1234 5678' );
+
+			assert.equal( placeOrder( env, 'test_gateway_echeck' ), true );
+			assert.equal( env.$( '#wc-test-gateway-echeck-account-number' ).val(), '12345678' );
+		} );
+
+		it( 'matches unanchored bank account patterns against the whole value', () => {
+
+			const field = Object.assign( {}, US_BANK_ACCOUNT_FIELDS['account-number'], { pattern: '\\d{5}|\\d{8}' } );
+			const getError = ( value ) => env.window.SV_WC_Payment_Form_Handler_v5_10_8.get_bank_account_field_error( value, field );
+
+			assert.equal( getError( '12345' ), null );
+			assert.equal( getError( '12345678' ), null );
+			assert.equal( getError( '123456' ), field.messages.invalid );
+			assert.equal( getError( 'a12345678' ), field.messages.invalid );
+		} );
+
+		it( 'masks bank account inputs as the customer types', () => {
+
+			createHandler( env, ECHECK_ARGS );
+
+			env.$( '#wc-test-gateway-echeck-routing-number' ).val( '0110-000a15' ).trigger( 'input' );
+
+			assert.equal( env.$( '#wc-test-gateway-echeck-routing-number' ).val(), '011000015' );
+		} );
+
+		it( 'toggles the sample check', () => {
+
+			createHandler( env, ECHECK_ARGS );
+
+			env.$( '.js-sv-wc-payment-gateway-echeck-form-check-hint' ).trigger( 'click' );
+
+			assert.ok( env.$( '.js-sv-wc-payment-gateway-echeck-form-sample-check' ).is( ':visible' ) );
+		} );
+
+		it( 'keeps each gateway bound to its own fields', () => {
+
+			createHandler( env, CARD_ARGS );
+			createHandler( env, ECHECK_ARGS );
+
+			assert.equal( placeOrder( env ), false );
+
+			assert.equal( env.$( '#wc-test-gateway-echeck-routing-number' ).attr( 'aria-invalid' ), undefined );
+			assert.equal( env.$( '#wc-test-gateway-account-number' ).attr( 'aria-invalid' ), 'true' );
+		} );
+
+		it( 'sets the values from async validators and submits the form once they pass', async () => {
+
+			env.ajax.tokenize = ( data ) => ( { token: `tok_${ data.number.slice( -4 ) }` } );
+
+			const handler = createHandler( env, CARD_ARGS );
+
+			// a validator tokenizing the card with a mocked endpoint
+			handler.add_validator( () => new Promise( ( resolve, reject ) => {
+
+				env.$.post( '/tokenize', { action: 'tokenize', number: env.$( '#wc-test-gateway-account-number' ).val() } )
+					.done( ( response ) => resolve( { 'wc-test-gateway-js-token': response.token } ) )
+					.fail( () => reject( 'Could not tokenize the card' ) );
+			} ) );
+
+			let submitted = 0;
+
+			env.$( 'form.checkout' ).on( 'submit', ( event ) => {
+				event.preventDefault();
+				submitted++;
+			} );
+
+			fillCard( env, { 'account-number': '4111 1111 1111 1111', expiry: '12 / 40', csc: '123' } );
+
+			assert.equal( placeOrder( env ), false );
+			assert.ok( env.$( 'form.checkout' ).hasClass( 'blockUI-blocked' ) );
+
+			await tick();
+			await tick();
+
+			assert.equal( env.requests.length, 1 );
+			assert.equal( env.requests[0].data.number, '4111111111111111' );
+			assert.equal( submitted, 1 );
+			assert.equal( env.$( 'input[name="wc-test-gateway-js-token"]' ).val(), 'tok_1111' );
+		} );
+
+		it( 'renders the errors of failed async validators', async () => {
+
+			const handler = createHandler( env, CARD_ARGS );
+
+			// no endpoint is mocked, so the request fails
+			handler.add_validator( () => new Promise( ( resolve, reject ) => {
+
+				env.$.post( '/tokenize', { action: 'tokenize' } ).fail( () => reject( { field: 'account-number', message: 'Could not tokenize the card' } ) );
+			} ) );
+
+			fillCard( env, { 'account-number': '4111 1111 1111 1111', expiry: '12 / 40', csc: '123' } );
+
+			assert.equal( placeOrder( env ), false );
+
+			await tick();
+			await tick();
+
+			assert.equal( env.$( '#wc-test-gateway-account-number-error' ).text(), 'Could not tokenize the card' );
+			assert.equal( env.$( 'form.checkout' ).hasClass( 'blockUI-blocked' ), false );
+		} );
+	} );
+
+	describe( 'pay page', () => {
+
+		beforeEach( async () => {
+			env = await loadPage( 'pay.html' );
+		} );
+
+		it( 'prevents submitting invalid card data', () => {
+
+			createHandler( env, CARD_ARGS );
+
+			const event = env.$.Event( 'submit' );
+
+			env.$( 'form#order_review' ).trigger( event );
+
+			assert.ok( event.isDefaultPrevented() );
+			assert.equal( env.$( '#wc-test-gateway-account-number-error' ).text(), PARAMS.card_number_missing );
+		} );
+
+		it( 'submits valid card data', () => {
+
+			createHandler( env, CARD_ARGS );
+
+			fillCard( env, { 'account-number': '4111111111111111', expiry: '12 / 40', csc: '123' } );
+
+			env.$( 'form#order_review' ).on( 'submit', ( event ) => {
+				assert.equal( event.isDefaultPrevented(), false );
+				event.preventDefault();
+			} ).trigger( 'submit' );
+		} );
+
+		it( 'hides the new card fields when a saved card is selected', () => {
+
+			createHandler( env, CARD_ARGS );
+
+			env.$( '#wc-test-gateway-payment-token-1' ).prop( 'checked', true ).trigger( 'change' );
+
+			assert.ok( env.$( '.js-wc-test-gateway-new-payment-method-form' ).is( ':hidden' ) );
+		} );
+
+		it( 'presents a challenge returned for the last payment', async () => {
+
+			const redirects = [];
+
+			env.window.SV_WC_Payment_Form_Handler_v5_10_8.prototype.redirect = ( url ) => redirects.push( url );
+
+			createHandler( env, Object.assign( { pending_challenge: PENDING_CHALLENGE }, CARD_ARGS ) );
+
+			assert.equal( env.$( '.sv-wc-payment-gateway-challenge iframe' ).attr( 'src' ), PENDING_CHALLENGE.challenge.url );
+
+			// results for other gateways are ignored
+			completeChallenge( env, { gateway_id: 'other_gateway', success: true } );
+			completeChallenge( env, { success: true } );
+
+			await tick();
+
+			assert.equal( env.$( '.sv-wc-payment-gateway-challenge' ).length, 0 );
+			assert.deepEqual( redirects, [ PENDING_CHALLENGE.redirect ] );
+		} );
+
+		it( 'renders the error when the challenge fails', async () => {
+
+			createHandler( env, Object.assign( { pending_challenge: PENDING_CHALLENGE }, CARD_ARGS ) );
+
+			completeChallenge( env, { success: false, message: 'The card issuer declined the verification.' } );
+
+			await tick();
+
+			assert.equal( env.$( '.sv-wc-payment-gateway-challenge' ).length, 0 );
+			assert.equal( env.$( 'form#order_review > .woocommerce-error' ).text(), 'The card issuer declined the verification.' );
+		} );
+
+		it( 'cancels the challenge with the Escape key and returns the focus to the place order button', async () => {
+
+			createHandler( env, Object.assign( { pending_challenge: PENDING_CHALLENGE }, CARD_ARGS ) );
+
+			assert.ok( env.$( env.document.activeElement ).is( '.sv-wc-payment-gateway-challenge-cancel' ) );
+
+			env.document.dispatchEvent( new env.window.KeyboardEvent( 'keydown', { key: 'Escape', bubbles: true } ) );
+
+			await tick();
+
+			assert.equal( env.$( '.sv-wc-payment-gateway-challenge' ).length, 0 );
+			assert.equal( env.$( 'form#order_review > .woocommerce-error' ).text(), PARAMS.challenge_cancelled );
+			assert.equal( env.document.activeElement.id, 'place_order' );
+		} );
+
+		it( 'keeps the focus inside the challenge modal', () => {
+
+			createHandler( env, Object.assign( { pending_challenge: PENDING_CHALLENGE }, CARD_ARGS ) );
+
+			const cancel = env.$( '.sv-wc-payment-gateway-challenge-cancel' ).get( 0 );
+			const frame  = env.$( '.sv-wc-payment-gateway-challenge iframe' ).get( 0 );
+			const tab    = ( shiftKey ) => env.document.activeElement.dispatchEvent( new env.window.KeyboardEvent( 'keydown', { key: 'Tab', shiftKey, bubbles: true } ) );
+
+			tab( true );
+
+			assert.equal( env.document.activeElement, frame );
+
+			tab( false );
+
+			assert.equal( env.document.activeElement, cancel );
+
+			// focus moved out of the modal is brought back
+			env.$( '#place_order' ).focus();
+
+			assert.equal( env.document.activeElement, cancel );
+		} );
+	} );
+
+	describe( 'add payment method page', () => {
+
+		beforeEach( async () => {
+			env = await loadPage( 'add-payment-method.html' );
+		} );
+
+		it( 'validates the card data before adding it', () => {
+
+			createHandler( env, CARD_ARGS );
+
+			fillCard( env, { 'account-number': '4111 1111 1111 1111', expiry: '01 / 20', csc: '12' } );
+
+			const event = env.$.Event( 'submit' );
+
+			env.$( 'form#add_payment_method' ).trigger( event );
+
+			assert.ok( event.isDefaultPrevented() );
+			assert.equal( env.$( '#wc-test-gateway-expiry-error' ).text(), PARAMS.card_exp_date_invalid );
+			assert.equal( env.$( '#wc-test-gateway-csc-error' ).text(), 'Card security code is invalid (must be 3 digits)' );
+		} );
+
+		it( 'presents a challenge returned for the new payment method', async () => {
+
+			const redirects = [];
+			const redirect  = 'https://example.com/my-account/payment-methods/';
+
+			env.window.SV_WC_Payment_Form_Handler_v5_10_8.prototype.redirect = ( url ) => redirects.push( url );
+
+			createHandler( env, Object.assign( { pending_challenge: { challenge: { form: { action: 'https://acs.example.com/challenge', fields: { creq: 'abc' } } }, redirect } }, CARD_ARGS ) );
+
+			assert.equal( env.$( '.sv-wc-payment-gateway-challenge' ).length, 1 );
+
+			completeChallenge( env, { success: true } );
+
+			await tick();
+
+			assert.deepEqual( redirects, [ redirect ] );
+		} );
+
+		it( 'flags accepted card brands as the card number is entered', () => {
+
+			createHandler( env, Object.assign( {}, CARD_ARGS, { enabled_card_types: [ 'visa', 'mastercard' ] } ) );
+
+			env.$( '#wc-test-gateway-account-number' ).val( '5555 5555' ).trigger( 'keyup' );
+
+			assert.equal( env.$( '#wc-test-gateway-account-number' ).attr( 'data-card-brand' ), 'mastercard' );
+
+			env.$( '#wc-test-gateway-account-number' ).val( '3782 822463' ).trigger( 'keyup' );
+
+			assert.ok( env.$( '#wc-test-gateway-account-number' ).hasClass( 'invalid-card-type' ) );
+			assert.equal( env.$( '#wc-test-gateway-account-number-error' ).text(), 'American Express cards are not accepted, please use another card' );
+		} );
+	} );
+
+	describe( 'checkout block', () => {
+
+		// the block renders its own payment form, so there are no classic payment forms on the page
+		beforeEach( async () => {
+			env = await loadPage( 'cart.html' );
+		} );
+
+		it( 'collects the values from async validators without submitting a form', async () => {
+
+			let initialized = null;
+
+			env.$( env.document ).on( 'sv_wc_payment_form_handler_init', ( event, data ) => initialized = data.id );
+
+			const handler = new env.window.SV_WC_Payment_Form_Handler_v5_10_8( Object.assign( { block: true }, CARD_ARGS ) );
+
+			handler.add_validator( () => Promise.resolve( { 'wc-test-gateway-js-token': 'tok_1111' } ) );
+			handler.add_validator( () => ( { 'wc-test-gateway-device-data': 'device' } ) );
+
+			assert.equal( initialized, 'test_gateway' );
+			assert.deepEqual( plain( await handler.run_block_validators() ), {
+				'wc-test-gateway-js-token': 'tok_1111',
+				'wc-test-gateway-device-data': 'device',
+			} );
+		} );
+
+		it( 'rejects with the errors of failed async validators', async () => {
+
+			const handler = new env.window.SV_WC_Payment_Form_Handler_v5_10_8( Object.assign( { block: true }, CARD_ARGS ) );
+			const failed  = { field: 'account-number', message: 'Could not tokenize the card' };
+
+			handler.add_validator( () => Promise.reject( failed ) );
+
+			assert.deepEqual( plain( await handler.run_block_validators().catch( ( errors ) => errors ) ), [ failed ] );
+
+			handler.validators = [];
+			handler.add_validator( () => false );
+
+			assert.deepEqual( plain( await handler.run_block_validators().catch( ( errors ) => errors ) ), [ PARAMS.general_error ] );
+		} );
+	} );
+} );
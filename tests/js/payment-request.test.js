@@ -0,0 +1,329 @@
+const { describe, it, beforeEach, afterEach } = require( 'node:test' );
+const assert = require( 'node:assert/strict' );
+
+const { createEnvironment, tick } = require( './support/environment' );
+
+const PARAMS = {
+	gateway_id: 'test_gateway',
+	ajax_url: '/wp-admin/admin-ajax.php',
+	recalculate_totals_nonce: 'recalculate-nonce',
+	process_nonce: 'process-nonce',
+	payment_methods: [ { supportedMethods: 'https://pay.example.com/tokenized', data: { merchantId: 'merchant' } } ],
+	currency_code: 'USD',
+	generic_error: 'An error occurred, please try again or try an alternate form of payment',
+	needs_shipping: true,
+};
+
+const DETAILS = {
+	total: { label: 'Total', amount: { currency: 'USD', value: '36.00' } },
+	displayItems: [ { label: 'Subtotal', amount: { currency: 'USD', value: '36.00' } } ],
+	shippingOptions: [],
+};
+
+const SHIPPING_DETAILS = {
+	total: { label: 'Total', amount: { currency: 'USD', value: '41.00' } },
+	displayItems: [
+		{ label: 'Subtotal', amount: { currency: 'USD', value: '36.00' } },
+		{ label: 'Shipping', amount: { currency: 'USD', value: '5.00' } },
+	],
+	shippingOptions: [ { id: 'flat_rate:1', label: 'Flat rate', amount: { currency: 'USD', value: '5.00' }, selected: true } ],
+};
+
+const SHIPPING_ADDRESS = {
+	recipient: 'Jane Doe',
+	addressLine: [ '123 Main St' ],
+	city: 'Pittsburgh',
+	region: 'PA',
+	postalCode: '15213',
+	country: 'US',
+};
+
+/**
+ * Copies a value created in the jsdom window, so it can be deeply compared with test values.
+ *
+ * @param {*} value value to copy
+ * @returns {*}
+ */
+const plain = ( value ) => JSON.parse( JSON.stringify( value ) );
+
+/**
+ * Gets a stand-in for the browser's PaymentRequest API.
+ *
+ * The payment sheet stays open until the test authorizes or cancels it.
+ *
+ * @param {Object} options
+ * @param {boolean} options.canMakePayment whether the customer has a usable payment method
+ * @returns {Function} PaymentRequest class, with the created requests in its `instances`
+ */
+function mockPaymentRequest( { canMakePayment = true } = {} ) {
+
+	return class PaymentRequest {
+
+		static instances = [];
+
+		constructor( methods, details, options ) {
+
+			this.methods   = methods;
+			this.details   = details;
+			this.options   = options;
+			this.listeners = {};
+
+			PaymentRequest.instances.push( this );
+		}
+
+		canMakePayment() {
+			return Promise.resolve( canMakePayment );
+		}
+
+		addEventListener( type, listener ) {
+			this.listeners[ type ] = listener;
+		}
+
+		show() {
+			return new Promise( ( resolve, reject ) => Object.assign( this, { resolve, reject } ) );
+		}
+
+		// fires an update event, resolving with the details the handler updates the sheet with
+		update( type ) {
+			return new Promise( ( resolve ) => this.listeners[ type ]( { updateWith: ( details ) => resolve( details ) } ) );
+		}
+
+		changeShippingAddress( address ) {
+
+			this.shippingAddress = address;
+
+			return this.update( 'shippingaddresschange' );
+		}
+
+		changeShippingOption( option ) {
+
+			this.shippingOption = option;
+
+			return this.update( 'shippingoptionchange' );
+		}
+
+		authorize( response ) {
+
+			response = Object.assign( {
+				methodName: this.methods[0].supportedMethods,
+				details: { token: 'tok_123' },
+				payerName: 'Jane Doe',
+				payerEmail: 'jane.doe@example.com',
+				payerPhone: '4125550123',
+				shippingAddress: this.shippingAddress || null,
+				shippingOption: this.shippingOption || null,
+				completed: null,
+				complete( result ) {
+					this.completed = result;
+					return Promise.resolve();
+				},
+			}, response );
+
+			this.resolve( response );
+
+			return response;
+		}
+
+		cancel() {
+
+			const error = new Error( 'Request cancelled' );
+
+			error.name = 'AbortError';
+
+			this.reject( error );
+		}
+	};
+}
+
+describe( 'Payment Request API', () => {
+
+	let env;
+	let handler;
+
+	async function setUp( { canMakePayment = true, ajax = {} } = {} ) {
+
+		env = await createEnvironment( {
+			fixture: 'cart.html',
+			scripts: [ 'woocommerce/payment-gateway/assets/js/frontend/sv-wc-payment-gateway-payment-request.coffee' ],
+			globals: { PaymentRequest: mockPaymentRequest( { canMakePayment } ) },
+			ajax: Object.assign( {
+				wc_test_gateway_payment_request_get_payment_details: () => ( { success: true, data: DETAILS } ),
+				wc_test_gateway_payment_request_recalculate_totals: () => ( { success: true, data: SHIPPING_DETAILS } ),
+				wc_test_gateway_payment_request_process_payment: () => ( { success: true, data: { result: 'success', redirect: '/checkout/order-received/123/' } } ),
+			}, ajax ),
+		} );
+
+		handler = new env.window.SV_WC_Payment_Request_Handler_v5_10_8( PARAMS );
+
+		handler.init();
+
+		await tick( 20 );
+	}
+
+	function button() {
+		return env.$( '.sv-wc-payment-request-button' );
+	}
+
+	async function openSheet() {
+
+		button().trigger( 'click' );
+
+		await tick( 20 );
+
+		return env.window.PaymentRequest.instances.at( -1 );
+	}
+
+	afterEach( () => env.close() );
+
+	describe( 'button', () => {
+
+		it( 'is displayed once the payment details are fetched', async () => {
+
+			await setUp();
+
+			assert.ok( button().is( ':visible' ) );
+			assert.deepEqual( env.requests.map( ( request ) => request.data.action ), [ 'wc_test_gateway_payment_request_get_payment_details' ] );
+		} );
+
+		it( 'is not displayed if the customer has no usable payment method', async () => {
+
+			await setUp( { canMakePayment: false } );
+
+			assert.ok( ! button().is( ':visible' ) );
+			assert.equal( env.requests.length, 0 );
+		} );
+
+		it( 'is not displayed if the payment details could not be fetched', async () => {
+
+			await setUp( { ajax: { wc_test_gateway_payment_request_get_payment_details: () => ( { success: false, data: { message: 'Cart contains subscriptions.' } } ) } } );
+
+			assert.ok( ! button().is( ':visible' ) );
+		} );
+
+		it( 'is hidden when another wallet is displayed', async () => {
+
+			await setUp();
+
+			env.$( env.document.body ).trigger( 'sv_wc_external_checkout_wallet_shown', [ 'google_pay' ] );
+
+			assert.ok( ! button().is( ':visible' ) );
+		} );
+	} );
+
+	describe( 'payment sheet', () => {
+
+		beforeEach( () => setUp() );
+
+		it( 'requests the gateway payment methods with the payment details', async () => {
+
+			const request = await openSheet();
+
+			assert.deepEqual( request.methods, PARAMS.payment_methods );
+			assert.deepEqual( request.details, DETAILS );
+			assert.deepEqual( plain( request.options ), { requestPayerName: true, requestPayerEmail: true, requestPayerPhone: true, requestShipping: true } );
+			assert.ok( env.$( 'div.woocommerce' ).hasClass( 'blockUI-blocked' ) );
+		} );
+
+		it( 'recalculates the totals when a shipping address is chosen', async () => {
+
+			const request = await openSheet();
+			const details = await request.changeShippingAddress( SHIPPING_ADDRESS );
+
+			assert.deepEqual( details, SHIPPING_DETAILS );
+			assert.deepEqual( plain( env.requests.at( -1 ).data ), {
+				action: 'wc_test_gateway_payment_request_recalculate_totals',
+				nonce: 'recalculate-nonce',
+				shipping_address: { city: 'Pittsburgh', region: 'PA', country: 'US', postalCode: '15213' },
+			} );
+		} );
+
+		it( 'recalculates the totals when a shipping option is chosen', async () => {
+
+			const request = await openSheet();
+
+			await request.changeShippingOption( 'flat_rate:1' );
+
+			assert.equal( env.requests.at( -1 ).data.shipping_option, 'flat_rate:1' );
+		} );
+
+		it( 'shows an error in the sheet if the totals could not be recalculated', async () => {
+
+			env.ajax.wc_test_gateway_payment_request_recalculate_totals = () => { throw new Error( 'Internal Server Error' ); };
+
+			const request = await openSheet();
+			const details = await request.changeShippingAddress( SHIPPING_ADDRESS );
+
+			assert.equal( details.error, PARAMS.generic_error );
+			assert.deepEqual( plain( details.shippingOptions ), [] );
+		} );
+
+		it( 'posts the payment response to be processed, without keeping it', async () => {
+
+			const request = await openSheet();
+
+			await request.changeShippingAddress( SHIPPING_ADDRESS );
+			await request.changeShippingOption( 'flat_rate:1' );
+
+			const response = request.authorize();
+
+			await tick( 20 );
+
+			const data = env.requests.at( -1 ).data;
+
+			assert.equal( data.action, 'wc_test_gateway_payment_request_process_payment' );
+			assert.equal( data.nonce, 'process-nonce' );
+			assert.deepEqual( JSON.parse( data.payment_response ), {
+				methodName: 'https://pay.example.com/tokenized',
+				details: { token: 'tok_123' },
+				payerName: 'Jane Doe',
+				payerEmail: 'jane.doe@example.com',
+				payerPhone: '4125550123',
+				shippingAddress: SHIPPING_ADDRESS,
+				shippingOption: 'flat_rate:1',
+			} );
+			assert.equal( response.completed, 'success' );
+		} );
+
+		it( 'fails the payment if it could not be processed', async () => {
+
+			env.ajax.wc_test_gateway_payment_request_process_payment = () => ( { success: false, data: { message: 'Gateway processing error.' } } );
+
+			const request  = await openSheet();
+			const response = request.authorize();
+
+			await tick( 20 );
+
+			assert.equal( response.completed, 'fail' );
+			assert.equal( env.$( '.woocommerce-error' ).text(), PARAMS.generic_error );
+			assert.ok( ! env.$( 'div.woocommerce' ).hasClass( 'blockUI-blocked' ) );
+		} );
+
+		it( 'unblocks the page when the sheet is closed', async () => {
+
+			const request = await openSheet();
+
+			request.cancel();
+
+			await tick( 20 );
+
+			assert.ok( ! env.$( 'div.woocommerce' ).hasClass( 'blockUI-blocked' ) );
+			assert.equal( env.$( '.woocommerce-error' ).length, 0 );
+			assert.equal( env.requests.at( -1 ).data.action, 'wc_test_gateway_payment_request_get_payment_details' );
+		} );
+	} );
+
+	it( 'refreshes the payment details when the cart totals are updated', async () => {
+
+		await setUp();
+
+		env.ajax.wc_test_gateway_payment_request_get_payment_details = () => ( { success: true, data: SHIPPING_DETAILS } );
+
+		env.$( env.document.body ).trigger( 'updated_cart_totals' );
+
+		await tick( 20 );
+
+		const request = await openSheet();
+
+		assert.deepEqual( request.details, SHIPPING_DETAILS );
+	} );
+} );
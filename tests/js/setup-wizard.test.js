@@ -0,0 +1,298 @@
+const { describe, it, beforeEach, afterEach } = require( 'node:test' );
+const assert = require( 'node:assert/strict' );
+
+const { createEnvironment, tick } = require( './support/environment' );
+
+const ARGS = {
+	id: 'test_plugin',
+	ajax_url: '/wp-admin/admin-ajax.php',
+	step: 'settings',
+	autosave_delay: 5,
+	i18n: {
+		required_field: '%s is a required field.',
+		invalid_email: '%s is not a valid email address.',
+		invalid_field: '%s is not valid.',
+		progress: 'Step %1$s of %2$s',
+		draft_saving: 'Saving draft…',
+		draft_saved: 'Draft saved',
+		draft_error: 'Your changes could not be saved as a draft.',
+		draft_leave: 'Your changes to this step could not be saved as a draft. Leave this step anyway?',
+	},
+};
+
+const BACK_URL = '/wp-admin/index.php?page=wc-test-plugin-setup&step=welcome';
+
+describe( 'SV_WC_Plugin_Admin_Setup_Wizard', () => {
+
+	let env, wizard, redirects;
+
+	beforeEach( async () => {
+
+		env = await createEnvironment( {
+			fixture: 'setup-wizard.html',
+			scripts: [ 'woocommerce/assets/js/admin/sv-wc-plugin-admin-setup-wizard.coffee' ],
+			ajax: { wc_test_plugin_setup_wizard_save_draft: () => ( { success: true, data: { step: 'settings' } } ) },
+		} );
+
+		wizard    = new env.window.SV_WC_Plugin_Admin_Setup_Wizard_v5_10_8( ARGS );
+		redirects = [];
+
+		wizard.redirect = ( url ) => redirects.push( url );
+	} );
+
+	afterEach( () => env.close() );
+
+	/**
+	 * Submits the step form.
+	 *
+	 * @returns {jQuery.Event} the submit event
+	 */
+	function submitStep() {
+
+		const event = env.$.Event( 'submit' );
+
+		env.$( '.wc-setup-content form' ).trigger( event );
+
+		return event;
+	}
+
+
+	/**
+	 * Fills in the required fields with valid values.
+	 */
+	function fillRequiredFields() {
+
+		env.$( '#api_key' ).val( 'key-1' );
+		env.$( '#environment' ).val( 'test' );
+	}
+
+
+	it( 'shows the wizard progress', () => {
+
+		const $progress = env.$( '.sv-wc-plugin-admin-setup-progress' ).first();
+
+		assert.ok( $progress.prev().is( '.wc-setup-steps' ) );
+		assert.equal( $progress.attr( 'role' ), 'progressbar' );
+		assert.equal( $progress.attr( 'aria-valuenow' ), '2' );
+		assert.equal( $progress.attr( 'aria-valuemax' ), '4' );
+		assert.equal( $progress.attr( 'aria-valuetext' ), 'Step 2 of 4' );
+		assert.equal( $progress.find( '.sv-wc-plugin-admin-setup-progress-text' ).text(), 'Step 2 of 4' );
+		assert.equal( $progress.find( '.sv-wc-plugin-admin-setup-progress-bar' ).css( 'width' ), '50%' );
+		assert.equal( env.$( '.wc-setup-steps li.active' ).attr( 'aria-current' ), 'step' );
+	} );
+
+	it( 'validates the required fields before advancing', () => {
+
+		const event = submitStep();
+
+		assert.ok( event.isDefaultPrevented() );
+		assert.equal( env.$( '.wc-setup-content' ).hasClass( 'blockUI-blocked' ), false );
+
+		assert.ok( env.$( '#api_key_field' ).hasClass( 'woocommerce-invalid' ) );
+		assert.equal( env.$( '#api_key-error' ).text(), 'API key is a required field.' );
+		assert.equal( env.$( '#api_key' ).attr( 'aria-invalid' ), 'true' );
+		assert.equal( env.$( '#api_key' ).attr( 'aria-describedby' ), 'api_key-error' );
+		assert.equal( env.$( '#environment-error' ).text(), 'Environment is a required field.' );
+
+		// optional fields are left alone
+		assert.equal( env.$( '#contact_email_field' ).hasClass( 'woocommerce-invalid' ), false );
+
+		// the first invalid field is focused
+		assert.equal( env.document.activeElement, env.$( '#api_key' )[0] );
+	} );
+
+	it( 'validates email fields', () => {
+
+		fillRequiredFields();
+
+		env.$( '#contact_email' ).val( 'not-an-email' );
+
+		assert.ok( submitStep().isDefaultPrevented() );
+		assert.equal( env.$( '.sv-wc-plugin-admin-setup-field-error' ).length, 1 );
+		assert.equal( env.$( '#contact_email-error' ).text(), 'Contact email is not a valid email address.' );
+		assert.equal( env.$( '#contact_email' ).attr( 'aria-describedby' ), 'contact_email-description contact_email-error' );
+	} );
+
+	it( 'validates required toggles', () => {
+
+		fillRequiredFields();
+
+		env.$( '#terms_field .enable' ).trigger( 'click' );
+
+		assert.ok( submitStep().isDefaultPrevented() );
+		assert.equal( env.$( '#terms-error' ).text(), 'Accept the terms is a required field.' );
+		assert.equal( env.$( '#terms_field [role="switch"]' ).attr( 'aria-invalid' ), 'true' );
+		assert.equal( env.document.activeElement, env.$( '#terms_field [role="switch"]' )[0] );
+	} );
+
+	it( 'clears a field error once the field is fixed', () => {
+
+		submitStep();
+
+		env.$( '#api_key' ).val( 'key-1' ).trigger( 'input' );
+
+		assert.equal( env.$( '#api_key_field' ).hasClass( 'woocommerce-invalid' ), false );
+		assert.equal( env.$( '#api_key-error' ).length, 0 );
+		assert.equal( env.$( '#api_key' ).attr( 'aria-invalid' ), undefined );
+		assert.equal( env.$( '#api_key' ).attr( 'aria-describedby' ), undefined );
+
+		// the other errors remain until their fields are fixed
+		assert.equal( env.$( '#environment-error' ).length, 1 );
+	} );
+
+	it( 'submits a valid step', async () => {
+
+		fillRequiredFields();
+
+		env.$( '#api_key' ).trigger( 'change' );
+
+		const event = submitStep();
+
+		assert.equal( event.isDefaultPrevented(), false );
+		assert.equal( env.$( '.sv-wc-plugin-admin-setup-field-error' ).length, 0 );
+		assert.ok( env.$( '.wc-setup-content' ).hasClass( 'blockUI-blocked' ) );
+
+		await tick( 20 );
+
+		// the pending draft is dropped, as the step is saved for good
+		assert.equal( env.requests.length, 0 );
+	} );
+
+	it( 'toggles from the keyboard', () => {
+
+		const $switch   = env.$( '#debug_mode_field [role="switch"]' );
+		const $checkbox = env.$( '#debug_mode' );
+
+		$switch.trigger( env.$.Event( 'keydown', { which: 32 } ) );
+
+		assert.ok( $checkbox.is( ':checked' ) );
+		assert.equal( $switch.attr( 'aria-checked' ), 'true' );
+		assert.equal( $switch.hasClass( 'disabled' ), false );
+
+		$switch.trigger( env.$.Event( 'keydown', { which: 13 } ) );
+
+		assert.equal( $checkbox.is( ':checked' ), false );
+		assert.equal( $switch.attr( 'aria-checked' ), 'false' );
+		assert.ok( $switch.hasClass( 'disabled' ) );
+
+		// other keys are left alone
+		$switch.trigger( env.$.Event( 'keydown', { which: 9 } ) );
+
+		assert.equal( $checkbox.is( ':checked' ), false );
+	} );
+
+	it( 'autosaves a draft of the step', async () => {
+
+		env.$( '#api_key' ).val( 'key' ).trigger( 'input' );
+		env.$( '#api_key' ).val( 'key-1' ).trigger( 'input' );
+		env.$( '#api_secret' ).val( 'secret' ).trigger( 'input' );
+		env.$( '#debug_mode_field .enable' ).trigger( 'click' );
+		env.$( '#terms_field .enable' ).trigger( 'click' );
+
+		await tick( 20 );
+
+		// the changes are saved together
+		assert.equal( env.requests.length, 1 );
+		assert.equal( env.requests[0].type, 'POST' );
+		assert.equal( env.requests[0].data.action, 'wc_test_plugin_setup_wizard_save_draft' );
+		assert.equal( env.requests[0].data.nonce, 'setup-nonce' );
+		assert.equal( env.requests[0].data.step, 'settings' );
+
+		// unchecked toggles are saved empty, and passwords are not saved at all
+		assert.deepEqual( { ...env.requests[0].data.fields }, {
+			api_key: 'key-1',
+			contact_email: '',
+			environment: '',
+			debug_mode: 'yes',
+			terms: '',
+		} );
+
+		const $status = env.$( '.sv-wc-plugin-admin-setup-draft-status' );
+
+		assert.equal( $status.text(), 'Draft saved' );
+		assert.equal( $status.attr( 'role' ), 'status' );
+	} );
+
+	it( 'displays an error when the draft could not be saved', async () => {
+
+		env.ajax.wc_test_plugin_setup_wizard_save_draft = () => ( { success: false, data: 'Invalid setup step.' } );
+
+		env.$( '#api_key' ).val( 'key-1' ).trigger( 'change' );
+
+		await tick( 20 );
+
+		const $status = env.$( '.sv-wc-plugin-admin-setup-draft-status' );
+
+		assert.equal( $status.text(), 'Your changes could not be saved as a draft.' );
+		assert.ok( $status.hasClass( 'error' ) );
+	} );
+
+	it( 'goes back right away when there are no changes', () => {
+
+		const event = env.$.Event( 'click' );
+
+		env.$( '.button-prev' ).trigger( event );
+
+		assert.equal( event.isDefaultPrevented(), false );
+		assert.equal( env.requests.length, 0 );
+	} );
+
+	it( 'saves the changes as a draft before going back', async () => {
+
+		env.$( '#api_key' ).val( 'key-1' ).trigger( 'input' );
+
+		const event = env.$.Event( 'click' );
+
+		env.$( '.wc-setup-steps li.done a' ).trigger( event );
+
+		assert.ok( event.isDefaultPrevented() );
+		assert.ok( env.$( '.wc-setup-content' ).hasClass( 'blockUI-blocked' ) );
+
+		await tick();
+
+		assert.equal( env.requests.length, 1 );
+		assert.equal( env.requests[0].data.fields.api_key, 'key-1' );
+		assert.deepEqual( redirects, [ BACK_URL ] );
+
+		// the scheduled autosave was taken care of
+		await tick( 20 );
+
+		assert.equal( env.requests.length, 1 );
+	} );
+
+	it( 'saves the changes as a draft before leaving the wizard', async () => {
+
+		env.$( '#environment' ).val( 'production' ).trigger( 'change' );
+		env.$( '.wc-setup-footer-links' ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( env.requests.length, 1 );
+		assert.equal( env.requests[0].data.fields.environment, 'production' );
+		assert.deepEqual( redirects, [ '/wp-admin/index.php?page=wc-test-plugin-setup&step=payments' ] );
+	} );
+
+	it( 'asks before going back if the draft could not be saved', async () => {
+
+		env.ajax.wc_test_plugin_setup_wizard_save_draft = () => { throw new Error( 'Internal Server Error' ); };
+
+		env.window.confirmResult = false;
+
+		env.$( '#api_key' ).val( 'key-1' ).trigger( 'input' );
+		env.$( '.button-prev' ).trigger( 'click' );
+
+		await tick();
+
+		assert.deepEqual( redirects, [] );
+		assert.equal( env.$( '.wc-setup-content' ).hasClass( 'blockUI-blocked' ), false );
+		assert.deepEqual( env.window.dialogs, [ { type: 'confirm', message: ARGS.i18n.draft_leave } ] );
+
+		env.window.confirmResult = true;
+
+		env.$( '.button-prev' ).trigger( 'click' );
+
+		await tick();
+
+		assert.deepEqual( redirects, [ BACK_URL ] );
+	} );
+} );
@@ -0,0 +1,276 @@
+/**
+ * JavaScript test environment.
+ *
+ * Loads an HTML fixture in jsdom with jQuery, then runs the framework scripts
+ * in it the way WordPress would enqueue them: CoffeeScript sources are compiled
+ * on the fly, so tests always run against the source and not the dist build.
+ *
+ * @since 5.11.0
+ */
+
+const fs           = require( 'fs' );
+const path         = require( 'path' );
+const { JSDOM, VirtualConsole } = require( 'jsdom' );
+const CoffeeScript = require( 'coffeescript' );
+
+const ROOT_DIR     = path.resolve( __dirname, '../../..' );
+const FIXTURES_DIR = path.resolve( __dirname, '../fixtures' );
+
+/** @type {Object} compiled sources, keyed by path */
+const compiled = {};
+
+/**
+ * Gets the source of a script, compiling CoffeeScript.
+ *
+ * @since 5.11.0
+ *
+ * @param {string} script path relative to the repository root
+ * @returns {string} JavaScript source
+ */
+function getSource( script ) {
+
+	if ( ! compiled[ script ] ) {
+
+		const source = fs.readFileSync( path.join( ROOT_DIR, script ), 'utf8' );
+
+		compiled[ script ] = script.endsWith( '.coffee' ) ? CoffeeScript.compile( source ) : source;
+	}
+
+	return compiled[ script ];
+}
+
+/**
+ * Waits for the pending timers and promise callbacks to run.
+ *
+ * @since 5.11.0
+ *
+ * @param {number} ms time to wait, in milliseconds
+ * @returns {Promise}
+ */
+function tick( ms = 0 ) {
+
+	return new Promise( ( resolve ) => setTimeout( resolve, ms ) );
+}
+
+/**
+ * Creates a test environment.
+ *
+ * @since 5.11.0
+ *
+ * @param {Object} options environment options
+ * @param {string} options.fixture HTML fixture file name, in tests/js/fixtures
+ * @param {string[]} options.scripts scripts to load, relative to the repository root
+ * @param {Object} options.globals globals to define before the scripts are loaded, like localized script params
+ * @param {Object} options.ajax AJAX endpoint handlers, see mockAjax(), more can be added to the environment's `ajax` later
+ * @returns {Promise<Object>} the environment, once the scripts' ready handlers have run
+ */
+async function createEnvironment( { fixture, scripts = [], globals = {}, ajax = {} } ) {
+
+	// the "not implemented" errors for navigation are expected, as some handlers reload the page
+	const virtualConsole = new VirtualConsole();
+
+	virtualConsole.on( 'jsdomError', ( error ) => {
+		if ( ! /Not implemented/.test( error.message ) ) {
+			console.error( error );
+		}
+	} );
+
+	const dom = new JSDOM( fs.readFileSync( path.join( FIXTURES_DIR, fixture ), 'utf8' ), {
+		url: 'https://example.com/',
+		runScripts: 'outside-only',
+		pretendToBeVisual: true,
+		virtualConsole
+	} );
+
+	const { window } = dom;
+
+	stubLayout( window );
+	stubDialogs( window );
+
+	window.eval( fs.readFileSync( require.resolve( 'jquery' ), 'utf8' ) );
+
+	const $ = window.jQuery;
+
+	// animations complete right away
+	$.fx.off = true;
+
+	stubBlockUI( $ );
+
+	Object.assign( window, { ajaxurl: '/wp-admin/admin-ajax.php' }, globals );
+
+	ajax = Object.assign( {}, ajax );
+
+	const requests = mockAjax( window, ajax );
+
+	scripts.forEach( ( script ) => window.eval( getSource( script ) ) );
+
+	// the scripts' ready handlers were queued first, so they have run once this one does
+	await new Promise( ( resolve ) => $( resolve ) );
+
+	return {
+		dom,
+		window,
+		document: window.document,
+		$,
+		ajax,
+		requests,
+		tick,
+		close: () => window.close()
+	};
+}
+
+/**
+ * Lets jQuery tell visible elements apart, as jsdom has no layout.
+ *
+ * Elements are visible unless they, or one of their ancestors, are detached or
+ * hidden with `display: none`.
+ *
+ * @since 5.11.0
+ *
+ * @param {Window} window jsdom window
+ */
+function stubLayout( window ) {
+
+	window.Element.prototype.getClientRects = function() {
+
+		for ( let element = this; element; element = element.parentElement ) {
+			if ( 'none' === window.getComputedStyle( element ).display ) {
+				return [];
+			}
+		}
+
+		return this.isConnected ? [ this.getBoundingClientRect() ] : [];
+	};
+
+	window.scrollTo = () => {};
+}
+
+/**
+ * Stubs the browser dialogs, recording their messages.
+ *
+ * Confirmations are accepted unless `window.confirmResult` is set to false.
+ *
+ * @since 5.11.0
+ *
+ * @param {Window} window jsdom window
+ */
+function stubDialogs( window ) {
+
+	window.dialogs       = [];
+	window.confirmResult = true;
+
+	window.alert   = ( message ) => window.dialogs.push( { type: 'alert', message } );
+	window.confirm = ( message ) => {
+		window.dialogs.push( { type: 'confirm', message } );
+		return window.confirmResult;
+	};
+}
+
+/**
+ * Stubs the jQuery BlockUI plugin WooCommerce loads, flagging blocked elements.
+ *
+ * @since 5.11.0
+ *
+ * @param {jQuery} $ jQuery
+ */
+function stubBlockUI( $ ) {
+
+	$.fn.block   = function() { return this.addClass( 'blockUI-blocked' ); };
+	$.fn.unblock = function() { return this.removeClass( 'blockUI-blocked' ); };
+}
+
+/**
+ * Replaces jQuery.ajax with mocked endpoints.
+ *
+ * Requests are routed by their `action` parameter, like WordPress AJAX
+ * requests, or else by their method and URL, like `POST /wp-json/wc/v3/jobs`
+ * for REST API requests. A handler is called with the request data and returns
+ * the response body, or throws to fail the request with the thrown message,
+ * like a connection error would. Errors fail with a 500 status unless they have
+ * a `status` property, and can have a JSON `response` body. Unknown requests
+ * fail with a 400 error.
+ *
+ * @since 5.11.0
+ *
+ * @param {Window} window jsdom window
+ * @param {Object} handlers endpoint handlers, keyed by action
+ * @returns {Object[]} the requests made, with their `url`, `type`, `data` & `headers`
+ */
+function mockAjax( window, handlers ) {
+
+	const $        = window.jQuery;
+	const requests = [];
+
+	$.ajax = ( url, options ) => {
+
+		if ( 'object' === typeof url ) {
+			options = url;
+			url     = options.url;
+		}
+
+		options = options || {};
+
+		let data;
+
+		if ( 'string' !== typeof options.data ) {
+			data = Object.assign( {}, options.data );
+		} else if ( /json/.test( options.contentType ) ) {
+			data = JSON.parse( options.data );
+		} else {
+			data = Object.fromEntries( new window.URLSearchParams( options.data ) );
+		}
+
+		const deferred = $.Deferred();
+		const jqXHR    = deferred.promise( { status: 200, responseText: '' } );
+
+		const request = { url, type: ( options.type || options.method || 'GET' ).toUpperCase(), data, headers: {} };
+
+		if ( options.beforeSend ) {
+			options.beforeSend( { setRequestHeader: ( name, value ) => request.headers[ name ] = value }, options );
+		}
+
+		requests.push( request );
+
+		setTimeout( () => {
+
+			const handler = handlers[ data.action ] || handlers[ `${ request.type } ${ url }` ];
+
+			let response;
+
+			try {
+
+				if ( ! handler ) {
+					jqXHR.status = 400;
+					throw new Error( 'Bad Request' );
+				}
+
+				response = handler( data, request );
+
+			} catch ( error ) {
+
+				jqXHR.status       = error.status || ( jqXHR.status === 200 ? 500 : jqXHR.status );
+				jqXHR.responseJSON = error.response;
+
+				if ( options.error ) {
+					options.error( jqXHR, 'error', error.message );
+				}
+
+				deferred.reject( jqXHR, 'error', error.message );
+
+				return;
+			}
+
+			if ( options.success ) {
+				options.success( response, 'success', jqXHR );
+			}
+
+			deferred.resolve( response, 'success', jqXHR );
+		} );
+
+		return jqXHR;
+	};
+
+	return requests;
+}
+
+module.exports = { createEnvironment, getSource, tick, ROOT_DIR };
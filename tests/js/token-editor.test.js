@@ -0,0 +1,534 @@
+const { describe, it, beforeEach, afterEach } = require( 'node:test' );
+const assert = require( 'node:assert/strict' );
+
+const { createEnvironment, tick } = require( './support/environment' );
+
+const PARAMS = {
+	ajax_url: '/wp-admin/admin-ajax.php',
+	actions: {
+		remove_token: { ays: 'Are you sure you want to remove this token?', nonce: 'remove-nonce' },
+		add_token: { nonce: 'add-nonce' },
+		refresh: { nonce: 'refresh-nonce' },
+		save: { error: 'Invalid token data' },
+		bulk_remove: { ays: 'Are you sure you want to remove the selected tokens?' },
+		set_default: { select_one: 'Please select a single token to set as default.' },
+		export: { nonce: 'export-nonce' },
+		import: {
+			preview: '%d tokens imported. Review them, then save to add them.',
+			invalid: '%d tokens have invalid data and must be fixed or removed before saving.',
+			empty: 'No tokens were found in the file.',
+			invalid_file: 'The file could not be read. Please choose a CSV or JSON file exported from a token editor.',
+			too_many: 'Up to 100 tokens can be imported at once.',
+			max_tokens: 100,
+		},
+	},
+	i18n: {
+		general_error: 'An error occurred. Please try again.',
+	},
+};
+
+const BLANK_TOKEN = '<tr class="token new-token"><td class="token-select check-column"><input type="checkbox" class="token-select-input" value="" /></td><td class="token-id"><input type="text" name="wc_test_gateway_tokens[2][id]" value="" required /></td><td class="token-actions"><button class="button" data-action="remove">Remove</button></td></tr>';
+
+/**
+ * Gets the markup of blank credit card tokens, like the editor returns it.
+ *
+ * @param {Object} data the blank token request data
+ * @returns {string} token rows
+ */
+function getBlankCreditCards( data ) {
+
+	let html = '';
+
+	for ( let index = data.index; index < data.index + ( data.count || 1 ); index++ ) {
+
+		const name = `wc_test_gateway_tokens[${ index }]`;
+
+		html += `<tr class="token new-token">
+			<td class="token-select check-column"><input type="checkbox" class="token-select-input" value="" /></td>
+			<td class="token-id"><input type="text" name="${ name }[id]" value="" required /></td>
+			<td class="token-card-type"><select name="${ name }[card_type]"><option value="">-- Select an option --</option><option value="visa">Visa</option><option value="mastercard">MasterCard</option></select></td>
+			<td class="token-last-four"><input type="text" name="${ name }[last_four]" value="" maxlength="4" pattern="[0-9]{4}" /></td>
+			<td class="token-expiry"><input type="text" name="${ name }[expiry]" value="" maxlength="5" pattern="(0[1-9]|1[012])[- /.]\\d\\d" /></td>
+			<input type="hidden" name="${ name }[original_id]" value="" />
+			<input type="hidden" name="${ name }[type]" value="credit_card" />
+			<td class="token-default token-attribute"><input type="radio" name="wc_test_gateway_tokens_default" value="" /></td>
+			<td class="token-actions"><button class="sv-wc-payment-gateway-token-action-button button" data-action="remove" data-token-id="" data-user-id="0">Remove</button></td>
+		</tr>`;
+	}
+
+	return html;
+}
+
+describe( 'Payment token editor', () => {
+
+	let env;
+
+	beforeEach( async () => {
+
+		env = await createEnvironment( {
+			fixture: 'token-editor.html',
+			scripts: [ 'woocommerce/payment-gateway/assets/js/admin/sv-wc-payment-gateway-token-editor.coffee' ],
+			globals: { wc_payment_gateway_token_editor: PARAMS },
+		} );
+	} );
+
+	afterEach( () => env.close() );
+
+	/**
+	 * Gets the editor table.
+	 *
+	 * @returns {jQuery} editor
+	 */
+	function getEditor() {
+
+		return env.$( 'table.sv_wc_payment_gateway_token_editor' );
+	}
+
+	it( 'only shows the empty message without tokens', () => {
+
+		assert.ok( getEditor().find( 'tr.no-tokens' ).is( ':hidden' ) );
+	} );
+
+	it( 'removes a token via AJAX', async () => {
+
+		env.ajax.wc_payment_gateway_test_gateway_admin_remove_payment_token = () => ( { success: true } );
+
+		getEditor().find( '.button[data-action="remove"]' ).trigger( 'click' );
+
+		assert.ok( getEditor().hasClass( 'blockUI-blocked' ) );
+
+		await tick();
+
+		assert.deepEqual( { ...env.requests[0].data }, {
+			action: 'wc_payment_gateway_test_gateway_admin_remove_payment_token',
+			user_id: 2,
+			token_id: 'abc123',
+			security: 'remove-nonce',
+		} );
+
+		assert.equal( getEditor().find( 'tr.token' ).length, 0 );
+		assert.ok( getEditor().find( 'tr.no-tokens' ).is( ':visible' ) );
+		assert.equal( getEditor().hasClass( 'blockUI-blocked' ), false );
+	} );
+
+	it( 'keeps the token when the removal is not confirmed', async () => {
+
+		env.window.confirmResult = false;
+
+		getEditor().find( '.button[data-action="remove"]' ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( env.requests.length, 0 );
+		assert.equal( getEditor().find( 'tr.token' ).length, 1 );
+	} );
+
+	it( 'displays an error when a token could not be removed', async () => {
+
+		env.ajax.wc_payment_gateway_test_gateway_admin_remove_payment_token = () => ( { success: false, data: 'Token not found' } );
+
+		getEditor().find( '.button[data-action="remove"]' ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( getEditor().find( 'tr.token' ).length, 1 );
+		assert.equal( getEditor().find( 'th.actions .error' ).text(), PARAMS.i18n.general_error );
+	} );
+
+	it( 'adds a blank token and removes it without a request', async () => {
+
+		env.ajax.wc_payment_gateway_test_gateway_admin_get_blank_payment_token = ( data ) => ( { success: true, data: BLANK_TOKEN.replace( '[2]', `[${ data.index }]` ) } );
+
+		getEditor().find( '.button[data-action="add-new"]' ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( env.requests[0].data.index, 2 );
+		assert.equal( getEditor().find( 'tr.token' ).length, 2 );
+
+		getEditor().find( 'tr.new-token .button[data-action="remove"]' ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( env.requests.length, 1 );
+		assert.equal( getEditor().find( 'tr.token' ).length, 1 );
+	} );
+
+	it( 'refreshes the tokens', async () => {
+
+		env.ajax.wc_payment_gateway_test_gateway_admin_refresh_payment_tokens = () => ( { success: true, data: null } );
+
+		getEditor().find( '.button[data-action="refresh"]' ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( env.requests[0].data.security, 'refresh-nonce' );
+		assert.equal( getEditor().find( 'tr.token' ).length, 0 );
+		assert.ok( getEditor().find( 'tr.no-tokens' ).is( ':visible' ) );
+	} );
+
+	it( 'prevents saving invalid token data', () => {
+
+		getEditor().find( 'input[name="wc_test_gateway_tokens[1][expiry]"]' ).val( '13/30' );
+
+		const event = env.$.Event( 'click' );
+
+		getEditor().find( '[data-action="save"]' ).trigger( event );
+
+		assert.ok( event.isDefaultPrevented() );
+		assert.ok( getEditor().find( 'input[name="wc_test_gateway_tokens[1][expiry]"]' ).hasClass( 'error' ) );
+		assert.equal( getEditor().find( 'tfoot .error' ).text(), PARAMS.actions.save.error );
+	} );
+
+	it( 'saves valid token data', () => {
+
+		const event = env.$.Event( 'click' );
+
+		getEditor().find( '[data-action="save"]' ).trigger( event );
+
+		assert.equal( event.isDefaultPrevented(), false );
+		assert.equal( getEditor().find( 'input.error' ).length, 0 );
+	} );
+
+	it( 'restores the removed blank tokens in place', async () => {
+
+		env.ajax.wc_payment_gateway_test_gateway_admin_get_blank_payment_token = ( data ) => ( { success: true, data: BLANK_TOKEN.replace( '[2]', `[${ data.index }]` ) } );
+
+		getEditor().find( '.button[data-action="add-new"]' ).trigger( 'click' );
+		await tick();
+		getEditor().find( '.button[data-action="add-new"]' ).trigger( 'click' );
+		await tick();
+
+		getEditor().find( 'tr.new-token' ).first().find( '.button[data-action="remove"]' ).trigger( 'click' );
+
+		assert.equal( env.window.dialogs.length, 0 );
+		assert.equal( getEditor().find( 'tr.token' ).length, 2 );
+
+		getEditor().find( '[data-action="undo-remove"]' ).trigger( 'click' );
+
+		const names = getEditor().find( 'tr.token input[name$="[id]"]' ).map( ( i, input ) => input.name ).get();
+
+		assert.deepEqual( Array.from( names ), [ 'wc_test_gateway_tokens[1][id]', 'wc_test_gateway_tokens[2][id]', 'wc_test_gateway_tokens[3][id]' ] );
+		assert.equal( getEditor().find( '.undo-remove' ).length, 0 );
+	} );
+
+	it( 'selects all the tokens', () => {
+
+		getEditor().find( '.token-select-all' ).prop( 'checked', true ).trigger( 'change' );
+
+		assert.ok( getEditor().find( '.token-select-input' ).prop( 'checked' ) );
+	} );
+
+	it( 'removes the selected tokens via AJAX', async () => {
+
+		env.ajax.wc_payment_gateway_test_gateway_admin_get_blank_payment_token = ( data ) => ( { success: true, data: BLANK_TOKEN.replace( '[2]', `[${ data.index }]` ) } );
+		env.ajax.wc_payment_gateway_test_gateway_admin_remove_payment_token = () => ( { success: true, data: { removed: [ 'abc123' ] } } );
+
+		getEditor().find( '.button[data-action="add-new"]' ).trigger( 'click' );
+		await tick();
+
+		getEditor().find( '.token-select-all' ).prop( 'checked', true ).trigger( 'change' );
+		getEditor().find( '.token-bulk-action' ).val( 'remove' );
+		getEditor().find( '[data-action="bulk-apply"]' ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( env.window.dialogs[0].message, PARAMS.actions.bulk_remove.ays );
+		assert.deepEqual( Array.from( env.requests[1].data.token_ids ), [ 'abc123' ] );
+		assert.equal( getEditor().find( 'tr.token' ).length, 0 );
+		assert.ok( getEditor().find( 'tr.no-tokens' ).is( ':visible' ) );
+	} );
+
+	it( 'requires a single token to set as default', async () => {
+
+		env.ajax.wc_payment_gateway_test_gateway_admin_get_blank_payment_token = ( data ) => ( { success: true, data: BLANK_TOKEN.replace( '[2]', `[${ data.index }]` ) } );
+
+		getEditor().find( '.button[data-action="add-new"]' ).trigger( 'click' );
+		await tick();
+
+		getEditor().find( '.token-select-all' ).prop( 'checked', true ).trigger( 'change' );
+		getEditor().find( '.token-bulk-action' ).val( 'set-default' );
+		getEditor().find( '[data-action="bulk-apply"]' ).trigger( 'click' );
+
+		assert.equal( env.window.dialogs[0].message, PARAMS.actions.set_default.select_one );
+	} );
+} );
+
+describe( 'Payment token editor with AJAX saving', () => {
+
+	const SAVE_PARAMS = {
+		...PARAMS,
+		actions: { ...PARAMS.actions, save: { ...PARAMS.actions.save, nonce: 'save-nonce', success: 'Payment tokens saved.' } },
+	};
+
+	let env;
+
+	beforeEach( async () => {
+
+		env = await createEnvironment( {
+			fixture: 'token-editor.html',
+			scripts: [ 'woocommerce/payment-gateway/assets/js/admin/sv-wc-payment-gateway-token-editor.coffee' ],
+			globals: { wc_payment_gateway_token_editor: SAVE_PARAMS },
+		} );
+	} );
+
+	afterEach( () => env.close() );
+
+	/**
+	 * Gets the editor table.
+	 *
+	 * @returns {jQuery} editor
+	 */
+	function getEditor() {
+
+		return env.$( 'table.sv_wc_payment_gateway_token_editor' );
+	}
+
+	it( 'saves the tokens via AJAX', async () => {
+
+		env.ajax.wc_payment_gateway_test_gateway_admin_save_payment_tokens = () => ( { success: true, data: { html: '' } } );
+
+		const event = env.$.Event( 'click' );
+
+		getEditor().find( '[data-action="save"]' ).trigger( event );
+
+		assert.ok( event.isDefaultPrevented() );
+
+		await tick();
+
+		const data = env.requests[0].data;
+
+		assert.equal( data.action, 'wc_payment_gateway_test_gateway_admin_save_payment_tokens' );
+		assert.equal( data.security, 'save-nonce' );
+		assert.equal( data.user_id, '2' );
+		assert.equal( data[ 'wc_test_gateway_tokens[1][expiry]' ], '12/30' );
+		assert.equal( data.wc_test_gateway_tokens_default, 'abc123' );
+
+		assert.equal( getEditor().find( 'th.actions .success' ).text(), SAVE_PARAMS.actions.save.success );
+		assert.ok( getEditor().find( 'tr.no-tokens' ).is( ':visible' ) );
+		assert.equal( getEditor().hasClass( 'blockUI-blocked' ), false );
+	} );
+
+	it( 'displays the errors for each token field', async () => {
+
+		env.ajax.wc_payment_gateway_test_gateway_admin_save_payment_tokens = () => ( { success: false, data: {
+			message: 'Invalid token data',
+			errors: { 1: { last_four: 'Last four must be 4 digits.', _row: 'Token ID is a duplicate.' } },
+		} } );
+
+		getEditor().find( '[data-action="save"]' ).trigger( 'click' );
+
+		await tick();
+
+		const input = getEditor().find( 'input[name="wc_test_gateway_tokens[1][last_four]"]' );
+
+		assert.ok( input.hasClass( 'error' ) );
+		assert.equal( input.next( '.token-field-error' ).text(), 'Last four must be 4 digits.' );
+		assert.equal( getEditor().find( 'tr.token + tr.token-error' ).text(), 'Token ID is a duplicate.' );
+		assert.equal( getEditor().find( 'th.actions > .error' ).text(), SAVE_PARAMS.actions.save.error );
+
+		// the errors are cleared on the next save
+		getEditor().find( '[data-action="save"]' ).trigger( 'click' );
+
+		assert.equal( getEditor().find( '.token-field-error, tr.token-error' ).length, 0 );
+	} );
+
+	it( 'saves the tokens after setting a new default', async () => {
+
+		env.ajax.wc_payment_gateway_test_gateway_admin_save_payment_tokens = () => ( { success: true, data: { html: '' } } );
+
+		getEditor().find( 'input[name="wc_test_gateway_tokens_default"]' ).prop( 'checked', false );
+		getEditor().find( '.token-select-input' ).prop( 'checked', true );
+		getEditor().find( '.token-bulk-action' ).val( 'set-default' );
+		getEditor().find( '[data-action="bulk-apply"]' ).trigger( 'click' );
+
+		await tick();
+
+		assert.equal( env.requests[0].data.wc_test_gateway_tokens_default, 'abc123' );
+	} );
+} );
+
+describe( 'Payment token export and import', () => {
+
+	let env;
+
+	beforeEach( async () => {
+
+		env = await createEnvironment( {
+			fixture: 'token-editor.html',
+			scripts: [ 'woocommerce/payment-gateway/assets/js/admin/sv-wc-payment-gateway-token-editor.coffee' ],
+			globals: { wc_payment_gateway_token_editor: PARAMS },
+			ajax: { wc_payment_gateway_test_gateway_admin_get_blank_payment_token: ( data ) => ( { success: true, data: getBlankCreditCards( data ) } ) },
+		} );
+	} );
+
+	afterEach( () => env.close() );
+
+	/**
+	 * Gets the editor table.
+	 *
+	 * @returns {jQuery} editor
+	 */
+	function getEditor() {
+
+		return env.$( 'table.sv_wc_payment_gateway_token_editor' );
+	}
+
+	/**
+	 * Exports the tokens, capturing the downloaded file.
+	 *
+	 * @param {string} format export format
+	 * @returns {Promise<Object>} the downloaded file name, type and content
+	 */
+	async function exportTokens( format ) {
+
+		let blob;
+
+		env.window.URL.createObjectURL = ( object ) => {
+			blob = object;
+			return 'blob:https://example.com/export';
+		};
+		env.window.URL.revokeObjectURL = () => {};
+
+		let filename;
+
+		env.$( env.document ).on( 'click', 'a[download]', function( e ) {
+			filename = this.getAttribute( 'download' );
+			e.preventDefault();
+		} );
+
+		env.ajax.wc_payment_gateway_test_gateway_admin_export_payment_tokens = () => ( { success: true, data: {
+			fields: [ 'id', 'card_type', 'last_four', 'expiry', 'default' ],
+			tokens: [
+				{ id: 'abc123', card_type: 'visa', last_four: '1111', expiry: '12/30', default: true },
+				{ id: 'def,456', card_type: 'mastercard', last_four: '4444', expiry: '01/29', default: false },
+			],
+			filename: 'test_gateway-payment-tokens-user-2',
+		} } );
+
+		getEditor().find( `[data-action="export-${ format }"]` ).trigger( 'click' );
+
+		await tick();
+
+		const content = await new Promise( ( resolve ) => {
+			const reader = new env.window.FileReader();
+			reader.onload = () => resolve( reader.result );
+			reader.readAsText( blob );
+		} );
+
+		return { filename, type: blob.type, content };
+	}
+
+	/**
+	 * Imports tokens from a file.
+	 *
+	 * @param {string} content file content
+	 * @param {string} filename file name
+	 */
+	async function importTokens( content, filename ) {
+
+		getEditor().find( '[data-action="import"]' ).trigger( 'click' );
+
+		const input = getEditor().find( '.token-import-file' )[0];
+
+		Object.defineProperty( input, 'files', { configurable: true, value: [ new env.window.File( [ content ], filename ) ] } );
+
+		env.$( input ).trigger( 'change' );
+
+		// the file is read asynchronously
+		for ( let i = 0; i < 50 && ! getEditor().find( 'th.actions' ).children( '.import-preview, .error' ).length; i++ ) {
+			await tick( 10 );
+		}
+	}
+
+	it( 'exports the tokens as CSV', async () => {
+
+		const file = await exportTokens( 'csv' );
+
+		assert.deepEqual( { ...env.requests[0].data }, {
+			action: 'wc_payment_gateway_test_gateway_admin_export_payment_tokens',
+			user_id: 2,
+			security: 'export-nonce',
+		} );
+
+		assert.equal( file.filename, 'test_gateway-payment-tokens-user-2.csv' );
+		assert.equal( file.type, 'text/csv' );
+		assert.equal( file.content, 'id,card_type,last_four,expiry,default\r\nabc123,visa,1111,12/30,yes\r\n"def,456",mastercard,4444,01/29,\r\n' );
+		assert.equal( getEditor().hasClass( 'blockUI-blocked' ), false );
+	} );
+
+	it( 'exports the tokens as JSON', async () => {
+
+		const file = await exportTokens( 'json' );
+
+		assert.equal( file.filename, 'test_gateway-payment-tokens-user-2.json' );
+		assert.equal( JSON.parse( file.content )[1].id, 'def,456' );
+	} );
+
+	it( 'imports tokens from a CSV file for review', async () => {
+
+		await importTokens( 'id,card_type,last_four,expiry,default\r\nxyz789,mastercard,4444,"01/29",yes\r\n"q,1",visa,1234,12/31,\r\n', 'tokens.csv' );
+
+		const blank = env.requests.find( ( request ) => 'wc_payment_gateway_test_gateway_admin_get_blank_payment_token' === request.data.action );
+
+		assert.equal( blank.data.index, 2 );
+		assert.equal( blank.data.count, 2 );
+
+		const rows = getEditor().find( 'tr.imported-token' );
+
+		assert.equal( rows.length, 2 );
+		assert.equal( rows.eq( 0 ).find( 'input[name$="[id]"]' ).val(), 'xyz789' );
+		assert.equal( rows.eq( 0 ).find( 'select' ).val(), 'mastercard' );
+		assert.equal( rows.eq( 1 ).find( 'input[name$="[id]"]' ).val(), 'q,1' );
+		assert.ok( rows.eq( 0 ).find( 'input[type="radio"]' ).prop( 'checked' ) );
+		assert.equal( rows.eq( 0 ).find( 'input[type="radio"]' ).val(), 'xyz789' );
+		assert.equal( getEditor().find( '.error' ).length, 0 );
+		assert.equal( getEditor().find( 'th.actions .import-preview' ).text(), '2 tokens imported. Review them, then save to add them.' );
+	} );
+
+	it( 'flags the imported tokens with invalid data', async () => {
+
+		await importTokens( JSON.stringify( [
+			{ id: 'xyz789', card_type: 'amex', last_four: '4444', expiry: '01/29' },
+			{ id: 'uvw456', card_type: 'visa', last_four: '44445', expiry: '13/29' },
+			{ id: 'rst123', card_type: 'visa', last_four: '1234', expiry: '12/31' },
+		] ), 'tokens.json' );
+
+		const rows = getEditor().find( 'tr.imported-token' );
+
+		assert.ok( rows.eq( 0 ).find( 'select' ).hasClass( 'error' ) );
+		assert.ok( rows.eq( 1 ).find( 'input[name$="[last_four]"]' ).hasClass( 'error' ) );
+		assert.ok( rows.eq( 1 ).find( 'input[name$="[expiry]"]' ).hasClass( 'error' ) );
+		assert.equal( rows.eq( 2 ).find( '.error' ).length, 0 );
+		assert.equal( getEditor().find( 'th.actions > .error' ).text(), '2 tokens have invalid data and must be fixed or removed before saving.' );
+
+		// the imported tokens must be fixed before they can be saved
+		const event = env.$.Event( 'click' );
+
+		getEditor().find( '[data-action="save"]' ).trigger( event );
+
+		assert.ok( event.isDefaultPrevented() );
+	} );
+
+	it( 'displays an error for files without tokens', async () => {
+
+		await importTokens( 'not a token export', 'tokens.csv' );
+
+		assert.equal( env.requests.length, 0 );
+		assert.equal( getEditor().find( 'th.actions .error' ).text(), PARAMS.actions.import.invalid_file );
+
+		await importTokens( '[]', 'tokens.json' );
+
+		assert.equal( getEditor().find( 'th.actions .error' ).text(), PARAMS.actions.import.empty );
+	} );
+
+	it( 'displays an error for files with too many tokens', async () => {
+
+		const tokens = Array.from( { length: 101 }, ( value, index ) => ( { id: `token-${ index }`, card_type: 'visa', last_four: '1111', expiry: '12/31' } ) );
+
+		await importTokens( JSON.stringify( tokens ), 'tokens.json' );
+
+		assert.equal( env.requests.length, 0 );
+		assert.equal( getEditor().find( 'th.actions .error' ).text(), PARAMS.actions.import.too_many );
+	} );
+} );
@@ -164,17 +164,7 @@ abstract class Script_Handler {
 	 */
 	protected function get_handler_js( array $additional_args = [], $handler_name = '', $object_name = '' ) {
 
-		$args = array_merge( $additional_args, $this->get_js_handler_args() );
-
-		/**
-		 * Filters the JavaScript handler arguments.
-		 *
-		 * @since 5.7.0
-		 *
-		 * @param array $args arguments to pass to the JS handler
-		 * @param Script_Handler $handler script handler instance
-		 */
-		$args = apply_filters( 'wc_' . $this->get_id() . '_js_args', $args, $this );
+		$args = $this->get_filtered_js_handler_args( $additional_args );
 
 		if ( ! $handler_name ) {
 			$handler_name = $this->get_js_handler_class_name();
@@ -201,6 +191,30 @@ abstract class Script_Handler {
 	}
 
 
+	/**
+	 * Gets the JS handler arguments, filtered.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param array $additional_args additional handler arguments, if any
+	 * @return array
+	 */
+	public function get_filtered_js_handler_args( array $additional_args = [] ) {
+
+		$args = array_merge( $additional_args, $this->get_js_handler_args() );
+
+		/**
+		 * Filters the JavaScript handler arguments.
+		 *
+		 * @since 5.7.0
+		 *
+		 * @param array $args arguments to pass to the JS handler
+		 * @param Script_Handler $handler script handler instance
+		 */
+		return apply_filters( 'wc_' . $this->get_id() . '_js_args', $args, $this );
+	}
+
+
 	/**
 	 * Gets inline JavaScript code to issue an AJAX request to log a script error event.
 	 *
@@ -136,6 +136,9 @@ abstract class Setup_Wizard {
 		if ( ! $this->is_complete() ) {
 			add_filter( 'plugin_action_links_' . plugin_basename( $this->get_plugin()->get_plugin_file() ), array( $this, 'add_setup_link' ), 20 );
 		}
+
+		// save step drafts while the wizard is being filled in
+		add_action( "wp_ajax_wc_{$this->id}_setup_wizard_save_draft", [ $this, 'ajax_save_draft' ] );
 	}
 
 
@@ -239,6 +242,39 @@ abstract class Setup_Wizard {
 	}
 
 
+	/**
+	 * Saves a draft of a step's form fields via AJAX.
+	 *
+	 * This lets an abandoned wizard be resumed where it was left, with the values that were entered but not saved yet.
+	 *
+	 * @internal
+	 *
+	 * @since 5.11.0
+	 */
+	public function ajax_save_draft() {
+
+		check_ajax_referer( "wc_{$this->id}_setup_wizard_save", 'nonce' );
+
+		$step_id = sanitize_key( Framework\SV_WC_Helper::get_posted_value( 'step' ) );
+
+		if ( ! $this->has_step( $step_id ) ) {
+			wp_send_json_error( __( 'Invalid setup step.', 'woocommerce-plugin-framework' ) );
+		}
+
+		$fields = Framework\SV_WC_Helper::get_posted_value( 'fields', [] );
+		$fields = is_array( $fields ) ? wc_clean( wp_unslash( $fields ) ) : [];
+
+		// the form's nonce & buttons are not field values
+		unset( $fields['nonce'], $fields['_wp_http_referer'], $fields['save_step'] );
+
+		$this->save_step_draft( $step_id, $fields );
+
+		wp_send_json_success( [
+			'step' => $step_id,
+		] );
+	}
+
+
 	/**
 	 * Initializes setup.
 	 *
@@ -252,9 +288,13 @@ abstract class Setup_Wizard {
 
 		if ( ! $current_action ) {
 
+			// resume an abandoned wizard from the step it was left on
+			$draft_step = $this->get_draft_step();
+			$first_step = $this->has_step( $draft_step ) ? $draft_step : key( $this->steps );
+
 			if ( $this->has_step( $current_step ) ) {
 				$this->current_step = $current_step;
-			} elseif ( $first_step_url = $this->get_step_url( key( $this->steps ) ) ) {
+			} elseif ( $first_step_url = $this->get_step_url( $first_step ) ) {
 				wp_safe_redirect( $first_step_url );
 				exit;
 			} else {
@@ -363,6 +403,9 @@ abstract class Setup_Wizard {
 					call_user_func( $this->steps[ $step_id ]['save'], $this );
 				}
 
+				// the step's values are saved for good, so its draft is no longer needed
+				$this->clear_step_draft( $step_id );
+
 				// move to the next step
 				wp_safe_redirect( $this->get_next_step_url( $step_id ) );
 				exit;
@@ -415,6 +458,42 @@ abstract class Setup_Wizard {
 		// framework bundled styles
 		wp_enqueue_style( 'sv-wc-admin-setup', $this->get_plugin()->get_framework_assets_url() . '/css/admin/sv-wc-plugin-admin-setup-wizard.min.css', array( 'wc-setup' ), $this->get_plugin()->get_version() );
 		wp_enqueue_script( 'sv-wc-admin-setup', $this->get_plugin()->get_framework_assets_url() . '/js/admin/sv-wc-plugin-admin-setup-wizard.min.js', array( 'jquery', 'wc-enhanced-select', 'jquery-blockui' ), $this->get_plugin()->get_version() );
+
+		$args = [
+			'id'       => $this->id,
+			'ajax_url' => admin_url( 'admin-ajax.php' ),
+			'step'     => $this->current_step,
+			'i18n'     => [
+				/* translators: Placeholders: %s - field label */
+				'required_field' => __( '%s is a required field.', 'woocommerce-plugin-framework' ),
+				/* translators: Placeholders: %s - field label */
+				'invalid_email'  => __( '%s is not a valid email address.', 'woocommerce-plugin-framework' ),
+				/* translators: Placeholders: %s - field label */
+				'invalid_field'  => __( '%s is not valid.', 'woocommerce-plugin-framework' ),
+				/* translators: Placeholders: %1$s - current step number, %2$s - total number of steps */
+				'progress'       => __( 'Step %1$s of %2$s', 'woocommerce-plugin-framework' ),
+				'draft_saving'   => __( 'Saving draft…', 'woocommerce-plugin-framework' ),
+				'draft_saved'    => __( 'Draft saved', 'woocommerce-plugin-framework' ),
+				'draft_error'    => __( 'Your changes could not be saved as a draft.', 'woocommerce-plugin-framework' ),
+				'draft_leave'    => __( 'Your changes to this step could not be saved as a draft. Leave this step anyway?', 'woocommerce-plugin-framework' ),
+			],
+		];
+
+		/**
+		 * Filters the setup wizard JavaScript handler arguments.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param array $args handler arguments
+		 * @param Setup_Wizard $setup_wizard setup wizard instance
+		 */
+		$args = apply_filters( "wc_{$this->id}_setup_wizard_js_args", $args, $this );
+
+		// the wizard page doesn't print the admin footer, so the handler is loaded along with its script
+		wp_add_inline_script( 'sv-wc-admin-setup', sprintf( 'jQuery( function() { window.wc_%1$s_setup_wizard = new SV_WC_Plugin_Admin_Setup_Wizard_v5_10_8( %2$s ); } );',
+			esc_js( $this->id ),
+			wp_json_encode( $args )
+		) );
 	}
 
 
@@ -515,6 +594,9 @@ abstract class Setup_Wizard {
 
 				<?php $this->complete_setup(); ?>
 
+				<?php // there is nothing left to resume ?>
+				<?php $this->delete_drafts(); ?>
+
 			<?php else : ?>
 
 				<?php // render a welcome message if the current is the first step ?>
@@ -787,6 +869,10 @@ abstract class Setup_Wizard {
 
 			<?php $label = __( 'Continue', 'woocommerce-plugin-framework' ); ?>
 
+			<?php if ( $previous_step_url = $this->get_previous_step_url( $step_id ) ) : ?>
+				<a class="button button-large button-prev" href="<?php echo esc_url( $previous_step_url ); ?>"><?php esc_html_e( 'Back', 'woocommerce-plugin-framework' ); ?></a>
+			<?php endif; ?>
+
 			<?php if ( is_callable( $this->steps[ $step_id ]['save'] ) ) : ?>
 
 				<button
@@ -812,6 +898,8 @@ abstract class Setup_Wizard {
 	 *
 	 * Call this in the same way as woocommerce_form_field().
 	 *
+	 * A value from the current step's draft takes precedence over the given value.
+	 *
 	 * @since 5.2.2
 	 *
 	 * @param string $key field key
@@ -842,7 +930,15 @@ abstract class Setup_Wizard {
 		// always echo the field
 		$args['return'] = false;
 
-		if ( isset( $args['type'] ) && 'toggle' === $args['type'] ) {
+		$is_toggle = isset( $args['type'] ) && 'toggle' === $args['type'];
+		$draft     = $this->get_step_draft();
+
+		// restore the value that was entered before the wizard was left
+		if ( array_key_exists( $key, $draft ) ) {
+			$value = $is_toggle ? 'yes' === $draft[ $key ] : $draft[ $key ];
+		}
+
+		if ( $is_toggle ) {
 			$this->render_toggle_form_field( $key, $args, $value );
 		} else {
 			woocommerce_form_field( $key, $args, $value );
@@ -909,16 +1005,24 @@ abstract class Setup_Wizard {
 		?>
 		<div class="form-row <?php echo esc_attr( implode( ' ', $args['class'] ) ); ?>">
 
-			<p class="name"><?php echo true === $args['allow_html'] ? $args['label'] : esc_html( $args['label'] ); ?></p>
+			<p class="name" id="<?php echo esc_attr( $args['id'] . '-name' ); ?>"><?php echo true === $args['allow_html'] ? $args['label'] : esc_html( $args['label'] ); ?></p>
 
 			<?php if ( true === $args['allow_html'] ) : ?>
-				<div class="content"><p class="description"><?php echo $args['description']; ?></p></div>
+				<div class="content"><p class="description" id="<?php echo esc_attr( $args['id'] . '-description' ); ?>"><?php echo $args['description']; ?></p></div>
 			<?php else : ?>
-				<p class="content description"><?php echo esc_html( $args['description'] ); ?></p>
+				<p class="content description" id="<?php echo esc_attr( $args['id'] . '-description' ); ?>"><?php echo esc_html( $args['description'] ); ?></p>
 			<?php endif; ?>
 
 			<div class="enable">
-				<span class="toggle <?php echo $enabled ? '' : 'disabled'; ?>">
+				<?php // the checkbox itself is hidden, so the toggle is what gets focused and operated from the keyboard ?>
+				<span
+					class="toggle <?php echo $enabled ? '' : 'disabled'; ?>"
+					role="switch"
+					tabindex="0"
+					aria-checked="<?php echo $enabled ? 'true' : 'false'; ?>"
+					aria-labelledby="<?php echo esc_attr( $args['id'] . '-name' ); ?>"
+					<?php echo $args['description'] ? 'aria-describedby="' . esc_attr( $args['id'] . '-description' ) . '"' : ''; ?>
+					<?php echo $args['required'] ? 'aria-required="true"' : ''; ?>>
 					<input
 						id="<?php echo esc_attr( $args['id'] ); ?>"
 						type="checkbox"
@@ -1025,6 +1129,69 @@ abstract class Setup_Wizard {
 	}
 
 
+	/**
+	 * Saves a draft of a step's form field values.
+	 *
+	 * The step becomes the one an abandoned wizard is resumed from.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $step_id step ID
+	 * @param array $fields field values, keyed by field name
+	 * @return bool
+	 */
+	public function save_step_draft( $step_id, array $fields ) {
+
+		if ( ! $this->has_step( $step_id ) ) {
+			return false;
+		}
+
+		$draft = $this->get_draft();
+
+		$draft['step']               = $step_id;
+		$draft['fields'][ $step_id ] = $fields;
+
+		return update_option( $this->get_draft_option_name(), $draft, false );
+	}
+
+
+	/**
+	 * Clears a step's draft once the step is saved.
+	 *
+	 * An abandoned wizard is then resumed from the following step.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $step_id step ID
+	 * @return bool
+	 */
+	public function clear_step_draft( $step_id ) {
+
+		$draft = $this->get_draft();
+		$steps = array_keys( $this->steps );
+		$index = array_search( $step_id, $steps, true );
+
+		unset( $draft['fields'][ $step_id ] );
+
+		$draft['step'] = false !== $index && isset( $steps[ $index + 1 ] ) ? $steps[ $index + 1 ] : '';
+
+		return update_option( $this->get_draft_option_name(), $draft, false );
+	}
+
+
+	/**
+	 * Deletes all of the step drafts.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return bool
+	 */
+	public function delete_drafts() {
+
+		return delete_option( $this->get_draft_option_name() );
+	}
+
+
 	/** Conditional Methods *******************************************************************************************/
 
 
@@ -1215,6 +1382,98 @@ abstract class Setup_Wizard {
 	}
 
 
+	/**
+	 * Gets the URL for the previous step based on a current step.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $step_id step ID to base "previous" off of - defaults to this class's internal pointer
+	 * @return string|false false if there is no previous step
+	 */
+	public function get_previous_step_url( $step_id = '' ) {
+
+		if ( ! $step_id ) {
+			$step_id = $this->current_step;
+		}
+
+		$steps      = array_keys( $this->steps );
+		$step_index = array_search( $step_id, $steps, true );
+
+		return $step_index ? $this->get_step_url( $steps[ $step_index - 1 ] ) : false;
+	}
+
+
+	/**
+	 * Gets a given step's draft of form field values.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $step_id step ID (optional: will assume the current step if unspecified)
+	 * @return array field values, keyed by field name
+	 */
+	public function get_step_draft( $step_id = '' ) {
+
+		if ( ! $step_id ) {
+			$step_id = $this->current_step;
+		}
+
+		$draft = $this->get_draft();
+
+		return isset( $draft['fields'][ $step_id ] ) && is_array( $draft['fields'][ $step_id ] ) ? $draft['fields'][ $step_id ] : [];
+	}
+
+
+	/**
+	 * Gets the step an abandoned wizard should be resumed from.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return string step ID, or empty string if there is nothing to resume
+	 */
+	public function get_draft_step() {
+
+		$draft = $this->get_draft();
+
+		return is_string( $draft['step'] ) ? $draft['step'] : '';
+	}
+
+
+	/**
+	 * Gets the stored drafts.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array {
+	 *     @type string $step step to resume from
+	 *     @type array $fields field values, keyed by step ID
+	 * }
+	 */
+	protected function get_draft() {
+
+		$draft = wp_parse_args( (array) get_option( $this->get_draft_option_name(), [] ), [
+			'step'   => '',
+			'fields' => [],
+		] );
+
+		$draft['fields'] = (array) $draft['fields'];
+
+		return $draft;
+	}
+
+
+	/**
+	 * Gets the name of the option the drafts are stored in.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return string
+	 */
+	protected function get_draft_option_name() {
+
+		return "wc_{$this->id}_setup_wizard_draft";
+	}
+
+
 	/**
 	 * Gets a given step's URL.
 	 *
@@ -453,6 +453,7 @@ abstract class SV_WC_Plugin {
 
 		// REST API Controllers
 		require_once( $framework_path . '/rest-api/Controllers/Settings.php' );
+		require_once( $framework_path . '/rest-api/Controllers/Jobs.php' );
 
 		// Handlers
 		require_once( $framework_path . '/Handlers/Script_Handler.php' );
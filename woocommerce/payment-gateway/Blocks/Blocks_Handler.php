@@ -0,0 +1,174 @@
+<?php
+/**
+ * WooCommerce Payment Gateway Framework
+ *
+ * This source file is subject to the GNU General Public License v3.0
+ * that is bundled with this package in the file license.txt.
+ * It is also available through the world-wide-web at this URL:
+ * http://www.gnu.org/licenses/gpl-3.0.html
+ * If you did not receive a copy of the license and are unable to
+ * obtain it through the world-wide-web, please send an email
+ * to license@skyverge.com so we can send you a copy immediately.
+ *
+ * DISCLAIMER
+ *
+ * Do not edit or add to this file if you wish to upgrade the plugin to newer
+ * versions in the future. If you wish to customize the plugin for your
+ * needs please refer to http://www.skyverge.com
+ *
+ * @package   SkyVerge/WooCommerce/Payment-Gateway/Blocks
+ * @author    SkyVerge
+ * @copyright Copyright (c) 2013-2021, SkyVerge, Inc.
+ * @license   http://www.gnu.org/licenses/gpl-3.0.html GNU General Public License v3.0
+ */
+
+namespace SkyVerge\WooCommerce\PluginFramework\v5_10_8\Payment_Gateway\Blocks;
+
+use Automattic\WooCommerce\Blocks\Payments\PaymentMethodRegistry;
+use SkyVerge\WooCommerce\PluginFramework\v5_10_8\Payment_Gateway\External_Checkout\External_Checkout;
+use SkyVerge\WooCommerce\PluginFramework\v5_10_8\SV_WC_Payment_Gateway;
+use SkyVerge\WooCommerce\PluginFramework\v5_10_8\SV_WC_Payment_Gateway_Plugin;
+
+defined( 'ABSPATH' ) or exit;
+
+if ( ! class_exists( '\\SkyVerge\\WooCommerce\\PluginFramework\\v5_10_8\\Payment_Gateway\\Blocks\\Blocks_Handler' ) ) :
+
+
+/**
+ * Registers the plugin gateways with the WooCommerce Cart and Checkout blocks.
+ *
+ * Credit card and eCheck gateways are registered as block payment methods, while Apple Pay and Google Pay are
+ * registered as express payment methods.
+ *
+ * @since 5.11.0
+ */
+class Blocks_Handler {
+
+
+	/** @var SV_WC_Payment_Gateway_Plugin the gateway plugin instance */
+	protected $plugin;
+
+
+	/**
+	 * Constructs the class.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param SV_WC_Payment_Gateway_Plugin $plugin the gateway plugin instance
+	 */
+	public function __construct( SV_WC_Payment_Gateway_Plugin $plugin ) {
+
+		$this->plugin = $plugin;
+
+		add_action( 'woocommerce_blocks_payment_method_type_registration', [ $this, 'register_payment_methods' ] );
+	}
+
+
+	/**
+	 * Registers the block payment methods.
+	 *
+	 * The integration classes extend WooCommerce Blocks classes, so they can only be loaded once Blocks is.
+	 *
+	 * @internal
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param PaymentMethodRegistry $registry payment method registry
+	 */
+	public function register_payment_methods( $registry ) {
+
+		$path = $this->plugin->get_payment_gateway_framework_path();
+
+		require_once( "{$path}/Blocks/Gateway_Checkout_Block_Integration.php" );
+		require_once( "{$path}/Blocks/External_Checkout_Block_Integration.php" );
+
+		foreach ( $this->plugin->get_gateways() as $gateway ) {
+			$registry->register( $this->get_gateway_integration( $gateway ) );
+		}
+
+		foreach ( [ $this->plugin->get_apple_pay_instance(), $this->plugin->get_google_pay_instance(), $this->plugin->get_payment_request_instance() ] as $external_checkout ) {
+
+			// the frontend is only initialized for the plugin that processes the external checkout payments
+			if ( $external_checkout instanceof External_Checkout && $external_checkout->get_frontend_instance() ) {
+				$registry->register( $this->get_external_checkout_integration( $external_checkout ) );
+			}
+		}
+	}
+
+
+	/**
+	 * Gets the block integration for a gateway.
+	 *
+	 * Gateway plugins can override this to return their own integration.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param SV_WC_Payment_Gateway $gateway gateway instance
+	 * @return Gateway_Checkout_Block_Integration
+	 */
+	protected function get_gateway_integration( SV_WC_Payment_Gateway $gateway ) {
+
+		return new Gateway_Checkout_Block_Integration( $gateway );
+	}
+
+
+	/**
+	 * Gets the block integration for an external checkout, like Apple Pay or Google Pay.
+	 *
+	 * Gateway plugins can override this to return their own integration.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param External_Checkout $external_checkout external checkout handler instance
+	 * @return External_Checkout_Block_Integration
+	 */
+	protected function get_external_checkout_integration( External_Checkout $external_checkout ) {
+
+		return new External_Checkout_Block_Integration( $external_checkout );
+	}
+
+
+	/**
+	 * Determines whether the current page is the cart page and uses the Cart block.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return bool
+	 */
+	public static function is_cart_block_page() {
+
+		return is_cart() && self::page_has_block( 'cart' );
+	}
+
+
+	/**
+	 * Determines whether the current page is the checkout page and uses the Checkout block.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return bool
+	 */
+	public static function is_checkout_block_page() {
+
+		return is_checkout() && ! is_checkout_pay_page() && self::page_has_block( 'checkout' );
+	}
+
+
+	/**
+	 * Determines whether the given WooCommerce page uses its block.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $page either `cart` or `checkout`
+	 * @return bool
+	 */
+	private static function page_has_block( $page ) {
+
+		return function_exists( 'has_block' ) && has_block( "woocommerce/{$page}", wc_get_page_id( $page ) );
+	}
+
+
+}
+
+
+endif;
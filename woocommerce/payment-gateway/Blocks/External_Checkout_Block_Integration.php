@@ -0,0 +1,158 @@
+<?php
+/**
+ * WooCommerce Payment Gateway Framework
+ *
+ * This source file is subject to the GNU General Public License v3.0
+ * that is bundled with this package in the file license.txt.
+ * It is also available through the world-wide-web at this URL:
+ * http://www.gnu.org/licenses/gpl-3.0.html
+ * If you did not receive a copy of the license and are unable to
+ * obtain it through the world-wide-web, please send an email
+ * to license@skyverge.com so we can send you a copy immediately.
+ *
+ * DISCLAIMER
+ *
+ * Do not edit or add to this file if you wish to upgrade the plugin to newer
+ * versions in the future. If you wish to customize the plugin for your
+ * needs please refer to http://www.skyverge.com
+ *
+ * @package   SkyVerge/WooCommerce/Payment-Gateway/Blocks
+ * @author    SkyVerge
+ * @copyright Copyright (c) 2013-2021, SkyVerge, Inc.
+ * @license   http://www.gnu.org/licenses/gpl-3.0.html GNU General Public License v3.0
+ */
+
+namespace SkyVerge\WooCommerce\PluginFramework\v5_10_8\Payment_Gateway\Blocks;
+
+use Automattic\WooCommerce\Blocks\Payments\Integrations\AbstractPaymentMethodType;
+use SkyVerge\WooCommerce\PluginFramework\v5_10_8\Payment_Gateway\External_Checkout\External_Checkout;
+
+defined( 'ABSPATH' ) or exit;
+
+if ( ! class_exists( '\\SkyVerge\\WooCommerce\\PluginFramework\\v5_10_8\\Payment_Gateway\\Blocks\\External_Checkout_Block_Integration' ) ) :
+
+
+/**
+ * Cart and Checkout block integration for an external checkout, like Apple Pay or Google Pay.
+ *
+ * The block renders the same button as the regular pages and runs the same JS handler, which talks to the same
+ * AJAX endpoints.
+ *
+ * @since 5.11.0
+ */
+class External_Checkout_Block_Integration extends AbstractPaymentMethodType {
+
+
+	/** @var External_Checkout external checkout handler instance */
+	protected $external_checkout;
+
+
+	/**
+	 * Constructs the integration.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param External_Checkout $external_checkout external checkout handler instance
+	 */
+	public function __construct( External_Checkout $external_checkout ) {
+
+		$this->external_checkout = $external_checkout;
+		$this->name              = $external_checkout->get_frontend_instance()->get_id();
+	}
+
+
+	/**
+	 * Initializes the integration.
+	 *
+	 * The external checkout handler holds all of the settings, so there is nothing to load here.
+	 *
+	 * @since 5.11.0
+	 */
+	public function initialize() {}
+
+
+	/**
+	 * Determines whether the express payment method is active.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return bool
+	 */
+	public function is_active() {
+
+		$locations = $this->get_external_checkout()->get_display_locations();
+
+		return $this->get_external_checkout()->is_available() && ( in_array( 'cart', $locations, true ) || in_array( 'checkout', $locations, true ) );
+	}
+
+
+	/**
+	 * Registers the express payment method scripts and gets their handles.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return string[]
+	 */
+	public function get_payment_method_script_handles() {
+
+		$plugin = $this->get_external_checkout()->get_plugin();
+
+		Gateway_Checkout_Block_Integration::register_script( $plugin );
+
+		// the external checkout handler script and styles
+		$this->get_external_checkout()->get_frontend_instance()->enqueue_scripts();
+
+		wp_add_inline_script( Gateway_Checkout_Block_Integration::SCRIPT_HANDLE, sprintf( 'window.SV_WC_Payment_Gateway_Blocks_Handler_v5_10_8.register_express_payment_method( %s );', wp_json_encode( $this->get_name() ) ) );
+
+		return [ Gateway_Checkout_Block_Integration::SCRIPT_HANDLE ];
+	}
+
+
+	/**
+	 * Gets the data passed to the express payment method script.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array
+	 */
+	public function get_payment_method_data() {
+
+		$gateway = $this->get_external_checkout()->get_processing_gateway();
+
+		$data = array_merge( $this->get_external_checkout()->get_frontend_instance()->get_block_data(), [
+			'id'       => $this->get_name(),
+			'title'    => $this->get_external_checkout()->get_label(),
+			'supports' => [
+				'features' => $gateway ? array_values( $gateway->supports ) : [ 'products' ],
+			],
+		] );
+
+		/**
+		 * Filters the external checkout block payment method data.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param array $data payment method data
+		 * @param External_Checkout_Block_Integration $integration block integration instance
+		 */
+		return (array) apply_filters( 'wc_' . $this->get_name() . '_block_payment_method_data', $data, $this );
+	}
+
+
+	/**
+	 * Gets the external checkout handler instance.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return External_Checkout
+	 */
+	public function get_external_checkout() {
+
+		return $this->external_checkout;
+	}
+
+
+}
+
+
+endif;
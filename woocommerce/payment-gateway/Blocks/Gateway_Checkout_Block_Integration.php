@@ -0,0 +1,265 @@
+<?php
+/**
+ * WooCommerce Payment Gateway Framework
+ *
+ * This source file is subject to the GNU General Public License v3.0
+ * that is bundled with this package in the file license.txt.
+ * It is also available through the world-wide-web at this URL:
+ * http://www.gnu.org/licenses/gpl-3.0.html
+ * If you did not receive a copy of the license and are unable to
+ * obtain it through the world-wide-web, please send an email
+ * to license@skyverge.com so we can send you a copy immediately.
+ *
+ * DISCLAIMER
+ *
+ * Do not edit or add to this file if you wish to upgrade the plugin to newer
+ * versions in the future. If you wish to customize the plugin for your
+ * needs please refer to http://www.skyverge.com
+ *
+ * @package   SkyVerge/WooCommerce/Payment-Gateway/Blocks
+ * @author    SkyVerge
+ * @copyright Copyright (c) 2013-2021, SkyVerge, Inc.
+ * @license   http://www.gnu.org/licenses/gpl-3.0.html GNU General Public License v3.0
+ */
+
+namespace SkyVerge\WooCommerce\PluginFramework\v5_10_8\Payment_Gateway\Blocks;
+
+use Automattic\WooCommerce\Blocks\Payments\Integrations\AbstractPaymentMethodType;
+use SkyVerge\WooCommerce\PluginFramework\v5_10_8\SV_WC_Payment_Gateway;
+use SkyVerge\WooCommerce\PluginFramework\v5_10_8\SV_WC_Payment_Gateway_Helper;
+use SkyVerge\WooCommerce\PluginFramework\v5_10_8\SV_WC_Plugin;
+
+defined( 'ABSPATH' ) or exit;
+
+if ( ! class_exists( '\\SkyVerge\\WooCommerce\\PluginFramework\\v5_10_8\\Payment_Gateway\\Blocks\\Gateway_Checkout_Block_Integration' ) ) :
+
+
+/**
+ * Checkout block integration for a credit card or eCheck gateway.
+ *
+ * The block renders the same fields as the payment form, validates them with the same rules and posts them with the
+ * same names, so the gateway processes block checkouts just like regular ones.
+ *
+ * @since 5.11.0
+ */
+class Gateway_Checkout_Block_Integration extends AbstractPaymentMethodType {
+
+
+	/** @var string the blocks script handle */
+	const SCRIPT_HANDLE = 'sv-wc-payment-gateway-blocks-v5_10_8';
+
+	/** @var SV_WC_Payment_Gateway gateway instance */
+	protected $gateway;
+
+
+	/**
+	 * Constructs the integration.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param SV_WC_Payment_Gateway $gateway gateway instance
+	 */
+	public function __construct( SV_WC_Payment_Gateway $gateway ) {
+
+		$this->gateway = $gateway;
+		$this->name    = $gateway->get_id();
+	}
+
+
+	/**
+	 * Initializes the integration.
+	 *
+	 * The gateway holds all of the settings, so there is nothing to load here.
+	 *
+	 * @since 5.11.0
+	 */
+	public function initialize() {}
+
+
+	/**
+	 * Determines whether the payment method is active.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return bool
+	 */
+	public function is_active() {
+
+		return $this->get_gateway()->is_enabled();
+	}
+
+
+	/**
+	 * Registers the payment method scripts and gets their handles.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return string[]
+	 */
+	public function get_payment_method_script_handles() {
+
+		self::register_script( $this->get_gateway()->get_plugin() );
+
+		wp_add_inline_script( self::SCRIPT_HANDLE, sprintf( 'window.SV_WC_Payment_Gateway_Blocks_Handler_v5_10_8.register_payment_method( %s );', wp_json_encode( $this->get_name() ) ) );
+
+		return [ self::SCRIPT_HANDLE ];
+	}
+
+
+	/**
+	 * Gets the data passed to the payment method script.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array
+	 */
+	public function get_payment_method_data() {
+
+		$gateway      = $this->get_gateway();
+		$payment_form = $gateway->supports_payment_form() ? $gateway->get_payment_form_instance() : null;
+
+		$data = [
+			'id'               => $gateway->get_id(),
+			'id_dasherized'    => $gateway->get_id_dasherized(),
+			'title'            => $gateway->get_title(),
+			'description'      => $gateway->get_description(),
+			'test_environment' => $gateway->is_test_environment(),
+			'card_icons'       => $this->get_card_icons(),
+			'fields'           => $payment_form ? array_values( $payment_form->get_block_payment_fields() ) : [],
+			'args'             => $payment_form ? $payment_form->get_filtered_js_handler_args() : [],
+			'handler_class'    => $payment_form ? $payment_form->get_block_js_handler_class_name() : '',
+			'tokens'           => $this->get_tokens(),
+			'supports'         => [
+				'features'         => array_values( $gateway->supports ),
+				'show_saved_cards' => $payment_form && $payment_form->tokenization_allowed(),
+				'show_save_option' => $payment_form && $payment_form->tokenization_allowed() && ! $payment_form->tokenization_forced(),
+			],
+			'i18n'             => [
+				/* translators: Test mode refers to the current software environment */
+				'test_mode'     => __( 'TEST MODE ENABLED', 'woocommerce-plugin-framework' ),
+				'general_error' => __( 'An error occurred, please try again or try an alternate form of payment', 'woocommerce-plugin-framework' ),
+			],
+		];
+
+		/**
+		 * Filters the checkout block payment method data.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param array $data payment method data
+		 * @param Gateway_Checkout_Block_Integration $integration block integration instance
+		 */
+		return (array) apply_filters( 'wc_' . $gateway->get_id() . '_checkout_block_payment_method_data', $data, $this );
+	}
+
+
+	/**
+	 * Gets the accepted card icons, keyed by card type.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array
+	 */
+	protected function get_card_icons() {
+
+		$icons = [];
+
+		if ( $this->get_gateway()->supports_card_types() ) {
+
+			foreach ( (array) $this->get_gateway()->get_card_types() as $card_type ) {
+
+				$card_type = SV_WC_Payment_Gateway_Helper::normalize_card_type( $card_type );
+
+				if ( $url = $this->get_gateway()->get_payment_method_image_url( $card_type ) ) {
+					$icons[ $card_type ] = [
+						'src' => $url,
+						'alt' => SV_WC_Payment_Gateway_Helper::payment_type_to_name( $card_type ),
+					];
+				}
+			}
+		}
+
+		return $icons;
+	}
+
+
+	/**
+	 * Gets the current customer's framework token IDs, keyed by their WooCommerce core token ID.
+	 *
+	 * The block only knows about core tokens, while the gateway expects its own token IDs.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array
+	 */
+	protected function get_tokens() {
+
+		$tokens = [];
+
+		if ( ! is_user_logged_in() || ! $this->get_gateway()->supports_tokenization() || ! $this->get_gateway()->tokenization_enabled() ) {
+			return $tokens;
+		}
+
+		foreach ( $this->get_gateway()->get_payment_tokens_handler()->get_tokens( get_current_user_id() ) as $token ) {
+
+			if ( $core_token = $token->get_woocommerce_payment_token() ) {
+				$tokens[ $core_token->get_id() ] = $token->get_id();
+			}
+		}
+
+		return $tokens;
+	}
+
+
+	/**
+	 * Gets the features the payment method supports.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return string[]
+	 */
+	public function get_supported_features() {
+
+		return array_values( $this->get_gateway()->supports );
+	}
+
+
+	/**
+	 * Gets the gateway instance.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return SV_WC_Payment_Gateway
+	 */
+	public function get_gateway() {
+
+		return $this->gateway;
+	}
+
+
+	/**
+	 * Registers the blocks script shared by all of the framework payment methods.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \SkyVerge\WooCommerce\PluginFramework\v5_10_8\SV_WC_Payment_Gateway_Plugin $plugin gateway plugin instance
+	 */
+	public static function register_script( $plugin ) {
+
+		// card formatting & validation rules are shared with the payment form handler, so its scripts are registered here as well
+		$gateways = $plugin->get_gateways();
+
+		if ( $gateway = reset( $gateways ) ) {
+			$gateway->register_payment_form_scripts();
+		}
+
+		$dependencies = [ 'wc-blocks-registry', 'wc-settings', 'wp-element', 'wp-html-entities', 'jquery', 'sv-wc-payment-gateway-card-utils-v5_10_8', 'sv-wc-payment-gateway-payment-form-v5_10_8' ];
+
+		wp_register_script( self::SCRIPT_HANDLE, $plugin->get_payment_gateway_framework_assets_url() . '/dist/frontend/sv-wc-payment-gateway-blocks.js', $dependencies, SV_WC_Plugin::VERSION, true );
+	}
+
+
+}
+
+
+endif;
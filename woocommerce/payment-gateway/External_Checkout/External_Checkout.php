@@ -25,6 +25,7 @@
 namespace SkyVerge\WooCommerce\PluginFramework\v5_10_8\Payment_Gateway\External_Checkout;
 
 use SkyVerge\WooCommerce\PluginFramework\v5_10_8\SV_WC_Payment_Gateway;
+use SkyVerge\WooCommerce\PluginFramework\v5_10_8\SV_WC_Payment_Gateway_Exception;
 use SkyVerge\WooCommerce\PluginFramework\v5_10_8\SV_WC_Payment_Gateway_Plugin;
 
 defined( 'ABSPATH' ) or exit;
@@ -116,6 +117,21 @@ abstract class External_Checkout {
 	abstract public function is_billing_address_available_before_payment();
 
 
+	/**
+	 * Gets the frontend handler instance.
+	 *
+	 * The frontend is only initialized on frontend requests, for the plugin that processes the payments.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return Frontend|null
+	 */
+	public function get_frontend_instance() {
+
+		return isset( $this->frontend ) ? $this->frontend : null;
+	}
+
+
 	/**
 	 * Gets the configured display locations.
 	 *
@@ -175,6 +191,102 @@ abstract class External_Checkout {
 	}
 
 
+	/**
+	 * Replaces the cart contents with a product bought from its product page.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \WC_Product $product simple product or variation
+	 * @param int $quantity quantity to buy
+	 * @param array $variation chosen variation attributes, keyed by `attribute_` name
+	 * @throws \Exception
+	 */
+	public function add_product_to_cart_contents( \WC_Product $product, $quantity = 1, array $variation = [] ) {
+
+		WC()->cart->empty_cart();
+
+		if ( $product->is_type( 'variation' ) ) {
+
+			$attributes = $product->get_variation_attributes();
+
+			// variations set to "any" value take the one the customer chose
+			foreach ( $variation as $name => $value ) {
+
+				if ( 0 === strpos( $name, 'attribute_' ) && array_key_exists( $name, $attributes ) && '' === $attributes[ $name ] ) {
+					$attributes[ $name ] = wc_clean( $value );
+				}
+			}
+
+			$cart_item_key = WC()->cart->add_to_cart( $product->get_parent_id(), $quantity, $product->get_id(), $attributes );
+
+		} else {
+
+			$cart_item_key = WC()->cart->add_to_cart( $product->get_id(), $quantity );
+		}
+
+		// WooCommerce adds a notice explaining why the product couldn't be added
+		wc_clear_notices();
+
+		if ( ! $cart_item_key ) {
+			throw new SV_WC_Payment_Gateway_Exception( 'Product could not be added to the cart.' );
+		}
+	}
+
+
+	/**
+	 * Applies the coupon codes entered in the payment sheet to the cart.
+	 *
+	 * Coupons that are applied to the cart but were removed from the payment sheet are removed as well.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \WC_Cart $cart cart object
+	 * @param string[] $coupon_codes coupon codes entered in the payment sheet
+	 * @return string[] error messages for the codes that could not be applied, keyed by code
+	 */
+	public function apply_coupon_codes( \WC_Cart $cart, array $coupon_codes ) {
+
+		$coupon_codes = array_unique( array_filter( array_map( 'wc_format_coupon_code', $coupon_codes ) ) );
+		$errors       = [];
+
+		foreach ( $cart->get_applied_coupons() as $applied_code ) {
+
+			if ( ! in_array( $applied_code, $coupon_codes, true ) ) {
+				$cart->remove_coupon( $applied_code );
+			}
+		}
+
+		foreach ( $coupon_codes as $coupon_code ) {
+
+			if ( ! wc_coupons_enabled() ) {
+
+				$errors[ $coupon_code ] = __( 'Coupon codes are not accepted', 'woocommerce-plugin-framework' );
+				continue;
+			}
+
+			if ( $cart->has_discount( $coupon_code ) ) {
+				continue;
+			}
+
+			$valid = ( new \WC_Discounts( $cart ) )->is_coupon_valid( new \WC_Coupon( $coupon_code ) );
+
+			if ( is_wp_error( $valid ) ) {
+				$errors[ $coupon_code ] = html_entity_decode( wp_strip_all_tags( $valid->get_error_message() ), ENT_QUOTES, get_bloginfo( 'charset' ) );
+			} elseif ( ! $cart->apply_coupon( $coupon_code ) ) {
+				/* translators: Placeholders: %s - coupon code */
+				$errors[ $coupon_code ] = sprintf( __( 'The coupon code %s cannot be applied', 'woocommerce-plugin-framework' ), $coupon_code );
+			}
+		}
+
+		// the payment sheet displays the errors, so the notices added by WooCommerce would only show up on the next page load
+		wc_clear_notices();
+
+		$cart->calculate_totals();
+
+		return $errors;
+	}
+
+
 	/**
 	 * Determines if the external checkout is available.
 	 *
@@ -244,6 +356,30 @@ abstract class External_Checkout {
 	}
 
 
+	/**
+	 * Determines if the wallet is replaced by the framework's mock wallet.
+	 *
+	 * The mock wallet stands in for the browser wallet API, so the checkout can be tested in any browser or in jsdom.
+	 * It's only used in test mode, as its payments can't be processed by the gateway.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return bool
+	 */
+	public function is_mock_wallet_enabled() {
+
+		/**
+		 * Filters whether the wallet is replaced by the mock wallet in test mode.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param bool $enabled whether the mock wallet is enabled
+		 * @param External_Checkout $handler the external checkout handler
+		 */
+		return $this->is_test_mode() && (bool) apply_filters( "sv_wc_{$this->id}_mock_wallet_enabled", 'yes' === get_option( "sv_wc_{$this->id}_mock_wallet" ), $this );
+	}
+
+
 	/**
 	 * Gets the gateways that declare support for this external checkout flow.
 	 *
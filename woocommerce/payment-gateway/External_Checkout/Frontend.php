@@ -26,6 +26,7 @@
 namespace SkyVerge\WooCommerce\PluginFramework\v5_10_8\Payment_Gateway\External_Checkout;
 
 use SkyVerge\WooCommerce\PluginFramework\v5_10_8\Handlers\Script_Handler;
+use SkyVerge\WooCommerce\PluginFramework\v5_10_8\Payment_Gateway\Blocks\Blocks_Handler;
 use SkyVerge\WooCommerce\PluginFramework\v5_10_8\SV_WC_Helper;
 use SkyVerge\WooCommerce\PluginFramework\v5_10_8\SV_WC_Payment_Gateway;
 use SkyVerge\WooCommerce\PluginFramework\v5_10_8\SV_WC_Payment_Gateway_Plugin;
@@ -97,7 +98,8 @@ abstract class Frontend extends Script_Handler {
 	 */
 	public function init() {
 
-		if ( ! $this->get_handler()->is_available() ) {
+		// the cart and checkout blocks render the button and load the handler themselves
+		if ( ! $this->get_handler()->is_available() || Blocks_Handler::is_cart_block_page() || Blocks_Handler::is_checkout_block_page() ) {
 			return;
 		}
 
@@ -326,6 +328,64 @@ abstract class Frontend extends Script_Handler {
 	}
 
 
+	/**
+	 * Enqueues the mock wallet and installs it in place of the browser wallet API.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $wallet wallet to replace, either `apple_pay` or `google_pay`
+	 * @return string the mock wallet script handle, for the handler script to depend on
+	 */
+	protected function enqueue_mock_wallet( $wallet ) {
+
+		$handle = 'sv-wc-mock-wallet-v5_10_8';
+
+		wp_enqueue_script( $handle, $this->get_handler()->get_plugin()->get_payment_gateway_framework_assets_url() . '/dist/frontend/sv-wc-payment-gateway-mock-wallet.js', [], $this->get_handler()->get_plugin()->get_version(), true );
+
+		/**
+		 * Filters the mock wallet scenario, such as the steps run once the payment sheet is opened.
+		 *
+		 * @see SV_WC_Mock_Wallet_v5_10_8 in sv-wc-payment-gateway-mock-wallet.js for the available options
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param array $options mock wallet options
+		 * @param Frontend $frontend the frontend instance
+		 */
+		$options = (array) apply_filters( "sv_wc_{$wallet}_mock_wallet_options", [], $this );
+
+		wp_add_inline_script( $handle, sprintf( 'SV_WC_Mock_Wallet_v5_10_8.install( %s, %s );', wp_json_encode( $wallet ), wp_json_encode( (object) $options ) ) );
+
+		return $handle;
+	}
+
+
+	/**
+	 * Gets the data needed to render the external checkout in the cart and checkout blocks.
+	 *
+	 * The blocks are always built from the cart, so the handler gets the cart arguments.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array
+	 */
+	public function get_block_data() {
+
+		$cart_args = WC()->cart && method_exists( $this, 'get_cart_js_handler_args' ) ? $this->get_cart_js_handler_args( WC()->cart ) : [];
+
+		ob_start();
+
+		$this->render_button();
+
+		return [
+			'handler_class' => $this->get_js_handler_class_name(),
+			'handler_args'  => $this->get_filtered_js_handler_args( $cart_args ),
+			'button_html'   => ob_get_clean(),
+			'locations'     => $this->get_handler()->get_display_locations(),
+		];
+	}
+
+
 	/**
 	 * Enqueues an external checkout JS handler.
 	 *
@@ -98,7 +98,7 @@ class AJAX {
 
 			$product_id = wc_clean( SV_WC_Helper::get_posted_value( 'productID' ) );
 
-			$transaction_info = $this->get_handler()->get_transaction_info( WC()->cart, $product_id );
+			$transaction_info = $this->get_handler()->get_transaction_info( WC()->cart, $product_id, $this->get_posted_quantity() );
 
 			$this->get_handler()->log( "Google transaction info:\n" . print_r( $transaction_info, true ) );
 
@@ -117,7 +117,7 @@ class AJAX {
 
 
 	/**
-	 * Recalculates the totals after selecting an address or shipping method.
+	 * Recalculates the totals after selecting an address, shipping method or offer code.
 	 *
 	 * @internal
 	 *
@@ -163,7 +163,11 @@ class AJAX {
 
 			$product_id = wc_clean( SV_WC_Helper::get_posted_value( 'productID' ) );
 
-			$payment_totals = $this->get_handler()->recalculate_totals( wc_clean( $method ), $product_id );
+			// offer codes are only posted once the customer has seen them in the payment sheet
+			$offer_codes = SV_WC_Helper::get_posted_value( 'offerCodes', null );
+			$offer_codes = null !== $offer_codes ? array_filter( (array) wc_clean( wp_unslash( $offer_codes ) ) ) : null;
+
+			$payment_totals = $this->get_handler()->recalculate_totals( wc_clean( $method ), $product_id, $offer_codes, $this->get_posted_quantity(), $this->get_posted_variation() );
 
 			$this->get_handler()->log( "New totals:\n" . print_r( $payment_totals, true ) );
 
@@ -199,7 +203,7 @@ class AJAX {
 
 		try {
 
-			$result = $this->get_handler()->process_payment( $payment_data, $product_id );
+			$result = $this->get_handler()->process_payment( $payment_data, $product_id, $this->get_posted_quantity(), $this->get_posted_variation() );
 
 			wp_send_json_success( $result );
 
@@ -215,6 +219,32 @@ class AJAX {
 	}
 
 
+	/**
+	 * Gets the quantity posted from the product page.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return int
+	 */
+	protected function get_posted_quantity() {
+
+		return max( 1, (int) wc_stock_amount( SV_WC_Helper::get_posted_value( 'quantity', 1 ) ) );
+	}
+
+
+	/**
+	 * Gets the variation attributes posted from the product page.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array
+	 */
+	protected function get_posted_variation() {
+
+		return (array) wc_clean( wp_unslash( SV_WC_Helper::get_posted_value( 'variation', [] ) ) );
+	}
+
+
 	/**
 	 * Gets the Google Pay handler instance.
 	 *
@@ -160,6 +160,14 @@ class Admin extends \SkyVerge\WooCommerce\PluginFramework\v5_10_8\Payment_Gatewa
 			'default' => 'no',
 		];
 
+		$connection_settings[] = [
+			'id'      => 'sv_wc_google_pay_mock_wallet',
+			'title'   => __( 'Mock Wallet', 'woocommerce-plugin-framework' ),
+			'desc'    => __( 'Replace Google Pay with a scriptable mock wallet in test mode, so the checkout can be tested in any browser.', 'woocommerce-plugin-framework' ),
+			'type'    => 'checkbox',
+			'default' => 'no',
+		];
+
 		$connection_settings[] = [
 			'type' => 'sectionend',
 		];
@@ -93,8 +93,18 @@ class Frontend extends \SkyVerge\WooCommerce\PluginFramework\v5_10_8\Payment_Gat
 
 		parent::enqueue_scripts();
 
-		wp_enqueue_script( 'google-pay-js-library', 'https://pay.google.com/gp/p/js/pay.js', array(), null, true );
-		wp_enqueue_script( 'sv-wc-google-pay-v5_10_8', $this->get_plugin()->get_payment_gateway_framework_assets_url() . '/dist/frontend/sv-wc-payment-gateway-google-pay.js', [ 'google-pay-js-library', 'jquery' ], $this->get_plugin()->get_version(), true );
+		if ( $this->get_handler()->is_mock_wallet_enabled() ) {
+
+			$library = $this->enqueue_mock_wallet( 'google_pay' );
+
+		} else {
+
+			$library = 'google-pay-js-library';
+
+			wp_enqueue_script( $library, 'https://pay.google.com/gp/p/js/pay.js', array(), null, true );
+		}
+
+		wp_enqueue_script( 'sv-wc-google-pay-v5_10_8', $this->get_plugin()->get_payment_gateway_framework_assets_url() . '/dist/frontend/sv-wc-payment-gateway-google-pay.js', [ $library, 'jquery' ], $this->get_plugin()->get_version(), true );
 	}
 
 
@@ -127,7 +137,9 @@ class Frontend extends \SkyVerge\WooCommerce\PluginFramework\v5_10_8\Payment_Gat
 			'card_types'               => $this->get_handler()->get_supported_networks(),
 			'available_countries'	   => $this->get_handler()->get_available_countries(),
 			'currency_code'            => get_woocommerce_currency(),
+			'offers_enabled'           => wc_coupons_enabled(),
 			'generic_error'            => __( 'An error occurred, please try again or try an alternate form of payment', 'woocommerce-plugin-framework' ),
+			'unserviceable_error'      => __( 'Cannot ship to the selected address', 'woocommerce-plugin-framework' ),
 		] );
 	}
 
@@ -158,10 +170,20 @@ class Frontend extends \SkyVerge\WooCommerce\PluginFramework\v5_10_8\Payment_Gat
 			return;
 		}
 
-		try {
-			$this->get_handler()->validate_product( $product );
-		} catch ( SV_WC_Payment_Gateway_Exception $exception ) {
-			return;
+		// variations are validated once the customer chooses one
+		if ( $product->is_type( 'variable' ) ) {
+
+			if ( ! $product->is_purchasable() ) {
+				return;
+			}
+
+		} else {
+
+			try {
+				$this->get_handler()->validate_product( $product );
+			} catch ( SV_WC_Payment_Gateway_Exception $exception ) {
+				return;
+			}
 		}
 
 		parent::init_product();
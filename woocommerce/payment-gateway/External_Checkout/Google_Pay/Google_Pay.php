@@ -127,14 +127,15 @@ class Google_Pay extends External_Checkout {
 	 *
 	 * @param \WC_Cart $cart cart object
 	 * @param string $product_id product ID, if we are on a Product page
+	 * @param int $quantity quantity to buy, if we are on a Product page
 	 * @return array
 	 * @throws SV_WC_Payment_Gateway_Exception
 	 */
-	public function get_transaction_info( \WC_Cart $cart, $product_id = '' ) {
+	public function get_transaction_info( \WC_Cart $cart, $product_id = '', $quantity = 1 ) {
 
 		if ( ! empty( $product_id ) && $product = wc_get_product( $product_id ) ) {
 			// buying from the product page
-			$transaction_info = $this->get_product_transaction_info( $product );
+			$transaction_info = $this->get_product_transaction_info( $product, $quantity );
 		} else {
 			$transaction_info = $this->get_cart_transaction_info( $cart );
 		}
@@ -184,9 +185,10 @@ class Google_Pay extends External_Checkout {
 	 * @since 5.10.0
 	 *
 	 * @param \WC_Product $product product object
+	 * @param int $quantity quantity to buy
 	 * @throws SV_WC_Payment_Gateway_Exception
 	 */
-	public function validate_product( \WC_Product $product ) {
+	public function validate_product( \WC_Product $product, $quantity = 1 ) {
 
 		// no subscription products
 		if ( $this->get_plugin()->is_subscriptions_active() && \WC_Subscriptions_Product::is_subscription( $product ) ) {
@@ -198,13 +200,13 @@ class Google_Pay extends External_Checkout {
 			throw new SV_WC_Payment_Gateway_Exception( 'Not available for pre-order products that are set to charge upon release.' );
 		}
 
-		// only simple products
-		if ( ! $product->is_type( 'simple' ) ) {
-			throw new SV_WC_Payment_Gateway_Exception( 'Buy Now is only available for simple products' );
+		// only simple products, or a variation chosen on a variable product page
+		if ( ! $product->is_type( [ 'simple', 'variation' ] ) ) {
+			throw new SV_WC_Payment_Gateway_Exception( 'Buy Now is only available for simple products and variations' );
 		}
 
 		// if this product can't be purchased, bail
-		if ( ! $product->is_purchasable() || ! $product->is_in_stock() || ! $product->has_enough_stock( 1 ) ) {
+		if ( ! $product->is_purchasable() || ! $product->is_in_stock() || ! $product->has_enough_stock( max( 1, (int) $quantity ) ) ) {
 			throw new SV_WC_Payment_Gateway_Exception( 'Product is not available for purchase.' );
 		}
 	}
@@ -240,14 +242,17 @@ class Google_Pay extends External_Checkout {
 	 * @since 5.10.0
 	 *
 	 * @param \WC_Product $product product object
+	 * @param int $quantity quantity to buy
 	 * @return array
 	 * @throws SV_WC_Payment_Gateway_Exception
 	 */
-	public function get_product_transaction_info( \WC_Product $product ) {
+	public function get_product_transaction_info( \WC_Product $product, $quantity = 1 ) {
 
-		$this->validate_product( $product );
+		$quantity = max( 1, (int) $quantity );
 
-		$price = wc_format_decimal( wc_get_price_including_tax( $product ), 2 );
+		$this->validate_product( $product, $quantity );
+
+		$price = wc_format_decimal( wc_get_price_including_tax( $product, [ 'qty' => $quantity ] ), 2 );
 
 		return [
 			'displayItems'     => [
@@ -272,9 +277,11 @@ class Google_Pay extends External_Checkout {
 	 * @since 5.10.0
 	 *
 	 * @param string $product_id product ID, if we are on a Product page
+	 * @param int $quantity quantity to buy
+	 * @param array $variation chosen variation attributes, keyed by `attribute_` name
 	 * @throws \Exception
 	 */
-	public function add_product_to_cart( $product_id ) {
+	public function add_product_to_cart( $product_id, $quantity = 1, array $variation = [] ) {
 
 		if ( ! empty( $product_id ) && $product = wc_get_product( $product_id ) ) {
 
@@ -282,40 +289,49 @@ class Google_Pay extends External_Checkout {
 				WC()->session->set_customer_session_cookie( true );
 			}
 
-			$this->validate_product( $product );
+			$quantity = max( 1, (int) $quantity );
 
-			WC()->cart->empty_cart();
+			$this->validate_product( $product, $quantity );
 
-			WC()->cart->add_to_cart( $product->get_id() );
+			$this->add_product_to_cart_contents( $product, $quantity, $variation );
 		}
 	}
 
 
 	/**
-	 * Recalculates the lines and totals after selecting an address or shipping method.
+	 * Recalculates the lines and totals after selecting an address, shipping method or offer code.
 	 *
 	 * @since 5.10.0
 	 *
 	 * @param string $chosen_shipping_method chosen shipping method
 	 * @param string $product_id product ID, if we are on a Product page
+	 * @param string[]|null $offer_codes offer codes entered in the payment sheet, or null to keep the cart coupons
+	 * @param int $quantity quantity to buy, if we are on a Product page
+	 * @param array $variation chosen variation attributes, if we are on a Product page
 	 * @return array
 	 * @throws \Exception
 	 */
-	public function recalculate_totals( $chosen_shipping_method, $product_id ) {
+	public function recalculate_totals( $chosen_shipping_method, $product_id, $offer_codes = null, $quantity = 1, array $variation = [] ) {
 
 		// if this is a single product page, make sure the cart gets populated
-		$this->add_product_to_cart( $product_id );
+		$this->add_product_to_cart( $product_id, $quantity, $variation );
 
 		if ( ! WC()->cart ) {
 			throw new SV_WC_Payment_Gateway_Exception( 'Cart data is missing.' );
 		}
 
+		$offer_errors = is_array( $offer_codes ) ? $this->apply_coupon_codes( WC()->cart, $offer_codes ) : [];
+
 		$response_data = [
 			// we do not pass the product ID here because we want to get the totals from the cart (including tax and shipping)
 			'newTransactionInfo'          => $this->get_transaction_info( WC()->cart ),
 			'newShippingOptionParameters' => [],
 		];
 
+		if ( wc_coupons_enabled() ) {
+			$response_data['newOfferInfo'] = $this->get_offer_info( WC()->cart );
+		}
+
 		$shipping_options = [];
 		$packages         = WC()->shipping->get_packages();
 
@@ -336,7 +352,7 @@ class Google_Pay extends External_Checkout {
 
 				$shipping_options[] = [
 					'id'          => $method->get_id(),
-					'label'       => $method->get_label(),
+					'label'       => $this->get_shipping_option_label( $method ),
 					'description' => $method_description,
 				];
 			}
@@ -344,17 +360,91 @@ class Google_Pay extends External_Checkout {
 
 		$response_data['newShippingOptionParameters']['shippingOptions'] = $shipping_options;
 
-		if ( ! empty( $chosen_shipping_method ) ) {
-			$response_data['newShippingOptionParameters']['defaultSelectedOptionId'] = $chosen_shipping_method;
+		$option_ids = wp_list_pluck( $shipping_options, 'id' );
+
+		// the totals were calculated with the method WooCommerce chose, which is the posted one if it's still available
+		$chosen_shipping_methods = (array) WC()->session->get( 'chosen_shipping_methods', [] );
+		$selected_option_id      = ! empty( $chosen_shipping_methods[0] ) ? $chosen_shipping_methods[0] : $chosen_shipping_method;
+
+		if ( ! empty( $selected_option_id ) && in_array( $selected_option_id, $option_ids, true ) ) {
+			$response_data['newShippingOptionParameters']['defaultSelectedOptionId'] = $selected_option_id;
 		} elseif ( ! empty( $shipping_options ) ) {
 			// set the first method as the default
 			$response_data['newShippingOptionParameters']['defaultSelectedOptionId'] = $shipping_options[0]['id'];
 		}
 
+		if ( ! empty( $offer_errors ) ) {
+
+			$response_data['error'] = [
+				'reason'  => 'OFFER_INVALID',
+				'message' => current( $offer_errors ),
+				'intent'  => 'OFFER',
+			];
+
+		} elseif ( empty( $shipping_options ) && WC()->cart->needs_shipping() ) {
+
+			$response_data['error'] = [
+				'reason'  => 'SHIPPING_ADDRESS_UNSERVICEABLE',
+				'message' => __( 'Cannot ship to the selected address', 'woocommerce-plugin-framework' ),
+				'intent'  => 'SHIPPING_ADDRESS',
+			];
+
+		} elseif ( ! empty( $chosen_shipping_method ) && ! in_array( $chosen_shipping_method, $option_ids, true ) ) {
+
+			$response_data['error'] = [
+				'reason'  => 'SHIPPING_OPTION_INVALID',
+				'message' => __( 'The selected shipping method is not available, please choose another one', 'woocommerce-plugin-framework' ),
+				'intent'  => 'SHIPPING_OPTION',
+			];
+		}
+
 		return $response_data;
 	}
 
 
+	/**
+	 * Gets a shipping option label for the Google Pay payment sheet, including its cost.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \WC_Shipping_Rate $method shipping rate
+	 * @return string
+	 */
+	protected function get_shipping_option_label( \WC_Shipping_Rate $method ) {
+
+		return html_entity_decode( wp_strip_all_tags( wc_cart_totals_shipping_method_label( $method ) ), ENT_QUOTES, get_bloginfo( 'charset' ) );
+	}
+
+
+	/**
+	 * Gets the offer info for the coupons applied to the cart.
+	 *
+	 * @see https://developers.google.com/pay/api/web/reference/request-objects#OfferInfo
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \WC_Cart $cart cart object
+	 * @return array
+	 */
+	public function get_offer_info( \WC_Cart $cart ) {
+
+		$offers = [];
+
+		foreach ( $cart->get_applied_coupons() as $code ) {
+
+			$discount = $cart->get_coupon_discount_amount( $code, ! $cart->display_prices_including_tax() );
+
+			$offers[] = [
+				'redemptionCode' => $code,
+				/* translators: Placeholders: %s - discount amount */
+				'description'    => sprintf( __( '%s off', 'woocommerce-plugin-framework' ), html_entity_decode( wp_strip_all_tags( wc_price( $discount ) ), ENT_QUOTES, get_bloginfo( 'charset' ) ) ),
+			];
+		}
+
+		return [ 'offers' => $offers ];
+	}
+
+
 	/**
 	 * Builds display items for the Google Pay JS.
 	 *
@@ -436,10 +526,12 @@ class Google_Pay extends External_Checkout {
 	 *
 	 * @param mixed $payment_data payment data returned by Google Pay
 	 * @param string $product_id product ID, if we are on a Product page
+	 * @param int $quantity quantity to buy, if we are on a Product page
+	 * @param array $variation chosen variation attributes, if we are on a Product page
 	 * @return array
 	 * @throws \Exception
 	 */
-	public function process_payment( $payment_data, $product_id ) {
+	public function process_payment( $payment_data, $product_id, $quantity = 1, array $variation = [] ) {
 
 		$order = null;
 
@@ -452,7 +544,17 @@ class Google_Pay extends External_Checkout {
 			$this->store_payment_response( $payment_data );
 
 			// if this is a single product page, make sure the cart gets populated
-			$this->add_product_to_cart( $product_id );
+			$this->add_product_to_cart( $product_id, $quantity, $variation );
+
+			// make sure the offer codes the customer saw in the payment sheet are applied to the cart
+			if ( isset( $payment_data['offerData']['redemptionCodes'] ) && is_array( $payment_data['offerData']['redemptionCodes'] ) ) {
+
+				$offer_errors = $this->apply_coupon_codes( WC()->cart, $payment_data['offerData']['redemptionCodes'] );
+
+				if ( ! empty( $offer_errors ) ) {
+					throw new SV_WC_Payment_Gateway_Exception( 'Offer codes could not be applied: ' . implode( ', ', array_keys( $offer_errors ) ) );
+				}
+			}
 
 			$order = Orders::create_order( WC()->cart, [ 'created_via' => 'google_pay' ] );
 
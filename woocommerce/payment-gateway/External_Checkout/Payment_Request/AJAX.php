@@ -0,0 +1,260 @@
+<?php
+/**
+ * WooCommerce Payment Gateway Framework
+ *
+ * This source file is subject to the GNU General Public License v3.0
+ * that is bundled with this package in the file license.txt.
+ * It is also available through the world-wide-web at this URL:
+ * http://www.gnu.org/licenses/gpl-3.0.html
+ * If you did not receive a copy of the license and are unable to
+ * obtain it through the world-wide-web, please send an email
+ * to license@skyverge.com so we can send you a copy immediately.
+ *
+ * DISCLAIMER
+ *
+ * Do not edit or add to this file if you wish to upgrade the plugin to newer
+ * versions in the future. If you wish to customize the plugin for your
+ * needs please refer to http://www.skyverge.com
+ *
+ * @package   SkyVerge/WooCommerce/Payment-Gateway/External_Checkout/Payment-Request
+ * @author    SkyVerge
+ * @copyright Copyright (c) 2013-2021, SkyVerge, Inc.
+ * @license   http://www.gnu.org/licenses/gpl-3.0.html GNU General Public License v3.0
+ */
+
+namespace SkyVerge\WooCommerce\PluginFramework\v5_10_8\Payment_Gateway\External_Checkout\Payment_Request;
+
+use SkyVerge\WooCommerce\PluginFramework\v5_10_8\SV_WC_Helper;
+use SkyVerge\WooCommerce\PluginFramework\v5_10_8\SV_WC_Payment_Gateway_Exception;
+
+defined( 'ABSPATH' ) or exit;
+
+if ( ! class_exists( '\\SkyVerge\\WooCommerce\\PluginFramework\\v5_10_8\\Payment_Gateway\\External_Checkout\\Payment_Request\\AJAX' ) ) :
+
+
+/**
+ * The Payment Request API AJAX handler.
+ *
+ * @since 5.11.0
+ */
+class AJAX {
+
+
+	/** @var Payment_Request $handler the Payment Request handler instance */
+	protected $handler;
+
+
+	/**
+	 * Constructs the class.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param Payment_Request $handler the Payment Request handler instance
+	 */
+	public function __construct( Payment_Request $handler ) {
+
+		$this->handler = $handler;
+
+		if ( $this->get_handler()->is_available() ) {
+			$this->add_hooks();
+		}
+	}
+
+
+	/**
+	 * Adds the action & filter hooks.
+	 *
+	 * @since 5.11.0
+	 */
+	protected function add_hooks() {
+
+		$gateway_id = $this->get_handler()->get_processing_gateway()->get_id();
+
+		add_action( "wp_ajax_wc_{$gateway_id}_payment_request_get_payment_details",        [ $this, 'get_payment_details' ] );
+		add_action( "wp_ajax_nopriv_wc_{$gateway_id}_payment_request_get_payment_details", [ $this, 'get_payment_details' ] );
+
+		// recalculate the totals after selecting an address or shipping option
+		add_action( "wp_ajax_wc_{$gateway_id}_payment_request_recalculate_totals",        [ $this, 'recalculate_totals' ] );
+		add_action( "wp_ajax_nopriv_wc_{$gateway_id}_payment_request_recalculate_totals", [ $this, 'recalculate_totals' ] );
+
+		// process the payment
+		add_action( "wp_ajax_wc_{$gateway_id}_payment_request_process_payment",        [ $this, 'process_payment' ] );
+		add_action( "wp_ajax_nopriv_wc_{$gateway_id}_payment_request_process_payment", [ $this, 'process_payment' ] );
+	}
+
+
+	/**
+	 * Gets the payment details based on WooCommerce cart or product data.
+	 *
+	 * @internal
+	 *
+	 * @since 5.11.0
+	 */
+	public function get_payment_details() {
+
+		$this->get_handler()->log( 'Getting payment details' );
+
+		try {
+
+			$product_id = wc_clean( SV_WC_Helper::get_posted_value( 'product_id' ) );
+
+			$details = $this->get_handler()->get_payment_details( WC()->cart, $product_id, $this->get_posted_quantity() );
+
+			$this->get_handler()->log( "Payment details:\n" . print_r( $details, true ) );
+
+			wp_send_json_success( $details );
+
+		} catch ( SV_WC_Payment_Gateway_Exception $e ) {
+
+			$this->get_handler()->log( 'Could not build payment details. ' . $e->getMessage() );
+
+			wp_send_json_error( [
+				'message' => $e->getMessage(),
+				'code'    => $e->getCode(),
+			] );
+		}
+	}
+
+
+	/**
+	 * Recalculates the totals after selecting an address or shipping option.
+	 *
+	 * @internal
+	 *
+	 * @since 5.11.0
+	 */
+	public function recalculate_totals() {
+
+		$this->get_handler()->log( 'Recalculating totals' );
+
+		check_ajax_referer( 'wc_' . $this->get_handler()->get_processing_gateway()->get_id() . '_payment_request_recalculate_totals', 'nonce' );
+
+		try {
+
+			// if a shipping address is passed, set the shipping address data
+			$shipping_address = SV_WC_Helper::get_posted_value( 'shipping_address' );
+
+			if ( ! empty( $shipping_address ) && is_array( $shipping_address ) ) {
+
+				$shipping_address = wp_parse_args( wc_clean( wp_unslash( $shipping_address ) ), [
+					'city'       => null,
+					'region'     => null,
+					'country'    => null,
+					'postalCode' => null,
+				] );
+
+				WC()->customer->set_shipping_city( $shipping_address['city'] );
+				WC()->customer->set_shipping_state( $shipping_address['region'] );
+				WC()->customer->set_shipping_country( $shipping_address['country'] );
+				WC()->customer->set_shipping_postcode( $shipping_address['postalCode'] );
+
+				if ( $shipping_address['country'] ) {
+					WC()->customer->set_calculated_shipping( true );
+				}
+			}
+
+			$method = wc_clean( SV_WC_Helper::get_posted_value( 'shipping_option' ) );
+
+			WC()->session->set( 'chosen_shipping_methods', $method ? [ $method ] : [] );
+
+			$product_id = wc_clean( SV_WC_Helper::get_posted_value( 'product_id' ) );
+
+			$details = $this->get_handler()->recalculate_totals( $method, $product_id, $this->get_posted_quantity(), $this->get_posted_variation() );
+
+			$this->get_handler()->log( "New totals:\n" . print_r( $details, true ) );
+
+			wp_send_json_success( $details );
+
+		} catch ( \Exception $e ) {
+
+			$this->get_handler()->log( $e->getMessage() );
+
+			wp_send_json_error( [
+				'message' => $e->getMessage(),
+				'code'    => $e->getCode(),
+			] );
+		}
+	}
+
+
+	/**
+	 * Processes the payment after the Payment Request API authorization.
+	 *
+	 * @internal
+	 *
+	 * @since 5.11.0
+	 */
+	public function process_payment() {
+
+		$this->get_handler()->log( 'Processing payment' );
+
+		check_ajax_referer( 'wc_' . $this->get_handler()->get_processing_gateway()->get_id() . '_payment_request_process_payment', 'nonce' );
+
+		$response   = json_decode( wp_unslash( SV_WC_Helper::get_posted_value( 'payment_response' ) ), true );
+		$product_id = wc_clean( SV_WC_Helper::get_posted_value( 'product_id' ) );
+
+		try {
+
+			if ( ! is_array( $response ) ) {
+				throw new SV_WC_Payment_Gateway_Exception( 'Invalid payment response data' );
+			}
+
+			$result = $this->get_handler()->process_payment( $response, $product_id, $this->get_posted_quantity(), $this->get_posted_variation() );
+
+			wp_send_json_success( $result );
+
+		} catch ( \Exception $e ) {
+
+			$this->get_handler()->log( 'Payment failed. ' . $e->getMessage() );
+
+			wp_send_json_error( [
+				'message' => $e->getMessage(),
+				'code'    => $e->getCode(),
+			] );
+		}
+	}
+
+
+	/**
+	 * Gets the quantity posted from the product page.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return int
+	 */
+	protected function get_posted_quantity() {
+
+		return max( 1, (int) wc_stock_amount( SV_WC_Helper::get_posted_value( 'quantity', 1 ) ) );
+	}
+
+
+	/**
+	 * Gets the variation attributes posted from the product page.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array
+	 */
+	protected function get_posted_variation() {
+
+		return (array) wc_clean( wp_unslash( SV_WC_Helper::get_posted_value( 'variation', [] ) ) );
+	}
+
+
+	/**
+	 * Gets the Payment Request handler instance.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return Payment_Request
+	 */
+	protected function get_handler() {
+
+		return $this->handler;
+	}
+
+
+}
+
+
+endif;
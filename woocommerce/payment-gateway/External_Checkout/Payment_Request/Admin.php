@@ -0,0 +1,201 @@
+<?php
+/**
+ * WooCommerce Payment Gateway Framework
+ *
+ * This source file is subject to the GNU General Public License v3.0
+ * that is bundled with this package in the file license.txt.
+ * It is also available through the world-wide-web at this URL:
+ * http://www.gnu.org/licenses/gpl-3.0.html
+ * If you did not receive a copy of the license and are unable to
+ * obtain it through the world-wide-web, please send an email
+ * to license@skyverge.com so we can send you a copy immediately.
+ *
+ * DISCLAIMER
+ *
+ * Do not edit or add to this file if you wish to upgrade the plugin to newer
+ * versions in the future. If you wish to customize the plugin for your
+ * needs please refer to http://www.skyverge.com
+ *
+ * @package   SkyVerge/WooCommerce/Payment-Gateway/External_Checkout/Payment-Request
+ * @author    SkyVerge
+ * @copyright Copyright (c) 2013-2021, SkyVerge, Inc.
+ * @license   http://www.gnu.org/licenses/gpl-3.0.html GNU General Public License v3.0
+ */
+
+namespace SkyVerge\WooCommerce\PluginFramework\v5_10_8\Payment_Gateway\External_Checkout\Payment_Request;
+
+defined( 'ABSPATH' ) or exit;
+
+if ( ! class_exists( '\\SkyVerge\\WooCommerce\\PluginFramework\\v5_10_8\\Payment_Gateway\\External_Checkout\\Payment_Request\\Admin' ) ) :
+
+
+/**
+ * Sets up the Payment Request API settings screen.
+ *
+ * @since 5.11.0
+ */
+class Admin extends \SkyVerge\WooCommerce\PluginFramework\v5_10_8\Payment_Gateway\External_Checkout\Admin {
+
+
+	/** @var Payment_Request the Payment Request handler instance */
+	protected $handler;
+
+
+	/**
+	 * Construct the class.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param Payment_Request $handler main Payment Request handler instance
+	 */
+	public function __construct( Payment_Request $handler ) {
+
+		$this->section_id = 'payment-request';
+		$this->handler    = $handler;
+
+		parent::__construct();
+	}
+
+
+	/**
+	 * Gets the name of the Payment Request settings section.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return string
+	 */
+	protected function get_settings_section_name() {
+
+		return __( 'Payment Request', 'woocommerce-plugin-framework' );
+	}
+
+
+	/**
+	 * Gets all of the combined settings.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array $settings combined settings.
+	 */
+	public function get_settings() {
+
+		$settings = [
+
+			[
+				'title' => __( 'Payment Request', 'woocommerce-plugin-framework' ),
+				'type'  => 'title',
+				'desc'  => __( 'Offers the payment methods saved in the browser to customers whose browser supports neither Apple Pay nor Google Pay.', 'woocommerce-plugin-framework' ),
+			],
+
+			[
+				'id'      => 'sv_wc_payment_request_enabled',
+				'title'   => __( 'Enable / Disable', 'woocommerce-plugin-framework' ),
+				'desc'    => __( 'Accept payments through the Payment Request API', 'woocommerce-plugin-framework' ),
+				'type'    => 'checkbox',
+				'default' => 'no',
+			],
+
+			[
+				'id'      => 'sv_wc_payment_request_display_locations',
+				'title'   => __( 'Allow Payment Request on', 'woocommerce-plugin-framework' ),
+				'type'    => 'multiselect',
+				'class'   => 'wc-enhanced-select',
+				'css'     => 'width: 350px;',
+				'options' => $this->get_display_location_options(),
+				'default' => array_keys( $this->get_display_location_options() ),
+			],
+
+			[
+				'type' => 'sectionend',
+			],
+		];
+
+		$settings = array_merge( $settings, $this->get_connection_settings() );
+
+		/**
+		 * Filter the settings fields for the Payment Request API.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param array $settings combined settings.
+		 */
+		return apply_filters( 'woocommerce_get_settings_payment_request', $settings );
+	}
+
+
+	/**
+	 * Gets the connection settings for the Payment Request API.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array $settings connection settings
+	 */
+	protected function get_connection_settings() {
+
+		$connection_settings = [
+			[
+				'title' => __( 'Connection Settings', 'woocommerce-plugin-framework' ),
+				'type'  => 'title',
+			],
+		];
+
+		$connection_settings = $this->add_processing_gateway_settings( $connection_settings );
+
+		$connection_settings[] = [
+			'id'      => 'sv_wc_payment_request_test_mode',
+			'title'   => __( 'Test Mode', 'woocommerce-plugin-framework' ),
+			'desc'    => __( 'Enable to test Payment Request functionality throughout your sites without processing real payments.', 'woocommerce-plugin-framework' ),
+			'type'    => 'checkbox',
+			'default' => 'no',
+		];
+
+		$connection_settings[] = [
+			'type' => 'sectionend',
+		];
+
+		return $connection_settings;
+	}
+
+
+	/**
+	 * Gets the error messages for configuration issues that need attention.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return string[] error messages
+	 */
+	protected function get_configuration_errors() {
+
+		$errors  = parent::get_configuration_errors();
+		$gateway = $this->handler->get_processing_gateway();
+
+		if ( $gateway && ! $this->handler->get_payment_methods() ) {
+
+			$errors[] = sprintf(
+				/* translators: Placeholder: %s - payment gateway title */
+				__( '%s does not request any Payment Request API payment method.', 'woocommerce-plugin-framework' ),
+				$gateway->get_method_title()
+			);
+		}
+
+		return $errors;
+	}
+
+
+	/**
+	 * Gets the gateways that declare support for the Payment Request API.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array
+	 */
+	protected function get_supporting_gateways() {
+
+		return $this->handler->get_supporting_gateways();
+	}
+
+
+}
+
+
+endif;
@@ -0,0 +1,688 @@
+<?php
+/**
+ * WooCommerce Payment Gateway Framework
+ *
+ * This source file is subject to the GNU General Public License v3.0
+ * that is bundled with this package in the file license.txt.
+ * It is also available through the world-wide-web at this URL:
+ * http://www.gnu.org/licenses/gpl-3.0.html
+ * If you did not receive a copy of the license and are unable to
+ * obtain it through the world-wide-web, please send an email
+ * to license@skyverge.com so we can send you a copy immediately.
+ *
+ * DISCLAIMER
+ *
+ * Do not edit or add to this file if you wish to upgrade the plugin to newer
+ * versions in the future. If you wish to customize the plugin for your
+ * needs please refer to http://www.skyverge.com
+ *
+ * @package   SkyVerge/WooCommerce/Payment-Gateway/External_Checkout/Payment-Request
+ * @author    SkyVerge
+ * @copyright Copyright (c) 2013-2021, SkyVerge, Inc.
+ * @license   http://www.gnu.org/licenses/gpl-3.0.html GNU General Public License v3.0
+ */
+
+namespace SkyVerge\WooCommerce\PluginFramework\v5_10_8\Payment_Gateway\External_Checkout\Payment_Request;
+
+use SkyVerge\WooCommerce\PluginFramework\v5_10_8\Payment_Gateway\External_Checkout\External_Checkout;
+use SkyVerge\WooCommerce\PluginFramework\v5_10_8\Payment_Gateway\External_Checkout\Orders;
+use SkyVerge\WooCommerce\PluginFramework\v5_10_8\SV_WC_Payment_Gateway_Exception;
+use SkyVerge\WooCommerce\PluginFramework\v5_10_8\SV_WC_Payment_Gateway_Plugin;
+
+defined( 'ABSPATH' ) or exit;
+
+if ( ! class_exists( '\\SkyVerge\\WooCommerce\\PluginFramework\\v5_10_8\\Payment_Gateway\\External_Checkout\\Payment_Request\\Payment_Request' ) ) :
+
+
+/**
+ * Sets up W3C Payment Request API support.
+ *
+ * The Payment Request API is offered to browsers that support neither Apple Pay
+ * nor Google Pay, with the payment methods the processing gateway requests.
+ *
+ * @see SV_WC_Payment_Gateway::get_payment_request_methods()
+ *
+ * @since 5.11.0
+ */
+class Payment_Request extends External_Checkout {
+
+
+	/** @var Admin the admin instance */
+	protected $admin;
+
+	/** @var Frontend the frontend instance */
+	protected $frontend;
+
+	/** @var AJAX the AJAX instance */
+	protected $ajax;
+
+	/** @var array the payment response being processed, only kept for the current request */
+	protected $payment_response = [];
+
+
+	/**
+	 * Constructs the class.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param SV_WC_Payment_Gateway_Plugin $plugin the plugin instance
+	 */
+	public function __construct( SV_WC_Payment_Gateway_Plugin $plugin ) {
+
+		$this->id    = 'payment_request';
+		$this->label = __( 'Payment Request', 'woocommerce-plugin-framework' );
+
+		parent::__construct( $plugin );
+	}
+
+
+	/**
+	 * Initializes the admin handler.
+	 *
+	 * @since 5.11.0
+	 */
+	protected function init_admin() {
+
+		$this->admin = new Admin( $this );
+	}
+
+
+	/**
+	 * Initializes the AJAX handler.
+	 *
+	 * @since 5.11.0
+	 */
+	protected function init_ajax() {
+
+		$this->ajax = new AJAX( $this );
+	}
+
+
+	/**
+	 * Initializes the frontend handler.
+	 *
+	 * @since 5.11.0
+	 */
+	protected function init_frontend() {
+
+		$this->frontend = new Frontend( $this->get_plugin(), $this );
+	}
+
+
+	/**
+	 * Checks if the external checkout provides the customer billing address to WC before payment confirmation.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return bool
+	 */
+	public function is_billing_address_available_before_payment() {
+
+		// the Payment Request API only provides the payer details once the payment is confirmed
+		return false;
+	}
+
+
+	/**
+	 * Determines if the Payment Request API is available.
+	 *
+	 * The processing gateway must request at least one payment method.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return bool
+	 */
+	public function is_available() {
+
+		return parent::is_available() && ! empty( $this->get_payment_methods() );
+	}
+
+
+	/**
+	 * Gets the payment methods requested by the processing gateway.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array
+	 */
+	public function get_payment_methods() {
+
+		return $this->get_processing_gateway() ? $this->get_processing_gateway()->get_payment_request_methods() : [];
+	}
+
+
+	/**
+	 * Gets the currencies accepted by the Payment Request API.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array
+	 */
+	public function get_accepted_currencies() {
+
+		/**
+		 * Filters the currencies accepted by the gateway's Payment Request API integration.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param array $currencies accepted currencies, or empty for any
+		 */
+		return (array) apply_filters( 'sv_wc_payment_request_accepted_currencies', [] );
+	}
+
+
+	/**
+	 * Gets the payment details based on WooCommerce cart or product data.
+	 *
+	 * @see https://www.w3.org/TR/payment-request/#paymentdetailsinit-dictionary
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \WC_Cart $cart cart object
+	 * @param string $product_id product ID, if we are on a Product page
+	 * @param int $quantity quantity to buy, if we are on a Product page
+	 * @return array
+	 * @throws SV_WC_Payment_Gateway_Exception
+	 */
+	public function get_payment_details( \WC_Cart $cart, $product_id = '', $quantity = 1 ) {
+
+		if ( ! empty( $product_id ) && $product = wc_get_product( $product_id ) ) {
+			// buying from the product page
+			$details = $this->get_product_payment_details( $product, $quantity );
+		} else {
+			$details = $this->get_cart_payment_details( $cart );
+		}
+
+		/**
+		 * Filters the Payment Request API payment details.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param array $details the payment details
+		 * @param \WC_Cart $cart the cart object
+		 * @param \WC_Product|false $product the product object, if buying from the product page
+		 */
+		return apply_filters( 'sv_wc_payment_request_payment_details', $details, $cart, ! empty( $product ) ? $product : false );
+	}
+
+
+	/**
+	 * Checks if all products in the cart can be purchased using the Payment Request API.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \WC_Cart $cart cart object
+	 * @throws SV_WC_Payment_Gateway_Exception
+	 */
+	public function validate_cart( \WC_Cart $cart ) {
+
+		if ( $this->get_plugin()->is_subscriptions_active() && \WC_Subscriptions_Cart::cart_contains_subscription() ) {
+			throw new SV_WC_Payment_Gateway_Exception( 'Cart contains subscriptions.' );
+		}
+
+		if ( $this->get_plugin()->is_pre_orders_active() && \WC_Pre_Orders_Cart::cart_contains_pre_order() ) {
+			throw new SV_WC_Payment_Gateway_Exception( 'Cart contains pre-orders.' );
+		}
+
+		$cart->calculate_totals();
+
+		if ( count( WC()->shipping->get_packages() ) > 1 ) {
+			throw new SV_WC_Payment_Gateway_Exception( 'The Payment Request API cannot be used for multiple shipments.' );
+		}
+	}
+
+
+	/**
+	 * Checks if a single product can be purchased using the Payment Request API.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \WC_Product $product product object
+	 * @param int $quantity quantity to buy
+	 * @throws SV_WC_Payment_Gateway_Exception
+	 */
+	public function validate_product( \WC_Product $product, $quantity = 1 ) {
+
+		// no subscription products
+		if ( $this->get_plugin()->is_subscriptions_active() && \WC_Subscriptions_Product::is_subscription( $product ) ) {
+			throw new SV_WC_Payment_Gateway_Exception( 'Not available for subscription products.' );
+		}
+
+		// no pre-order "charge upon release" products
+		if ( $this->get_plugin()->is_pre_orders_active() && \WC_Pre_Orders_Product::product_is_charged_upon_release( $product ) ) {
+			throw new SV_WC_Payment_Gateway_Exception( 'Not available for pre-order products that are set to charge upon release.' );
+		}
+
+		// only simple products, or a variation chosen on a variable product page
+		if ( ! $product->is_type( [ 'simple', 'variation' ] ) ) {
+			throw new SV_WC_Payment_Gateway_Exception( 'Buy Now is only available for simple products and variations' );
+		}
+
+		// if this product can't be purchased, bail
+		if ( ! $product->is_purchasable() || ! $product->is_in_stock() || ! $product->has_enough_stock( max( 1, (int) $quantity ) ) ) {
+			throw new SV_WC_Payment_Gateway_Exception( 'Product is not available for purchase.' );
+		}
+	}
+
+
+	/**
+	 * Gets the payment details based on WooCommerce cart data.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \WC_Cart $cart cart object
+	 * @return array
+	 * @throws SV_WC_Payment_Gateway_Exception
+	 */
+	public function get_cart_payment_details( \WC_Cart $cart ) {
+
+		$this->validate_cart( $cart );
+
+		$details = [
+			'total'        => $this->get_payment_item( __( 'Total', 'woocommerce-plugin-framework' ), $cart->total ),
+			'displayItems' => $this->build_display_items( $cart ),
+		];
+
+		if ( $cart->needs_shipping() ) {
+			$details['shippingOptions'] = $this->get_shipping_options();
+		}
+
+		return $details;
+	}
+
+
+	/**
+	 * Gets the payment details based on product data.
+	 *
+	 * The shipping options are only known once the customer has chosen an address.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \WC_Product $product product object
+	 * @param int $quantity quantity to buy
+	 * @return array
+	 * @throws SV_WC_Payment_Gateway_Exception
+	 */
+	public function get_product_payment_details( \WC_Product $product, $quantity = 1 ) {
+
+		$quantity = max( 1, (int) $quantity );
+
+		$this->validate_product( $product, $quantity );
+
+		$price = wc_get_price_including_tax( $product, [ 'qty' => $quantity ] );
+
+		return [
+			'total'        => $this->get_payment_item( __( 'Total', 'woocommerce-plugin-framework' ), $price ),
+			'displayItems' => [
+				$this->get_payment_item( __( 'Subtotal', 'woocommerce-plugin-framework' ), $price ),
+			],
+		];
+	}
+
+
+	/**
+	 * Populates cart with a single product.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $product_id product ID, if we are on a Product page
+	 * @param int $quantity quantity to buy
+	 * @param array $variation chosen variation attributes, keyed by `attribute_` name
+	 * @throws \Exception
+	 */
+	public function add_product_to_cart( $product_id, $quantity = 1, array $variation = [] ) {
+
+		if ( ! empty( $product_id ) && $product = wc_get_product( $product_id ) ) {
+
+			if ( ! is_user_logged_in() ) {
+				WC()->session->set_customer_session_cookie( true );
+			}
+
+			$quantity = max( 1, (int) $quantity );
+
+			$this->validate_product( $product, $quantity );
+
+			$this->add_product_to_cart_contents( $product, $quantity, $variation );
+		}
+	}
+
+
+	/**
+	 * Recalculates the payment details after selecting an address or shipping option.
+	 *
+	 * @see https://www.w3.org/TR/payment-request/#paymentdetailsupdate-dictionary
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $chosen_shipping_method chosen shipping method
+	 * @param string $product_id product ID, if we are on a Product page
+	 * @param int $quantity quantity to buy, if we are on a Product page
+	 * @param array $variation chosen variation attributes, if we are on a Product page
+	 * @return array
+	 * @throws \Exception
+	 */
+	public function recalculate_totals( $chosen_shipping_method, $product_id, $quantity = 1, array $variation = [] ) {
+
+		// if this is a single product page, make sure the cart gets populated
+		$this->add_product_to_cart( $product_id, $quantity, $variation );
+
+		if ( ! WC()->cart ) {
+			throw new SV_WC_Payment_Gateway_Exception( 'Cart data is missing.' );
+		}
+
+		// we do not pass the product ID here because we want to get the totals from the cart (including tax and shipping)
+		$details = $this->get_payment_details( WC()->cart );
+
+		if ( ! WC()->cart->needs_shipping() ) {
+			return $details;
+		}
+
+		$option_ids = wp_list_pluck( $details['shippingOptions'], 'id' );
+
+		if ( empty( $option_ids ) ) {
+
+			$details['error'] = __( 'Cannot ship to the selected address', 'woocommerce-plugin-framework' );
+
+		} elseif ( ! empty( $chosen_shipping_method ) && ! in_array( $chosen_shipping_method, $option_ids, true ) ) {
+
+			$details['error'] = __( 'The selected shipping method is not available, please choose another one', 'woocommerce-plugin-framework' );
+		}
+
+		return $details;
+	}
+
+
+	/**
+	 * Gets the shipping options for the cart's package.
+	 *
+	 * The option WooCommerce calculated the totals with is selected.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array
+	 */
+	protected function get_shipping_options() {
+
+		$shipping_options = [];
+		$packages         = WC()->shipping->get_packages();
+
+		if ( empty( $packages ) ) {
+			return $shipping_options;
+		}
+
+		$chosen_shipping_methods = (array) WC()->session->get( 'chosen_shipping_methods', [] );
+
+		/** @var \WC_Shipping_Rate $method */
+		foreach ( $packages[0]['rates'] as $method ) {
+
+			$shipping_options[] = array_merge( $this->get_payment_item( $this->get_shipping_option_label( $method ), $method->get_cost() ), [
+				'id'       => $method->get_id(),
+				'selected' => ! empty( $chosen_shipping_methods[0] ) && $method->get_id() === $chosen_shipping_methods[0],
+			] );
+		}
+
+		return $shipping_options;
+	}
+
+
+	/**
+	 * Gets a shipping option label for the payment sheet.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \WC_Shipping_Rate $method shipping rate
+	 * @return string
+	 */
+	protected function get_shipping_option_label( \WC_Shipping_Rate $method ) {
+
+		return html_entity_decode( wp_strip_all_tags( $method->get_label() ), ENT_QUOTES, get_bloginfo( 'charset' ) );
+	}
+
+
+	/**
+	 * Builds the display items for the payment sheet.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \WC_Cart $cart cart object
+	 * @return array
+	 */
+	public function build_display_items( \WC_Cart $cart ) {
+
+		$subtotal = $cart->subtotal_ex_tax;
+		$discount = $cart->get_cart_discount_total();
+		$shipping = $cart->shipping_total;
+		$fees     = $cart->fee_total;
+		$taxes    = $cart->tax_total + $cart->shipping_tax_total;
+
+		$items = [];
+
+		// subtotal
+		if ( $subtotal > 0 ) {
+			$items[] = $this->get_payment_item( __( 'Subtotal', 'woocommerce-plugin-framework' ), $subtotal );
+		}
+
+		// discounts
+		if ( $discount > 0 ) {
+			$items[] = $this->get_payment_item( __( 'Discount', 'woocommerce-plugin-framework' ), abs( $discount ) * -1 );
+		}
+
+		// shipping
+		if ( $shipping > 0 ) {
+			$items[] = $this->get_payment_item( __( 'Shipping', 'woocommerce-plugin-framework' ), $shipping );
+		}
+
+		// fees
+		if ( $fees > 0 ) {
+			$items[] = $this->get_payment_item( __( 'Fees', 'woocommerce-plugin-framework' ), $fees );
+		}
+
+		// taxes
+		if ( $taxes > 0 ) {
+			$items[] = $this->get_payment_item( __( 'Taxes', 'woocommerce-plugin-framework' ), $taxes );
+		}
+
+		return $items;
+	}
+
+
+	/**
+	 * Gets a payment item.
+	 *
+	 * @see https://www.w3.org/TR/payment-request/#paymentitem-dictionary
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $label item label
+	 * @param float $amount item amount
+	 * @return array
+	 */
+	protected function get_payment_item( $label, $amount ) {
+
+		return [
+			'label'  => $label,
+			'amount' => [
+				'currency' => get_woocommerce_currency(),
+				'value'    => wc_format_decimal( $amount, 2 ),
+			],
+		];
+	}
+
+
+	/**
+	 * Processes the payment after a Payment Request API authorization.
+	 *
+	 * This method creates a new order and calls the gateway for processing.
+	 * The payment method details are only passed to the gateway, and never
+	 * stored or logged, as they may hold card data.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param array $response payment response, with the `methodName` and `details`, the payer details, `shippingAddress` and `shippingOption`
+	 * @param string $product_id product ID, if we are on a Product page
+	 * @param int $quantity quantity to buy, if we are on a Product page
+	 * @param array $variation chosen variation attributes, if we are on a Product page
+	 * @return array
+	 * @throws \Exception
+	 */
+	public function process_payment( array $response, $product_id, $quantity = 1, array $variation = [] ) {
+
+		$order = null;
+
+		try {
+
+			$response = wp_parse_args( $response, [
+				'methodName'      => '',
+				'details'         => [],
+				'payerName'       => '',
+				'payerEmail'      => '',
+				'payerPhone'      => '',
+				'shippingAddress' => [],
+				'shippingOption'  => '',
+			] );
+
+			if ( ! in_array( $response['methodName'], wp_list_pluck( $this->get_payment_methods(), 'supportedMethods' ), true ) ) {
+				throw new SV_WC_Payment_Gateway_Exception( 'Invalid payment method.' );
+			}
+
+			$this->log( 'Payment method: ' . $response['methodName'] );
+
+			$this->payment_response = $response;
+
+			// if this is a single product page, make sure the cart gets populated
+			$this->add_product_to_cart( $product_id, $quantity, $variation );
+
+			// make sure the cart totals use the shipping option the customer chose in the payment sheet
+			if ( ! empty( $response['shippingOption'] ) ) {
+
+				WC()->session->set( 'chosen_shipping_methods', [ wc_clean( $response['shippingOption'] ) ] );
+
+				WC()->cart->calculate_totals();
+			}
+
+			$order = Orders::create_order( WC()->cart, [ 'created_via' => 'payment_request' ] );
+
+			$order->set_payment_method( $this->get_processing_gateway() );
+
+			// if we got to this point, the payment was authorized through the Payment Request API
+			// from here on out, it's up to the gateway to not screw things up.
+			$order->add_order_note( __( 'Payment Request payment authorized.', 'woocommerce-plugin-framework' ) );
+
+			$shipping_address = $this->get_order_address( (array) $response['shippingAddress'], $response['payerName'] );
+
+			// the billing address is only returned by some payment methods
+			if ( ! empty( $response['details']['billingAddress'] ) && is_array( $response['details']['billingAddress'] ) ) {
+				$billing_address = $this->get_order_address( $response['details']['billingAddress'], $response['payerName'] );
+			} else {
+				$billing_address = $shipping_address;
+			}
+
+			$order->set_address( $billing_address, 'billing' );
+			$order->set_billing_email( wc_clean( $response['payerEmail'] ) );
+			$order->set_billing_phone( wc_clean( $response['payerPhone'] ) );
+
+			if ( ! empty( $response['shippingAddress'] ) ) {
+				$order->set_address( $shipping_address, 'shipping' );
+			}
+
+			$order->save();
+
+			// add the payment response data to the order
+			add_filter( 'wc_payment_gateway_' . $this->get_processing_gateway()->get_id() . '_get_order', [ $this, 'add_order_data' ] );
+
+			if ( $this->is_test_mode() ) {
+				$result = $this->process_test_payment( $order );
+			} else {
+				$result = $this->get_processing_gateway()->process_payment( $order->get_id() );
+			}
+
+			if ( ! isset( $result['result'] ) || 'success' !== $result['result'] ) {
+				throw new SV_WC_Payment_Gateway_Exception( 'Gateway processing error.' );
+			}
+
+			$this->payment_response = [];
+
+			return $result;
+
+		} catch ( \Exception $e ) {
+
+			$this->payment_response = [];
+
+			if ( $order ) {
+
+				$order->add_order_note( sprintf(
+					/** translators: Placeholders: %s - the error message */
+					__( 'Payment Request payment failed. %s', 'woocommerce-plugin-framework' ),
+					$e->getMessage()
+				) );
+			}
+
+			throw $e;
+		}
+	}
+
+
+	/**
+	 * Gets an order address from a Payment Request API address.
+	 *
+	 * @see https://www.w3.org/TR/payment-request/#paymentaddress-interface
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param array $address payment address
+	 * @param string $name payer name, used when the address has no recipient
+	 * @return array
+	 */
+	protected function get_order_address( array $address, $name = '' ) {
+
+		$address = wp_parse_args( wc_clean( $address ), [
+			'recipient'    => '',
+			'organization' => '',
+			'addressLine'  => [],
+			'city'         => '',
+			'region'       => '',
+			'postalCode'   => '',
+			'country'      => '',
+		] );
+
+		$names        = preg_split( '/\s+/', trim( $address['recipient'] ?: wc_clean( $name ) ), 2 );
+		$address_line = array_values( (array) $address['addressLine'] );
+
+		return [
+			'first_name' => $names[0],
+			'last_name'  => isset( $names[1] ) ? $names[1] : '',
+			'company'    => $address['organization'],
+			'address_1'  => isset( $address_line[0] ) ? $address_line[0] : '',
+			'address_2'  => implode( ', ', array_slice( $address_line, 1 ) ),
+			'city'       => $address['city'],
+			'state'      => $address['region'],
+			'postcode'   => $address['postalCode'],
+			'country'    => $address['country'],
+		];
+	}
+
+
+	/**
+	 * Allows the processing gateway to add the Payment Request API details to the payment data.
+	 *
+	 * @internal
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \WC_Order $order the order object
+	 * @return \WC_Order
+	 */
+	public function add_order_data( $order ) {
+
+		if ( ! empty( $this->payment_response ) ) {
+			$order = $this->get_processing_gateway()->get_order_for_payment_request( $order, $this->payment_response );
+		}
+
+		return $order;
+	}
+
+
+}
+
+
+endif;
@@ -191,6 +191,14 @@ class SV_WC_Payment_Gateway_Apple_Pay_Admin extends Admin {
 			'default' => 'no',
 		];
 
+		$connection_settings[] = [
+			'id'      => 'sv_wc_apple_pay_mock_wallet',
+			'title'   => __( 'Mock Wallet', 'woocommerce-plugin-framework' ),
+			'desc'    => __( 'Replace Apple Pay with a scriptable mock wallet in test mode, so the checkout can be tested in any browser.', 'woocommerce-plugin-framework' ),
+			'type'    => 'checkbox',
+			'default' => 'no',
+		];
+
 		$connection_settings[] = array(
 			'type' => 'sectionend',
 		);
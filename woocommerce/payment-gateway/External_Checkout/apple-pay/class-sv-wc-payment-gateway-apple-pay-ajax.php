@@ -87,6 +87,9 @@ class SV_WC_Payment_Gateway_Apple_Pay_AJAX {
 	/**
 	 * Gets a payment request for the specified type.
 	 *
+	 * A product payment request is built when a product ID is posted, for the
+	 * product, variation and quantity chosen on the product page.
+	 *
 	 * @internal
 	 *
 	 * @since 4.7.0
@@ -97,7 +100,25 @@ class SV_WC_Payment_Gateway_Apple_Pay_AJAX {
 
 		try {
 
-			$request = $this->get_handler()->get_cart_payment_request( WC()->cart );
+			$product_id = (int) SV_WC_Helper::get_posted_value( 'product_id' );
+
+			if ( $product_id ) {
+
+				$product = wc_get_product( $product_id );
+
+				if ( ! $product ) {
+					throw new SV_WC_Payment_Gateway_Exception( 'Product is not available for purchase.' );
+				}
+
+				$quantity  = wc_stock_amount( SV_WC_Helper::get_posted_value( 'quantity', 1 ) );
+				$variation = (array) wc_clean( wp_unslash( SV_WC_Helper::get_posted_value( 'variation', [] ) ) );
+
+				$request = $this->get_handler()->get_product_payment_request( $product, false, $quantity, $variation );
+
+			} else {
+
+				$request = $this->get_handler()->get_cart_payment_request( WC()->cart );
+			}
 
 			$this->get_handler()->log( "Payment Request:\n" . print_r( $request, true ) );
 
@@ -131,6 +152,17 @@ class SV_WC_Payment_Gateway_Apple_Pay_AJAX {
 		$merchant_id = SV_WC_Helper::get_posted_value( 'merchant_id' );
 		$url         = SV_WC_Helper::get_posted_value( 'url' );
 
+		// the mock wallet accepts any merchant session
+		if ( $this->get_handler()->is_mock_wallet_enabled() ) {
+
+			wp_send_json_success( wp_json_encode( [
+				'merchantIdentifier' => $merchant_id,
+				'domainName'         => wp_parse_url( home_url(), PHP_URL_HOST ),
+				'displayName'        => get_bloginfo( 'name' ),
+				'mock'               => true,
+			] ) );
+		}
+
 		try {
 
 			$response = $this->get_handler()->get_api()->validate_merchant( $url, $merchant_id, home_url(), get_bloginfo( 'name' ) );
@@ -194,14 +226,22 @@ class SV_WC_Payment_Gateway_Apple_Pay_AJAX {
 
 			WC()->session->set( 'chosen_shipping_methods', $chosen_shipping_methods );
 
-			$payment_request = $this->get_handler()->recalculate_totals();
+			// a coupon code is only posted once the customer has seen it in the payment sheet
+			$coupon_code = isset( $_REQUEST['coupon_code'] ) ? wc_clean( wp_unslash( $_REQUEST['coupon_code'] ) ) : null;
+
+			$payment_request = $this->get_handler()->recalculate_totals( $coupon_code );
 
 			$data = array(
 				'shipping_methods' => $payment_request['shippingMethods'],
 				'line_items'       => array_values( $payment_request['lineItems'] ),
 				'total'            => $payment_request['total'],
+				'coupon_errors'    => $payment_request['couponCodeErrors'],
 			);
 
+			if ( ! empty( $payment_request['recurringPaymentRequest'] ) ) {
+				$data['recurring_payment_request'] = $payment_request['recurringPaymentRequest'];
+			}
+
 			$this->get_handler()->log( "New totals:\n" . print_r( $data, true ) );
 
 			wp_send_json_success( $data );
@@ -110,7 +110,13 @@ class SV_WC_Payment_Gateway_Apple_Pay_Frontend extends \SkyVerge\WooCommerce\Plu
 
 		wp_enqueue_style( 'sv-wc-apple-pay-v5_10_8', $this->get_plugin()->get_payment_gateway_framework_assets_url() . '/css/frontend/sv-wc-payment-gateway-apple-pay.css', array(), $this->get_plugin()->get_version() ); // TODO: min
 
-		wp_enqueue_script( 'sv-wc-apple-pay-v5_10_8', $this->get_plugin()->get_payment_gateway_framework_assets_url() . '/dist/frontend/sv-wc-payment-gateway-apple-pay.js', array( 'jquery' ), $this->get_plugin()->get_version(), true );
+		$dependencies = array( 'jquery' );
+
+		if ( $this->get_handler()->is_mock_wallet_enabled() ) {
+			$dependencies[] = $this->enqueue_mock_wallet( 'apple_pay' );
+		}
+
+		wp_enqueue_script( 'sv-wc-apple-pay-v5_10_8', $this->get_plugin()->get_payment_gateway_framework_assets_url() . '/dist/frontend/sv-wc-payment-gateway-apple-pay.js', $dependencies, $this->get_plugin()->get_version(), true );
 	}
 
 
@@ -200,17 +206,23 @@ class SV_WC_Payment_Gateway_Apple_Pay_Frontend extends \SkyVerge\WooCommerce\Plu
 	 */
 	protected function get_product_js_handler_args( \WC_Product $product ) {
 
-		$args = [];
+		$args = [
+			'product_id' => $product->get_id(),
+		];
 
-		try {
+		// the payment request for variable products is built once the customer chooses a variation
+		if ( ! $product->is_type( 'variable' ) ) {
 
-			$payment_request = $this->get_handler()->get_product_payment_request( $product );
+			try {
 
-			$args['payment_request'] = $payment_request;
+				$payment_request = $this->get_handler()->get_product_payment_request( $product );
 
-		} catch ( \Exception $e ) {
+				$args['payment_request'] = $payment_request;
 
-			$this->get_handler()->log( 'Could not initialize Apple Pay. ' . $e->getMessage() );
+			} catch ( \Exception $e ) {
+
+				$this->get_handler()->log( 'Could not initialize Apple Pay. ' . $e->getMessage() );
+			}
 		}
 
 		/**
@@ -102,6 +102,7 @@ class SV_WC_Payment_Gateway_Apple_Pay extends Payment_Gateway\External_Checkout\
 	protected function init_frontend() {
 
 		$this->frontend = new SV_WC_Payment_Gateway_Apple_Pay_Frontend( $this->get_plugin(), $this );
+
 	}
 
 
@@ -147,6 +148,11 @@ class SV_WC_Payment_Gateway_Apple_Pay extends Payment_Gateway\External_Checkout\
 
 			$order->set_payment_method( $this->get_processing_gateway() );
 
+			// the subscriptions are created from the cart on checkout, which Apple Pay skips
+			if ( $this->cart_contains_subscription() ) {
+				\WC_Subscriptions_Checkout::process_checkout( $order->get_id(), [] );
+			}
+
 			// if we got to this point, the payment was authorized by Apple Pay
 			// from here on out, it's up to the gateway to not screw things up.
 			$order->add_order_note( __( 'Apple Pay payment authorized.', 'woocommerce-plugin-framework' ) );
@@ -227,10 +233,14 @@ class SV_WC_Payment_Gateway_Apple_Pay extends Payment_Gateway\External_Checkout\
 	 *
 	 * @param \WC_Product $product product object
 	 * @param bool $in_cart whether to generate a cart for this request
+	 * @param int $quantity quantity to buy
+	 * @param array $variation chosen variation attributes, keyed by `attribute_` name
 	 * @return array
 	 * @throws \Exception
 	 */
-	public function get_product_payment_request( \WC_Product $product, $in_cart = false ) {
+	public function get_product_payment_request( \WC_Product $product, $in_cart = false, $quantity = 1, array $variation = [] ) {
+
+		$quantity = max( 1, (int) $quantity );
 
 		if ( ! is_user_logged_in() ) {
 			WC()->session->set_customer_session_cookie( true );
@@ -246,34 +256,37 @@ class SV_WC_Payment_Gateway_Apple_Pay extends Payment_Gateway\External_Checkout\
 			throw new SV_WC_Payment_Gateway_Exception( 'Not available for pre-order products that are set to charge upon release.' );
 		}
 
-		// only simple products
-		if ( ! $product->is_type( 'simple' ) ) {
-			throw new SV_WC_Payment_Gateway_Exception( 'Buy Now is only available for simple products' );
+		// only simple products, or a variation chosen on a variable product page
+		if ( ! $product->is_type( [ 'simple', 'variation' ] ) ) {
+			throw new SV_WC_Payment_Gateway_Exception( 'Buy Now is only available for simple products and variations' );
 		}
 
 		// if this product can't be purchased, bail
-		if ( ! $product->is_purchasable() || ! $product->is_in_stock() || ! $product->has_enough_stock( 1 ) ) {
+		if ( ! $product->is_purchasable() || ! $product->is_in_stock() || ! $product->has_enough_stock( $quantity ) ) {
 			throw new SV_WC_Payment_Gateway_Exception( 'Product is not available for purchase.' );
 		}
 
 		if ( $in_cart ) {
 
-			WC()->cart->empty_cart();
-
-			WC()->cart->add_to_cart( $product->get_id() );
+			$this->add_product_to_cart_contents( $product, $quantity, $variation );
 
 			$request = $this->get_cart_payment_request( WC()->cart );
 
+			// keep the product data so the cart is populated again for the next recalculation
+			$stored_request = $this->get_stored_payment_request();
+
 		} else {
 
-			$request = $this->build_payment_request( $product->get_price(), array( 'needs_shipping' => $product->needs_shipping() ) );
+			$request = $this->build_payment_request( (float) $product->get_price() * $quantity, array( 'needs_shipping' => $product->needs_shipping() ) );
 
 			$stored_request = $this->get_stored_payment_request();
+		}
 
-			$stored_request['product_id'] = $product->get_id();
+		$stored_request['product_id'] = $product->get_id();
+		$stored_request['quantity']   = $quantity;
+		$stored_request['variation']  = $variation;
 
-			$this->store_payment_request( $stored_request );
-		}
+		$this->store_payment_request( $stored_request );
 
 		/**
 		 * Filters the Apple Pay Buy Now JS payment request.
@@ -298,7 +311,7 @@ class SV_WC_Payment_Gateway_Apple_Pay extends Payment_Gateway\External_Checkout\
 	 */
 	public function get_cart_payment_request( \WC_Cart $cart ) {
 
-		if ( $this->get_plugin()->is_subscriptions_active() && \WC_Subscriptions_Cart::cart_contains_subscription() ) {
+		if ( $this->cart_contains_subscription() && ! $this->supports_subscriptions() ) {
 			throw new SV_WC_Payment_Gateway_Exception( 'Cart contains subscriptions.' );
 		}
 
@@ -313,8 +326,10 @@ class SV_WC_Payment_Gateway_Apple_Pay extends Payment_Gateway\External_Checkout\
 		}
 
 		$args = array(
-			'line_totals'    => $this->get_cart_totals( $cart ),
-			'needs_shipping' => $cart->needs_shipping(),
+			'line_totals'       => $this->get_cart_totals( $cart ),
+			'needs_shipping'    => $cart->needs_shipping(),
+			'coupon_code'       => current( $cart->get_applied_coupons() ) ?: '',
+			'recurring_payment' => $this->get_recurring_payment_request( $cart ),
 		);
 
 		// build it!
@@ -334,12 +349,15 @@ class SV_WC_Payment_Gateway_Apple_Pay extends Payment_Gateway\External_Checkout\
 	/**
 	 * Recalculates the lines and totals for the current payment request.
 	 *
+	 * Coupon codes are applied to the cart, and any errors are added to the payment request as `couponCodeErrors`.
+	 *
 	 * @since 4.7.0
 	 *
+	 * @param string|null $coupon_code coupon code entered in the payment sheet, or null to keep the cart coupons
 	 * @return array
 	 * @throws \Exception
 	 */
-	public function recalculate_totals() {
+	public function recalculate_totals( $coupon_code = null ) {
 
 		$payment_request = $this->get_stored_payment_request();
 
@@ -349,13 +367,19 @@ class SV_WC_Payment_Gateway_Apple_Pay extends Payment_Gateway\External_Checkout\
 
 		// if this is a single product request, make sure the cart gets populated
 		if ( ! empty( $payment_request['product_id'] ) && $product = wc_get_product( $payment_request['product_id'] ) ) {
-			$payment_request = $this->get_product_payment_request( $product, true );
+
+			$quantity  = ! empty( $payment_request['quantity'] ) ? $payment_request['quantity'] : 1;
+			$variation = ! empty( $payment_request['variation'] ) ? (array) $payment_request['variation'] : [];
+
+			$payment_request = $this->get_product_payment_request( $product, true, $quantity, $variation );
 		}
 
 		if ( ! WC()->cart ) {
 			throw new SV_WC_Payment_Gateway_Exception( 'Cart data is missing.' );
 		}
 
+		$coupon_errors = null !== $coupon_code ? $this->apply_coupon_codes( WC()->cart, [ $coupon_code ] ) : [];
+
 		$totals = $this->get_cart_totals( WC()->cart );
 
 		$payment_request['lineItems']       = $this->build_payment_request_lines( $totals );
@@ -390,13 +414,206 @@ class SV_WC_Payment_Gateway_Apple_Pay extends Payment_Gateway\External_Checkout\
 		// reset the order total based on the new line items
 		$payment_request['total']['amount'] = $this->format_price( array_sum( wp_list_pluck( $payment_request['lineItems'], 'amount' ) ) );
 
+		// the billing schedule amounts change with the shipping method and coupons
+		if ( $recurring_payment_request = $this->get_recurring_payment_request( WC()->cart ) ) {
+			$payment_request['recurringPaymentRequest'] = $recurring_payment_request;
+		}
+
+		if ( null !== $coupon_code ) {
+			$payment_request['couponCode'] = $coupon_code;
+		}
+
 		// update the stored payment request session with the new line items & totals
 		$this->store_payment_request( $payment_request );
 
+		$payment_request['couponCodeErrors'] = array_values( $coupon_errors );
+
 		return $payment_request;
 	}
 
 
+	/**
+	 * Determines if the cart contains a subscription.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return bool
+	 */
+	public function cart_contains_subscription() {
+
+		return $this->get_plugin()->is_subscriptions_active() && \WC_Subscriptions_Cart::cart_contains_subscription();
+	}
+
+
+	/**
+	 * Determines if subscriptions can be purchased with Apple Pay.
+	 *
+	 * The processing gateway must be able to charge the renewals, which Apple Pay only shows
+	 * to customers whose device supports recurring payment requests.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return bool
+	 */
+	public function supports_subscriptions() {
+
+		$gateway = $this->get_processing_gateway();
+
+		/**
+		 * Filters whether subscriptions can be purchased with Apple Pay.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param bool $supports_subscriptions whether subscriptions can be purchased
+		 * @param SV_WC_Payment_Gateway_Apple_Pay $handler the Apple Pay handler
+		 */
+		return (bool) apply_filters( 'sv_wc_apple_pay_supports_subscriptions', $gateway && $gateway->supports_subscriptions(), $this );
+	}
+
+
+	/**
+	 * Gets the recurring payment request for the subscriptions in a cart.
+	 *
+	 * Apple Pay displays a single billing schedule, so it's built from the first recurring cart.
+	 * The renewal totals of every recurring cart are listed as line items.
+	 *
+	 * @see https://developer.apple.com/documentation/apple_pay_on_the_web/applepayrecurringpaymentrequest
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \WC_Cart $cart cart object
+	 * @return array|null
+	 */
+	public function get_recurring_payment_request( \WC_Cart $cart ) {
+
+		if ( ! $this->cart_contains_subscription() || empty( $cart->recurring_carts ) || ! is_array( $cart->recurring_carts ) ) {
+			return null;
+		}
+
+		$recurring_carts = array_values( $cart->recurring_carts );
+		$recurring_cart  = $recurring_carts[0];
+
+		$product_names = [];
+
+		foreach ( $recurring_cart->get_cart() as $cart_item ) {
+
+			if ( ! empty( $cart_item['data'] ) && $cart_item['data'] instanceof \WC_Product ) {
+				$product_names[] = $cart_item['data']->get_name();
+			}
+		}
+
+		$request = [
+			'paymentDescription' => implode( ', ', $product_names ),
+			'regularBilling'     => $this->get_recurring_line_item( $recurring_cart ),
+			'managementURL'      => wc_get_endpoint_url( 'subscriptions', '', wc_get_page_permalink( 'myaccount' ) ),
+		];
+
+		$trial_length = (int) wcs_cart_pluck( $recurring_cart, 'subscription_trial_length' );
+
+		if ( $trial_length > 0 ) {
+
+			$trial_unit = $this->get_recurring_interval( wcs_cart_pluck( $recurring_cart, 'subscription_trial_period' ), $trial_length );
+
+			$request['trialBilling'] = [
+				'type'                          => 'final',
+				'label'                         => __( 'Free trial', 'woocommerce-plugin-framework' ),
+				'amount'                        => $this->format_price( 0 ),
+				'paymentTiming'                 => 'recurring',
+				'recurringPaymentIntervalUnit'  => $trial_unit['unit'],
+				'recurringPaymentIntervalCount' => $trial_unit['count'],
+			];
+
+			if ( ! empty( $recurring_cart->trial_end_date ) ) {
+				$request['trialBilling']['recurringPaymentEndDate'] = $this->format_date( $recurring_cart->trial_end_date );
+			}
+		}
+
+		/**
+		 * Filters the Apple Pay recurring payment request.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param array $request recurring payment request data
+		 * @param \WC_Cart $cart the cart object
+		 * @param \WC_Cart[] $recurring_carts the cart's recurring carts
+		 */
+		return apply_filters( 'sv_wc_apple_pay_recurring_payment_request', $request, $cart, $recurring_carts );
+	}
+
+
+	/**
+	 * Gets a recurring payment line item for a recurring cart.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \WC_Cart $recurring_cart recurring cart object created by WooCommerce Subscriptions
+	 * @return array
+	 */
+	protected function get_recurring_line_item( \WC_Cart $recurring_cart ) {
+
+		$interval = $this->get_recurring_interval( wcs_cart_pluck( $recurring_cart, 'subscription_period' ), (int) wcs_cart_pluck( $recurring_cart, 'subscription_period_interval', 1 ) );
+
+		$line_item = [
+			'type'                          => 'final',
+			'label'                         => __( 'Recurring total', 'woocommerce-plugin-framework' ),
+			'amount'                        => $this->format_price( $recurring_cart->total ),
+			'paymentTiming'                 => 'recurring',
+			'recurringPaymentIntervalUnit'  => $interval['unit'],
+			'recurringPaymentIntervalCount' => $interval['count'],
+		];
+
+		if ( ! empty( $recurring_cart->next_payment_date ) ) {
+			$line_item['recurringPaymentStartDate'] = $this->format_date( $recurring_cart->next_payment_date );
+		}
+
+		if ( ! empty( $recurring_cart->end_date ) ) {
+			$line_item['recurringPaymentEndDate'] = $this->format_date( $recurring_cart->end_date );
+		}
+
+		return $line_item;
+	}
+
+
+	/**
+	 * Converts a WooCommerce Subscriptions billing period to an Apple Pay interval.
+	 *
+	 * Apple Pay has no weekly interval, so weeks are converted to days.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $period billing period, one of day, week, month or year
+	 * @param int $count number of periods between payments
+	 * @return array with the interval `unit` and `count`
+	 */
+	protected function get_recurring_interval( $period, $count ) {
+
+		$count = max( 1, (int) $count );
+
+		if ( 'week' === $period ) {
+			return [ 'unit' => 'day', 'count' => $count * 7 ];
+		}
+
+		return [
+			'unit'  => in_array( $period, [ 'day', 'month', 'year' ], true ) ? $period : 'month',
+			'count' => $count,
+		];
+	}
+
+
+	/**
+	 * Formats a GMT MySQL date for use with Apple Pay JS.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $date date in the Y-m-d H:i:s format, in GMT
+	 * @return string ISO 8601 date
+	 */
+	protected function format_date( $date ) {
+
+		return gmdate( 'c', strtotime( $date . ' UTC' ) );
+	}
+
+
 	/**
 	 * Gets the line totals for a cart.
 	 *
@@ -438,6 +655,10 @@ class SV_WC_Payment_Gateway_Apple_Pay extends Payment_Gateway\External_Checkout\
 	 *     @type array  $supported_networks    supported networks or card types
 	 *     @type bool   $needs_shipping        whether the payment needs shipping
 	 *     @type array  $line_totals           request line totals. @see \SV_WC_Payment_Gateway_Apple_Pay::build_payment_request_lines()
+	 *     @type bool   $supports_coupon_code  whether coupon codes can be entered in the payment sheet. Defaults to whether coupons are enabled.
+	 *     @type string $coupon_code           initial coupon code
+	 *     @type array  $recurring_payment     recurring payment request. @see \SV_WC_Payment_Gateway_Apple_Pay::get_recurring_payment_request()
+	 *     @type array  $deferred_payment      deferred payment request, for payments charged at a later date
 	 * }
 	 *
 	 * @return array
@@ -452,6 +673,10 @@ class SV_WC_Payment_Gateway_Apple_Pay extends Payment_Gateway\External_Checkout\
 			'supported_networks'    => $this->get_supported_networks(),
 			'line_totals'           => array(),
 			'needs_shipping'        => false,
+			'supports_coupon_code'  => wc_coupons_enabled(),
+			'coupon_code'           => '',
+			'recurring_payment'     => array(),
+			'deferred_payment'      => array(),
 		) );
 
 		// set the base required defaults
@@ -472,10 +697,27 @@ class SV_WC_Payment_Gateway_Apple_Pay extends Payment_Gateway\External_Checkout\
 			$request['requiredShippingContactFields'][] = 'postalAddress';
 		}
 
+		if ( $args['supports_coupon_code'] ) {
+
+			$request['supportsCouponCode'] = true;
+
+			if ( ! empty( $args['coupon_code'] ) ) {
+				$request['couponCode'] = $args['coupon_code'];
+			}
+		}
+
 		if ( is_array( $args['line_totals'] ) && ! empty( $args['line_totals'] ) ) {
 			$request['lineItems'] = $this->build_payment_request_lines( $args['line_totals'] );
 		}
 
+		if ( ! empty( $args['recurring_payment'] ) ) {
+			$request['recurringPaymentRequest'] = $args['recurring_payment'];
+		}
+
+		if ( ! empty( $args['deferred_payment'] ) ) {
+			$request['deferredPaymentRequest'] = $args['deferred_payment'];
+		}
+
 		// order total
 		$request['total'] = array(
 			'type'   => 'final',
@@ -777,7 +1019,8 @@ class SV_WC_Payment_Gateway_Apple_Pay extends Payment_Gateway\External_Checkout\
 	 */
 	public function is_available() {
 
-		$is_available = wc_site_is_https() && parent::is_available();
+		// the mock wallet can be used on local development sites
+		$is_available = ( wc_site_is_https() || $this->is_mock_wallet_enabled() ) && parent::is_available();
 
 		/**
 		 * Filters whether Apple Pay should be made available to users.
@@ -804,7 +1047,8 @@ class SV_WC_Payment_Gateway_Apple_Pay extends Payment_Gateway\External_Checkout\
 			$is_configured = $is_configured && (bool) $this->get_merchant_id();
 		}
 
-		if ( $this->requires_certificate() ) {
+		// the mock wallet doesn't need the merchant to be validated by Apple
+		if ( $this->requires_certificate() && ! $this->is_mock_wallet_enabled() ) {
 			$is_configured = $is_configured && $this->is_cert_configured();
 		}
 
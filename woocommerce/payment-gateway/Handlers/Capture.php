@@ -127,8 +127,11 @@ class Capture {
 	 *
 	 * @since 5.3.0
 	 *
+	 * @since 5.11.0 added the $comment param
+	 *
 	 * @param \WC_Order $order WooCommerce order object
 	 * @param float|null $amount amount to capture
+	 * @param string $comment optional comment about the capture, saved to the order's capture history
 	 * @return array {
 	 *     Capture transaction results
 	 *
@@ -137,10 +140,12 @@ class Capture {
 	 *     @type string $message result message
 	 * }
 	 */
-	public function perform_capture( \WC_Order $order, $amount = null ) {
+	public function perform_capture( \WC_Order $order, $amount = null, $comment = '' ) {
 
 		$order = $this->get_gateway()->get_order_for_capture( $order, $amount );
 
+		$order->capture->comment = (string) $comment;
+
 		try {
 
 			// notify if the gateway doesn't support captures when this is called directly
@@ -262,6 +267,17 @@ class Capture {
 		if ( $response && $response->get_transaction_id() ) {
 			$this->get_gateway()->update_order_meta( $order, 'capture_trans_id', $response->get_transaction_id() );
 		}
+
+		// keep a history of the captures, as an order can be partially captured several times
+		$captures   = $this->get_order_captures( $order );
+		$captures[] = [
+			'amount'   => Framework\SV_WC_Helper::number_format( $order->capture->amount ),
+			'date'     => current_time( 'mysql', true ),
+			'trans_id' => $response ? (string) $response->get_transaction_id() : '',
+			'comment'  => isset( $order->capture->comment ) ? sanitize_text_field( $order->capture->comment ) : '',
+		];
+
+		$this->get_gateway()->update_order_meta( $order, 'captures', $captures );
 	}
 
 
@@ -392,6 +408,47 @@ class Capture {
 	}
 
 
+	/**
+	 * Gets the amount that remains to be captured from an order.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \WC_Order $order order object
+	 * @return float
+	 */
+	public function get_order_remaining_capture_amount( \WC_Order $order ) {
+
+		$remaining = (float) $this->get_order_capture_maximum( $order ) - (float) $this->get_gateway()->get_order_meta( $order, 'capture_total' );
+
+		return (float) Framework\SV_WC_Helper::number_format( max( 0, $remaining ) );
+	}
+
+
+	/**
+	 * Gets the captures performed for an order.
+	 *
+	 * Captures performed before the history was introduced in v5.11.0 are only accounted for in the capture total.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \WC_Order $order order object
+	 * @return array[] {
+	 *     Captures, oldest first
+	 *
+	 *     @type string $amount   captured amount
+	 *     @type string $date     capture date, in UTC and MySQL format
+	 *     @type string $trans_id capture transaction ID, if any
+	 *     @type string $comment  comment entered with the capture, if any
+	 * }
+	 */
+	public function get_order_captures( \WC_Order $order ) {
+
+		$captures = $this->get_gateway()->get_order_meta( $order, 'captures' );
+
+		return is_array( $captures ) ? array_values( $captures ) : [];
+	}
+
+
 	/**
 	 * Gets the amount originally authorized for an order.
 	 *
@@ -63,6 +63,64 @@ abstract class Setup_Wizard extends Framework\Admin\Setup_Wizard {
 	}
 
 
+	/**
+	 * Loads the scripts and styles, including the credential test control for gateways that support it.
+	 *
+	 * @since 5.11.0
+	 */
+	protected function load_scripts_styles() {
+
+		parent::load_scripts_styles();
+
+		$handler = $this->get_plugin()->get_admin_credentials_handler();
+
+		if ( ! $handler ) {
+			return;
+		}
+
+		foreach ( $this->get_plugin()->get_gateways() as $gateway ) {
+
+			if ( $gateway->supports_credential_test() ) {
+
+				$handler->enqueue_credential_test_assets();
+				break;
+			}
+		}
+	}
+
+
+	/**
+	 * Renders the "Test Connection" control for a gateway.
+	 *
+	 * Steps that collect a gateway's API credentials can call this after rendering the credential fields.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param Framework\SV_WC_Payment_Gateway $gateway gateway instance
+	 * @param array $field_names step field names, keyed by credential setting key - defaults to the setting keys
+	 */
+	protected function render_credential_test( Framework\SV_WC_Payment_Gateway $gateway, array $field_names = [] ) {
+
+		if ( ! $gateway->supports_credential_test() ) {
+			return;
+		}
+
+		// the wizard fields are named after the gateway settings by default
+		foreach ( $gateway->get_credential_field_keys() as $key ) {
+
+			if ( ! isset( $field_names[ $key ] ) ) {
+				$field_names[ $key ] = $key;
+			}
+		}
+
+		?>
+		<div class="form-row sv-wc-plugin-admin-setup-control sv-wc-plugin-admin-setup-credential-test">
+			<?php echo $gateway->get_credential_test_html( $field_names ); ?>
+		</div>
+		<?php
+	}
+
+
 }
 
 
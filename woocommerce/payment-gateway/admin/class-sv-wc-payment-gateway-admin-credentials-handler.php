@@ -0,0 +1,210 @@
+<?php
+/**
+ * WooCommerce Payment Gateway Framework
+ *
+ * This source file is subject to the GNU General Public License v3.0
+ * that is bundled with this package in the file license.txt.
+ * It is also available through the world-wide-web at this URL:
+ * http://www.gnu.org/licenses/gpl-3.0.html
+ * If you did not receive a copy of the license and are unable to
+ * obtain it through the world-wide-web, please send an email
+ * to license@skyverge.com so we can send you a copy immediately.
+ *
+ * DISCLAIMER
+ *
+ * Do not edit or add to this file if you wish to upgrade the plugin to newer
+ * versions in the future. If you wish to customize the plugin for your
+ * needs please refer to http://www.skyverge.com
+ *
+ * @package   SkyVerge/WooCommerce/Payment-Gateway/Admin
+ * @author    SkyVerge
+ * @copyright Copyright (c) 2013-2020, SkyVerge, Inc.
+ * @license   http://www.gnu.org/licenses/gpl-3.0.html GNU General Public License v3.0
+ */
+
+namespace SkyVerge\WooCommerce\PluginFramework\v5_10_8;
+
+defined( 'ABSPATH' ) or exit;
+
+if ( ! class_exists( '\\SkyVerge\\WooCommerce\\PluginFramework\\v5_10_8\\SV_WC_Payment_Gateway_Admin_Credentials_Handler' ) ) :
+
+
+/**
+ * Handles the "Test Connection" control for gateway API credentials.
+ *
+ * The control can be displayed on the gateway settings screens and in the
+ * setup wizard. It tests the entered credentials over AJAX with the gateway's
+ * {@see SV_WC_Payment_Gateway::test_credentials()} implementation, before they
+ * are saved.
+ *
+ * @since 5.11.0
+ */
+class SV_WC_Payment_Gateway_Admin_Credentials_Handler {
+
+
+	/** @var SV_WC_Payment_Gateway_Plugin the plugin instance **/
+	protected $plugin;
+
+
+	/**
+	 * Constructs the class.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param SV_WC_Payment_Gateway_Plugin $plugin the plugin instance
+	 */
+	public function __construct( SV_WC_Payment_Gateway_Plugin $plugin ) {
+
+		$this->plugin = $plugin;
+
+		add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_scripts' ] );
+
+		add_action( 'wp_ajax_wc_' . $this->get_plugin()->get_id() . '_test_credentials', [ $this, 'ajax_test_credentials' ] );
+	}
+
+
+	/**
+	 * Enqueues the scripts and styles on the settings screens of gateways that support the credential test.
+	 *
+	 * @internal
+	 *
+	 * @since 5.11.0
+	 */
+	public function enqueue_scripts() {
+
+		foreach ( $this->get_plugin()->get_gateways() as $gateway ) {
+
+			if ( $gateway->supports_credential_test() && $this->get_plugin()->is_payment_gateway_configuration_page( $gateway->get_id() ) ) {
+
+				$this->enqueue_credential_test_assets();
+				break;
+			}
+		}
+	}
+
+
+	/**
+	 * Enqueues the credential test control assets.
+	 *
+	 * Screens that display the control outside of the gateway settings, like the setup wizard, should call this.
+	 *
+	 * @since 5.11.0
+	 */
+	public function enqueue_credential_test_assets() {
+
+		// the control is only set up once per page
+		if ( wp_script_is( 'sv-wc-payment-gateway-credential-test', 'enqueued' ) ) {
+			return;
+		}
+
+		wp_enqueue_style( 'sv-wc-payment-gateway-credential-test', $this->get_plugin()->get_payment_gateway_framework_assets_url() . '/css/admin/sv-wc-payment-gateway-credential-test.min.css', [], SV_WC_Plugin::VERSION );
+
+		wp_enqueue_script( 'sv-wc-payment-gateway-credential-test', $this->get_plugin()->get_payment_gateway_framework_assets_url() . '/dist/admin/sv-wc-payment-gateway-credential-test.js', [ 'jquery' ], SV_WC_Plugin::VERSION, true );
+
+		$args = [
+			'ajax_url' => admin_url( 'admin-ajax.php' ),
+			'action'   => 'wc_' . $this->get_plugin()->get_id() . '_test_credentials',
+			'nonce'    => wp_create_nonce( 'wc_' . $this->get_plugin()->get_id() . '_test_credentials' ),
+			'i18n'     => [
+				'testing' => __( 'Testing the connection…', 'woocommerce-plugin-framework' ),
+				'success' => __( 'Connection successful! The credentials are valid.', 'woocommerce-plugin-framework' ),
+				'error'   => __( 'The connection could not be tested. Please try again.', 'woocommerce-plugin-framework' ),
+			],
+		];
+
+		/**
+		 * Filters the credential test JavaScript handler arguments.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param array $args handler arguments
+		 * @param SV_WC_Payment_Gateway_Admin_Credentials_Handler $handler credentials handler instance
+		 */
+		$args = apply_filters( 'wc_' . $this->get_plugin()->get_id() . '_credential_test_js_args', $args, $this );
+
+		// the setup wizard doesn't print the admin footer, so the handler is loaded along with its script
+		wp_add_inline_script( 'sv-wc-payment-gateway-credential-test', sprintf( 'jQuery( function() { window.wc_%1$s_credential_test = new SV_WC_Payment_Gateway_Credential_Test_v5_10_8( %2$s ); } );',
+			esc_js( $this->get_plugin()->get_id() ),
+			wp_json_encode( $args )
+		) );
+	}
+
+
+	/**
+	 * Tests a gateway's API credentials via AJAX.
+	 *
+	 * The posted credentials, which may not be saved yet, take precedence over
+	 * the saved ones. The credentials are recorded as verified if the test is
+	 * successful, otherwise the error message from the gateway is returned.
+	 *
+	 * @internal
+	 *
+	 * @since 5.11.0
+	 */
+	public function ajax_test_credentials() {
+
+		check_ajax_referer( 'wc_' . $this->get_plugin()->get_id() . '_test_credentials', 'nonce' );
+
+		try {
+
+			if ( ! current_user_can( 'manage_woocommerce' ) ) {
+				throw new SV_WC_Payment_Gateway_Exception( 'Invalid permissions' );
+			}
+
+			$gateway_id = SV_WC_Helper::get_posted_value( 'gateway_id' );
+
+			if ( ! $this->get_plugin()->has_gateway( $gateway_id ) ) {
+				throw new SV_WC_Payment_Gateway_Exception( 'Invalid gateway' );
+			}
+
+			$gateway = $this->get_plugin()->get_gateway( $gateway_id );
+
+			if ( ! $gateway->supports_credential_test() ) {
+				throw new SV_WC_Payment_Gateway_Exception( 'Credential testing is not supported' );
+			}
+
+			$values = SV_WC_Helper::get_posted_value( 'credentials', [] );
+			$values = is_array( $values ) ? wp_unslash( $values ) : [];
+
+			// credentials are only trimmed, as sanitizing them could change a valid key or password
+			$values = array_map( static function( $value ) {
+				return is_string( $value ) ? trim( $value ) : '';
+			}, $values );
+
+			$credentials = $gateway->get_credentials( $values );
+
+			$gateway->test_credentials( $credentials );
+
+			$gateway->record_credentials_verified( $credentials );
+
+			wp_send_json_success( [
+				'message'  => __( 'Connection successful! The credentials are valid.', 'woocommerce-plugin-framework' ),
+				'verified' => $gateway->get_credentials_verified_message( time() ),
+			] );
+
+		} catch ( SV_WC_Plugin_Exception $e ) {
+
+			wp_send_json_error( [
+				'message' => html_entity_decode( wp_strip_all_tags( $e->getMessage() ) ),
+			] );
+		}
+	}
+
+
+	/**
+	 * Gets the plugin instance.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return SV_WC_Payment_Gateway_Plugin the plugin instance
+	 */
+	protected function get_plugin() {
+
+		return $this->plugin;
+	}
+
+
+}
+
+
+endif;
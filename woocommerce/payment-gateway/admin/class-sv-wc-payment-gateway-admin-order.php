@@ -61,6 +61,9 @@ class SV_WC_Payment_Gateway_Admin_Order {
 
 			add_action( 'wp_ajax_wc_' . $this->get_plugin()->get_id() . '_capture_charge', array( $this, 'ajax_process_capture' ) );
 
+			// voids are only available for gateways that support captures
+			add_action( 'wp_ajax_wc_' . $this->get_plugin()->get_id() . '_void_authorization', array( $this, 'ajax_process_void' ) );
+
 			// bulk capture order action
 			add_action( 'admin_footer-edit.php', array( $this, 'maybe_add_capture_charge_bulk_order_action' ) );
 			add_action( 'load-edit.php',         array( $this, 'process_capture_charge_bulk_order_action' ) );
@@ -114,13 +117,18 @@ class SV_WC_Payment_Gateway_Admin_Order {
 		wp_enqueue_script( 'sv-wc-payment-gateway-admin-order', $this->get_plugin()->get_payment_gateway_framework_assets_url() . '/dist/admin/sv-wc-payment-gateway-admin-order.js', array( 'jquery' ), SV_WC_Plugin::VERSION, true );
 
 		wp_localize_script( 'sv-wc-payment-gateway-admin-order', 'sv_wc_payment_gateway_admin_order', array(
-			'ajax_url'       => admin_url( 'admin-ajax.php' ),
-			'gateway_id'     => $order->get_payment_method( 'edit' ),
-			'order_id'       => $order->get_id(),
-			'capture_ays'    => __( 'Are you sure you wish to process this capture? The action cannot be undone.', 'woocommerce-plugin-framework' ),
-			'capture_action' => 'wc_' . $this->get_plugin()->get_id() . '_capture_charge',
-			'capture_nonce'  => wp_create_nonce( 'wc_' . $this->get_plugin()->get_id() . '_capture_charge' ),
-			'capture_error'  => __( 'Something went wrong, and the capture could no be completed. Please try again.', 'woocommerce-plugin-framework' ),
+			'ajax_url'                  => admin_url( 'admin-ajax.php' ),
+			'gateway_id'                => $order->get_payment_method( 'edit' ),
+			'order_id'                  => $order->get_id(),
+			'capture_ays'               => __( 'Are you sure you wish to process this capture? The action cannot be undone.', 'woocommerce-plugin-framework' ),
+			'capture_action'            => 'wc_' . $this->get_plugin()->get_id() . '_capture_charge',
+			'capture_nonce'             => wp_create_nonce( 'wc_' . $this->get_plugin()->get_id() . '_capture_charge' ),
+			'capture_error'             => __( 'Something went wrong, and the capture could no be completed. Please try again.', 'woocommerce-plugin-framework' ),
+			'capture_exceeds_remaining' => __( 'The capture amount cannot be more than the remaining authorization amount.', 'woocommerce-plugin-framework' ),
+			'void_ays'                  => __( 'Are you sure you wish to void this authorization? The order will be cancelled and the charge can no longer be captured.', 'woocommerce-plugin-framework' ),
+			'void_action'               => 'wc_' . $this->get_plugin()->get_id() . '_void_authorization',
+			'void_nonce'                => wp_create_nonce( 'wc_' . $this->get_plugin()->get_id() . '_void_authorization' ),
+			'void_error'                => __( 'Something went wrong, and the authorization could not be voided. Please try again.', 'woocommerce-plugin-framework' ),
 		) );
 
 		wp_enqueue_style( 'sv-wc-payment-gateway-admin-order', $this->get_plugin()->get_payment_gateway_framework_assets_url() . '/css/admin/sv-wc-payment-gateway-admin-order.min.css', SV_WC_Plugin::VERSION );
@@ -306,6 +314,19 @@ class SV_WC_Payment_Gateway_Admin_Order {
 
 		<?php
 
+		// valid authorizations that haven't been captured, even partially, can be released instead
+		if ( $gateway->supports_voids() && $gateway->get_capture_handler()->order_can_be_captured( $order ) && ! $gateway->get_capture_handler()->is_order_captured( $order ) ) {
+
+			?>
+
+			<button type="button" class="button sv-wc-payment-gateway-void wc-<?php echo esc_attr( $gateway->get_id_dasherized() ); ?>-void"><?php
+				/* translators: Void as in to void an authorization, releasing the funds that were held without capturing them */
+				esc_html_e( 'Void Authorization', 'woocommerce-plugin-framework' );
+			?></button>
+
+			<?php
+		}
+
 		// add the partial capture UI HTML
 		if ( $gateway->supports_credit_card_partial_capture() && $gateway->is_partial_capture_enabled() ) {
 			$this->output_partial_capture_html( $order, $gateway );
@@ -325,7 +346,8 @@ class SV_WC_Payment_Gateway_Admin_Order {
 
 		$authorization_total = $gateway->get_capture_handler()->get_order_authorization_amount( $order );
 		$total_captured      = $gateway->get_order_meta( $order, 'capture_total' );
-		$remaining_total     = SV_WC_Helper::number_format( (float) $order->get_total() - (float) $total_captured );
+		$remaining_total     = SV_WC_Helper::number_format( $gateway->get_capture_handler()->get_order_remaining_capture_amount( $order ) );
+		$captures            = $gateway->get_capture_handler()->get_order_captures( $order );
 
 		include( $this->get_plugin()->get_payment_gateway_framework_path() . '/admin/views/html-order-partial-capture.php' );
 	}
@@ -367,22 +389,37 @@ class SV_WC_Payment_Gateway_Admin_Order {
 				throw new SV_WC_Payment_Gateway_Exception( 'Invalid payment method' );
 			}
 
-			$amount_captured = (float) $gateway->get_order_meta( $order, 'capture_total' );
+			$remaining_amount = $gateway->get_capture_handler()->get_order_remaining_capture_amount( $order );
 
 			if ( $request_amount = SV_WC_Helper::get_requested_value( 'amount' ) ) {
+
 				$amount = (float) $request_amount;
+
+				if ( $amount > $remaining_amount ) {
+					throw new SV_WC_Payment_Gateway_Exception( __( 'The capture amount cannot be more than the remaining authorization amount.', 'woocommerce-plugin-framework' ) );
+				}
+
 			} else {
-				$amount = $order->get_total();
+
+				// a full capture is for the order total, unless less than that remains authorized
+				$amount = min( (float) $order->get_total() - (float) $gateway->get_order_meta( $order, 'capture_total' ), $remaining_amount );
 			}
 
-			$result = $gateway->get_capture_handler()->perform_capture( $order, $amount );
+			$comment = sanitize_text_field( wp_unslash( (string) SV_WC_Helper::get_requested_value( 'comment' ) ) );
+
+			$result = $gateway->get_capture_handler()->perform_capture( $order, $amount, $comment );
 
 			if ( empty( $result['success'] ) ) {
 				throw new SV_WC_Payment_Gateway_Exception( $result['message'] );
 			}
 
+			// get a fresh copy, with the status set by a full capture
+			$order = wc_get_order( $order->get_id() );
+
 			wp_send_json_success( [
-				'message' => html_entity_decode( wp_strip_all_tags( $result['message'] ) ), // ensure any HTML tags are removed and the currency symbol entity is decoded
+				'message'    => html_entity_decode( wp_strip_all_tags( $result['message'] ) ), // ensure any HTML tags are removed and the currency symbol entity is decoded
+				'status'     => $order->get_status(),
+				'notes_html' => $this->get_order_notes_html( $order ),
 			] );
 
 		} catch ( SV_WC_Payment_Gateway_Exception $e ) {
@@ -394,6 +431,94 @@ class SV_WC_Payment_Gateway_Admin_Order {
 	}
 
 
+	/**
+	 * Voids an authorization via AJAX.
+	 *
+	 * @internal
+	 *
+	 * @since 5.11.0
+	 */
+	public function ajax_process_void() {
+
+		check_ajax_referer( 'wc_' . $this->get_plugin()->get_id() . '_void_authorization', 'nonce' );
+
+		$gateway_id = SV_WC_Helper::get_requested_value( 'gateway_id' );
+
+		if ( ! $this->get_plugin()->has_gateway( $gateway_id ) ) {
+			die();
+		}
+
+		$gateway = $this->get_plugin()->get_gateway( $gateway_id );
+
+		try {
+
+			$order_id = SV_WC_Helper::get_requested_value( 'order_id' );
+			$order    = wc_get_order( $order_id );
+
+			if ( ! $order ) {
+				throw new SV_WC_Payment_Gateway_Exception( 'Invalid order ID' );
+			}
+
+			if ( ! current_user_can( 'edit_shop_order', $order_id ) ) {
+				throw new SV_WC_Payment_Gateway_Exception( 'Invalid permissions' );
+			}
+
+			if ( $order->get_payment_method( 'edit' ) !== $gateway->get_id() ) {
+				throw new SV_WC_Payment_Gateway_Exception( 'Invalid payment method' );
+			}
+
+			$result = $gateway->void_authorization( $order );
+
+			if ( is_wp_error( $result ) ) {
+				throw new SV_WC_Payment_Gateway_Exception( $result->get_error_message() );
+			}
+
+			// get a fresh copy, with the updated status and meta
+			$order = wc_get_order( $order_id );
+
+			wp_send_json_success( [
+				'message'    => __( 'The authorization was voided and the order cancelled.', 'woocommerce-plugin-framework' ),
+				'status'     => $order->get_status(),
+				'notes_html' => $this->get_order_notes_html( $order ),
+			] );
+
+		} catch ( SV_WC_Payment_Gateway_Exception $e ) {
+
+			wp_send_json_error( [
+				'message' => html_entity_decode( wp_strip_all_tags( $e->getMessage() ) ),
+			] );
+		}
+	}
+
+
+	/**
+	 * Gets the order notes list HTML, like the Order Notes meta box displays it.
+	 *
+	 * This lets the Edit Order screen display the capture notes without reloading the page.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \WC_Order $order order object
+	 * @return string
+	 */
+	protected function get_order_notes_html( \WC_Order $order ) {
+
+		$view = WC()->plugin_path() . '/includes/admin/meta-boxes/views/html-order-notes.php';
+
+		if ( ! function_exists( 'wc_get_order_notes' ) || ! is_readable( $view ) ) {
+			return '';
+		}
+
+		$notes = wc_get_order_notes( [ 'order_id' => $order->get_id() ] );
+
+		ob_start();
+
+		include $view;
+
+		return trim( ob_get_clean() );
+	}
+
+
 	/**
 	 * Gets the gateway object from an order.
 	 *
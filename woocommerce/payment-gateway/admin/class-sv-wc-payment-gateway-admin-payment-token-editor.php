@@ -37,6 +37,10 @@ if ( ! class_exists( '\\SkyVerge\\WooCommerce\\PluginFramework\\v5_10_8\\SV_WC_P
 class SV_WC_Payment_Gateway_Admin_Payment_Token_Editor {
 
 
+	/** @var int the maximum number of blank tokens that can be added at once */
+	const MAX_BLANK_TOKENS = 100;
+
+
 	/** @var SV_WC_Payment_Gateway_Direct the gateway object **/
 	protected $gateway;
 
@@ -68,6 +72,12 @@ class SV_WC_Payment_Gateway_Admin_Payment_Token_Editor {
 
 		// Refresh the tokens via AJAX
 		add_action( 'wp_ajax_wc_payment_gateway_' . $this->get_gateway()->get_id() . '_admin_refresh_payment_tokens', array( $this, 'ajax_refresh_tokens' ) );
+
+		// Save the tokens via AJAX
+		add_action( 'wp_ajax_wc_payment_gateway_' . $this->get_gateway()->get_id() . '_admin_save_payment_tokens', array( $this, 'ajax_save_tokens' ) );
+
+		// Export the tokens via AJAX
+		add_action( 'wp_ajax_wc_payment_gateway_' . $this->get_gateway()->get_id() . '_admin_export_payment_tokens', array( $this, 'ajax_export_tokens' ) );
 	}
 
 
@@ -88,8 +98,10 @@ class SV_WC_Payment_Gateway_Admin_Payment_Token_Editor {
 			'ajax_url' => admin_url( 'admin-ajax.php' ),
 			'actions'  => array(
 				'remove_token' => array(
-					'ays'   => __( 'Are you sure you want to remove this token?', 'woocommerce-plugin-framework' ),
-					'nonce' => wp_create_nonce( 'wc_payment_gateway_admin_remove_payment_token' ),
+					'ays'     => __( 'Are you sure you want to remove this token?', 'woocommerce-plugin-framework' ),
+					'nonce'   => wp_create_nonce( 'wc_payment_gateway_admin_remove_payment_token' ),
+					'removed' => __( 'Removed the unsaved tokens.', 'woocommerce-plugin-framework' ),
+					'undo'    => __( 'Undo', 'woocommerce-plugin-framework' ),
 				),
 				'add_token' => array(
 					'nonce' => wp_create_nonce( 'wc_payment_gateway_admin_get_blank_payment_token' ),
@@ -98,7 +110,29 @@ class SV_WC_Payment_Gateway_Admin_Payment_Token_Editor {
 					'nonce' => wp_create_nonce( 'wc_payment_gateway_admin_refresh_payment_tokens' ),
 				),
 				'save' => array(
-					'error' => __( 'Invalid token data', 'woocommerce-plugin-framework' ),
+					'error'   => __( 'Invalid token data', 'woocommerce-plugin-framework' ),
+					'nonce'   => wp_create_nonce( 'wc_payment_gateway_admin_save_payment_tokens' ),
+					'success' => __( 'Payment tokens saved.', 'woocommerce-plugin-framework' ),
+				),
+				'bulk_remove' => array(
+					'ays' => __( 'Are you sure you want to remove the selected tokens?', 'woocommerce-plugin-framework' ),
+				),
+				'set_default' => array(
+					'select_one' => __( 'Please select a single token to set as default.', 'woocommerce-plugin-framework' ),
+				),
+				'export' => array(
+					'nonce' => wp_create_nonce( 'wc_payment_gateway_admin_export_payment_tokens' ),
+				),
+				'import' => array(
+					/* translators: Placeholders: %d - number of imported payment tokens */
+					'preview'      => __( '%d tokens imported. Review them, then save to add them.', 'woocommerce-plugin-framework' ),
+					/* translators: Placeholders: %d - number of imported payment tokens with invalid data */
+					'invalid'      => __( '%d tokens have invalid data and must be fixed or removed before saving.', 'woocommerce-plugin-framework' ),
+					'empty'        => __( 'No tokens were found in the file.', 'woocommerce-plugin-framework' ),
+					'invalid_file' => __( 'The file could not be read. Please choose a CSV or JSON file exported from a token editor.', 'woocommerce-plugin-framework' ),
+					/* translators: Placeholders: %d - maximum number of payment tokens that can be imported at once */
+					'too_many'     => sprintf( __( 'Up to %d tokens can be imported at once.', 'woocommerce-plugin-framework' ), self::MAX_BLANK_TOKENS ),
+					'max_tokens'   => self::MAX_BLANK_TOKENS,
 				),
 			),
 			'i18n' => array(
@@ -116,10 +150,11 @@ class SV_WC_Payment_Gateway_Admin_Payment_Token_Editor {
 	 */
 	public function display( $user_id ) {
 
-		$id      = $this->get_gateway()->get_id();
-		$title   = $this->get_title();
-		$columns = $this->get_columns();
-		$actions = $this->get_actions();
+		$id           = $this->get_gateway()->get_id();
+		$title        = $this->get_title();
+		$columns      = $this->get_columns();
+		$actions      = $this->get_actions();
+		$bulk_actions = $this->get_bulk_actions();
 
 		include( $this->get_gateway()->get_plugin()->get_payment_gateway_framework_path() . '/admin/views/html-user-payment-token-editor.php' );
 	}
@@ -162,7 +197,26 @@ class SV_WC_Payment_Gateway_Admin_Payment_Token_Editor {
 		$tokens = ( isset( $_POST[ $this->get_input_name() ] ) ) ? $_POST[ $this->get_input_name() ] : [];
 
 		$default_token_id = SV_WC_Helper::get_posted_value( $this->get_input_name() . '_default' );
-		$built_tokens     = [];
+
+		$this->update_tokens( $user_id, $this->build_tokens( $user_id, $tokens, $default_token_id ) );
+	}
+
+
+	/**
+	 * Builds the token objects from the token editor data.
+	 *
+	 * Tokens without an ID or that don't pass validation are skipped.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param int $user_id the user ID
+	 * @param array $tokens the posted token data
+	 * @param string $default_token_id the ID of the token set as default
+	 * @return SV_WC_Payment_Gateway_Payment_Token[] token objects, keyed by token ID
+	 */
+	protected function build_tokens( $user_id, $tokens, $default_token_id ) {
+
+		$built_tokens = [];
 
 		foreach ( $tokens as $data ) {
 
@@ -195,22 +249,26 @@ class SV_WC_Payment_Gateway_Admin_Payment_Token_Editor {
 			}
 		}
 
-		$this->update_tokens( $user_id, $built_tokens );
+		return $built_tokens;
 	}
 
 
 	/**
 	 * Add a token via AJAX.
 	 *
+	 * Several blank tokens can be added at once by passing a `count`, like when importing tokens, up to
+	 * {@see SV_WC_Payment_Gateway_Admin_Payment_Token_Editor::MAX_BLANK_TOKENS}.
+	 *
 	 * @since 4.3.0
 	 */
 	public function ajax_get_blank_token() {
 
 		check_ajax_referer( 'wc_payment_gateway_admin_get_blank_payment_token', 'security' );
 
-		$index = SV_WC_Helper::get_requested_value( 'index' );
+		$first_index = absint( SV_WC_Helper::get_requested_value( 'index' ) );
+		$count       = max( 1, absint( SV_WC_Helper::get_requested_value( 'count', 1 ) ) );
 
-		if ( $index ) {
+		if ( $first_index && $count <= self::MAX_BLANK_TOKENS ) {
 
 			$fields     = $this->get_fields();
 			$input_name = $this->get_input_name();
@@ -225,7 +283,9 @@ class SV_WC_Payment_Gateway_Admin_Payment_Token_Editor {
 
 			ob_start();
 
-			include( $this->get_gateway()->get_plugin()->get_payment_gateway_framework_path() . '/admin/views/html-user-payment-token-editor-token.php' );
+			for ( $index = $first_index; $index < $first_index + $count; $index++ ) {
+				include( $this->get_gateway()->get_plugin()->get_payment_gateway_framework_path() . '/admin/views/html-user-payment-token-editor-token.php' );
+			}
 
 			$html = ob_get_clean();
 
@@ -241,6 +301,8 @@ class SV_WC_Payment_Gateway_Admin_Payment_Token_Editor {
 	/**
 	 * Remove a token via AJAX.
 	 *
+	 * Several tokens can be removed at once by passing their IDs as `token_ids`.
+	 *
 	 * @since 4.3.0
 	 */
 	public function ajax_remove_token() {
@@ -251,19 +313,34 @@ class SV_WC_Payment_Gateway_Admin_Payment_Token_Editor {
 				throw new SV_WC_Payment_Gateway_Exception( 'Invalid nonce' );
 			}
 
-			$user_id  = SV_WC_Helper::get_requested_value( 'user_id' );
-			$token_id = SV_WC_Helper::get_requested_value( 'token_id' );
+			$user_id   = (int) SV_WC_Helper::get_requested_value( 'user_id' );
+			$token_ids = array_filter( (array) SV_WC_Helper::get_requested_value( 'token_ids', SV_WC_Helper::get_requested_value( 'token_id' ) ) );
 
 			if ( ! $user_id ) {
 				throw new SV_WC_Payment_Gateway_Exception( 'User ID is missing' );
 			}
 
-			if ( ! $token_id ) {
+			if ( ! current_user_can( 'edit_user', $user_id ) ) {
+				throw new SV_WC_Payment_Gateway_Exception( 'You are not allowed to edit this user' );
+			}
+
+			if ( empty( $token_ids ) ) {
 				throw new SV_WC_Payment_Gateway_Exception( 'Token ID is missing' );
 			}
 
-			if ( $this->remove_token( $user_id, $token_id ) ) {
-				wp_send_json_success();
+			$removed = [];
+
+			foreach ( $token_ids as $token_id ) {
+
+				if ( $this->remove_token( $user_id, $token_id ) ) {
+					$removed[] = $token_id;
+				}
+			}
+
+			if ( count( $removed ) === count( $token_ids ) ) {
+				wp_send_json_success( [ 'removed' => $removed ] );
+			} elseif ( ! empty( $removed ) ) {
+				wp_send_json_error( [ 'message' => 'Could not remove some tokens', 'removed' => $removed ] );
 			} else {
 				throw new SV_WC_Payment_Gateway_Exception( 'Could not remove token' );
 			}
@@ -309,6 +386,239 @@ class SV_WC_Payment_Gateway_Admin_Payment_Token_Editor {
 	}
 
 
+	/**
+	 * Validates and saves the tokens via AJAX.
+	 *
+	 * Nothing is saved unless every token is valid: the errors are sent back
+	 * per token and field, with the token index as posted by the editor, so
+	 * they can be displayed next to the fields without reloading the page.
+	 *
+	 * @internal
+	 *
+	 * @since 5.11.0
+	 */
+	public function ajax_save_tokens() {
+
+		try {
+
+			if ( ! check_ajax_referer( 'wc_payment_gateway_admin_save_payment_tokens', 'security', false ) ) {
+				throw new SV_WC_Payment_Gateway_Exception( 'Invalid nonce' );
+			}
+
+			$user_id = (int) SV_WC_Helper::get_posted_value( 'user_id' );
+
+			if ( ! $user_id ) {
+				throw new SV_WC_Payment_Gateway_Exception( 'User ID is missing' );
+			}
+
+			if ( ! current_user_can( 'edit_user', $user_id ) ) {
+				throw new SV_WC_Payment_Gateway_Exception( 'You are not allowed to edit this user' );
+			}
+
+			$tokens           = (array) SV_WC_Helper::get_posted_value( $this->get_input_name(), [] );
+			$default_token_id = SV_WC_Helper::get_posted_value( $this->get_input_name() . '_default' );
+			$errors           = $this->get_tokens_errors( $tokens );
+
+			if ( ! empty( $errors ) ) {
+
+				wp_send_json_error( [
+					'message' => __( 'Invalid token data', 'woocommerce-plugin-framework' ),
+					'errors'  => $errors,
+				] );
+			}
+
+			$this->update_tokens( $user_id, $this->build_tokens( $user_id, $tokens, $default_token_id ) );
+
+			ob_start();
+
+			$this->display_tokens( $user_id );
+
+			$html = ob_get_clean();
+
+			wp_send_json_success( [ 'html' => trim( $html ) ] );
+
+		} catch ( SV_WC_Plugin_Exception $e ) {
+
+			wp_send_json_error( $e->getMessage() );
+		}
+	}
+
+
+	/**
+	 * Exports a user's tokens via AJAX.
+	 *
+	 * Only the token editor fields are exported, so the export holds no more
+	 * data than the editor already displays. The file itself is built by the
+	 * editor script, in the format chosen by the admin.
+	 *
+	 * @internal
+	 *
+	 * @since 5.11.0
+	 */
+	public function ajax_export_tokens() {
+
+		try {
+
+			if ( ! check_ajax_referer( 'wc_payment_gateway_admin_export_payment_tokens', 'security', false ) ) {
+				throw new SV_WC_Payment_Gateway_Exception( 'Invalid nonce' );
+			}
+
+			$user_id = (int) SV_WC_Helper::get_requested_value( 'user_id' );
+
+			if ( ! $user_id ) {
+				throw new SV_WC_Payment_Gateway_Exception( 'User ID is missing' );
+			}
+
+			if ( ! current_user_can( 'edit_user', $user_id ) ) {
+				throw new SV_WC_Payment_Gateway_Exception( 'You are not allowed to edit this user' );
+			}
+
+			wp_send_json_success( [
+				'fields'   => array_merge( array_keys( $this->get_fields() ), [ 'default' ] ),
+				'tokens'   => $this->get_export_data( $user_id ),
+				'filename' => sanitize_file_name( sprintf( '%s-payment-tokens-user-%d', $this->get_gateway()->get_id(), $user_id ) ),
+			] );
+
+		} catch ( SV_WC_Plugin_Exception $e ) {
+
+			wp_send_json_error( $e->getMessage() );
+		}
+	}
+
+
+	/**
+	 * Gets a user's tokens data for export.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param int $user_id the user ID
+	 * @return array[] token data, keyed by editor field ID, with whether each token is the default
+	 */
+	protected function get_export_data( $user_id ) {
+
+		$field_ids = array_keys( $this->get_fields() );
+		$tokens    = [];
+
+		foreach ( $this->get_tokens( $user_id ) as $token ) {
+
+			$data = [];
+
+			foreach ( $field_ids as $field_id ) {
+				$data[ $field_id ] = isset( $token[ $field_id ] ) && is_scalar( $token[ $field_id ] ) ? (string) $token[ $field_id ] : '';
+			}
+
+			$data['default'] = ! empty( $token['default'] );
+
+			$tokens[] = $data;
+		}
+
+		/**
+		 * Filters the tokens data exported from the token editor.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param array[] $tokens token data, keyed by editor field ID
+		 * @param int $user_id the user ID
+		 * @param SV_WC_Payment_Gateway_Admin_Payment_Token_Editor $editor the editor object
+		 */
+		return (array) apply_filters( 'wc_payment_gateway_' . $this->get_gateway()->get_id() . '_token_editor_export_data', $tokens, $user_id, $this );
+	}
+
+
+	/**
+	 * Gets the validation errors for the posted tokens.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param array $tokens the posted token data, keyed by index
+	 * @return array errors keyed by token index, then by field ID, or `_row` for errors about the whole token
+	 */
+	protected function get_tokens_errors( $tokens ) {
+
+		$errors    = [];
+		$token_ids = [];
+
+		foreach ( $tokens as $index => $data ) {
+
+			$token_errors = $this->get_token_errors( $data );
+			$token_id     = isset( $data['id'] ) ? trim( $data['id'] ) : '';
+
+			if ( '' !== $token_id && in_array( $token_id, $token_ids, true ) && empty( $token_errors['id'] ) ) {
+				$token_errors['id'] = __( 'Another token already has this ID.', 'woocommerce-plugin-framework' );
+			}
+
+			$token_ids[] = $token_id;
+
+			/**
+			 * Filters the validation errors of a token saved in the token editor.
+			 *
+			 * @since 5.11.0
+			 *
+			 * @param array $token_errors errors keyed by field ID, or `_row` for errors about the whole token
+			 * @param array $data the posted token data
+			 * @param SV_WC_Payment_Gateway_Admin_Payment_Token_Editor $editor the editor object
+			 */
+			$token_errors = apply_filters( 'wc_payment_gateway_' . $this->get_gateway()->get_id() . '_token_editor_token_errors', $token_errors, $data, $this );
+
+			if ( ! empty( $token_errors ) ) {
+				$errors[ $index ] = $token_errors;
+			}
+		}
+
+		return $errors;
+	}
+
+
+	/**
+	 * Gets the validation errors for a token's data, against the editor fields.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param array $data the posted token data
+	 * @return array errors keyed by field ID
+	 */
+	protected function get_token_errors( $data ) {
+
+		$errors = [];
+
+		foreach ( $this->get_fields() as $field_id => $field ) {
+
+			// non-editable values come from the API
+			if ( ! $field['editable'] ) {
+				continue;
+			}
+
+			$value = isset( $data[ $field_id ] ) && is_string( $data[ $field_id ] ) ? trim( $data[ $field_id ] ) : '';
+
+			if ( '' === $value ) {
+
+				if ( $field['required'] ) {
+					/* translators: Placeholders: %s - field label, e.g. Token ID */
+					$errors[ $field_id ] = sprintf( __( '%s is required.', 'woocommerce-plugin-framework' ), $field['label'] );
+				}
+
+				continue;
+			}
+
+			$is_valid = true;
+
+			if ( 'select' === $field['type'] && ! empty( $field['options'] ) ) {
+				$is_valid = array_key_exists( $value, $field['options'] );
+			} elseif ( ! empty( $field['attributes']['pattern'] ) ) {
+				// like the HTML pattern attribute, the pattern must match the whole value
+				$is_valid = SV_WC_Payment_Gateway_Helper::matches_pattern( $value, $field['attributes']['pattern'] );
+			}
+
+			if ( ! $is_valid ) {
+				/* translators: Placeholders: %s - field label, e.g. Last Four */
+				$errors[ $field_id ] = sprintf( __( '%s is invalid.', 'woocommerce-plugin-framework' ), $field['label'] );
+			}
+		}
+
+		return $errors;
+	}
+
+
 	/**
 	 * Builds a token object from data saved in the admin.
 	 *
@@ -700,8 +1010,12 @@ class SV_WC_Payment_Gateway_Admin_Payment_Token_Editor {
 			$actions['refresh'] = __( 'Refresh', 'woocommerce-plugin-framework' );
 		} else {
 			$actions['add-new'] = __( 'Add New', 'woocommerce-plugin-framework' );
+			$actions['import']  = __( 'Import', 'woocommerce-plugin-framework' );
 		}
 
+		$actions['export-csv']  = __( 'Export CSV', 'woocommerce-plugin-framework' );
+		$actions['export-json'] = __( 'Export JSON', 'woocommerce-plugin-framework' );
+
 		$actions['save'] = __( 'Save', 'woocommerce-plugin-framework' );
 
 		/**
@@ -716,6 +1030,32 @@ class SV_WC_Payment_Gateway_Admin_Payment_Token_Editor {
 	}
 
 
+	/**
+	 * Gets the available bulk actions.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array
+	 */
+	protected function get_bulk_actions() {
+
+		$actions = array(
+			'remove'      => __( 'Remove', 'woocommerce-plugin-framework' ),
+			'set-default' => __( 'Set as default', 'woocommerce-plugin-framework' ),
+		);
+
+		/**
+		 * Filters the payment token editor bulk actions.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param array $actions the bulk actions
+		 * @param SV_WC_Payment_Gateway_Admin_Payment_Token_Editor $editor the editor object
+		 */
+		return apply_filters( 'wc_payment_gateway_' . $this->get_gateway()->get_id() . '_token_editor_bulk_actions', $actions, $this );
+	}
+
+
 	/**
 	 * Get the available token actions.
 	 *
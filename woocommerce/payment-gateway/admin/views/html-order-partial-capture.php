@@ -35,17 +35,15 @@
 			<td class="total"><?php echo wc_price( $total_captured, array( 'currency' => $order->get_currency() ) ); ?></td>
 		</tr>
 
-		<?php if ( $remaining_total > 0 ) : ?>
-			<tr>
-				<td class="label"><?php esc_html_e( 'Remaining order total', 'woocommerce-plugin-framework' ); ?>:</td>
-				<td class="total"><?php echo wc_price( $remaining_total, array( 'currency' => $order->get_currency() ) ); ?></td>
-			</tr>
-		<?php endif; ?>
+		<tr class="capture-remaining">
+			<td class="label"><?php esc_html_e( 'Remaining authorization', 'woocommerce-plugin-framework' ); ?>:</td>
+			<td class="total"><?php echo wc_price( $remaining_total, array( 'currency' => $order->get_currency() ) ); ?></td>
+		</tr>
 
 		<tr>
 			<td class="label"><label for="capture_amount"><?php esc_html_e( 'Capture amount', 'woocommerce-plugin-framework' ); ?>:</label></td>
 			<td class="total">
-				<input type="text" class="text" id="capture_amount" name="capture_amount" class="wc_input_price" />
+				<input type="text" class="text wc_input_price" id="capture_amount" name="capture_amount" data-remaining="<?php echo esc_attr( $remaining_total ); ?>" />
 				<div class="clear"></div>
 			</td>
 		</tr>
@@ -58,6 +56,37 @@
 		</tr>
 	</table>
 	<div class="clear"></div>
+
+	<?php if ( ! empty( $captures ) ) : ?>
+
+		<table class="widefat capture-history">
+			<caption><?php esc_html_e( 'Capture history', 'woocommerce-plugin-framework' ); ?></caption>
+			<thead>
+				<tr>
+					<th class="capture-date"><?php esc_html_e( 'Date', 'woocommerce-plugin-framework' ); ?></th>
+					<th class="capture-amount"><?php esc_html_e( 'Amount', 'woocommerce-plugin-framework' ); ?></th>
+					<th class="capture-comment"><?php esc_html_e( 'Comment', 'woocommerce-plugin-framework' ); ?></th>
+				</tr>
+			</thead>
+			<tbody>
+
+				<?php foreach ( $captures as $capture ) : ?>
+
+					<?php $capture_date = ! empty( $capture['date'] ) ? wc_string_to_datetime( $capture['date'] . '+00:00' ) : null; ?>
+
+					<tr>
+						<td class="capture-date"><?php echo $capture_date ? esc_html( wc_format_datetime( $capture_date, get_option( 'date_format' ) . ' ' . get_option( 'time_format' ) ) ) : '&ndash;'; ?></td>
+						<td class="capture-amount"><?php echo wc_price( isset( $capture['amount'] ) ? $capture['amount'] : 0, array( 'currency' => $order->get_currency() ) ); ?></td>
+						<td class="capture-comment"><?php echo ! empty( $capture['comment'] ) ? esc_html( $capture['comment'] ) : '&ndash;'; ?></td>
+					</tr>
+
+				<?php endforeach; ?>
+
+			</tbody>
+		</table>
+
+	<?php endif; ?>
+
 	<div class="capture-actions">
 
 		<?php $amount = '<span class="capture-amount">' . wc_price( 0, array( 'currency' => $order->get_currency() ) ) . '</span>'; ?>
@@ -36,6 +36,10 @@
 
 <tr class="token <?php echo ! $token['id'] ? 'new-token' : ''; ?>">
 
+	<td class="token-select check-column">
+		<input type="checkbox" class="token-select-input" value="<?php echo esc_attr( $token['id'] ); ?>" aria-label="<?php esc_attr_e( 'Select token', 'woocommerce-plugin-framework' ); ?>" />
+	</td>
+
 	<?php foreach ( $fields as $field_id => $field ) : ?>
 
 		<?php $is_select = isset( $field['type'], $field['options'] ) && 'select' === $field['type'] && ! empty( $field['options'] ); ?>
@@ -34,6 +34,10 @@
 			<thead>
 				<tr>
 
+					<td class="token-select check-column">
+						<input type="checkbox" class="token-select-all" aria-label="<?php esc_attr_e( 'Select all tokens', 'woocommerce-plugin-framework' ); ?>" />
+					</td>
+
 					<?php // Display a column for each token field
 					foreach ( $columns as $column_id => $column_title ) : ?>
 						<th class="token-<?php echo esc_attr( $column_id ); ?>"><?php echo esc_html( $column_title ); ?></th>
@@ -56,7 +60,7 @@
 
 			<tbody class="meta">
 				<tr class="no-tokens">
-					<td colspan="<?php echo count( $columns ); ?>"><?php esc_html_e( 'No saved payment tokens', 'woocommerce-plugin-framework' ); ?></td>
+					<td colspan="<?php echo count( $columns ) + 1; ?>"><?php esc_html_e( 'No saved payment tokens', 'woocommerce-plugin-framework' ); ?></td>
 				</tr>
 			</tbody>
 
@@ -65,7 +69,28 @@
 
 				<tfoot>
 					<tr>
-						<th class="actions" colspan="<?php echo count( $columns ); ?>">
+						<th class="actions" colspan="<?php echo count( $columns ) + 1; ?>">
+
+							<?php if ( ! empty( $bulk_actions ) ) : ?>
+
+								<span class="bulk-actions">
+
+									<select class="token-bulk-action" aria-label="<?php esc_attr_e( 'Bulk actions', 'woocommerce-plugin-framework' ); ?>">
+										<option value=""><?php esc_html_e( 'Bulk actions', 'woocommerce-plugin-framework' ); ?></option>
+
+										<?php foreach ( $bulk_actions as $action => $label ) : ?>
+											<option value="<?php echo esc_attr( $action ); ?>"><?php echo esc_html( $label ); ?></option>
+										<?php endforeach; ?>
+
+									</select>
+
+									<button class="sv-wc-payment-gateway-token-editor-action-button button" data-action="bulk-apply" data-user-id="<?php echo esc_attr( $user_id ); ?>">
+										<?php esc_html_e( 'Apply', 'woocommerce-plugin-framework' ); ?>
+									</button>
+
+								</span>
+
+							<?php endif; ?>
 
 							<?php foreach ( $actions as $action => $label ) : ?>
 
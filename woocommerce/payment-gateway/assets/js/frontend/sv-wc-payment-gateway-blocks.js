@@ -0,0 +1,563 @@
+/**
+ * WooCommerce SkyVerge Payment Gateway Framework Cart & Checkout Blocks JS
+ *
+ * Registers the framework payment methods with the WooCommerce Cart & Checkout blocks.
+ *
+ * @since 5.11.0
+ */
+( function( $ ) {
+
+	"use strict"
+
+	const { registerPaymentMethod, registerExpressPaymentMethod } = window.wc.wcBlocksRegistry;
+	const { getSetting } = window.wc.wcSettings;
+	const { createElement: el, useEffect, useRef } = window.wp.element;
+	const { decodeEntities } = window.wp.htmlEntities;
+
+	/**
+	 * Maps the HTML attribute names used by the payment form fields to their React property names.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @type {Object}
+	 */
+	const attributeNames = {
+		autocomplete: 'autoComplete',
+		autocorrect: 'autoCorrect',
+		autocapitalize: 'autoCapitalize',
+		spellcheck: 'spellCheck',
+		maxlength: 'maxLength',
+	};
+
+	/**
+	 * Renders a payment form field.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param {Object} field field definition, in the format used by woocommerce_form_field()
+	 * @returns {Object} element
+	 */
+	const renderField = ( field ) => {
+
+		let attributes = {
+			id: field.id,
+			name: field.name,
+			className: [ 'select' === field.type ? 'select' : 'input-text' ].concat( field.input_class || [] ).join( ' ' ),
+			defaultValue: field.value || '',
+		};
+
+		$.each( field.custom_attributes || {}, ( name, value ) => {
+			attributes[ attributeNames[ name ] || name ] = value;
+		} );
+
+		let input;
+
+		if ( 'select' === field.type ) {
+
+			input = el( 'select', attributes, $.map( field.options || {}, ( label, value ) => el( 'option', { key: value, value: value }, label ) ) );
+
+		} else {
+
+			attributes.type        = field.type;
+			attributes.placeholder = field.placeholder;
+
+			if ( field.maxlength ) {
+				attributes.maxLength = field.maxlength;
+			}
+
+			input = el( 'input', attributes );
+		}
+
+		const label = field.label + ( field.required ? ' <abbr class="required" title="required">*</abbr>' : '' );
+
+		return el( 'p', { key: field.id, className: [ 'form-row' ].concat( field.class || [] ).join( ' ' ) },
+			el( 'label', { htmlFor: field.id, dangerouslySetInnerHTML: { __html: label } } ),
+			input
+		);
+	};
+
+	/**
+	 * Applies the card input formatters and the bank account masks to the rendered fields.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param {Element} container element the fields are rendered in
+	 * @param {Object} data payment method data
+	 */
+	const formatFields = ( container, data ) => {
+
+		const $container  = $( container );
+		const formHandler = window.SV_WC_Payment_Form_Handler_v5_10_8;
+
+		if ( formHandler ) {
+			$.each( data.args.bank_account_fields || {}, ( key, field ) => {
+				formHandler.mask_bank_account_input( $container.find( '.js-sv-wc-payment-gateway-echeck-form-' + key ), field.mask );
+			} );
+		}
+
+		const cardUtils = window.SV_WC_Card_Utils_v5_10_8;
+
+		if ( ! cardUtils ) {
+			return;
+		}
+
+		const brands      = data.args.card_brands;
+		const $cardNumber = $container.find( '.js-sv-wc-payment-gateway-credit-card-form-account-number' );
+
+		cardUtils.format_input( $cardNumber, 'card-number', brands );
+		cardUtils.format_input( $container.find( '.js-sv-wc-payment-gateway-credit-card-form-expiry' ), 'expiry' );
+		cardUtils.format_input( $container.find( '.js-sv-wc-payment-gateway-credit-card-form-csc' ), 'csc', brands, () => cardUtils.get_brand( $cardNumber.val(), brands ) );
+
+		// let the customer choose the network of a co-badged card, as the classic payment form does
+		if ( formHandler && ( data.args.co_badged_networks || [] ).length ) {
+
+			const renderer = {
+				id_dasherized: data.id_dasherized,
+				card_brands: brands,
+				params: window.sv_wc_payment_gateway_payment_form_params || {},
+			};
+
+			$cardNumber.on( 'change keyup paste', () => {
+
+				const networks = formHandler.get_co_badged_networks( $cardNumber.val() || '', data.args.co_badged_networks )
+					.filter( ( network ) => formHandler.is_card_brand_accepted( network, [], data.args.enabled_card_types ) );
+
+				formHandler.prototype.render_card_networks.call( renderer, $cardNumber, networks );
+			} );
+		}
+	};
+
+	/**
+	 * Gets the values of the fields rendered in the given container, keyed by field name.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param {Element} container element the fields are rendered in
+	 * @returns {Object} field values
+	 */
+	const getFieldValues = ( container ) => {
+
+		let values = {};
+
+		$( container ).find( 'input, select' ).each( ( index, field ) => {
+
+			// only the chosen option of a radio group, like the card network, is posted
+			if ( field.name && ( 'radio' !== field.type || field.checked ) ) {
+				values[ field.name ] = $( field ).val();
+			}
+		} );
+
+		return values;
+	};
+
+	/**
+	 * Validates the payment data with the rules used by the classic payment form.
+	 *
+	 * Also removes any spaces & dashes from the card number and bank account fields.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param {Object} data payment method data
+	 * @param {Object} values field values, keyed by field name
+	 * @param {boolean} savedPaymentMethodSelected whether a saved payment method is used
+	 * @returns {Object[]} errors, with the `field` they belong to and the error `message`
+	 */
+	const validatePaymentData = ( data, values, savedPaymentMethodSelected ) => {
+
+		const formHandler = window.SV_WC_Payment_Form_Handler_v5_10_8;
+		const params      = window.sv_wc_payment_gateway_payment_form_params;
+
+		// the payment data can't be checked without the payment form rules, so it's never sent unchecked
+		if ( ! formHandler || ! params ) {
+			return [ { message: data.i18n.general_error } ];
+		}
+
+		const prefix  = 'wc-' + data.id_dasherized + '-';
+		const handler = $.extend( {}, data.args, { params } );
+
+		if ( 'credit-card' === data.args.type ) {
+
+			if ( values[ prefix + 'account-number' ] ) {
+				values[ prefix + 'account-number' ] = values[ prefix + 'account-number' ].replace( /-|\s/g, '' );
+			}
+
+			return formHandler.get_card_data_errors( {
+				account_number: values[ prefix + 'account-number' ],
+				expiry: values[ prefix + 'expiry' ],
+				csc: values[ prefix + 'csc' ],
+				card_network: values[ prefix + 'card-type' ],
+				saved_payment_method_selected: savedPaymentMethodSelected,
+			}, handler );
+		}
+
+		if ( 'echeck' === data.args.type && ! savedPaymentMethodSelected ) {
+
+			let accountData = {};
+
+			$.each( data.args.bank_account_fields || {}, ( key ) => {
+				accountData[ key ] = values[ prefix + key ];
+				values[ prefix + key ] = formHandler.normalize_bank_account_value( values[ prefix + key ] );
+			} );
+
+			return formHandler.get_account_data_errors( accountData, handler );
+		}
+
+		return [];
+	};
+
+	/**
+	 * Creates the payment form handler for the gateway, so the async validators it registers can run in the block.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param {Object} data payment method data
+	 * @returns {Object} ref of the payment form handler instance, if any
+	 */
+	const useFormHandler = ( data ) => {
+
+		const handler = useRef( null );
+
+		useEffect( () => {
+
+			const Handler = window[ data.handler_class ] || window.SV_WC_Payment_Form_Handler_v5_10_8;
+
+			if ( ! Handler ) {
+				return;
+			}
+
+			handler.current = new Handler( $.extend( {}, data.args, { block: true } ) );
+
+			return () => handler.current.destroy();
+
+		}, [] );
+
+		return handler;
+	};
+
+	/**
+	 * Gets the payment setup error response.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param {Object} emitResponse block event response helpers
+	 * @param {Array} errors error messages, or objects with the error `message`
+	 * @returns {Object} response
+	 */
+	const getErrorResponse = ( emitResponse, errors ) => ( {
+		type: emitResponse.responseTypes.ERROR,
+		message: errors.map( ( error ) => 'string' === typeof error ? error : error.message ).join( ' ' ),
+		messageContext: emitResponse.noticeContexts.PAYMENTS,
+	} );
+
+	/**
+	 * Subscribes to the payment setup event to pass the field values to the server.
+	 *
+	 * Once the fields are valid, the async validators registered by the gateway run before the payment data is sent.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param {Object} props payment method component props
+	 * @param {Object} container ref of the element the fields are rendered in
+	 * @param {Function} getExtraData returns extra payment data to send
+	 * @param {boolean} savedPaymentMethodSelected whether a saved payment method is used
+	 */
+	const usePaymentSetup = ( props, container, getExtraData, savedPaymentMethodSelected ) => {
+
+		const { data, eventRegistration, emitResponse } = props;
+		const onPaymentSetup = eventRegistration.onPaymentSetup || eventRegistration.onPaymentProcessing;
+		const formHandler    = useFormHandler( data );
+
+		// the extra data changes with the component props, which shouldn't subscribe to the event again
+		const extraData = useRef( getExtraData );
+
+		extraData.current = getExtraData;
+
+		useEffect( () => onPaymentSetup( () => {
+
+			const values = $.extend( getFieldValues( container.current ), extraData.current() );
+			const errors = validatePaymentData( data, values, savedPaymentMethodSelected );
+
+			if ( errors.length ) {
+				return getErrorResponse( emitResponse, errors );
+			}
+
+			const validators = formHandler.current ? formHandler.current.run_block_validators() : Promise.resolve( {} );
+
+			return validators.then( ( validatorData ) => ( {
+				type: emitResponse.responseTypes.SUCCESS,
+				meta: { paymentMethodData: $.extend( values, validatorData ) },
+			} ), ( validatorErrors ) => getErrorResponse( emitResponse, validatorErrors ) );
+
+		} ), [ onPaymentSetup ] );
+	};
+
+	/**
+	 * Renders the description and the test mode notice.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param {Object} data payment method data
+	 * @returns {Object|null} element
+	 */
+	const renderDescription = ( data ) => {
+
+		if ( ! data.description && ! data.test_environment ) {
+			return null;
+		}
+
+		return el( 'p', { className: 'sv-wc-payment-gateway-payment-form-description' },
+			data.test_environment ? el( 'strong', null, data.i18n.test_mode + ' ' ) : null,
+			decodeEntities( data.description || '' )
+		);
+	};
+
+	/**
+	 * Payment form component.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param {Object} props component props
+	 * @returns {Object} element
+	 */
+	const PaymentForm = ( props ) => {
+
+		const { data, shouldSavePayment } = props;
+		const container = useRef( null );
+
+		useEffect( () => formatFields( container.current, data ), [] );
+
+		const getExtraData = () => {
+
+			let extra = {};
+
+			if ( shouldSavePayment ) {
+				extra[ 'wc-' + data.id_dasherized + '-tokenize-payment-method' ] = 'true';
+			}
+
+			return extra;
+		};
+
+		usePaymentSetup( props, container, getExtraData, false );
+
+		return el( 'div', { className: 'payment_method_' + data.id },
+			renderDescription( data ),
+			el( 'fieldset', { ref: container, id: 'wc-' + data.id_dasherized + '-' + data.args.type + '-form', className: 'wc-' + data.args.type + '-form wc-payment-form' },
+				data.fields.map( renderField )
+			)
+		);
+	};
+
+	/**
+	 * Saved payment method component.
+	 *
+	 * Maps the core token selected in the block to the framework token, and renders the CSC field if required.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param {Object} props component props
+	 * @returns {Object} element
+	 */
+	const SavedTokenForm = ( props ) => {
+
+		const { data, token } = props;
+		const container = useRef( null );
+		const cscField  = data.args.csc_required_for_tokens ? data.fields.find( ( field ) => field.name === 'wc-' + data.id_dasherized + '-csc' ) : null;
+
+		useEffect( () => formatFields( container.current, data ), [] );
+
+		const getExtraData = () => {
+
+			let extra = {};
+
+			extra[ 'wc-' + data.id_dasherized + '-payment-token' ] = data.tokens[ token ] || '';
+
+			return extra;
+		};
+
+		usePaymentSetup( props, container, getExtraData, true );
+
+		return el( 'div', { ref: container, className: 'payment_method_' + data.id },
+			cscField ? renderField( cscField ) : null
+		);
+	};
+
+	/**
+	 * Payment method label component.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param {Object} props component props
+	 * @returns {Object} element
+	 */
+	const Label = ( props ) => {
+
+		const { data } = props;
+
+		return el( 'span', { className: 'sv-wc-payment-gateway-block-label' },
+			decodeEntities( data.title ),
+			$.map( data.card_icons || {}, ( icon, type ) => el( 'img', { key: type, src: icon.src, alt: icon.alt, className: 'sv-wc-payment-gateway-icon wc-' + data.id_dasherized + '-payment-gateway-icon' } ) )
+		);
+	};
+
+	/**
+	 * Express payment button component.
+	 *
+	 * Renders the button markup and hands it over to the external checkout handler (Apple Pay, Google Pay).
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param {Object} props component props
+	 * @returns {Object} element
+	 */
+	const ExpressButton = ( props ) => {
+
+		const { data, billing } = props;
+		const container = useRef( null );
+		const handler   = useRef( null );
+		const cartTotal = useRef( null );
+		const total     = billing && billing.cartTotal ? billing.cartTotal.value : null;
+
+		useEffect( () => {
+
+			const Handler = window[ data.handler_class ];
+
+			if ( ! Handler ) {
+				return;
+			}
+
+			const $element = $( container.current );
+
+			handler.current = new Handler( data.handler_args );
+
+			if ( 'function' === typeof handler.current.init_block ) {
+				handler.current.init_block( $element );
+			} else if ( 'function' === typeof handler.current.initBlock ) {
+				handler.current.initBlock( $element );
+			}
+
+			return () => $element.off();
+
+		}, [] );
+
+		// rebuild the payment request when the cart total changes
+		useEffect( () => {
+
+			if ( null !== cartTotal.current && cartTotal.current !== total && handler.current && 'function' === typeof handler.current.reset_payment_request ) {
+				handler.current.reset_payment_request();
+			}
+
+			cartTotal.current = total;
+
+		}, [ total ] );
+
+		return el( 'div', { ref: container, className: 'sv-wc-external-checkout' },
+			el( 'div', { className: 'buttons-container', dangerouslySetInnerHTML: { __html: data.button_html } } )
+		);
+	};
+
+	/**
+	 * Blocks handler.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @type {SV_WC_Payment_Gateway_Blocks_Handler_v5_10_8} object
+	 */
+	window.SV_WC_Payment_Gateway_Blocks_Handler_v5_10_8 = window.SV_WC_Payment_Gateway_Blocks_Handler_v5_10_8 || class SV_WC_Payment_Gateway_Blocks_Handler_v5_10_8 {
+
+		/**
+		 * Registers a framework gateway with the Checkout block.
+		 *
+		 * Safe to call more than once for the same payment method.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {string} name payment method name (the gateway ID)
+		 */
+		static register_payment_method( name ) {
+
+			if ( ! this.register( name ) ) {
+				return;
+			}
+
+			const data = getSetting( name + '_data', null );
+
+			if ( ! data ) {
+				return;
+			}
+
+			registerPaymentMethod( {
+				name: name,
+				label: el( Label, { data } ),
+				ariaLabel: decodeEntities( data.title ),
+				content: el( PaymentForm, { data } ),
+				edit: el( PaymentForm, { data } ),
+				savedTokenComponent: el( SavedTokenForm, { data } ),
+				canMakePayment: () => true,
+				supports: {
+					features: data.supports.features,
+					showSavedCards: data.supports.show_saved_cards,
+					showSaveOption: data.supports.show_save_option,
+				},
+			} );
+		}
+
+		/**
+		 * Registers a framework external checkout method with the Cart & Checkout blocks.
+		 *
+		 * Safe to call more than once for the same payment method.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {string} name payment method name
+		 */
+		static register_express_payment_method( name ) {
+
+			if ( ! this.register( name ) ) {
+				return;
+			}
+
+			const data = getSetting( name + '_data', null );
+
+			if ( ! data ) {
+				return;
+			}
+
+			registerExpressPaymentMethod( {
+				name: name,
+				content: el( ExpressButton, { data } ),
+				edit: el( 'div', { className: 'sv-wc-external-checkout' }, decodeEntities( data.title ) ),
+				canMakePayment: () => {
+
+					if ( $( '.wp-block-woocommerce-checkout' ).length ) {
+						return data.locations.indexOf( 'checkout' ) > -1;
+					}
+
+					return data.locations.indexOf( 'cart' ) > -1;
+				},
+				supports: {
+					features: data.supports.features,
+				},
+			} );
+		}
+
+		/**
+		 * Flags a payment method as registered.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {string} name payment method name
+		 * @returns {boolean} false if the payment method was already registered
+		 */
+		static register( name ) {
+
+			this.registered = this.registered || {};
+
+			if ( this.registered[ name ] ) {
+				return false;
+			}
+
+			return this.registered[ name ] = true;
+		}
+	}
+
+} )( jQuery );
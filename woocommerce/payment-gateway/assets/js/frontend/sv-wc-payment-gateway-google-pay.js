@@ -30,7 +30,9 @@ jQuery( function( $ ) {
 		 * @param {string[]} params.available_countries Array of two-letter country codes the gateway is available for
 		 * @param {string[]} params.currency_code WC configured currency
 		 * @param {boolean} params.needs_shipping Whether or not the cart or product needs shipping
+		 * @param {boolean} params.offers_enabled Whether or not offer codes can be entered in the payment sheet
 		 * @param {string} params.generic_error The generic error message
+		 * @param {string} params.unserviceable_error The error message for addresses that can't be shipped to
 		 * @param {string} params.product_id The product ID if we are on a Product page
 		 */
 		constructor( params ) {
@@ -49,7 +51,9 @@ jQuery( function( $ ) {
 				available_countries,
 				currency_code,
 				needs_shipping,
-				generic_error
+				offers_enabled,
+				generic_error,
+				unserviceable_error
 			} = params;
 
 			this.gatewayID              = gateway_id;
@@ -62,7 +66,9 @@ jQuery( function( $ ) {
 			this.availableCountries     = available_countries;
 			this.currencyCode           = currency_code;
 			this.needsShipping          = needs_shipping;
+			this.offersEnabled          = !! offers_enabled;
 			this.genericError           = generic_error;
+			this.unserviceableError     = unserviceable_error || generic_error;
 
 			if ( params.product_id ) {
 				this.productID = params.product_id;
@@ -194,12 +200,16 @@ jQuery( function( $ ) {
 				paymentDataRequest.callbackIntents = [ 'PAYMENT_AUTHORIZATION' ];
 
 				if ( this.needsShipping ) {
-					paymentDataRequest.callbackIntents = [ 'SHIPPING_ADDRESS', 'SHIPPING_OPTION', 'PAYMENT_AUTHORIZATION' ];
+					paymentDataRequest.callbackIntents.push( 'SHIPPING_ADDRESS', 'SHIPPING_OPTION' );
 					paymentDataRequest.shippingAddressRequired = true;
 					paymentDataRequest.shippingAddressParameters = this.getGoogleShippingAddressParameters();
 					paymentDataRequest.shippingOptionRequired = true;
 				}
 
+				if ( this.offersEnabled ) {
+					paymentDataRequest.callbackIntents.push( 'OFFER' );
+				}
+
 				resolve( paymentDataRequest );
 			} );
 		}
@@ -222,7 +232,7 @@ jQuery( function( $ ) {
 					}
 				};
 
-				if ( this.needsShipping ) {
+				if ( this.needsShipping || this.offersEnabled ) {
 					args.paymentDataCallbacks.onPaymentDataChanged = ( paymentData ) => this.onPaymentDataChanged( paymentData );
 				}
 
@@ -251,11 +261,7 @@ jQuery( function( $ ) {
 				}	catch( err ) {
 					reject( {
 						transactionState: 'ERROR',
-						error: {
-							intent: 'PAYMENT_AUTHORIZATION',
-							message: 'Payment could not be processed',
-							reason: 'PAYMENT_DATA_INVALID'
-						}
+						error: this.getGoogleError( 'PAYMENT_DATA_INVALID', 'PAYMENT_AUTHORIZATION' )
 					} );
 				}
 
@@ -264,9 +270,9 @@ jQuery( function( $ ) {
 		}
 
 		/**
-		 * Handles dynamic buy flow shipping address and shipping options callback intents.
+		 * Handles dynamic buy flow shipping address, shipping options and offer callback intents.
 		 *
-		 * @param {object} intermediatePaymentData response from Google Pay API a shipping address or shipping option is selected in the payment sheet.
+		 * @param {object} intermediatePaymentData response from Google Pay API when a shipping address, shipping option or offer code is selected in the payment sheet.
 		 * @see {@link https://developers.google.com/pay/api/web/reference/response-objects#IntermediatePaymentData|IntermediatePaymentData object reference}
 		 *
 		 * @see {@link https://developers.google.com/pay/api/web/reference/response-objects#PaymentDataRequestUpdate|PaymentDataRequestUpdate}
@@ -278,34 +284,71 @@ jQuery( function( $ ) {
 
 			return new Promise(( resolve, reject ) => {
 
+				const callbackTrigger = intermediatePaymentData.callbackTrigger;
+
 				try {
 					let shippingAddress = intermediatePaymentData.shippingAddress;
 					let shippingOptionData = intermediatePaymentData.shippingOptionData;
 					let chosenShippingMethod = '';
+					let offerCodes = null;
 
-					if ( intermediatePaymentData.callbackTrigger == 'SHIPPING_OPTION' ) {
+					// a new address may change the available methods, so only keep the chosen one when selecting a method or an offer
+					if ( [ 'SHIPPING_OPTION', 'OFFER' ].includes( callbackTrigger ) && shippingOptionData && 'shipping_option_unselected' !== shippingOptionData.id ) {
 						chosenShippingMethod = shippingOptionData.id;
 					}
 
+					// the sheet lists the coupons applied to the cart once initialized, so its codes replace them from then on
+					if ( this.offersEnabled && 'INITIALIZE' !== callbackTrigger ) {
+						offerCodes = intermediatePaymentData.offerData ? intermediatePaymentData.offerData.redemptionCodes : [];
+					}
+
 					this.getUpdatedTotals( shippingAddress, chosenShippingMethod, ( paymentDataRequestUpdate ) => {
 
-						if ( paymentDataRequestUpdate.newShippingOptionParameters.shippingOptions.length == 0 ) {
+						if ( ! this.needsShipping ) {
+							delete paymentDataRequestUpdate.newShippingOptionParameters;
+						} else if ( ! paymentDataRequestUpdate.error && ! paymentDataRequestUpdate.newShippingOptionParameters.shippingOptions.length ) {
 							paymentDataRequestUpdate = {
 								error: this.getGoogleUnserviceableAddressError()
 							};
 						}
 
+						this.unblockUI();
+
 						resolve( paymentDataRequestUpdate );
+
+					}, offerCodes, ( error ) => {
+
+						this.unblockUI();
+
+						// display the server error in the payment sheet, if there is one
+						resolve( {
+							error: this.getGoogleError( error.reason || 'OTHER_ERROR', this.getCallbackIntent( callbackTrigger ), error.message )
+						} );
 					} );
 
 				}	catch( err ) {
 					this.failPayment( 'Could not load updated totals or process payment data request update. ' + err );
 				}
-
-				this.unblockUI();
 			} );
 		}
 
+		/**
+		 * Gets the callback intent matching a callback trigger.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {string} callbackTrigger the callback trigger
+		 * @returns {string} callback intent
+		 */
+		getCallbackIntent( callbackTrigger ) {
+
+			if ( 'INITIALIZE' === callbackTrigger ) {
+				return this.needsShipping ? 'SHIPPING_ADDRESS' : 'OFFER';
+			}
+
+			return callbackTrigger;
+		}
+
 		/**
 		 * Provide Google Pay API with a payment amount, currency, and amount status
 		 *
@@ -322,7 +365,7 @@ jQuery( function( $ ) {
 			}
 
 			if ( this.productID ) {
-				data.productID = this.productID;
+				Object.assign( data, this.getProductData() );
 			}
 
 			$.post( this.ajaxURL, data, ( response ) => {
@@ -343,8 +386,10 @@ jQuery( function( $ ) {
 		 * @param {object} shippingAddress shipping address
 		 * @param {object} shippingMethod chosen shipping method
 		 * @param {function} resolve callback
+		 * @param {string[]|null} offerCodes offer codes entered in the payment sheet, or null to keep the cart coupons
+		 * @param {function} reject callback for when the totals could not be recalculated
 		 */
-		getUpdatedTotals( shippingAddress, shippingMethod, resolve ) {
+		getUpdatedTotals( shippingAddress, shippingMethod, resolve, offerCodes = null, reject = null ) {
 
 			const data = {
 				action: `wc_${this.gatewayID}_google_pay_recalculate_totals`,
@@ -354,16 +399,27 @@ jQuery( function( $ ) {
 			}
 
 			if ( this.productID ) {
-				data.productID = this.productID;
+				Object.assign( data, this.getProductData() );
+			}
+
+			// empty arrays aren't posted, but no codes still need to remove the applied coupons
+			if ( offerCodes ) {
+				data.offerCodes = offerCodes.length ? offerCodes : '';
 			}
 
 			$.post( this.ajaxURL, data, ( response ) => {
 
 				if ( response.success ) {
 					resolve( JSON.parse( response.data ) )
+				} else if ( reject ) {
+					reject( response.data || {} );
 				} else {
 					this.failPayment( 'Could not recalculate totals. ' + response.data.message );
 				}
+			} ).fail( () => {
+				if ( reject ) {
+					reject( {} );
+				}
 			} );
 		}
 
@@ -387,10 +443,26 @@ jQuery( function( $ ) {
 		 * @returns {object} payment data error, suitable for use as error property of PaymentDataRequestUpdate
 		 */
 		getGoogleUnserviceableAddressError() {
+			return this.getGoogleError( 'SHIPPING_ADDRESS_UNSERVICEABLE', 'SHIPPING_ADDRESS', this.unserviceableError );
+		}
+
+		/**
+		 * Provide Google Pay API with a payment data error.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @see {@link https://developers.google.com/pay/api/web/reference/response-objects#PaymentDataError|PaymentDataError}
+		 *
+		 * @param {string} reason error reason, such as OFFER_INVALID
+		 * @param {string} intent the callback intent the error occurred in
+		 * @param {string} message the error message displayed to the customer, defaults to the generic error
+		 * @returns {object} payment data error
+		 */
+		getGoogleError( reason, intent, message = '' ) {
 			return {
-				reason: 'SHIPPING_ADDRESS_UNSERVICEABLE',
-				message: 'Cannot ship to the selected address',
-				intent: 'SHIPPING_ADDRESS'
+				reason: reason,
+				message: message || this.genericError,
+				intent: intent
 			};
 		}
 
@@ -409,6 +481,9 @@ jQuery( function( $ ) {
 				buttonSizeMode: 'fill'
 			} );
 			document.getElementById( 'sv-wc-google-pay-button-container' ).appendChild( button );
+
+			// let other express checkout buttons know a wallet is displayed
+			$( document.body ).trigger( 'sv_wc_external_checkout_wallet_shown', [ 'google_pay' ] );
 		}
 
 		/**
@@ -448,7 +523,7 @@ jQuery( function( $ ) {
 			}
 
 			if ( this.productID && ! this.needsShipping ) {
-				data.productID = this.productID;
+				Object.assign( data, this.getProductData() );
 			}
 
 			return $.post( this.ajaxURL, data, ( response ) => {
@@ -460,11 +535,7 @@ jQuery( function( $ ) {
 				} else {
 					resolve( {
 						transactionState: 'ERROR',
-						error: {
-							intent: 'SHIPPING_ADDRESS',
-							message: 'Invalid data',
-							reason: 'PAYMENT_DATA_INVALID'
-						}
+						error: this.getGoogleError( 'PAYMENT_DATA_INVALID', 'PAYMENT_AUTHORIZATION' )
 					} );
 					this.failPayment( 'Payment could not be processed. ' + response.data.message );
 				}
@@ -478,13 +549,22 @@ jQuery( function( $ ) {
 
 			event.preventDefault();
 
+			if ( this.productDisabled ) {
+				return;
+			}
+
 			this.blockUI();
 
 			this.getGooglePaymentDataRequest( ( paymentDataRequest ) => {
 
 				const paymentsClient = this.getGooglePaymentsClient();
 				try {
-					paymentsClient.loadPaymentData( paymentDataRequest );
+					// the payment is processed by the onPaymentAuthorized callback, the promise only rejects if the sheet is closed or fails to load
+					paymentsClient.loadPaymentData( paymentDataRequest ).catch( ( err ) => {
+						if ( 'CANCELED' !== err.statusCode ) {
+							this.failPayment( 'Could not load payment data. ' + err.statusMessage );
+						}
+					} );
 				} catch ( err ) {
 					this.failPayment( 'Could not load payment data. ' + err );
 				}
@@ -515,6 +595,20 @@ jQuery( function( $ ) {
 			this.initGooglePay();
 		}
 
+		/**
+		 * Initializes the handler inside a Cart or Checkout block.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {jQuery} uiElement the element the Google Pay button is rendered in
+		 */
+		initBlock( uiElement ) {
+
+			this.uiElement = uiElement;
+
+			this.initGooglePay();
+		}
+
 		/**
 		 * Initializes Google Pay.
 		 */
@@ -539,6 +633,63 @@ jQuery( function( $ ) {
 		 */
 		initProductPage() {
 			this.uiElement = $( 'form.cart' );
+
+			this.isVariableProduct = this.uiElement.hasClass( 'variations_form' );
+
+			// variable products can't be bought until a purchasable variation is chosen
+			if ( this.isVariableProduct ) {
+
+				this.setProductPurchasable( false );
+
+				this.uiElement.on( 'found_variation', ( event, variation ) => {
+					this.variationID = variation.is_purchasable && variation.is_in_stock ? variation.variation_id : null;
+					this.setProductPurchasable( !! this.variationID );
+				} );
+
+				this.uiElement.on( 'reset_data', () => {
+					this.variationID = null;
+					this.setProductPurchasable( false );
+				} );
+			}
+		}
+
+		/**
+		 * Gets the product, variation and quantity chosen on the product page.
+		 *
+		 * The transaction info is fetched when the button is clicked, so it always
+		 * reflects the current choice.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @returns {object} product data to post
+		 */
+		getProductData() {
+
+			const variation = {};
+
+			this.uiElement.find( '[name^="attribute_"]' ).each( ( index, field ) => {
+				variation[ $( field ).attr( 'name' ) ] = $( field ).val();
+			} );
+
+			return {
+				productID: this.variationID || this.productID,
+				quantity: this.uiElement.find( 'input.qty' ).val() || 1,
+				variation: variation
+			};
+		}
+
+		/**
+		 * Enables or disables the button on the product page.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {boolean} purchasable whether the chosen product can be bought
+		 */
+		setProductPurchasable( purchasable ) {
+
+			this.productDisabled = ! purchasable;
+
+			$( '#sv-wc-google-pay-button-container' ).toggleClass( 'disabled', ! purchasable ).attr( 'aria-disabled', purchasable ? null : 'true' );
 		}
 
 		/**
@@ -0,0 +1,1052 @@
+( function( window ) {
+
+	"use strict"
+
+	/**
+	 * Default contact used for Apple Pay payments.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @type {Object}
+	 */
+	const DEFAULT_CONTACT = {
+		givenName: 'Jane',
+		familyName: 'Doe',
+		emailAddress: 'jane.doe@example.com',
+		phoneNumber: '4125550123',
+		addressLines: [ '123 Main St' ],
+		locality: 'Pittsburgh',
+		administrativeArea: 'PA',
+		postalCode: '15213',
+		countryCode: 'US'
+	};
+
+	/**
+	 * Default options for both wallets.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @type {Object}
+	 */
+	const DEFAULT_OPTIONS = {
+		available: true,
+		activeCard: true,
+		maxVersion: 14,
+		steps: [ { type: 'authorize' } ],
+		delay: 0,
+		timeout: 30000,
+		errors: {},
+		contact: DEFAULT_CONTACT,
+		card: { network: 'Visa', last4: '1111' }
+	};
+
+	/**
+	 * Mock wallet.
+	 *
+	 * Local stand-ins for the Apple Pay JS API and the Google Pay API client, so
+	 * express checkout can be tested in any browser or in jsdom without a wallet,
+	 * a merchant certificate or a real card. Once the payment sheet is opened, the
+	 * mock runs a scripted list of steps, each firing the handler callback a real
+	 * wallet would fire and waiting for the handler to complete it:
+	 *
+	 *     { type: 'shippingContact', contact: {...} } - a shipping address is selected
+	 *     { type: 'shippingMethod', identifier: 'flat_rate:1' } - a shipping method is selected
+	 *     { type: 'paymentMethod' } - a card is selected (Apple Pay only)
+	 *     { type: 'couponCode', code: 'SAVE10' } - a coupon code is entered
+	 *     { type: 'authorize' } - the customer authorizes the payment
+	 *     { type: 'cancel' } - the customer closes the payment sheet
+	 *
+	 * The methods named in the `errors` option throw (or reject) with the given
+	 * message, to test how handlers deal with wallet errors.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @type {SV_WC_Mock_Wallet_v5_10_8} object
+	 */
+	window.SV_WC_Mock_Wallet_v5_10_8 = class SV_WC_Mock_Wallet_v5_10_8 {
+
+		/**
+		 * Installs a mock wallet in place of the browser wallet API.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {string} wallet either `apple_pay` or `google_pay`
+		 * @param {Object} options mock wallet options
+		 * @param {boolean} options.available whether the customer can pay with the wallet
+		 * @param {boolean} options.activeCard whether the customer has an active card (Apple Pay only)
+		 * @param {number} options.maxVersion highest supported Apple Pay JS version
+		 * @param {Object[]} options.steps steps run once the payment sheet is opened
+		 * @param {number} options.delay delay in milliseconds between steps
+		 * @param {number} options.timeout time in milliseconds the handler has to complete a step before the sheet is closed
+		 * @param {Object} options.errors error messages keyed by the mocked method that should fail
+		 * @param {Object} options.contact the customer contact, in the Apple Pay format
+		 * @param {Object} options.card the customer card network and last four digits
+		 */
+		static install( wallet, options = {} ) {
+
+			this.configure( wallet, options );
+
+			if ( 'apple_pay' === wallet ) {
+
+				window.ApplePaySession = MockApplePaySession;
+
+				if ( ! window.ApplePayError ) {
+					window.ApplePayError = MockApplePayError;
+				}
+
+			} else if ( 'google_pay' === wallet ) {
+
+				window.google = window.google || {};
+				window.google.payments = { api: { PaymentsClient: MockPaymentsClient } };
+
+			} else {
+
+				throw new Error( `Unknown wallet ${ wallet }` );
+			}
+
+			this.record( wallet, 'install', this.options[ wallet ] );
+		}
+
+		/**
+		 * Changes the options of an installed mock wallet.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {string} wallet either `apple_pay` or `google_pay`
+		 * @param {Object} options mock wallet options, merged with the current ones
+		 */
+		static configure( wallet, options = {} ) {
+
+			this.options[ wallet ] = Object.assign( {}, DEFAULT_OPTIONS, this.options[ wallet ], options );
+		}
+
+		/**
+		 * Gets the options of a mock wallet.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {string} wallet either `apple_pay` or `google_pay`
+		 * @returns {Object} mock wallet options
+		 */
+		static getOptions( wallet ) {
+
+			return this.options[ wallet ] || Object.assign( {}, DEFAULT_OPTIONS );
+		}
+
+		/**
+		 * Records a call or an event, so tests can assert on the wallet flow.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {string} wallet either `apple_pay` or `google_pay`
+		 * @param {string} name call or event name
+		 * @param {*} data call arguments or event data
+		 */
+		static record( wallet, name, data = null ) {
+
+			this.events.push( { wallet, name, data } );
+		}
+
+		/**
+		 * Gets the names of the recorded calls and events, for a wallet.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {string} wallet either `apple_pay` or `google_pay`
+		 * @returns {string[]} names
+		 */
+		static getEventNames( wallet ) {
+
+			return this.events.filter( ( event ) => event.wallet === wallet ).map( ( event ) => event.name );
+		}
+
+		/**
+		 * Clears the recorded events and payment sheets.
+		 *
+		 * @since 5.11.0
+		 */
+		static reset() {
+
+			this.events = [];
+			this.sheets = {};
+		}
+
+		/**
+		 * Throws the configured error for a mocked method, if any.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {string} wallet either `apple_pay` or `google_pay`
+		 * @param {string} method mocked method name
+		 */
+		static maybeThrow( wallet, method ) {
+
+			const message = this.getOptions( wallet ).errors[ method ];
+
+			if ( message ) {
+
+				this.record( wallet, 'error', { method, message } );
+
+				throw new Error( message );
+			}
+		}
+
+	}
+
+	const Mock = window.SV_WC_Mock_Wallet_v5_10_8;
+
+	/** @type {Object[]} recorded calls and events */
+	Mock.events = [];
+
+	/** @type {Object} options keyed by wallet */
+	Mock.options = {};
+
+	/** @type {Object} the last opened payment sheet, keyed by wallet */
+	Mock.sheets = {};
+
+	/**
+	 * Payment sheet.
+	 *
+	 * Runs the scripted steps of a mock wallet one after the other. Each step
+	 * waits for the handler to complete it before the next one runs, as a real
+	 * payment sheet does.
+	 *
+	 * @since 5.11.0
+	 */
+	class MockPaymentSheet {
+
+		/**
+		 * Constructs the payment sheet.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {string} wallet either `apple_pay` or `google_pay`
+		 */
+		constructor( wallet ) {
+
+			this.wallet  = wallet;
+			this.options = Mock.getOptions( wallet );
+			this.pending = null;
+			this.closed  = false;
+
+			/** @type {Promise} resolved with the outcome (`success`, `cancel`, `abort` or `timeout`) once the sheet closes */
+			this.done = new Promise( ( resolve ) => this.resolveDone = resolve );
+
+			Mock.sheets[ wallet ] = this;
+		}
+
+		/**
+		 * Runs the steps.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {Object[]} steps steps to run
+		 * @param {Function} runStep callback running a step, returning a promise resolved once it's completed
+		 */
+		run( steps, runStep ) {
+
+			const next = ( index ) => {
+
+				if ( this.closed ) {
+					return;
+				}
+
+				if ( index >= steps.length ) {
+					Mock.record( this.wallet, 'idle' );
+					return;
+				}
+
+				setTimeout( () => {
+
+					if ( this.closed ) {
+						return;
+					}
+
+					Promise.resolve( runStep( steps[ index ] ) ).then( () => next( index + 1 ) );
+
+				}, this.options.delay );
+			};
+
+			next( 0 );
+		}
+
+		/**
+		 * Waits for the handler to call a completion method.
+		 *
+		 * The sheet closes if the handler doesn't complete the step in time.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {string} method completion method name
+		 * @param {Function} onTimeout called when the sheet closes
+		 * @returns {Promise} resolved with the completion arguments
+		 */
+		waitFor( method, onTimeout ) {
+
+			return new Promise( ( resolve ) => {
+
+				const timer = setTimeout( () => {
+
+					Mock.record( this.wallet, 'timeout', { method } );
+
+					this.close( 'timeout' );
+
+					onTimeout();
+
+				}, this.options.timeout );
+
+				this.pending = { method, resolve, timer };
+			} );
+		}
+
+		/**
+		 * Completes the pending step.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {string} method completion method name
+		 * @param {Array} args completion arguments
+		 */
+		complete( method, args ) {
+
+			Mock.record( this.wallet, method, args );
+
+			if ( ! this.pending || this.pending.method !== method ) {
+
+				Mock.record( this.wallet, 'error', { method, message: 'Unexpected call' } );
+
+				throw new Error( `${ method } called while the sheet is not waiting for it` );
+			}
+
+			const { resolve, timer } = this.pending;
+
+			clearTimeout( timer );
+
+			this.pending = null;
+
+			resolve( args );
+		}
+
+		/**
+		 * Closes the sheet.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {string} outcome either `success`, `cancel`, `abort` or `timeout`
+		 */
+		close( outcome ) {
+
+			if ( this.closed ) {
+				return;
+			}
+
+			if ( this.pending ) {
+				clearTimeout( this.pending.timer );
+				this.pending = null;
+			}
+
+			this.closed = true;
+
+			Mock.record( this.wallet, 'close', { outcome } );
+
+			this.resolveDone( outcome );
+		}
+
+	}
+
+	/**
+	 * Mock of the ApplePayError class.
+	 *
+	 * @since 5.11.0
+	 */
+	class MockApplePayError {
+
+		constructor( code, contactField, message ) {
+
+			this.code         = code;
+			this.contactField = contactField;
+			this.message      = message;
+		}
+
+	}
+
+	/**
+	 * Mock of the ApplePaySession class.
+	 *
+	 * @see {@link https://developer.apple.com/documentation/apple_pay_on_the_web/applepaysession|ApplePaySession}
+	 *
+	 * @since 5.11.0
+	 */
+	class MockApplePaySession {
+
+		/**
+		 * Constructs the session.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {number} version Apple Pay JS version
+		 * @param {Object} request payment request
+		 */
+		constructor( version, request ) {
+
+			Mock.record( 'apple_pay', 'construct', { version, request } );
+
+			Mock.maybeThrow( 'apple_pay', 'construct' );
+
+			if ( ! MockApplePaySession.supportsVersion( version ) ) {
+				throw new Error( `Apple Pay JS version ${ version } is not supported` );
+			}
+
+			this.version = version;
+			this.request = request;
+			this.sheet   = null;
+
+			// the shipping methods displayed in the sheet, updated by the handler
+			this.shippingMethods = request.shippingMethods || [];
+
+			this.onvalidatemerchant        = null;
+			this.onpaymentmethodselected   = null;
+			this.onshippingcontactselected = null;
+			this.onshippingmethodselected  = null;
+			this.oncouponcodechanged       = null;
+			this.onpaymentauthorized       = null;
+			this.oncancel                  = null;
+		}
+
+		static supportsVersion( version ) {
+
+			return version <= Mock.getOptions( 'apple_pay' ).maxVersion;
+		}
+
+		static canMakePayments() {
+
+			Mock.maybeThrow( 'apple_pay', 'canMakePayments' );
+
+			return !! Mock.getOptions( 'apple_pay' ).available;
+		}
+
+		static canMakePaymentsWithActiveCard( merchantIdentifier ) {
+
+			Mock.record( 'apple_pay', 'canMakePaymentsWithActiveCard', { merchantIdentifier } );
+
+			try {
+				Mock.maybeThrow( 'apple_pay', 'canMakePaymentsWithActiveCard' );
+			} catch ( error ) {
+				return Promise.reject( error );
+			}
+
+			const options = Mock.getOptions( 'apple_pay' );
+
+			return Promise.resolve( !! ( options.available && options.activeCard ) );
+		}
+
+		/**
+		 * Opens the payment sheet.
+		 *
+		 * The merchant is validated first, then the initial card and shipping
+		 * address are selected, and finally the scripted steps run.
+		 *
+		 * @since 5.11.0
+		 */
+		begin() {
+
+			Mock.record( 'apple_pay', 'begin' );
+
+			Mock.maybeThrow( 'apple_pay', 'begin' );
+
+			this.sheet = new MockPaymentSheet( 'apple_pay' );
+
+			let steps = [ { type: 'validateMerchant' }, { type: 'paymentMethod' } ];
+
+			if ( ( this.request.requiredShippingContactFields || [] ).includes( 'postalAddress' ) ) {
+				steps.push( { type: 'shippingContact' } );
+			}
+
+			this.sheet.run( steps.concat( this.sheet.options.steps ), ( step ) => this.runStep( step ) );
+		}
+
+		/**
+		 * Closes the payment sheet without firing the cancel event.
+		 *
+		 * @since 5.11.0
+		 */
+		abort() {
+
+			Mock.record( 'apple_pay', 'abort' );
+
+			if ( this.sheet ) {
+				this.sheet.close( 'abort' );
+			}
+		}
+
+		completeMerchantValidation( merchantSession ) {
+
+			this.sheet.complete( 'completeMerchantValidation', [ merchantSession ] );
+		}
+
+		completePaymentMethodSelection( ...args ) {
+
+			this.sheet.complete( 'completePaymentMethodSelection', args );
+		}
+
+		completeShippingContactSelection( ...args ) {
+
+			// the update object replaced the positional arguments in version 3
+			const shippingMethods = 'object' === typeof args[0] ? args[0].newShippingMethods : args[1];
+
+			if ( shippingMethods ) {
+				this.shippingMethods = shippingMethods;
+			}
+
+			this.sheet.complete( 'completeShippingContactSelection', args );
+		}
+
+		completeShippingMethodSelection( ...args ) {
+
+			this.sheet.complete( 'completeShippingMethodSelection', args );
+		}
+
+		completeCouponCodeChange( update ) {
+
+			this.sheet.complete( 'completeCouponCodeChange', [ update ] );
+		}
+
+		completePayment( result ) {
+
+			this.sheet.complete( 'completePayment', [ result ] );
+		}
+
+		/**
+		 * Runs a step, firing its event.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {Object} step step to run
+		 * @returns {Promise} resolved once the step is completed
+		 */
+		runStep( step ) {
+
+			const options = this.sheet.options;
+
+			let handler, method, event;
+
+			switch ( step.type ) {
+
+				case 'validateMerchant':
+					handler = 'onvalidatemerchant';
+					method  = 'completeMerchantValidation';
+					event   = { validationURL: 'https://apple-pay-gateway.apple.com/paymentservices/startSession' };
+				break;
+
+				case 'paymentMethod':
+					handler = 'onpaymentmethodselected';
+					method  = 'completePaymentMethodSelection';
+					event   = { paymentMethod: this.getPaymentMethod() };
+				break;
+
+				case 'shippingContact':
+					handler = 'onshippingcontactselected';
+					method  = 'completeShippingContactSelection';
+					event   = { shippingContact: this.getRedactedContact( step.contact || options.contact ) };
+				break;
+
+				case 'shippingMethod':
+					handler = 'onshippingmethodselected';
+					method  = 'completeShippingMethodSelection';
+					event   = { shippingMethod: this.shippingMethods.find( ( shippingMethod ) => shippingMethod.identifier === step.identifier ) || this.shippingMethods[0] };
+				break;
+
+				case 'couponCode':
+					handler = 'oncouponcodechanged';
+					method  = 'completeCouponCodeChange';
+					event   = { couponCode: step.code || '' };
+				break;
+
+				case 'authorize':
+					handler = 'onpaymentauthorized';
+					method  = 'completePayment';
+					event   = { payment: this.getPayment( step.contact || options.contact ) };
+				break;
+
+				case 'cancel':
+					return this.cancel();
+
+				default:
+					throw new Error( `Unknown step ${ step.type }` );
+			}
+
+			// real sheets skip events without a handler
+			if ( 'function' !== typeof this[ handler ] ) {
+				return;
+			}
+
+			Mock.record( 'apple_pay', handler, event );
+
+			const completed = this.sheet.waitFor( method, () => this.fireCancel() );
+
+			this[ handler ]( event );
+
+			return completed.then( ( args ) => {
+
+				const status = 'object' === typeof args[0] && null !== args[0] && 'status' in args[0] ? args[0].status : args[0];
+
+				if ( 'completePayment' === method && MockApplePaySession.STATUS_SUCCESS === status ) {
+					this.sheet.close( 'success' );
+				}
+			} );
+		}
+
+		/**
+		 * Cancels the payment, as if the customer closed the sheet.
+		 *
+		 * @since 5.11.0
+		 */
+		cancel() {
+
+			this.sheet.close( 'cancel' );
+
+			this.fireCancel();
+		}
+
+		/**
+		 * Fires the cancel event.
+		 *
+		 * @since 5.11.0
+		 */
+		fireCancel() {
+
+			Mock.record( 'apple_pay', 'oncancel' );
+
+			if ( 'function' === typeof this.oncancel ) {
+				this.oncancel( {} );
+			}
+		}
+
+		/**
+		 * Gets the selected card.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @returns {Object} payment method
+		 */
+		getPaymentMethod() {
+
+			const card = this.sheet.options.card;
+
+			return { displayName: `${ card.network } ${ card.last4 }`, network: card.network, type: 'credit' };
+		}
+
+		/**
+		 * Gets a contact with only the fields shared before the payment is authorized.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {Object} contact full contact
+		 * @returns {Object} redacted contact
+		 */
+		getRedactedContact( contact ) {
+
+			const { locality, administrativeArea, postalCode, countryCode } = contact;
+
+			return { locality, administrativeArea, postalCode, countryCode };
+		}
+
+		/**
+		 * Gets the authorized payment.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {Object} contact full contact
+		 * @returns {Object} payment
+		 */
+		getPayment( contact ) {
+
+			return {
+				token: {
+					paymentData: {
+						version: 'EC_v1',
+						data: 'mock',
+						signature: 'mock',
+						header: { ephemeralPublicKey: 'mock', publicKeyHash: 'mock', transactionId: 'mock' }
+					},
+					paymentMethod: this.getPaymentMethod(),
+					transactionIdentifier: `MOCK-${ Date.now() }`
+				},
+				billingContact: contact,
+				shippingContact: contact
+			};
+		}
+
+	}
+
+	MockApplePaySession.STATUS_SUCCESS = 0;
+	MockApplePaySession.STATUS_FAILURE = 1;
+
+	/**
+	 * Mock of the Google Pay API PaymentsClient class.
+	 *
+	 * @see {@link https://developers.google.com/pay/api/web/reference/client|PaymentsClient}
+	 *
+	 * @since 5.11.0
+	 */
+	class MockPaymentsClient {
+
+		/**
+		 * Constructs the client.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {Object} paymentOptions payment options, with the payment data callbacks
+		 */
+		constructor( paymentOptions = {} ) {
+
+			Mock.record( 'google_pay', 'construct', paymentOptions );
+
+			this.callbacks = paymentOptions.paymentDataCallbacks || {};
+		}
+
+		isReadyToPay( request ) {
+
+			Mock.record( 'google_pay', 'isReadyToPay', request );
+
+			try {
+				Mock.maybeThrow( 'google_pay', 'isReadyToPay' );
+			} catch ( error ) {
+				return Promise.reject( { statusCode: 'DEVELOPER_ERROR', statusMessage: error.message } );
+			}
+
+			return Promise.resolve( { result: !! Mock.getOptions( 'google_pay' ).available } );
+		}
+
+		createButton( options = {} ) {
+
+			Mock.record( 'google_pay', 'createButton', options );
+
+			const button = window.document.createElement( 'button' );
+
+			button.type        = 'button';
+			button.className   = 'sv-wc-mock-wallet-button';
+			button.textContent = 'Google Pay';
+
+			if ( 'function' === typeof options.onClick ) {
+				button.addEventListener( 'click', options.onClick );
+			}
+
+			return button;
+		}
+
+		prefetchPaymentData( request ) {
+
+			Mock.record( 'google_pay', 'prefetchPaymentData', request );
+		}
+
+		/**
+		 * Opens the payment sheet.
+		 *
+		 * The sheet is initialized first if the handler registered payment data
+		 * callbacks, then the scripted steps run.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {Object} request payment data request
+		 * @returns {Promise} resolved with the payment data, or rejected if the sheet is closed
+		 */
+		loadPaymentData( request ) {
+
+			Mock.record( 'google_pay', 'loadPaymentData', request );
+
+			try {
+				Mock.maybeThrow( 'google_pay', 'loadPaymentData' );
+			} catch ( error ) {
+				return Promise.reject( { statusCode: 'DEVELOPER_ERROR', statusMessage: error.message } );
+			}
+
+			const sheet = new MockPaymentSheet( 'google_pay' );
+
+			this.request      = request;
+			this.sheet        = sheet;
+			this.intermediate = {
+				shippingAddress: request.shippingAddressRequired ? this.getRedactedAddress( sheet.options.contact ) : undefined,
+				shippingOptionData: { id: 'shipping_option_unselected' },
+				offerData: { redemptionCodes: [] }
+			};
+
+			// the sheet has no offers or shipping options until it's initialized
+			this.shippingOptions = [];
+
+			return new Promise( ( resolve, reject ) => {
+
+				this.resolve = resolve;
+				this.reject  = reject;
+
+				let steps = sheet.options.steps;
+
+				if ( this.getDataChangedIntents().length ) {
+					steps = [ { type: 'initialize' } ].concat( steps );
+				}
+
+				sheet.run( steps, ( step ) => this.runStep( step ) );
+			} );
+		}
+
+		/**
+		 * Gets the requested callback intents handled by onPaymentDataChanged.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @returns {string[]} callback intents
+		 */
+		getDataChangedIntents() {
+
+			if ( 'function' !== typeof this.callbacks.onPaymentDataChanged ) {
+				return [];
+			}
+
+			return ( this.request.callbackIntents || [] ).filter( ( intent ) => 'PAYMENT_AUTHORIZATION' !== intent );
+		}
+
+		/**
+		 * Runs a step, calling its callback.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {Object} step step to run
+		 * @returns {Promise} resolved once the step is completed
+		 */
+		runStep( step ) {
+
+			switch ( step.type ) {
+
+				case 'initialize':
+					return this.changePaymentData( 'INITIALIZE' );
+
+				case 'shippingContact':
+
+					this.intermediate.shippingAddress = this.getRedactedAddress( step.contact || this.sheet.options.contact );
+
+					// a new address resets the chosen shipping option
+					this.intermediate.shippingOptionData = { id: 'shipping_option_unselected' };
+
+					return this.changePaymentData( 'SHIPPING_ADDRESS' );
+
+				case 'shippingMethod':
+
+					this.intermediate.shippingOptionData = { id: step.identifier || ( this.shippingOptions[0] || {} ).id || 'shipping_option_unselected' };
+
+					return this.changePaymentData( 'SHIPPING_OPTION' );
+
+				case 'couponCode':
+
+					this.intermediate.offerData = { redemptionCodes: step.codes || this.intermediate.offerData.redemptionCodes.concat( step.code ? [ step.code ] : [] ) };
+
+					return this.changePaymentData( 'OFFER' );
+
+				case 'paymentMethod':
+					// Google Pay has no card selection callback
+					return;
+
+				case 'authorize':
+					return this.authorize( step.contact || this.sheet.options.contact );
+
+				case 'cancel':
+
+					this.sheet.close( 'cancel' );
+
+					this.reject( { statusCode: 'CANCELED', statusMessage: 'User closed the Payment Request UI.' } );
+
+					return;
+
+				default:
+					throw new Error( `Unknown step ${ step.type }` );
+			}
+		}
+
+		/**
+		 * Calls the payment data changed callback, and applies its update.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {string} callbackTrigger callback trigger
+		 * @returns {Promise} resolved once the sheet is updated
+		 */
+		changePaymentData( callbackTrigger ) {
+
+			// the callback trigger names match their callback intents
+			if ( 'INITIALIZE' !== callbackTrigger && ! this.getDataChangedIntents().includes( callbackTrigger ) ) {
+				return;
+			}
+
+			const data = Object.assign( { callbackTrigger }, this.intermediate );
+
+			Mock.record( 'google_pay', 'onPaymentDataChanged', data );
+
+			return this.callback( 'onPaymentDataChanged', data ).then( ( update ) => {
+
+				Mock.record( 'google_pay', 'paymentDataRequestUpdate', update );
+
+				if ( update.newShippingOptionParameters ) {
+
+					this.shippingOptions = update.newShippingOptionParameters.shippingOptions || [];
+
+					if ( update.newShippingOptionParameters.defaultSelectedOptionId ) {
+						this.intermediate.shippingOptionData = { id: update.newShippingOptionParameters.defaultSelectedOptionId };
+					}
+				}
+
+				if ( update.newOfferInfo ) {
+					this.intermediate.offerData = { redemptionCodes: ( update.newOfferInfo.offers || [] ).map( ( offer ) => offer.redemptionCode ) };
+				}
+			} );
+		}
+
+		/**
+		 * Authorizes the payment.
+		 *
+		 * The sheet stays open if the handler fails the payment, as it does with
+		 * a real wallet, so later steps can retry or cancel.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {Object} contact full contact, in the Apple Pay format
+		 * @returns {Promise} resolved once the payment is processed
+		 */
+		authorize( contact ) {
+
+			const paymentData = this.getPaymentData( contact );
+
+			if ( 'function' !== typeof this.callbacks.onPaymentAuthorized ) {
+
+				this.sheet.close( 'success' );
+
+				this.resolve( paymentData );
+
+				return;
+			}
+
+			Mock.record( 'google_pay', 'onPaymentAuthorized', paymentData );
+
+			return this.callback( 'onPaymentAuthorized', paymentData ).then( ( result ) => {
+
+				Mock.record( 'google_pay', 'paymentAuthorizationResult', result );
+
+				if ( 'SUCCESS' === result.transactionState ) {
+
+					this.sheet.close( 'success' );
+
+					this.resolve( paymentData );
+				}
+			} );
+		}
+
+		/**
+		 * Calls a payment data callback, closing the sheet if it doesn't settle in time.
+		 *
+		 * Rejected callbacks are treated as resolved with the rejection value, as
+		 * the handlers reject with the same result objects.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {string} name callback name
+		 * @param {Object} data callback data
+		 * @returns {Promise} resolved with the callback result
+		 */
+		callback( name, data ) {
+
+			const completed = this.sheet.waitFor( name, () => this.reject( { statusCode: 'CANCELED', statusMessage: 'Payment data callback timed out.' } ) );
+
+			Promise.resolve( this.callbacks[ name ]( data ) ).then(
+				( result ) => this.sheet.closed || this.sheet.complete( name, [ result ] ),
+				( result ) => this.sheet.closed || this.sheet.complete( name, [ result ] )
+			);
+
+			return completed.then( ( args ) => args[0] || {} );
+		}
+
+		/**
+		 * Gets an address with only the fields shared before the payment is authorized.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {Object} contact full contact, in the Apple Pay format
+		 * @returns {Object} redacted address
+		 */
+		getRedactedAddress( contact ) {
+
+			return {
+				administrativeArea: contact.administrativeArea,
+				countryCode: contact.countryCode,
+				locality: contact.locality,
+				postalCode: contact.postalCode
+			};
+		}
+
+		/**
+		 * Gets a full address.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {Object} contact full contact, in the Apple Pay format
+		 * @returns {Object} address
+		 */
+		getAddress( contact ) {
+
+			const lines = contact.addressLines || [];
+
+			return Object.assign( this.getRedactedAddress( contact ), {
+				name: `${ contact.givenName } ${ contact.familyName }`,
+				address1: lines[0] || '',
+				address2: lines[1] || '',
+				address3: lines[2] || '',
+				phoneNumber: contact.phoneNumber
+			} );
+		}
+
+		/**
+		 * Gets the authorized payment data.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param {Object} contact full contact, in the Apple Pay format
+		 * @returns {Object} payment data
+		 */
+		getPaymentData( contact ) {
+
+			const card = this.sheet.options.card;
+
+			let paymentData = {
+				apiVersion: 2,
+				apiVersionMinor: 0,
+				email: contact.emailAddress,
+				paymentMethodData: {
+					type: 'CARD',
+					description: `${ card.network } •••• ${ card.last4 }`,
+					info: {
+						cardNetwork: card.network.toUpperCase(),
+						cardDetails: card.last4,
+						billingAddress: this.getAddress( contact )
+					},
+					tokenizationData: {
+						type: 'PAYMENT_GATEWAY',
+						token: JSON.stringify( { mock: true, transactionId: `MOCK-${ Date.now() }` } )
+					}
+				}
+			};
+
+			if ( this.request.shippingAddressRequired ) {
+				paymentData.shippingAddress = this.getAddress( contact );
+			}
+
+			if ( this.request.shippingOptionRequired ) {
+				paymentData.shippingOptionData = this.intermediate.shippingOptionData;
+			}
+
+			if ( this.getDataChangedIntents().includes( 'OFFER' ) ) {
+				paymentData.offerData = this.intermediate.offerData;
+			}
+
+			return paymentData;
+		}
+
+	}
+
+} )( window );
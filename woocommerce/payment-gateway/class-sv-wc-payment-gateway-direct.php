@@ -197,7 +197,13 @@ abstract class SV_WC_Payment_Gateway_Direct extends SV_WC_Payment_Gateway {
 				$is_valid = false;
 			}
 
-			if ( ! SV_WC_Payment_Gateway_Helper::luhn_check( $account_number ) ) {
+			$card_type  = SV_WC_Payment_Gateway_Helper::card_type_from_account_number( $account_number );
+			$card_rules = SV_WC_Payment_Gateway_Helper::get_card_brand_rules();
+
+			// some brands issue account numbers that don't pass the Luhn check
+			$luhn_check = ! $card_type || ! isset( $card_rules[ $card_type ]['luhn'] ) || $card_rules[ $card_type ]['luhn'];
+
+			if ( $luhn_check && ! SV_WC_Payment_Gateway_Helper::luhn_check( $account_number ) ) {
 				SV_WC_Helper::wc_add_notice( esc_html__( 'Card number is invalid', 'woocommerce-plugin-framework' ), 'error' );
 				$is_valid = false;
 			}
@@ -245,6 +251,36 @@ abstract class SV_WC_Payment_Gateway_Direct extends SV_WC_Payment_Gateway {
 	}
 
 
+	/**
+	 * Gets the card type of the posted card.
+	 *
+	 * A posted card type, like the network the customer chose for a co-badged card, is only used if it's one of the
+	 * card's networks and is accepted by the gateway. Otherwise, the card type is detected from the account number.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $account_number card account number
+	 * @return string|null
+	 */
+	protected function get_posted_card_type( $account_number ) {
+
+		$card_type = SV_WC_Payment_Gateway_Helper::card_type_from_account_number( $account_number );
+		$posted    = SV_WC_Helper::get_posted_value( 'wc-' . $this->get_id_dasherized() . '-card-type' );
+
+		if ( ! is_string( $posted ) || '' === $posted ) {
+			return $card_type;
+		}
+
+		$posted   = SV_WC_Payment_Gateway_Helper::normalize_card_type( $posted );
+		$networks = $this->get_card_co_badged_networks( $account_number );
+
+		// only a co-badged card has a choice of networks
+		$choices = ! empty( $networks ) ? $networks : [ $card_type ];
+
+		return in_array( $posted, $choices, true ) && $this->is_card_type_accepted( $posted ) ? $posted : $card_type;
+	}
+
+
 	/**
 	 * Returns true if the posted echeck fields are valid, false otherwise
 	 *
@@ -254,54 +290,29 @@ abstract class SV_WC_Payment_Gateway_Direct extends SV_WC_Payment_Gateway {
 	 */
 	protected function validate_check_fields( $is_valid ) {
 
-		$account_number         = SV_WC_Helper::get_posted_value( 'wc-' . $this->get_id_dasherized() . '-account-number' );
-		$routing_number         = SV_WC_Helper::get_posted_value( 'wc-' . $this->get_id_dasherized() . '-routing-number' );
-
 		// optional fields (excluding account type for now)
 		$drivers_license_number = SV_WC_Helper::get_posted_value( 'wc-' . $this->get_id_dasherized() . '-drivers-license-number' );
 		$check_number           = SV_WC_Helper::get_posted_value( 'wc-' . $this->get_id_dasherized() . '-check-number' );
 
-		// routing number exists?
-		if ( empty( $routing_number ) ) {
-
-			SV_WC_Helper::wc_add_notice( esc_html__( 'Routing Number is missing', 'woocommerce-plugin-framework' ), 'error' );
-			$is_valid = false;
+		$format = $this->get_bank_account_format_definition();
 
-		} else {
+		// validate the bank account fields (routing number, account number...) against the format
+		foreach ( $format['fields'] as $key => $field ) {
 
-			// routing number digit validation
-			if ( ! ctype_digit( $routing_number ) ) {
-				SV_WC_Helper::wc_add_notice( esc_html__( 'Routing Number is invalid (only digits are allowed)', 'woocommerce-plugin-framework' ), 'error' );
-				$is_valid = false;
-			}
+			$value = SV_WC_Payment_Gateway_Helper::normalize_bank_account_value( SV_WC_Helper::get_posted_value( 'wc-' . $this->get_id_dasherized() . '-' . $key ) );
 
-			// routing number length validation
-			if ( 9 != strlen( $routing_number ) ) {
-				SV_WC_Helper::wc_add_notice( esc_html__( 'Routing number is invalid (must be 9 digits)', 'woocommerce-plugin-framework' ), 'error' );
-				$is_valid = false;
+			if ( '' === $value ) {
+				$message = $field['messages']['missing'];
+			} elseif ( ! SV_WC_Payment_Gateway_Helper::matches_pattern( $value, $field['pattern'] ) ) {
+				$message = $field['messages']['invalid'];
+			} elseif ( ! empty( $field['checksum'] ) && ! SV_WC_Payment_Gateway_Helper::bank_account_checksum( $field['checksum'], $value ) ) {
+				$message = $field['messages']['checksum'];
+			} else {
+				continue;
 			}
 
-		}
-
-		// account number exists?
-		if ( empty( $account_number ) ) {
-
-			SV_WC_Helper::wc_add_notice( esc_html__( 'Account Number is missing', 'woocommerce-plugin-framework' ), 'error' );
+			SV_WC_Helper::wc_add_notice( $message, 'error' );
 			$is_valid = false;
-
-		} else {
-
-			// account number digit validation
-			if ( ! ctype_digit( $account_number ) ) {
-				SV_WC_Helper::wc_add_notice( esc_html__( 'Account Number is invalid (only digits are allowed)', 'woocommerce-plugin-framework' ), 'error' );
-				$is_valid = false;
-			}
-
-			// account number length validation
-			if ( strlen( $account_number ) < 5 || strlen( $account_number ) > 17 ) {
-				SV_WC_Helper::wc_add_notice( esc_html__( 'Account number is invalid (must be between 5 and 17 digits)', 'woocommerce-plugin-framework' ), 'error' );
-				$is_valid = false;
-			}
 		}
 
 		// optional drivers license number validation
@@ -569,15 +580,10 @@ abstract class SV_WC_Payment_Gateway_Direct extends SV_WC_Payment_Gateway {
 			if ( $this->is_credit_card_gateway() ) {
 
 				// credit card specific attributes
-				$order->payment->card_type      = SV_WC_Helper::get_posted_value( 'wc-' . $this->get_id_dasherized() . '-card-type' );
+				$order->payment->card_type      = $this->get_posted_card_type( $order->payment->account_number );
 				$order->payment->exp_month      = SV_WC_Helper::get_posted_value( 'wc-' . $this->get_id_dasherized() . '-exp-month' );
 				$order->payment->exp_year       = SV_WC_Helper::get_posted_value( 'wc-' . $this->get_id_dasherized() . '-exp-year' );
 
-				// add card type for gateways that don't require it displayed at checkout
-				if ( empty( $order->payment->card_type ) ) {
-					$order->payment->card_type = SV_WC_Payment_Gateway_Helper::card_type_from_account_number( $order->payment->account_number );
-				}
-
 				// handle single expiry field formatted like "MM / YY" or "MM / YYYY"
 				if ( SV_WC_Helper::get_posted_value( 'wc-' . $this->get_id_dasherized() . '-expiry' ) ) {
 					list( $order->payment->exp_month, $order->payment->exp_year ) = array_map( 'trim', explode( '/', SV_WC_Helper::get_posted_value( 'wc-' . $this->get_id_dasherized() . '-expiry' ) ) );
@@ -596,6 +602,24 @@ abstract class SV_WC_Payment_Gateway_Direct extends SV_WC_Payment_Gateway {
 				$order->payment->check_number           = SV_WC_Helper::get_posted_value( 'wc-' . $this->get_id_dasherized() . '-check-number' );
 				$order->payment->drivers_license_number = SV_WC_Helper::get_posted_value( 'wc-' . $this->get_id_dasherized() . '-drivers-license-number' );
 				$order->payment->drivers_license_state  = SV_WC_Helper::get_posted_value( 'wc-' . $this->get_id_dasherized() . '-drivers-license-state' );
+				$order->payment->bank_account_format    = $this->get_bank_account_format();
+
+				// the account number, like an IBAN, is stored and sent as it was validated: without separators and in uppercase
+				$order->payment->account_number = SV_WC_Payment_Gateway_Helper::normalize_bank_account_value( $order->payment->account_number );
+				$order->payment->last_four      = substr( $order->payment->account_number, -4 );
+
+				// bank account fields other than the account number, e.g. routing_number or transit_number
+				foreach ( array_keys( $this->get_bank_account_format_definition()['fields'] ) as $key ) {
+
+					if ( 'account-number' !== $key ) {
+						$order->payment->{ str_replace( '-', '_', $key ) } = SV_WC_Payment_Gateway_Helper::normalize_bank_account_value( SV_WC_Helper::get_posted_value( 'wc-' . $this->get_id_dasherized() . '-' . $key ) );
+					}
+				}
+
+				// Canadian EFT routing numbers are the institution number, prefixed by 0, followed by the transit number
+				if ( SV_WC_Payment_Gateway_Helper::BANK_ACCOUNT_FORMAT_CA === $order->payment->bank_account_format ) {
+					$order->payment->routing_number = '0' . $order->payment->institution_number . $order->payment->transit_number;
+				}
 
 			}
 
@@ -903,6 +927,15 @@ abstract class SV_WC_Payment_Gateway_Direct extends SV_WC_Payment_Gateway {
 			);
 		}
 
+		// a payment method that needs a challenge (like 3-D Secure) is only added once the customer passes it
+		if ( $result['success'] && ! empty( $result['challenge'] ) && $this->get_payment_form_instance() ) {
+
+			$this->get_payment_form_instance()->set_pending_challenge( (array) $result['challenge'], wc_get_account_endpoint_url( 'payment-methods' ) );
+
+			wp_safe_redirect( wc_get_endpoint_url( 'add-payment-method' ) );
+			exit();
+		}
+
 		SV_WC_Helper::wc_add_notice( $result['message'], $result['success'] ? 'success' : 'error' );
 
 		if ( $result['success'] ) {
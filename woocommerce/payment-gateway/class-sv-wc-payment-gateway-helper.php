@@ -67,6 +67,27 @@ class SV_WC_Payment_Gateway_Helper {
 	/** @var string the Laser card type ID **/
 	const CARD_TYPE_LASER = 'laser';
 
+	/** @var string the UnionPay card type ID **/
+	const CARD_TYPE_UNIONPAY = 'unionpay';
+
+	/** @var string the framework version the card brand rules were last changed in, see get_card_brand_rules() **/
+	const CARD_BRAND_RULES_VERSION = '5.11.0';
+
+	/** @var string the US bank account format ID (ABA routing number) **/
+	const BANK_ACCOUNT_FORMAT_US = 'us';
+
+	/** @var string the IBAN bank account format ID **/
+	const BANK_ACCOUNT_FORMAT_IBAN = 'iban';
+
+	/** @var string the UK bank account format ID (sort code) **/
+	const BANK_ACCOUNT_FORMAT_UK = 'uk';
+
+	/** @var string the Canadian bank account format ID (transit & institution numbers) **/
+	const BANK_ACCOUNT_FORMAT_CA = 'ca';
+
+	/** @var string the Australian bank account format ID (BSB) **/
+	const BANK_ACCOUNT_FORMAT_AU = 'au';
+
 
 	/**
 	 * Perform standard luhn check.  Algorithm:
@@ -93,6 +114,143 @@ class SV_WC_Payment_Gateway_Helper {
 	}
 
 
+	/**
+	 * Performs the ABA routing number checksum.
+	 *
+	 * The first, fourth and seventh digits are weighted by 3, the second, fifth
+	 * and eighth by 7, and the rest by 1: the weighted sum must be a multiple of 10.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $routing_number the routing number to check
+	 * @return bool true if $routing_number passes the check, false otherwise
+	 */
+	public static function routing_number_check( $routing_number ) {
+
+		if ( ! is_string( $routing_number ) || ! preg_match( '/^\d{9}$/', $routing_number ) ) {
+			return false;
+		}
+
+		$digits = array_map( 'intval', str_split( $routing_number ) );
+
+		$sum = 3 * ( $digits[0] + $digits[3] + $digits[6] )
+		     + 7 * ( $digits[1] + $digits[4] + $digits[7] )
+		     +     ( $digits[2] + $digits[5] + $digits[8] );
+
+		return 0 === $sum % 10;
+	}
+
+
+	/**
+	 * Performs the IBAN mod-97 check.
+	 *
+	 * The first four characters are moved to the end, letters are replaced with
+	 * numbers (A = 10, B = 11...) and the resulting number modulo 97 must be 1.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $iban the IBAN to check, spaces are allowed
+	 * @return bool true if $iban passes the check, false otherwise
+	 */
+	public static function iban_check( $iban ) {
+
+		$iban = self::normalize_bank_account_value( $iban );
+
+		if ( ! preg_match( '/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/', $iban ) ) {
+			return false;
+		}
+
+		$remainder = 0;
+
+		foreach ( str_split( substr( $iban, 4 ) . substr( $iban, 0, 4 ) ) as $character ) {
+
+			$digits = ctype_alpha( $character ) ? (string) ( ord( $character ) - 55 ) : $character;
+
+			// process the number one digit at a time, as it's too long for an integer
+			foreach ( str_split( $digits ) as $digit ) {
+				$remainder = ( $remainder * 10 + (int) $digit ) % 97;
+			}
+		}
+
+		return 1 === $remainder;
+	}
+
+
+	/**
+	 * Runs a bank account checksum by type.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $type checksum type, as set in the bank account format fields, e.g. `aba` or `iban`
+	 * @param string $value normalized value to check
+	 * @return bool
+	 */
+	public static function bank_account_checksum( $type, $value ) {
+
+		switch ( $type ) {
+
+			case 'aba':
+				$is_valid = self::routing_number_check( $value );
+			break;
+
+			case 'iban':
+				$is_valid = self::iban_check( $value );
+			break;
+
+			default:
+				$is_valid = true;
+		}
+
+		/**
+		 * Filters whether a bank account value passes its checksum.
+		 *
+		 * Allows custom bank account formats to provide their own checksums.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param bool $is_valid whether the value is valid
+		 * @param string $type checksum type
+		 * @param string $value normalized value
+		 */
+		return (bool) apply_filters( 'wc_payment_gateway_bank_account_checksum', $is_valid, $type, $value );
+	}
+
+
+	/**
+	 * Normalizes a bank account value by removing any spaces & dashes and uppercasing letters.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $value raw value, as entered by the customer
+	 * @return string
+	 */
+	public static function normalize_bank_account_value( $value ) {
+
+		return strtoupper( str_replace( [ ' ', '-' ], '', (string) $value ) );
+	}
+
+
+	/**
+	 * Determines whether a value matches a pattern, the way the HTML `pattern` attribute does.
+	 *
+	 * Like the HTML attribute, the pattern must match the whole value. Any `/` in the pattern is escaped, so patterns
+	 * can be shared as-is with the browser and the payment form JS.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $value value to check
+	 * @param string $pattern regular expression, without delimiters, e.g. `[0-9]{4}` or `^\d{9}$`
+	 * @return bool
+	 */
+	public static function matches_pattern( $value, $pattern ) {
+
+		// escape the delimiter, unless it's already escaped
+		$pattern = preg_replace( '#(?<!\\\\)((?:\\\\\\\\)*)/#', '$1\\/', (string) $pattern );
+
+		return 1 === preg_match( '/^(?:' . $pattern . ')$/u', (string) $value );
+	}
+
+
 	/**
 	 * Normalize a card type to a standard type ID and account for variations.
 	 *
@@ -137,21 +295,9 @@ class SV_WC_Payment_Gateway_Helper {
 	 */
 	public static function card_type_from_account_number( $account_number ) {
 
-		// card type regex patterns from https://github.com/stripe/jquery.payment/blob/master/src/jquery.payment.coffee
-		$types = array(
-			self::CARD_TYPE_VISA       => '/^4/',
-			self::CARD_TYPE_MASTERCARD => '/^(5[1-5]|2[2-7])/',
-			self::CARD_TYPE_AMEX       => '/^3[47]/',
-			self::CARD_TYPE_DINERSCLUB => '/^(36|38|30[0-5])/',
-			self::CARD_TYPE_DISCOVER   => '/^(6011|65|64[4-9]|622)/',
-			self::CARD_TYPE_JCB        => '/^35/',
-			self::CARD_TYPE_MAESTRO    => '/^(5018|5020|5038|6304|6759|676[1-3])/',
-			self::CARD_TYPE_LASER      => '/^(6706|6771|6709)/',
-		);
-
-		foreach ( $types as $type => $pattern ) {
+		foreach ( self::get_card_brand_rules() as $type => $rule ) {
 
-			if ( 1 === preg_match( $pattern, $account_number ) ) {
+			if ( ! empty( $rule['pattern'] ) && 1 === preg_match( '/' . $rule['pattern'] . '/', $account_number ) ) {
 				return $type;
 			}
 		}
@@ -261,10 +407,308 @@ class SV_WC_Payment_Gateway_Helper {
 				'name'       => esc_html_x( 'Laser', 'credit card type', 'woocommerce-plugin-framework' ),
 				'variations' => array(),
 			),
+			self::CARD_TYPE_UNIONPAY => array(
+				'name'       => esc_html_x( 'UnionPay', 'credit card type', 'woocommerce-plugin-framework' ),
+				'variations' => array( 'china-unionpay', 'cup' ),
+			),
 		);
 	}
 
 
+	/**
+	 * Gets the validation rules of the known card brands.
+	 *
+	 * Returns the rules in the format:
+	 *
+	 * 'amex' {
+	 *     'pattern'    => '^3[47]',  // regular expression matching the account number prefix, empty for brands that are only co-badged
+	 *     'lengths'    => array( 15 ), // valid account number lengths
+	 *     'csc_length' => 4,          // card security code length
+	 *     'gaps'       => array( 4, 10 ), // positions of the spaces in the formatted account number
+	 *     'luhn'       => true,       // whether account numbers pass the Luhn check
+	 * }
+	 *
+	 * The brands are listed in detection order. The rules are localized to the card
+	 * utilities JS, so the payment form validates card numbers against the same table.
+	 * Update {@see SV_WC_Payment_Gateway_Helper::CARD_BRAND_RULES_VERSION} when changing them.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array
+	 */
+	public static function get_card_brand_rules() {
+
+		return [
+			self::CARD_TYPE_VISA => [
+				'pattern'    => '^4',
+				'lengths'    => [ 13, 16, 19 ],
+				'csc_length' => 3,
+				'gaps'       => [ 4, 8, 12 ],
+				'luhn'       => true,
+			],
+			// includes the 2-series BIN range, 222100-272099
+			self::CARD_TYPE_MASTERCARD => [
+				'pattern'    => '^(5[1-5]|222[1-9]|22[3-9]\d|2[3-6]\d{2}|27[01]\d|2720)',
+				'lengths'    => [ 16 ],
+				'csc_length' => 3,
+				'gaps'       => [ 4, 8, 12 ],
+				'luhn'       => true,
+			],
+			self::CARD_TYPE_AMEX => [
+				'pattern'    => '^3[47]',
+				'lengths'    => [ 15 ],
+				'csc_length' => 4,
+				'gaps'       => [ 4, 10 ],
+				'luhn'       => true,
+			],
+			self::CARD_TYPE_DINERSCLUB => [
+				'pattern'    => '^(36|38|39|30[0-5]|3095)',
+				'lengths'    => [ 14, 16, 19 ],
+				'csc_length' => 3,
+				'gaps'       => [ 4, 10 ],
+				'luhn'       => true,
+			],
+			// includes the 622126-622925 range, co-branded with UnionPay
+			self::CARD_TYPE_DISCOVER => [
+				'pattern'    => '^(6011|65|64[4-9]|622(12[6-9]|1[3-9]\d|[2-8]\d{2}|9[01]\d|92[0-5]))',
+				'lengths'    => [ 16, 17, 18, 19 ],
+				'csc_length' => 3,
+				'gaps'       => [ 4, 8, 12 ],
+				'luhn'       => true,
+			],
+			self::CARD_TYPE_JCB => [
+				'pattern'    => '^(352[89]|35[3-8]\d)',
+				'lengths'    => [ 16, 17, 18, 19 ],
+				'csc_length' => 3,
+				'gaps'       => [ 4, 8, 12 ],
+				'luhn'       => true,
+			],
+			self::CARD_TYPE_MAESTRO => [
+				'pattern'    => '^(5018|5020|5038|5893|6304|6759|676[1-3])',
+				'lengths'    => range( 12, 19 ),
+				'csc_length' => 3,
+				'gaps'       => [ 4, 8, 12 ],
+				'luhn'       => true,
+			],
+			self::CARD_TYPE_LASER => [
+				'pattern'    => '^(6706|6771|6709)',
+				'lengths'    => range( 16, 19 ),
+				'csc_length' => 3,
+				'gaps'       => [ 4, 8, 12 ],
+				'luhn'       => true,
+			],
+			// not all UnionPay account numbers pass the Luhn check
+			self::CARD_TYPE_UNIONPAY => [
+				'pattern'    => '^(62|81)',
+				'lengths'    => range( 14, 19 ),
+				'csc_length' => 3,
+				'gaps'       => [ 4, 8, 12 ],
+				'luhn'       => false,
+			],
+			// Cartes Bancaires are co-badged with Visa or MasterCard
+			self::CARD_TYPE_CARTEBLEUE => [
+				'pattern'    => '',
+				'lengths'    => [ 16 ],
+				'csc_length' => 3,
+				'gaps'       => [ 4, 8, 12 ],
+				'luhn'       => true,
+			],
+		];
+	}
+
+
+	/**
+	 * Gets the known bank account formats.
+	 *
+	 * Each format defines the bank account fields displayed in the eCheck payment form, in the format:
+	 *
+	 * 'uk' {
+	 *     'name'          => 'UK Bank Account',
+	 *     'account_types' => false, // whether the customer chooses between a checking & savings account
+	 *     'fields'        => array(
+	 *         'routing-number' => array(
+	 *             'label'       => 'Sort Code',
+	 *             'placeholder' => '••-••-••',
+	 *             'mask'        => '##-##-##', // `#` for a digit, `*` for a letter or digit, anything else is a separator
+	 *             'pattern'     => '^\d{6}$', // regular expression the normalized value must match
+	 *             'checksum'    => '',         // optional checksum type, see bank_account_checksum()
+	 *             'messages'    => array( 'missing' => '...', 'invalid' => '...', 'checksum' => '...' ),
+	 *         ),
+	 *         ...
+	 *     ),
+	 * }
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array
+	 */
+	public static function get_bank_account_formats() {
+
+		$formats = [
+			self::BANK_ACCOUNT_FORMAT_US => [
+				'name'          => esc_html__( 'US Bank Account', 'woocommerce-plugin-framework' ),
+				'account_types' => true,
+				'fields'        => [
+					'routing-number' => [
+						/* translators: e-check routing number, HTML form field label, https://en.wikipedia.org/wiki/Routing_transit_number */
+						'label'       => esc_html__( 'Routing Number', 'woocommerce-plugin-framework' ),
+						'placeholder' => '•••••••••',
+						'mask'        => str_repeat( '#', 9 ),
+						'pattern'     => '^\d{9}$',
+						'checksum'    => 'aba',
+						'messages'    => [
+							'missing'  => esc_html__( 'Routing Number is missing', 'woocommerce-plugin-framework' ),
+							'invalid'  => esc_html__( 'Routing number is invalid (must be 9 digits)', 'woocommerce-plugin-framework' ),
+							'checksum' => esc_html__( 'Routing Number is invalid, please check the number and try again', 'woocommerce-plugin-framework' ),
+						],
+					],
+					'account-number' => [
+						/* translators: e-check account number, HTML form field label */
+						'label'       => esc_html__( 'Account Number', 'woocommerce-plugin-framework' ),
+						'placeholder' => '',
+						'mask'        => str_repeat( '#', 17 ),
+						'pattern'     => '^\d{5,17}$',
+						'checksum'    => '',
+						'messages'    => [
+							'missing' => esc_html__( 'Account Number is missing', 'woocommerce-plugin-framework' ),
+							'invalid' => esc_html__( 'Account number is invalid (must be between 5 and 17 digits)', 'woocommerce-plugin-framework' ),
+						],
+					],
+				],
+			],
+			self::BANK_ACCOUNT_FORMAT_IBAN => [
+				'name'          => esc_html__( 'IBAN', 'woocommerce-plugin-framework' ),
+				'account_types' => false,
+				'fields'        => [
+					'account-number' => [
+						/* translators: International Bank Account Number, HTML form field label, https://en.wikipedia.org/wiki/International_Bank_Account_Number */
+						'label'       => esc_html__( 'IBAN', 'woocommerce-plugin-framework' ),
+						'placeholder' => '',
+						'mask'        => trim( chunk_split( str_repeat( '*', 34 ), 4, ' ' ) ),
+						'pattern'     => '^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$',
+						'checksum'    => 'iban',
+						'messages'    => [
+							'missing'  => esc_html__( 'IBAN is missing', 'woocommerce-plugin-framework' ),
+							'invalid'  => esc_html__( 'IBAN is invalid (must start with a country code and contain between 15 and 34 characters)', 'woocommerce-plugin-framework' ),
+							'checksum' => esc_html__( 'IBAN is invalid, please check the number and try again', 'woocommerce-plugin-framework' ),
+						],
+					],
+				],
+			],
+			self::BANK_ACCOUNT_FORMAT_UK => [
+				'name'          => esc_html__( 'UK Bank Account', 'woocommerce-plugin-framework' ),
+				'account_types' => false,
+				'fields'        => [
+					'routing-number' => [
+						/* translators: UK bank sort code, HTML form field label, https://en.wikipedia.org/wiki/Sort_code */
+						'label'       => esc_html__( 'Sort Code', 'woocommerce-plugin-framework' ),
+						'placeholder' => '••-••-••',
+						'mask'        => '##-##-##',
+						'pattern'     => '^\d{6}$',
+						'checksum'    => '',
+						'messages'    => [
+							'missing' => esc_html__( 'Sort Code is missing', 'woocommerce-plugin-framework' ),
+							'invalid' => esc_html__( 'Sort Code is invalid (must be 6 digits)', 'woocommerce-plugin-framework' ),
+						],
+					],
+					'account-number' => [
+						'label'       => esc_html__( 'Account Number', 'woocommerce-plugin-framework' ),
+						'placeholder' => '••••••••',
+						'mask'        => str_repeat( '#', 8 ),
+						'pattern'     => '^\d{8}$',
+						'checksum'    => '',
+						'messages'    => [
+							'missing' => esc_html__( 'Account Number is missing', 'woocommerce-plugin-framework' ),
+							'invalid' => esc_html__( 'Account Number is invalid (must be 8 digits)', 'woocommerce-plugin-framework' ),
+						],
+					],
+				],
+			],
+			self::BANK_ACCOUNT_FORMAT_CA => [
+				'name'          => esc_html__( 'Canadian Bank Account', 'woocommerce-plugin-framework' ),
+				'account_types' => true,
+				'fields'        => [
+					'transit-number' => [
+						/* translators: Canadian bank branch transit number, HTML form field label */
+						'label'       => esc_html__( 'Transit Number', 'woocommerce-plugin-framework' ),
+						'placeholder' => '•••••',
+						'mask'        => str_repeat( '#', 5 ),
+						'pattern'     => '^\d{5}$',
+						'checksum'    => '',
+						'messages'    => [
+							'missing' => esc_html__( 'Transit Number is missing', 'woocommerce-plugin-framework' ),
+							'invalid' => esc_html__( 'Transit Number is invalid (must be 5 digits)', 'woocommerce-plugin-framework' ),
+						],
+					],
+					'institution-number' => [
+						/* translators: Canadian financial institution number, HTML form field label */
+						'label'       => esc_html__( 'Institution Number', 'woocommerce-plugin-framework' ),
+						'placeholder' => '•••',
+						'mask'        => str_repeat( '#', 3 ),
+						'pattern'     => '^\d{3}$',
+						'checksum'    => '',
+						'messages'    => [
+							'missing' => esc_html__( 'Institution Number is missing', 'woocommerce-plugin-framework' ),
+							'invalid' => esc_html__( 'Institution Number is invalid (must be 3 digits)', 'woocommerce-plugin-framework' ),
+						],
+					],
+					'account-number' => [
+						'label'       => esc_html__( 'Account Number', 'woocommerce-plugin-framework' ),
+						'placeholder' => '',
+						'mask'        => str_repeat( '#', 12 ),
+						'pattern'     => '^\d{7,12}$',
+						'checksum'    => '',
+						'messages'    => [
+							'missing' => esc_html__( 'Account Number is missing', 'woocommerce-plugin-framework' ),
+							'invalid' => esc_html__( 'Account Number is invalid (must be between 7 and 12 digits)', 'woocommerce-plugin-framework' ),
+						],
+					],
+				],
+			],
+			self::BANK_ACCOUNT_FORMAT_AU => [
+				'name'          => esc_html__( 'Australian Bank Account', 'woocommerce-plugin-framework' ),
+				'account_types' => false,
+				'fields'        => [
+					'routing-number' => [
+						/* translators: Australian Bank State Branch number, HTML form field label, https://en.wikipedia.org/wiki/Bank_state_branch */
+						'label'       => esc_html__( 'BSB', 'woocommerce-plugin-framework' ),
+						'placeholder' => '•••-•••',
+						'mask'        => '###-###',
+						'pattern'     => '^\d{6}$',
+						'checksum'    => '',
+						'messages'    => [
+							'missing' => esc_html__( 'BSB is missing', 'woocommerce-plugin-framework' ),
+							'invalid' => esc_html__( 'BSB is invalid (must be 6 digits)', 'woocommerce-plugin-framework' ),
+						],
+					],
+					'account-number' => [
+						'label'       => esc_html__( 'Account Number', 'woocommerce-plugin-framework' ),
+						'placeholder' => '',
+						'mask'        => str_repeat( '#', 9 ),
+						'pattern'     => '^\d{5,9}$',
+						'checksum'    => '',
+						'messages'    => [
+							'missing' => esc_html__( 'Account Number is missing', 'woocommerce-plugin-framework' ),
+							'invalid' => esc_html__( 'Account Number is invalid (must be between 5 and 9 digits)', 'woocommerce-plugin-framework' ),
+						],
+					],
+				],
+			],
+		];
+
+		/**
+		 * Filters the known bank account formats.
+		 *
+		 * Allows actors to add their own formats, or to adjust the fields and messages of the existing ones.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param array $formats bank account formats, see the method description
+		 */
+		return (array) apply_filters( 'wc_payment_gateway_bank_account_formats', $formats );
+	}
+
+
 	/**
 	 * Formats the given expiration year to include the last two digits only.
 	 *
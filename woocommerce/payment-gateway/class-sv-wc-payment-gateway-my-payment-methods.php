@@ -88,9 +88,23 @@ class SV_WC_Payment_Gateway_My_Payment_Methods extends Handlers\Script_Handler {
 		// save a payment method via AJAX
 		add_action( 'wp_ajax_wc_' . $this->get_plugin()->get_id() . '_save_payment_method', array( $this, 'ajax_save_payment_method' ) );
 
+		// delete a payment method via AJAX
+		add_action( 'wp_ajax_wc_' . $this->get_plugin()->get_id() . '_delete_payment_method', [ $this, 'ajax_delete_payment_method' ] );
+
+		// make a payment method the default via AJAX
+		add_action( 'wp_ajax_wc_' . $this->get_plugin()->get_id() . '_make_default_payment_method', [ $this, 'ajax_make_default_payment_method' ] );
+
+		// save the preferred order of the payment methods via AJAX
+		add_action( 'wp_ajax_wc_' . $this->get_plugin()->get_id() . '_reorder_payment_methods', [ $this, 'ajax_reorder_payment_methods' ] );
+
 		add_action( 'woocommerce_payment_token_set_default', [ $this, 'clear_payment_methods_transients' ], 10, 2 );
 
 		add_action( 'woocommerce_payment_token_deleted', [ $this, 'payment_token_deleted' ], 10, 2 );
+
+		// replace a payment method the customer updated with the new one
+		foreach ( $this->get_plugin()->get_gateway_ids() as $gateway_id ) {
+			add_action( 'wc_payment_gateway_' . $gateway_id . '_payment_method_added', [ $this, 'maybe_replace_payment_method' ], 10, 2 );
+		}
 	}
 
 
@@ -140,11 +154,14 @@ class SV_WC_Payment_Gateway_My_Payment_Methods extends Handlers\Script_Handler {
 		add_filter( 'woocommerce_payment_methods_list_item', [ $this, 'add_payment_methods_list_item_id' ], 10, 2 );
 		add_filter( 'woocommerce_payment_methods_list_item', [ $this, 'add_payment_methods_list_item_edit_action' ], 10, 2 );
 
+		add_filter( 'woocommerce_saved_payment_methods_list', [ $this, 'sort_payment_methods_list' ], 10, 2 );
+
 		add_filter( 'woocommerce_account_payment_methods_columns', [ $this, 'add_payment_methods_columns' ] );
 
 		add_action( 'woocommerce_account_payment_methods_column_title',   [ $this, 'add_payment_method_title' ] );
 		add_action( 'woocommerce_account_payment_methods_column_details', [ $this, 'add_payment_method_details' ] );
 		add_action( 'woocommerce_account_payment_methods_column_default', [ $this, 'add_payment_method_default' ] );
+		add_action( 'woocommerce_account_payment_methods_column_expires', [ $this, 'add_payment_method_expires' ] );
 
 		// map Framework payment methods actions to WooCommerce actions for backwards compatibility
 		add_action( 'woocommerce_before_account_payment_methods', [ $this, 'before_payment_methods_table' ] );
@@ -153,6 +170,9 @@ class SV_WC_Payment_Gateway_My_Payment_Methods extends Handlers\Script_Handler {
 		// handle custom payment method actions
 		$this->handle_payment_method_actions();
 
+		// render the form used to update expired or expiring cards
+		add_action( 'woocommerce_after_account_payment_methods', [ $this, 'render_update_payment_method_form' ], 5 );
+
 		// render JavaScript used in the My Payment Methods section
 		add_action( 'woocommerce_after_account_payment_methods', [ $this, 'render_js' ] );
 	}
@@ -298,6 +318,15 @@ class SV_WC_Payment_Gateway_My_Payment_Methods extends Handlers\Script_Handler {
 				]
 			];
 
+			// offer to replace cards that are expired or about to expire
+			if ( $this->get_token_expiration_status( $token ) && $this->get_update_payment_method_gateway( $token ) ) {
+
+				$new_actions['update-card'] = [
+					'url'  => add_query_arg( 'wc-' . $this->get_plugin()->get_id_dasherized() . '-replace-token', rawurlencode( $token->get_id() ), wc_get_account_endpoint_url( 'add-payment-method' ) ),
+					'name' => esc_html__( 'Update card', 'woocommerce-plugin-framework' ),
+				];
+			}
+
 			/**
 			 * My Payment Methods Table Method Actions Filter.
 			 *
@@ -322,6 +351,77 @@ class SV_WC_Payment_Gateway_My_Payment_Methods extends Handlers\Script_Handler {
 	}
 
 
+	/**
+	 * Sorts the plugin's payment methods in the order preferred by the customer.
+	 *
+	 * @see wc_get_account_saved_payment_methods_list
+	 *
+	 * @internal
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param array $list saved payment methods, grouped by type
+	 * @param int $customer_id customer ID
+	 * @return array
+	 */
+	public function sort_payment_methods_list( $list, $customer_id ) {
+
+		$token_order = $this->get_token_order( $customer_id );
+
+		if ( empty( $token_order ) || ! is_array( $list ) ) {
+			return $list;
+		}
+
+		foreach ( $list as $type => $methods ) {
+
+			$methods   = array_values( $methods );
+			$positions = [];
+
+			foreach ( $methods as $method ) {
+
+				$position = ! empty( $method['token'] ) ? array_search( (string) $method['token'], $token_order, true ) : false;
+
+				// methods from other plugins and methods without a preferred position go after the sorted ones
+				$positions[] = false === $position ? count( $token_order ) : $position;
+			}
+
+			// the current indexes are the tie breaker, so that unsorted methods keep their order
+			$indexes = array_keys( $methods );
+
+			array_multisort( $positions, SORT_ASC, $indexes, SORT_ASC, $methods );
+
+			$list[ $type ] = $methods;
+		}
+
+		return $list;
+	}
+
+
+	/**
+	 * Gets the order in which the customer prefers the plugin's payment methods to be listed.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param int $user_id WordPress user ID
+	 * @return string[] token IDs, in the preferred order
+	 */
+	protected function get_token_order( $user_id ) {
+
+		$token_order = [];
+
+		foreach ( $this->get_plugin()->get_gateways() as $gateway ) {
+
+			if ( ! $gateway->is_available() || ! ( $gateway->supports_tokenization() && $gateway->tokenization_enabled() ) ) {
+				continue;
+			}
+
+			$token_order = array_merge( $token_order, $gateway->get_payment_tokens_handler()->get_token_order( $user_id ) );
+		}
+
+		return array_values( array_unique( $token_order ) );
+	}
+
+
 	/**
 	 * Adds columns to the payment methods table.
 	 *
@@ -468,6 +568,26 @@ class SV_WC_Payment_Gateway_My_Payment_Methods extends Handlers\Script_Handler {
 	}
 
 
+	/**
+	 * Adds the Expires column content, flagging framework cards that are expired or about to expire.
+	 *
+	 * @internal
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param array $method payment method
+	 */
+	public function add_payment_method_expires( $method ) {
+
+		echo esc_html( isset( $method['expires'] ) ? $method['expires'] : '' );
+
+		if ( $token = $this->get_token_from_method_data_array( $method ) ) {
+
+			echo $this->get_payment_method_expiration_html( $token );
+		}
+	}
+
+
 	/**
 	 * Triggers the wc_{id}_before_my_payment_method_table action.
 	 *
@@ -598,17 +718,23 @@ class SV_WC_Payment_Gateway_My_Payment_Methods extends Handlers\Script_Handler {
 	protected function get_js_handler_args() {
 
 		$args = [
-			'id'              => $this->get_plugin()->get_id(),
-			'slug'            => $this->get_plugin()->get_id_dasherized(),
-			'has_core_tokens' => (bool) wc_get_customer_saved_methods_list( get_current_user_id() ),
-			'ajax_url'        => admin_url( 'admin-ajax.php' ),
-			'ajax_nonce'      => wp_create_nonce( 'wc_' . $this->get_plugin()->get_id() . '_save_payment_method' ),
-			'i18n'            => [
+			'id'                   => $this->get_plugin()->get_id(),
+			'slug'                 => $this->get_plugin()->get_id_dasherized(),
+			'has_core_tokens'      => (bool) wc_get_customer_saved_methods_list( get_current_user_id() ),
+			'ajax_url'             => admin_url( 'admin-ajax.php' ),
+			'ajax_nonce'           => wp_create_nonce( 'wc_' . $this->get_plugin()->get_id() . '_save_payment_method' ),
+			'i18n'                 => [
 				'edit_button'   => esc_html__( 'Edit', 'woocommerce-plugin-framework' ),
 				'cancel_button' => esc_html__( 'Cancel', 'woocommerce-plugin-framework' ),
 				'save_error'    => esc_html__( 'Oops, there was an error updating your payment method. Please try again.', 'woocommerce-plugin-framework' ),
 				'delete_ays'    => esc_html__( 'Are you sure you want to delete this payment method?', 'woocommerce-plugin-framework' ),
+				'delete_error'  => esc_html__( 'Oops, there was an error deleting your payment method. Please try again.', 'woocommerce-plugin-framework' ),
+				'default_mark'  => esc_html__( 'Default', 'woocommerce-plugin-framework' ),
+				'make_default'  => esc_html__( 'Make default', 'woocommerce-plugin-framework' ),
+				'move_handle'   => esc_html__( 'Drag to reorder, or use the arrow keys', 'woocommerce-plugin-framework' ),
+				'no_methods'    => esc_html__( 'No saved methods found.', 'woocommerce-plugin-framework' ),
 			],
+			'update_card_gateways' => $this->get_update_card_gateways(),
 		];
 
 		return $args;
@@ -916,6 +1042,43 @@ class SV_WC_Payment_Gateway_My_Payment_Methods extends Handlers\Script_Handler {
 	}
 
 
+	/**
+	 * Gets a token's expiration badge HTML, for cards that are expired or about to expire.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param SV_WC_Payment_Gateway_Payment_Token $token token object
+	 * @return string
+	 */
+	protected function get_payment_method_expiration_html( SV_WC_Payment_Gateway_Payment_Token $token ) {
+
+		$status = $this->get_token_expiration_status( $token );
+		$html   = '';
+
+		if ( 'expired' === $status ) {
+
+			$html  = '<mark class="sv-wc-payment-gateway-card-expiration expired" aria-hidden="true">' . esc_html__( 'Expired', 'woocommerce-plugin-framework' ) . '</mark>';
+			$html .= '<span class="screen-reader-text">' . esc_html__( 'This card has expired. Update it to keep using it for payments.', 'woocommerce-plugin-framework' ) . '</span>';
+
+		} elseif ( 'expiring' === $status ) {
+
+			$html  = '<mark class="sv-wc-payment-gateway-card-expiration expiring" aria-hidden="true">' . esc_html__( 'Expires soon', 'woocommerce-plugin-framework' ) . '</mark>';
+			$html .= '<span class="screen-reader-text">' . esc_html__( 'This card expires soon. Update it to avoid failed payments.', 'woocommerce-plugin-framework' ) . '</span>';
+		}
+
+		/**
+		 * Filters a token's expiration badge HTML.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param string $html expiration badge HTML
+		 * @param SV_WC_Payment_Gateway_Payment_Token $token token object
+		 * @param string $status either `expired`, `expiring` or an empty string
+		 */
+		return apply_filters( 'wc_' . $this->get_plugin()->get_id() . '_my_payment_methods_table_method_expiration_html', $html, $token, $status );
+	}
+
+
 	/**
 	 * Gets a token's payment method details HTML.
 	 *
@@ -1065,6 +1228,182 @@ class SV_WC_Payment_Gateway_My_Payment_Methods extends Handlers\Script_Handler {
 	}
 
 
+	/**
+	 * Deletes a payment method via AJAX.
+	 *
+	 * @internal
+	 *
+	 * @since 5.11.0
+	 */
+	public function ajax_delete_payment_method() {
+
+		check_ajax_referer( 'wc_' . $this->get_plugin()->get_id() . '_save_payment_method', 'nonce' );
+
+		try {
+
+			list( $token, $gateway ) = $this->get_posted_token();
+
+			$user_id = get_current_user_id();
+
+			// removes the token from the gateway as well, when supported
+			if ( ! $gateway->get_payment_tokens_handler()->remove_token( $user_id, $token ) ) {
+				throw new SV_WC_Payment_Gateway_Exception( 'Could not delete token' );
+			}
+
+			unset( $this->tokens[ $token->get_id() ] );
+
+			/* This action is documented in SV_WC_Payment_Gateway_My_Payment_Methods::payment_token_deleted() */
+			do_action( 'wc_payment_gateway_' . $gateway->get_id() . '_payment_method_deleted', $token->get_id(), $user_id );
+
+			wp_send_json_success( [
+				'default_tokens' => $this->get_default_token_ids( $user_id ),
+				'nonce'          => wp_create_nonce( 'wc_' . $this->get_plugin()->get_id() . '_save_payment_method' ),
+			] );
+
+		} catch ( SV_WC_Payment_Gateway_Exception $e ) {
+
+			wp_send_json_error( $e->getMessage() );
+		}
+	}
+
+
+	/**
+	 * Makes a payment method the default via AJAX.
+	 *
+	 * @internal
+	 *
+	 * @since 5.11.0
+	 */
+	public function ajax_make_default_payment_method() {
+
+		check_ajax_referer( 'wc_' . $this->get_plugin()->get_id() . '_save_payment_method', 'nonce' );
+
+		try {
+
+			list( $token, $gateway ) = $this->get_posted_token();
+
+			$user_id = get_current_user_id();
+
+			if ( ! $gateway->get_payment_tokens_handler()->set_default_token( $user_id, $token ) ) {
+				throw new SV_WC_Payment_Gateway_Exception( 'Could not set the default token' );
+			}
+
+			wp_send_json_success( [
+				'default_tokens' => $this->get_default_token_ids( $user_id ),
+				'nonce'          => wp_create_nonce( 'wc_' . $this->get_plugin()->get_id() . '_save_payment_method' ),
+			] );
+
+		} catch ( SV_WC_Payment_Gateway_Exception $e ) {
+
+			wp_send_json_error( $e->getMessage() );
+		}
+	}
+
+
+	/**
+	 * Saves the customer's preferred order of the payment methods via AJAX.
+	 *
+	 * The order is used for the My Payment Methods table and for the saved payment methods in the payment form.
+	 *
+	 * @internal
+	 *
+	 * @since 5.11.0
+	 */
+	public function ajax_reorder_payment_methods() {
+
+		check_ajax_referer( 'wc_' . $this->get_plugin()->get_id() . '_save_payment_method', 'nonce' );
+
+		$token_ids = SV_WC_Helper::get_posted_value( 'token_ids', [] );
+
+		if ( ! is_array( $token_ids ) ) {
+			wp_send_json_error( 'Invalid token IDs' );
+		}
+
+		$token_ids = array_map( 'wc_clean', array_values( $token_ids ) );
+		$user_id   = get_current_user_id();
+
+		foreach ( $this->get_plugin()->get_gateways() as $gateway ) {
+
+			if ( ! $gateway->is_available() || ! ( $gateway->supports_tokenization() && $gateway->tokenization_enabled() ) ) {
+				continue;
+			}
+
+			// each gateway only keeps the tokens that belong to it
+			$gateway->get_payment_tokens_handler()->update_token_order( $user_id, $token_ids );
+		}
+
+		wp_send_json_success( [
+			'nonce' => wp_create_nonce( 'wc_' . $this->get_plugin()->get_id() . '_save_payment_method' ),
+		] );
+	}
+
+
+	/**
+	 * Gets the token posted in an AJAX request and the gateway it belongs to.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array {
+	 *     @type SV_WC_Payment_Gateway_Payment_Token $0 token object
+	 *     @type SV_WC_Payment_Gateway $1 gateway object
+	 * }
+	 * @throws SV_WC_Payment_Gateway_Exception
+	 */
+	protected function get_posted_token() {
+
+		$this->load_tokens();
+
+		$token_id = SV_WC_Helper::get_posted_value( 'token_id' );
+
+		if ( empty( $this->tokens[ $token_id ] ) || ! $this->tokens[ $token_id ] instanceof SV_WC_Payment_Gateway_Payment_Token ) {
+			throw new SV_WC_Payment_Gateway_Exception( 'Invalid token ID' );
+		}
+
+		$user_id = get_current_user_id();
+		$token   = $this->tokens[ $token_id ];
+		$gateway = $this->get_plugin()->get_gateway_from_token( $user_id, $token );
+
+		// bail if the gateway or token couldn't be found for this user
+		if ( ! $gateway || ! $gateway->get_payment_tokens_handler()->user_has_token( $user_id, $token ) ) {
+			throw new SV_WC_Payment_Gateway_Exception( 'Invalid token' );
+		}
+
+		return [ $token, $gateway ];
+	}
+
+
+	/**
+	 * Gets the IDs of the plugin's default tokens for a user.
+	 *
+	 * Each gateway can have its own default token.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param int $user_id WordPress user ID
+	 * @return string[]
+	 */
+	protected function get_default_token_ids( $user_id ) {
+
+		$token_ids = [];
+
+		foreach ( $this->get_plugin()->get_gateways() as $gateway ) {
+
+			if ( ! $gateway->is_available() || ! ( $gateway->supports_tokenization() && $gateway->tokenization_enabled() ) ) {
+				continue;
+			}
+
+			foreach ( $gateway->get_payment_tokens_handler()->get_tokens( $user_id ) as $token ) {
+
+				if ( $token->is_default() && ! in_array( (string) $token->get_id(), $token_ids, true ) ) {
+					$token_ids[] = (string) $token->get_id();
+				}
+			}
+		}
+
+		return $token_ids;
+	}
+
+
 	/**
 	 * Saves data to a token.
 	 *
@@ -1097,6 +1436,210 @@ class SV_WC_Payment_Gateway_My_Payment_Methods extends Handlers\Script_Handler {
 	}
 
 
+	/**
+	 * Gets whether a card is expired or expires within the expiring card window.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param SV_WC_Payment_Gateway_Payment_Token $token token object
+	 * @return string either `expired`, `expiring` or an empty string
+	 */
+	protected function get_token_expiration_status( SV_WC_Payment_Gateway_Payment_Token $token ) {
+
+		if ( $token->is_expired() ) {
+			return 'expired';
+		}
+
+		if ( $token->is_expiring( $this->get_expiring_card_window() ) ) {
+			return 'expiring';
+		}
+
+		return '';
+	}
+
+
+	/**
+	 * Gets the number of days before their expiration that cards are flagged as expiring.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return int
+	 */
+	protected function get_expiring_card_window() {
+
+		/**
+		 * Filters the number of days before their expiration that cards are flagged as expiring.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param int $days number of days, 0 to only flag expired cards
+		 * @param SV_WC_Payment_Gateway_My_Payment_Methods $this instance
+		 */
+		return max( 0, (int) apply_filters( 'wc_' . $this->get_plugin()->get_id() . '_my_payment_methods_expiring_card_window', 30, $this ) );
+	}
+
+
+	/**
+	 * Gets the gateway that can be used to replace a token with a new payment method.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param SV_WC_Payment_Gateway_Payment_Token $token token object
+	 * @return SV_WC_Payment_Gateway_Direct|null
+	 */
+	protected function get_update_payment_method_gateway( SV_WC_Payment_Gateway_Payment_Token $token ) {
+
+		$gateway = $this->get_plugin()->get_gateway_from_token( get_current_user_id(), $token );
+
+		if ( ! $gateway || ! $gateway->is_direct_gateway() || ! $gateway->supports_add_payment_method() ) {
+			return null;
+		}
+
+		return $gateway;
+	}
+
+
+	/**
+	 * Gets the IDs of the cards that can be updated, mapped to the ID of the gateway that updates them.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array
+	 */
+	protected function get_update_card_gateways() {
+
+		$gateways = [];
+
+		foreach ( $this->load_tokens() as $token ) {
+
+			if ( $this->get_token_expiration_status( $token ) && ( $gateway = $this->get_update_payment_method_gateway( $token ) ) ) {
+				$gateways[ $token->get_id() ] = $gateway->get_id();
+			}
+		}
+
+		return $gateways;
+	}
+
+
+	/**
+	 * Renders the form used to update cards that are expired or about to expire.
+	 *
+	 * The form is hidden until the customer chooses to update a card, which moves it below the card in the table.
+	 * It is submitted like the Add Payment Method form, with the card being replaced as an extra field.
+	 *
+	 * @internal
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param bool $has_methods whether there any saved payment methods in the table
+	 */
+	public function render_update_payment_method_form( $has_methods ) {
+
+		$gateway_ids = array_unique( $this->get_update_card_gateways() );
+
+		if ( ! $has_methods || empty( $gateway_ids ) ) {
+			return;
+		}
+
+		?>
+		<form id="add_payment_method" class="sv-wc-payment-gateway-update-payment-method-form" method="post" style="display:none;">
+			<div id="payment" class="woocommerce-Payment">
+				<ul class="woocommerce-PaymentMethods payment_methods methods">
+
+					<?php foreach ( $gateway_ids as $gateway_id ) : ?>
+						<?php $gateway = $this->get_plugin()->get_gateway( $gateway_id ); ?>
+
+						<li class="woocommerce-PaymentMethod woocommerce-PaymentMethod--<?php echo esc_attr( $gateway_id ); ?> wc_payment_method payment_method_<?php echo esc_attr( $gateway_id ); ?>">
+							<input id="payment_method_<?php echo esc_attr( $gateway_id ); ?>" type="radio" class="input-radio" name="payment_method" value="<?php echo esc_attr( $gateway_id ); ?>" style="display:none;" />
+							<div class="payment_box payment_method_<?php echo esc_attr( $gateway_id ); ?>">
+								<?php $gateway->payment_fields(); ?>
+							</div>
+						</li>
+
+					<?php endforeach; ?>
+
+				</ul>
+
+				<div class="form-row">
+					<input type="hidden" name="wc-<?php echo esc_attr( $this->get_plugin()->get_id_dasherized() ); ?>-replace-token" value="" />
+					<?php wp_nonce_field( 'woocommerce-add-payment-method', 'woocommerce-add-payment-method-nonce' ); ?>
+					<button type="submit" class="woocommerce-Button button" id="place_order" value="<?php esc_attr_e( 'Update card', 'woocommerce-plugin-framework' ); ?>"><?php esc_html_e( 'Update card', 'woocommerce-plugin-framework' ); ?></button>
+					<a href="#" class="cancel-update"><?php esc_html_e( 'Cancel', 'woocommerce-plugin-framework' ); ?></a>
+					<input type="hidden" name="woocommerce_add_payment_method" id="woocommerce_add_payment_method" value="1" />
+				</div>
+			</div>
+		</form>
+		<?php
+	}
+
+
+	/**
+	 * Replaces a payment method with the one the customer just added to update it.
+	 *
+	 * The new method takes the place of the old one in the customer's preferred order and as their default,
+	 * and subscriptions are moved to it before the old method is removed.
+	 *
+	 * @internal
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $token_id new token ID
+	 * @param int $user_id user ID
+	 */
+	public function maybe_replace_payment_method( $token_id, $user_id ) {
+
+		$old_token_id = wc_clean( SV_WC_Helper::get_requested_value( 'wc-' . $this->get_plugin()->get_id_dasherized() . '-replace-token' ) );
+
+		if ( ! $old_token_id || ! is_string( $old_token_id ) || $old_token_id === (string) $token_id ) {
+			return;
+		}
+
+		$gateway = $this->get_plugin()->get_gateway_from_token( $user_id, $token_id );
+
+		if ( ! $gateway ) {
+			return;
+		}
+
+		$handler   = $gateway->get_payment_tokens_handler();
+		$old_token = $handler->get_token( $user_id, $old_token_id );
+		$new_token = $handler->get_token( $user_id, $token_id );
+
+		// the card can only be replaced by one from the same gateway
+		if ( ! $old_token || ! $new_token ) {
+			return;
+		}
+
+		$token_order = $handler->get_token_order( $user_id );
+		$position    = array_search( (string) $old_token->get_id(), $token_order, true );
+
+		if ( false !== $position ) {
+
+			$token_order[ $position ] = (string) $new_token->get_id();
+
+			$handler->update_token_order( $user_id, $token_order );
+		}
+
+		if ( $old_token->is_default() ) {
+			$handler->set_default_token( $user_id, $new_token );
+		}
+
+		/**
+		 * Fires after a customer updates a saved payment method, before the old method is removed.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param string $new_token_id ID of the new token
+		 * @param string $old_token_id ID of the replaced token
+		 * @param int $user_id user ID
+		 */
+		do_action( 'wc_payment_gateway_' . $gateway->get_id() . '_payment_method_replaced', $new_token->get_id(), $old_token->get_id(), $user_id );
+
+		if ( ! $handler->remove_token( $user_id, $old_token ) ) {
+			$this->log_event( sprintf( 'Could not remove payment token %s after it was replaced by %s', $old_token->get_id(), $new_token->get_id() ) );
+		}
+	}
+
+
 	/**
 	 * Handles custom payment methods actions.
 	 *
@@ -24,6 +24,8 @@
 
 namespace SkyVerge\WooCommerce\PluginFramework\v5_10_8;
 
+use SkyVerge\WooCommerce\PluginFramework\v5_10_8\Payment_Gateway\Blocks\Blocks_Handler;
+
 defined( 'ABSPATH' ) or exit;
 
 if ( ! class_exists( '\\SkyVerge\\WooCommerce\\PluginFramework\\v5_10_8\\SV_WC_Payment_Gateway_Payment_Form' ) ) :
@@ -54,6 +56,9 @@ class SV_WC_Payment_Gateway_Payment_Form extends Handlers\Script_Handler {
 	/** @var bool memoization to account whether the payment JS has been rendered for a gateway */
 	protected $payment_form_js_rendered = [];
 
+	/** @var array|false|null memoized challenge to present when the page loads, false if there is none */
+	protected $pending_challenge;
+
 
 	/**
 	 * Sets up class.
@@ -104,6 +109,9 @@ class SV_WC_Payment_Gateway_Payment_Form extends Handlers\Script_Handler {
 		// payment form JS
 		add_action( "wc_{$gateway_id}_payment_form_end", [ $this, 'render_js' ], 5 );
 		add_action( 'wp_footer', [ $this, 'maybe_render_js' ] );
+
+		// challenges returned on the Order > Pay page are presented once it reloads
+		add_filter( 'woocommerce_payment_successful_result', [ $this, 'maybe_defer_pay_page_challenge' ], 10, 2 );
 	}
 
 
@@ -164,6 +172,9 @@ class SV_WC_Payment_Gateway_Payment_Form extends Handlers\Script_Handler {
 					$this->default_new_payment_method = false;
 				}
 			}
+
+			// list the saved methods in the order the customer chose in My Payment Methods
+			$tokens = $this->get_gateway()->get_payment_tokens_handler()->sort_tokens( get_current_user_id(), $tokens );
 		}
 
 		return $this->tokens = $tokens;
@@ -324,6 +335,34 @@ class SV_WC_Payment_Gateway_Payment_Form extends Handlers\Script_Handler {
 	}
 
 
+	/**
+	 * Gets the payment form fields to render in the checkout block.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array payment fields in the format suitable for woocommerce_form_field()
+	 */
+	public function get_block_payment_fields() {
+
+		return $this->get_payment_fields();
+	}
+
+
+	/**
+	 * Gets the JS handler class name for the checkout block.
+	 *
+	 * The block creates a handler instance to run the async validators registered by the gateway.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return string
+	 */
+	public function get_block_js_handler_class_name() {
+
+		return $this->get_js_handler_class_name();
+	}
+
+
 	/**
 	 * Get default credit card form fields, note this pulls default values
 	 * from the associated gateway
@@ -422,54 +461,60 @@ class SV_WC_Payment_Gateway_Payment_Form extends Handlers\Script_Handler {
 	 */
 	protected function get_echeck_fields() {
 
-		$defaults = $this->get_gateway()->get_payment_method_defaults();
+		$defaults   = $this->get_gateway()->get_payment_method_defaults();
+		$format     = $this->get_gateway()->get_bank_account_format_definition();
+		$id_prefix  = 'wc-' . $this->get_gateway()->get_id_dasherized() . '-';
+		$check_hint = '';
 
-		$check_hint = sprintf( '<img title="%s" alt="%s" class="js-sv-wc-payment-gateway-echeck-form-check-hint" src="%s" width="16" height="16" />', esc_attr__( 'Where do I find this?', 'woocommerce-plugin-framework' ), esc_attr__( 'Where do I find this?', 'woocommerce-plugin-framework' ), esc_url( WC()->plugin_url() . '/assets/images/help.png' ) );
+		// the sample check only helps with US bank accounts
+		if ( SV_WC_Payment_Gateway_Helper::BANK_ACCOUNT_FORMAT_US === $this->get_gateway()->get_bank_account_format() ) {
+			$check_hint = sprintf( '<img title="%s" alt="%s" class="js-sv-wc-payment-gateway-echeck-form-check-hint" src="%s" width="16" height="16" />', esc_attr__( 'Where do I find this?', 'woocommerce-plugin-framework' ), esc_attr__( 'Where do I find this?', 'woocommerce-plugin-framework' ), esc_url( WC()->plugin_url() . '/assets/images/help.png' ) );
+		}
 
-		$fields = array(
-			'routing-number' => array(
-				'type'              => 'tel',
-				/* translators: e-check routing number, HTML form field label, https://en.wikipedia.org/wiki/Routing_transit_number */
-				'label'             => esc_html__( 'Routing Number', 'woocommerce-plugin-framework' ) . $check_hint,
-				'id'                => 'wc-' . $this->get_gateway()->get_id_dasherized() . '-routing-number',
-				'name'              => 'wc-' . $this->get_gateway()->get_id_dasherized() . '-routing-number',
-				'placeholder'       => '•••••••••',
-				'required'          => true,
-				'class'             => array( 'form-row-first' ),
-				'input_class'       => array( 'js-sv-wc-payment-gateway-echeck-form-input js-sv-wc-payment-gateway-echeck-form-routing-number' ),
-				'maxlength'         => 9,
-				'custom_attributes' => array(
-					'autocomplete'   => 'off',
-					'autocorrect'    => 'no',
-					'autocapitalize' => 'no',
-					'spellcheck'     => 'no',
-				),
-				'value'             => $defaults['routing-number'],
-			),
-			'account-number' => array(
-				'type'              => 'tel',
-				/* translators: e-check account number, HTML form field label */
-				'label'             => esc_html__( 'Account Number', 'woocommerce-plugin-framework' ) . $check_hint,
-				'id'                => 'wc-' . $this->get_gateway()->get_id_dasherized() . '-account-number',
-				'name'              => 'wc-' . $this->get_gateway()->get_id_dasherized() . '-account-number',
+		$fields = array();
+		$count  = count( $format['fields'] );
+		$index  = 0;
+
+		foreach ( $format['fields'] as $key => $field ) {
+
+			// pair the fields up, an odd field out spans the whole row
+			if ( $index === $count - 1 && 1 === $count % 2 ) {
+				$class = 'form-row-wide';
+			} else {
+				$class = 0 === $index % 2 ? 'form-row-first' : 'form-row-last';
+			}
+
+			$fields[ $key ] = array(
+				// only digits use the numeric keyboard
+				'type'              => false === strpos( $field['mask'], '*' ) ? 'tel' : 'text',
+				'label'             => $field['label'] . $check_hint,
+				'id'                => $id_prefix . $key,
+				'name'              => $id_prefix . $key,
+				'placeholder'       => $field['placeholder'],
 				'required'          => true,
-				'class'             => array( 'form-row-last' ),
-				'input_class'       => array( 'js-sv-wc-payment-gateway-echeck-form-input js-sv-wc-payment-gateway-echeck-form-account-number' ),
-				'maxlength'         => 17,
+				'class'             => array( $class ),
+				'input_class'       => array( 'js-sv-wc-payment-gateway-echeck-form-input js-sv-wc-payment-gateway-echeck-form-' . $key ),
+				'maxlength'         => strlen( $field['mask'] ),
 				'custom_attributes' => array(
 					'autocomplete'   => 'off',
 					'autocorrect'    => 'no',
 					'autocapitalize' => 'no',
 					'spellcheck'     => 'no',
 				),
-				'value'             => $defaults['account-number'],
-			),
-			'account-type'   => array(
+				'value'             => isset( $defaults[ $key ] ) ? $defaults[ $key ] : '',
+			);
+
+			$index++;
+		}
+
+		if ( ! empty( $format['account_types'] ) ) {
+
+			$fields['account-type'] = array(
 				'type'              => 'select',
 				/* translators: e-check account type, HTML form field label */
 				'label'             => esc_html__( 'Account Type', 'woocommerce-plugin-framework' ),
-				'id'                => 'wc-' . $this->get_gateway()->get_id_dasherized() . '-account-type',
-				'name'              => 'wc-' . $this->get_gateway()->get_id_dasherized() . '-account-type',
+				'id'                => $id_prefix . 'account-type',
+				'name'              => $id_prefix . 'account-type',
 				'required'          => true,
 				'class'             => array( 'form-row-wide' ),
 				'input_class'       => array( 'js-sv-wc-payment-gateway-echeck-form-input js-sv-wc-payment-gateway-echeck-form-account-type' ),
@@ -481,8 +526,8 @@ class SV_WC_Payment_Gateway_Payment_Form extends Handlers\Script_Handler {
 				),
 				'custom_attributes' => array(),
 				'value'             => 'checking',
-			),
-		);
+			);
+		}
 
 		/**
 		 * Payment Gateway Payment Form Default eCheck Fields.
@@ -930,13 +975,15 @@ class SV_WC_Payment_Gateway_Payment_Form extends Handlers\Script_Handler {
 	/**
 	 * Render the sample check image if gateway is eCheck
 	 *
+	 * The sample check is a US check, so it's only rendered for US bank accounts.
+	 *
 	 * @hooked wc_{gateway ID}_payment_form_start @ priority 25
 	 *
 	 * @since 4.0.0
 	 */
 	public function render_sample_check() {
 
-		if ( $this->get_gateway()->is_echeck_gateway() ) {
+		if ( $this->get_gateway()->is_echeck_gateway() && SV_WC_Payment_Gateway_Helper::BANK_ACCOUNT_FORMAT_US === $this->get_gateway()->get_bank_account_format() ) {
 			echo $this->get_sample_check_html();
 		}
 	}
@@ -1017,7 +1064,8 @@ class SV_WC_Payment_Gateway_Payment_Form extends Handlers\Script_Handler {
 	 */
 	public function maybe_render_js() {
 
-		if ( ! is_order_received_page() && ( is_checkout() || is_checkout_pay_page() || is_add_payment_method_page() ) ) {
+		// the checkout block renders its own payment form
+		if ( ! is_order_received_page() && ! Blocks_Handler::is_checkout_block_page() && ( is_checkout() || is_checkout_pay_page() || is_add_payment_method_page() ) ) {
 			$this->render_js();
 		}
 	}
@@ -1056,6 +1104,154 @@ class SV_WC_Payment_Gateway_Payment_Form extends Handlers\Script_Handler {
 	}
 
 
+	/**
+	 * Defers a challenge returned for an Order > Pay page payment until the page reloads.
+	 *
+	 * The Order > Pay form is posted without AJAX, so WooCommerce redirects to the result URL right away. The customer
+	 * is sent back to the Order > Pay page instead, where the payment form presents the challenge before continuing to
+	 * the result URL.
+	 *
+	 * @internal
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param array $result payment result
+	 * @param int $order_id order ID
+	 * @return array
+	 */
+	public function maybe_defer_pay_page_challenge( $result, $order_id ) {
+
+		// checkout payments are handled over AJAX, so their challenge is presented right away
+		if ( empty( $result['challenge'] ) || ! SV_WC_Helper::get_posted_value( 'woocommerce_pay' ) ) {
+			return $result;
+		}
+
+		$order = wc_get_order( $order_id );
+
+		if ( ! $order || $this->get_gateway()->get_id() !== $order->get_payment_method() ) {
+			return $result;
+		}
+
+		$this->set_pending_challenge( (array) $result['challenge'], isset( $result['redirect'] ) ? $result['redirect'] : '' );
+
+		$result['redirect'] = $order->get_checkout_payment_url();
+
+		return $result;
+	}
+
+
+	/**
+	 * Sets a challenge to present when the payment form next loads.
+	 *
+	 * This is for the Order > Pay and Add Payment Method pages, whose forms are posted without AJAX.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param array $challenge challenge data, see {@see SV_WC_Payment_Gateway_Payment_Form::render_challenge_response()}
+	 * @param string $redirect URL to redirect the customer to once the challenge passes
+	 */
+	public function set_pending_challenge( array $challenge, $redirect ) {
+
+		if ( isset( WC()->session ) ) {
+
+			WC()->session->set( $this->get_pending_challenge_session_key(), [
+				'challenge' => $challenge,
+				'redirect'  => esc_url_raw( $redirect ),
+			] );
+		}
+	}
+
+
+	/**
+	 * Gets the challenge to present when the payment form loads, if any.
+	 *
+	 * The challenge is only ever presented once, so it's removed from the session.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array|null challenge result with the `challenge` data and the `redirect` URL
+	 */
+	protected function get_pending_challenge() {
+
+		if ( null === $this->pending_challenge ) {
+
+			$this->pending_challenge = false;
+
+			if ( isset( WC()->session ) ) {
+
+				$pending = WC()->session->get( $this->get_pending_challenge_session_key() );
+
+				if ( is_array( $pending ) && ! empty( $pending['challenge'] ) ) {
+					$this->pending_challenge = $pending;
+				}
+
+				WC()->session->set( $this->get_pending_challenge_session_key(), null );
+			}
+		}
+
+		return $this->pending_challenge ?: null;
+	}
+
+
+	/**
+	 * Gets the session key the pending challenge is stored under.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return string
+	 */
+	protected function get_pending_challenge_session_key() {
+
+		return 'wc_' . $this->get_gateway()->get_id() . '_pending_payment_challenge';
+	}
+
+
+	/**
+	 * Renders the page loaded at the end of a payment challenge, like 3-D Secure.
+	 *
+	 * The payment form presents challenges in an iframe, so gateways should render this from the URL the challenge
+	 * provider returns the customer to, once the result is known. It reports the result back to the payment form
+	 * and exits.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param bool $success whether the customer passed the challenge
+	 * @param array $args {
+	 *     Optional. Additional result data.
+	 *
+	 *     @type string $message error message to display if the challenge failed
+	 *     @type string $redirect URL to redirect the customer to after a successful challenge
+	 * }
+	 */
+	public function render_challenge_response( $success, array $args = [] ) {
+
+		$response = [
+			'type'       => 'sv_wc_payment_challenge_complete',
+			'gateway_id' => $this->get_gateway()->get_id(),
+			'success'    => (bool) $success,
+			'message'    => isset( $args['message'] ) ? wp_strip_all_tags( $args['message'] ) : '',
+			'redirect'   => isset( $args['redirect'] ) ? esc_url_raw( $args['redirect'] ) : '',
+		];
+
+		// the payment form lives on this site, so only ever report back to it
+		$home   = wp_parse_url( home_url() );
+		$origin = $home['scheme'] . '://' . $home['host'] . ( isset( $home['port'] ) ? ':' . $home['port'] : '' );
+
+		nocache_headers();
+
+		?><!DOCTYPE html>
+		<html>
+			<head><meta charset="<?php echo esc_attr( get_bloginfo( 'charset' ) ); ?>" /></head>
+			<body>
+				<script type="text/javascript">window.parent.postMessage( <?php echo wp_json_encode( $response ); ?>, <?php echo wp_json_encode( $origin ); ?> );</script>
+			</body>
+		</html>
+		<?php
+
+		exit;
+	}
+
+
 	/**
 	 * Gets the handler instantiation JS.
 	 *
@@ -1095,8 +1291,33 @@ class SV_WC_Payment_Gateway_Payment_Form extends Handlers\Script_Handler {
 			'type'                    => $this->get_gateway()->get_payment_type(),
 			'csc_required'            => $this->get_gateway()->csc_enabled(),
 			'csc_required_for_tokens' => $this->get_gateway()->csc_enabled_for_tokens(),
+			'inline_errors'           => $this->inline_errors_enabled(),
 		];
 
+		// the Order > Pay and Add Payment Method forms are posted without AJAX, so their challenges are handed over on reload
+		if ( ! is_checkout() || is_checkout_pay_page() ) {
+
+			$pending_challenge = $this->get_pending_challenge();
+
+			if ( $pending_challenge ) {
+				$args['pending_challenge'] = $pending_challenge;
+			}
+		}
+
+		if ( $this->get_gateway()->is_echeck_gateway() ) {
+
+			$format = $this->get_gateway()->get_bank_account_format_definition();
+
+			$args['bank_account_format'] = $this->get_gateway()->get_bank_account_format();
+			$args['bank_account_fields'] = $format['fields'];
+		}
+
+		if ( $this->get_gateway()->is_credit_card_gateway() ) {
+
+			$args['card_brands']        = $this->get_gateway()->get_card_brand_rules();
+			$args['co_badged_networks'] = $this->get_gateway()->get_co_badged_card_networks();
+		}
+
 		if ( $this->get_gateway()->supports_card_types() ) {
 
 			$card_types = $this->get_gateway()->get_card_types();
@@ -1111,6 +1332,30 @@ class SV_WC_Payment_Gateway_Payment_Form extends Handlers\Script_Handler {
 	}
 
 
+	/**
+	 * Determines whether the payment form JS renders errors next to their fields.
+	 *
+	 * When disabled, all errors are rendered in a summary at the top of the form,
+	 * for themes that rely on it.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return bool
+	 */
+	protected function inline_errors_enabled() {
+
+		/**
+		 * Filters whether the payment form renders errors next to their fields.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param bool $enabled whether inline errors are enabled
+		 * @param SV_WC_Payment_Gateway_Payment_Form $payment_form payment form instance
+		 */
+		return (bool) apply_filters( 'wc_' . $this->get_gateway()->get_id() . '_payment_form_inline_errors', true, $this );
+	}
+
+
 	/**
 	 * Adds a log entry.
 	 *
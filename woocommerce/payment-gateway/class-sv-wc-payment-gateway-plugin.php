@@ -28,6 +28,8 @@ use Automattic\WooCommerce\Admin\Notes\WC_Admin_Note;
 use Automattic\WooCommerce\Admin\Notes\WC_Admin_Notes;
 use SkyVerge\WooCommerce\PluginFramework\v5_10_8\Payment_Gateway\External_Checkout\External_Checkout;
 use SkyVerge\WooCommerce\PluginFramework\v5_10_8\Payment_Gateway\External_Checkout\Google_Pay\Google_Pay;
+use SkyVerge\WooCommerce\PluginFramework\v5_10_8\Payment_Gateway\External_Checkout\Payment_Request\Payment_Request;
+use SkyVerge\WooCommerce\PluginFramework\v5_10_8\Payment_Gateway\Blocks\Blocks_Handler;
 
 defined( 'ABSPATH' ) or exit;
 
@@ -99,6 +101,9 @@ abstract class SV_WC_Payment_Gateway_Plugin extends SV_WC_Plugin {
 	/** @var SV_WC_Payment_Gateway_Admin_User_Handler user handler instance */
 	protected $admin_user_handler;
 
+	/** @var SV_WC_Payment_Gateway_Admin_Credentials_Handler credentials handler instance */
+	protected $admin_credentials_handler;
+
 	/** @var SV_WC_Payment_Gateway_My_Payment_Methods adds My Payment Method functionality */
 	private $my_payment_methods;
 
@@ -108,6 +113,12 @@ abstract class SV_WC_Payment_Gateway_Plugin extends SV_WC_Plugin {
 	/** @var Google_Pay the Google Pay handler instance */
 	private $google_pay;
 
+	/** @var Payment_Request the Payment Request API handler instance */
+	private $payment_request;
+
+	/** @var Blocks_Handler the Cart and Checkout blocks handler instance */
+	protected $blocks_handler;
+
 
 	/**
 	 * Initializes the plugin.
@@ -193,6 +204,9 @@ abstract class SV_WC_Payment_Gateway_Plugin extends SV_WC_Plugin {
 		// Google Pay feature
 		add_action( 'wp_loaded', [ $this, 'maybe_init_google_pay' ] );
 
+		// Payment Request API feature
+		add_action( 'wp_loaded', [ $this, 'maybe_init_payment_request' ] );
+
 		// TODO: move these to Subscriptions integration
 		if ( $this->is_subscriptions_active() ) {
 
@@ -217,8 +231,9 @@ abstract class SV_WC_Payment_Gateway_Plugin extends SV_WC_Plugin {
 
 		parent::init_admin();
 
-		$this->admin_order_handler = new SV_WC_Payment_Gateway_Admin_Order( $this );
-		$this->admin_user_handler  = new SV_WC_Payment_Gateway_Admin_User_Handler( $this );
+		$this->admin_order_handler       = new SV_WC_Payment_Gateway_Admin_Order( $this );
+		$this->admin_user_handler        = new SV_WC_Payment_Gateway_Admin_User_Handler( $this );
+		$this->admin_credentials_handler = new SV_WC_Payment_Gateway_Admin_Credentials_Handler( $this );
 	}
 
 
@@ -321,6 +336,15 @@ abstract class SV_WC_Payment_Gateway_Plugin extends SV_WC_Plugin {
 		require_once( "{$payment_gateway_framework_path}/External_Checkout/Google_Pay/AJAX.php" );
 		require_once( "{$payment_gateway_framework_path}/External_Checkout/Google_Pay/Frontend.php" );
 
+		// Payment Request API
+		require_once( "{$payment_gateway_framework_path}/External_Checkout/Payment_Request/Payment_Request.php" );
+		require_once( "{$payment_gateway_framework_path}/External_Checkout/Payment_Request/Admin.php" );
+		require_once( "{$payment_gateway_framework_path}/External_Checkout/Payment_Request/AJAX.php" );
+		require_once( "{$payment_gateway_framework_path}/External_Checkout/Payment_Request/Frontend.php" );
+
+		// Cart and Checkout blocks
+		require_once( "{$payment_gateway_framework_path}/Blocks/Blocks_Handler.php" );
+
 		// payment tokens
 		require_once( $payment_gateway_framework_path . '/payment-tokens/class-sv-wc-payment-gateway-payment-token.php' );
 		require_once( $payment_gateway_framework_path . '/payment-tokens/class-sv-wc-payment-gateway-payment-tokens-handler.php' );
@@ -333,6 +357,7 @@ abstract class SV_WC_Payment_Gateway_Plugin extends SV_WC_Plugin {
 		require_once( $payment_gateway_framework_path . '/admin/class-sv-wc-payment-gateway-admin-order.php' );
 		require_once( $payment_gateway_framework_path . '/admin/class-sv-wc-payment-gateway-admin-user-handler.php' );
 		require_once( $payment_gateway_framework_path . '/admin/class-sv-wc-payment-gateway-admin-payment-token-editor.php' );
+		require_once( $payment_gateway_framework_path . '/admin/class-sv-wc-payment-gateway-admin-credentials-handler.php' );
 
 		// integrations
 		require_once( $payment_gateway_framework_path . '/integrations/abstract-sv-wc-payment-gateway-integration.php' );
@@ -352,6 +377,8 @@ abstract class SV_WC_Payment_Gateway_Plugin extends SV_WC_Plugin {
 			require_once( "{$payment_gateway_framework_path}/class-sv-wc-payment-gateway-privacy.php" );
 			$this->privacy_handler = new SV_WC_Payment_Gateway_Privacy( $this );
 		}
+
+		$this->blocks_handler = $this->build_blocks_handler();
 	}
 
 
@@ -579,6 +606,103 @@ abstract class SV_WC_Payment_Gateway_Plugin extends SV_WC_Plugin {
 	}
 
 
+	/** Payment Request API ***************************************************/
+
+
+	/**
+	 * Initializes the Payment Request API if it's supported.
+	 *
+	 * @since 5.11.0
+	 */
+	public function maybe_init_payment_request() {
+
+		if ( SV_WC_Plugin_Compatibility::is_wc_version_gte( '3.2' ) && $this->supports_payment_request() ) {
+			$this->payment_request = $this->build_payment_request_instance();
+		}
+	}
+
+
+	/**
+	 * Builds the Payment Request API handler instance.
+	 *
+	 * Gateways can override this to define their own Payment Request class.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return Payment_Request
+	 */
+	protected function build_payment_request_instance() {
+
+		return new Payment_Request( $this );
+	}
+
+
+	/**
+	 * Gets the Payment Request API handler instance.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return Payment_Request
+	 */
+	public function get_payment_request_instance() {
+
+		return $this->payment_request;
+	}
+
+
+	/**
+	 * Determines if this plugin has any gateways with Payment Request API support.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return bool
+	 */
+	public function supports_payment_request() {
+
+		$is_supported = false;
+
+		foreach ( $this->get_gateways() as $gateway ) {
+
+			if ( $gateway->supports_payment_request() ) {
+				$is_supported = true;
+			}
+		}
+
+		return $is_supported;
+	}
+
+
+	/** Blocks ****************************************************************/
+
+
+	/**
+	 * Builds the Cart and Checkout blocks handler instance.
+	 *
+	 * Gateways can override this to define their own blocks handler class.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return Blocks_Handler
+	 */
+	protected function build_blocks_handler() {
+
+		return new Blocks_Handler( $this );
+	}
+
+
+	/**
+	 * Gets the Cart and Checkout blocks handler instance.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return Blocks_Handler
+	 */
+	public function get_blocks_handler() {
+
+		return $this->blocks_handler;
+	}
+
+
 	/** Admin methods ******************************************************/
 
 
@@ -1141,6 +1265,18 @@ abstract class SV_WC_Payment_Gateway_Plugin extends SV_WC_Plugin {
 	}
 
 
+	/**
+	 * Gets the admin credentials handler instance.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return SV_WC_Payment_Gateway_Admin_Credentials_Handler|null
+	 */
+	public function get_admin_credentials_handler() {
+		return $this->admin_credentials_handler;
+	}
+
+
 	/**
 	 * Returns the gateway settings option name for the identified gateway.
 	 * Defaults to woocommerce_{gateway id}_settings
@@ -127,9 +127,15 @@ abstract class SV_WC_Payment_Gateway extends \WC_Payment_Gateway {
 	/** Google Pay feature */
 	const FEATURE_GOOGLE_PAY = 'google_pay';
 
+	/** Payment Request API feature */
+	const FEATURE_PAYMENT_REQUEST = 'payment_request';
+
 	/** Admin token editor feature */
 	const FEATURE_TOKEN_EDITOR = 'token_editor';
 
+	/** Credential test feature */
+	const FEATURE_CREDENTIAL_TEST = 'credential_test';
+
 	/** Subscriptions integration ID */
 	const INTEGRATION_SUBSCRIPTIONS = 'subscriptions';
 
@@ -323,6 +329,9 @@ abstract class SV_WC_Payment_Gateway extends \WC_Payment_Gateway {
 
 			// save settings
 			add_action( 'woocommerce_update_options_payment_gateways_' . $this->get_id(), array( $this, 'process_admin_options' ) );
+
+			// the "Test Connection" control is not a setting
+			add_filter( 'woocommerce_settings_api_sanitized_fields_' . $this->get_id(), [ $this, 'remove_credential_test_setting' ] );
 		}
 
 		// Enqueue the necessary scripts & styles
@@ -463,12 +472,36 @@ abstract class SV_WC_Payment_Gateway extends \WC_Payment_Gateway {
 		$versioned_handle = $handle . '-v5_10_8';
 
 		// Frontend JS
-		wp_enqueue_script( $versioned_handle, $this->get_plugin()->get_payment_gateway_framework_assets_url() . '/dist/frontend/' . $handle . '.js', array( 'jquery-payment' ), SV_WC_Plugin::VERSION, true );
+		$this->register_payment_form_scripts();
+
+		wp_enqueue_script( $versioned_handle );
 
 		// Frontend CSS
 		wp_enqueue_style( $versioned_handle, $this->get_plugin()->get_payment_gateway_framework_assets_url() . '/css/frontend/' . $handle . '.min.css', array(), SV_WC_Plugin::VERSION );
+	}
+
+
+	/**
+	 * Registers the payment form JS, along with its localized JS params.
+	 *
+	 * The checkout block shares the payment form rules, so it registers these too.
+	 *
+	 * @since 5.11.0
+	 */
+	public function register_payment_form_scripts() {
+
+		$handle           = 'sv-wc-payment-gateway-payment-form';
+		$versioned_handle = $handle . '-v5_10_8';
+
+		wp_register_script( 'sv-wc-payment-gateway-card-utils-v5_10_8', $this->get_plugin()->get_payment_gateway_framework_assets_url() . '/dist/frontend/sv-wc-payment-gateway-card-utils.js', array( 'jquery' ), SV_WC_Plugin::VERSION, true );
+		wp_register_script( $versioned_handle . '-challenge', $this->get_plugin()->get_payment_gateway_framework_assets_url() . '/dist/frontend/' . $handle . '-challenge.js', array( 'jquery' ), SV_WC_Plugin::VERSION, true );
+		wp_register_script( $versioned_handle, $this->get_plugin()->get_payment_gateway_framework_assets_url() . '/dist/frontend/' . $handle . '.js', array( 'sv-wc-payment-gateway-card-utils-v5_10_8', $versioned_handle . '-challenge' ), SV_WC_Plugin::VERSION, true );
 
 		// localized JS params
+		$this->localize_script( 'sv-wc-payment-gateway-card-utils-v5_10_8', [
+			'brands'         => SV_WC_Payment_Gateway_Helper::get_card_brand_rules(),
+			'brands_version' => SV_WC_Payment_Gateway_Helper::CARD_BRAND_RULES_VERSION,
+		], 'sv_wc_card_utils_params' );
 		$this->localize_script( $versioned_handle, $this->get_payment_form_js_localized_script_params(), 'sv_wc_payment_gateway_payment_form_params' );
 	}
 
@@ -493,6 +526,7 @@ abstract class SV_WC_Payment_Gateway extends \WC_Payment_Gateway {
 		 * @return array
 		 */
 		return apply_filters( 'sv_wc_payment_gateway_payment_form_js_localized_script_params', array(
+			'general_error'                  => esc_html__( 'An error occurred, please try again or try an alternate form of payment', 'woocommerce-plugin-framework' ),
 			'card_number_missing'            => esc_html__( 'Card number is missing', 'woocommerce-plugin-framework' ),
 			'card_number_invalid'            => esc_html__( 'Card number is invalid', 'woocommerce-plugin-framework' ),
 			'card_number_digits_invalid'     => esc_html__( 'Card number is invalid (only digits allowed)', 'woocommerce-plugin-framework' ),
@@ -500,6 +534,11 @@ abstract class SV_WC_Payment_Gateway extends \WC_Payment_Gateway {
 			'cvv_missing'                    => esc_html__( 'Card security code is missing', 'woocommerce-plugin-framework' ),
 			'cvv_digits_invalid'             => esc_html__( 'Card security code is invalid (only digits are allowed)', 'woocommerce-plugin-framework' ),
 			'cvv_length_invalid'             => esc_html__( 'Card security code is invalid (must be 3 or 4 digits)', 'woocommerce-plugin-framework' ),
+			/* translators: Placeholders: %d - number of digits */
+			'cvv_length_invalid_brand'       => esc_html__( 'Card security code is invalid (must be %d digits)', 'woocommerce-plugin-framework' ),
+			/* translators: Placeholders: %s - card brand name, like Visa */
+			'card_type_not_accepted'         => esc_html__( '%s cards are not accepted, please use another card', 'woocommerce-plugin-framework' ),
+			'card_network_label'             => esc_html__( 'Card network', 'woocommerce-plugin-framework' ),
 			'card_exp_date_invalid'          => esc_html__( 'Card expiration date is invalid', 'woocommerce-plugin-framework' ),
 			'check_number_digits_invalid'    => esc_html__( 'Check Number is invalid (only digits are allowed)', 'woocommerce-plugin-framework' ),
 			'check_number_missing'           => esc_html__( 'Check Number is missing', 'woocommerce-plugin-framework' ),
@@ -512,6 +551,12 @@ abstract class SV_WC_Payment_Gateway extends \WC_Payment_Gateway {
 			'routing_number_missing'         => esc_html__( 'Routing Number is missing', 'woocommerce-plugin-framework' ),
 			'routing_number_digits_invalid'  => esc_html__( 'Routing Number is invalid (only digits are allowed)', 'woocommerce-plugin-framework' ),
 			'routing_number_length_invalid'  => esc_html__( 'Routing number is invalid (must be 9 digits)', 'woocommerce-plugin-framework' ),
+			'challenge_title'                => esc_html__( 'Verify your payment', 'woocommerce-plugin-framework' ),
+			'challenge_cancel'               => esc_html__( 'Cancel verification', 'woocommerce-plugin-framework' ),
+			'challenge_cancelled'            => esc_html__( 'Payment verification was cancelled, please try again.', 'woocommerce-plugin-framework' ),
+			'challenge_failed'               => esc_html__( 'Payment verification failed, please try again or try an alternate form of payment.', 'woocommerce-plugin-framework' ),
+			/* translators: Placeholders: %s - error messages */
+			'errors_summary'                 => esc_html__( 'Please correct the payment details: %s', 'woocommerce-plugin-framework' ),
 		) );
 	}
 
@@ -629,8 +674,8 @@ abstract class SV_WC_Payment_Gateway extends \WC_Payment_Gateway {
 	 */
 	protected function localize_script( $handle, $params, $object_name = '' ) {
 
-		// If the script isn't loaded, bail
-		if ( ! wp_script_is( $handle, 'enqueued' ) ) {
+		// If the script isn't registered, bail
+		if ( ! wp_script_is( $handle, 'registered' ) ) {
 			return;
 		}
 
@@ -1150,6 +1195,72 @@ abstract class SV_WC_Payment_Gateway extends \WC_Payment_Gateway {
 	}
 
 
+	/** Payment Request API Feature ********************************************/
+
+
+	/**
+	 * Determines whether this gateway supports the W3C Payment Request API.
+	 *
+	 * The Payment Request API is offered as an express checkout to browsers
+	 * that support neither Apple Pay nor Google Pay.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return bool
+	 */
+	public function supports_payment_request() {
+
+		return $this->supports( self::FEATURE_PAYMENT_REQUEST );
+	}
+
+
+	/**
+	 * Gets the payment methods to request through the Payment Request API.
+	 *
+	 * There is no default: gateways that support the Payment Request API
+	 * should override this to request their processor's payment method, which
+	 * returns a token rather than the card details. The Payment Request button
+	 * isn't displayed until a method is returned.
+	 *
+	 * @see https://www.w3.org/TR/payment-request/#paymentmethoddata-dictionary
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array
+	 */
+	public function get_payment_request_methods() {
+
+		/**
+		 * Filters the payment methods requested through the Payment Request API.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param array $methods payment method data
+		 * @param SV_WC_Payment_Gateway $gateway gateway instance
+		 */
+		return (array) apply_filters( 'wc_payment_gateway_' . $this->get_id() . '_payment_request_methods', [], $this );
+	}
+
+
+	/**
+	 * Adds the Payment Request API payment data to the order object.
+	 *
+	 * Gateways should override this to set the token returned by the payment
+	 * method they request, depending on how their processing API needs to
+	 * handle it.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \WC_Order $order the order object
+	 * @param array $response authorized payment response, with the `methodName` and its `details`
+	 * @return \WC_Order
+	 */
+	public function get_order_for_payment_request( \WC_Order $order, array $response ) {
+
+		return $order;
+	}
+
+
 	/** Google Pay Feature *****************************************************/
 
 
@@ -1341,6 +1452,11 @@ abstract class SV_WC_Payment_Gateway extends \WC_Payment_Gateway {
 		$gateway_form_fields = $this->get_method_form_fields();
 		$this->form_fields = array_merge( $this->form_fields, $gateway_form_fields );
 
+		// add the "Test Connection" control after the credential fields
+		if ( $this->supports_credential_test() ) {
+			$this->form_fields = $this->add_credential_test_form_fields( $this->form_fields );
+		}
+
 		// add the special 'shared-settings-field' class name to any shared settings fields
 		foreach ( $this->shared_settings as $field_name ) {
 
@@ -2303,6 +2419,74 @@ abstract class SV_WC_Payment_Gateway extends \WC_Payment_Gateway {
 	}
 
 
+	/**
+	 * Voids an order's authorization, when it won't be captured.
+	 *
+	 * Unlike voids performed in response to a refund, no refund is created:
+	 * the order is cancelled right away, as no money was transferred.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \WC_Order $order order object
+	 * @return bool|\WP_Error true on success, or a WP_Error object on failure/error
+	 */
+	public function void_authorization( \WC_Order $order ) {
+
+		if ( ! $this->supports_voids() ) {
+			return new \WP_Error( 'wc_' . $this->get_id() . '_void_error', esc_html__( 'This payment method does not support voids.', 'woocommerce-plugin-framework' ), 400 );
+		}
+
+		if ( ! $this->get_capture_handler()->is_order_ready_for_capture( $order ) || $this->get_capture_handler()->is_order_captured( $order ) ) {
+			return new \WP_Error( 'wc_' . $this->get_id() . '_void_error', esc_html__( 'Only authorizations that have not been captured can be voided.', 'woocommerce-plugin-framework' ), 400 );
+		}
+
+		/* translators: Placeholders: %1$s - site title, %2$s - order number. Void as in to void an authorization. */
+		$reason = sprintf( esc_html__( '%1$s - Void for Order %2$s', 'woocommerce-plugin-framework' ), esc_html( SV_WC_Helper::get_site_name() ), $order->get_order_number() );
+
+		$order = $this->get_order_for_refund( $order, $this->get_capture_handler()->get_order_authorization_amount( $order ), $reason );
+
+		// let implementations/actors error out early, like for refunds
+		if ( is_wp_error( $order ) ) {
+			return $order;
+		}
+
+		try {
+
+			$response = $this->get_api()->void( $order );
+
+			if ( ! $response->transaction_approved() ) {
+
+				$error = $this->get_void_failed_wp_error( $response->get_status_code(), $response->get_status_message() );
+
+				$order->add_order_note( $error->get_error_message() );
+
+				return $error;
+			}
+
+			// add standard void-specific transaction data
+			$this->add_void_data( $order, $response );
+
+			// let payment gateway implementations add their own data
+			$this->add_payment_gateway_void_data( $order, $response );
+
+			// a voided authorization can't be captured anymore
+			$this->update_order_meta( $order, 'auth_can_be_captured', 'no' );
+
+			$order->update_status( 'cancelled', $this->get_voided_order_message( $order, $response ) );
+
+			return true;
+
+		} catch ( SV_WC_Plugin_Exception $e ) {
+
+			$error = $this->get_void_failed_wp_error( $e->getCode(), $e->getMessage() );
+
+			$order->add_order_note( $error->get_error_message() );
+
+			return $error;
+		}
+	}
+
+
 	/**
 	 * Adds the standard void transaction data to the order.
 	 *
@@ -2380,6 +2564,33 @@ abstract class SV_WC_Payment_Gateway extends \WC_Payment_Gateway {
 	 */
 	public function mark_order_as_voided( $order, $response ) {
 
+		$message = $this->get_voided_order_message( $order, $response );
+
+		// mark order as cancelled, since no money was actually transferred
+		if ( ! $order->has_status( 'cancelled' ) ) {
+
+			$this->voided_order_message = $message;
+
+			add_filter( 'woocommerce_order_fully_refunded_status', array( $this, 'maybe_cancel_voided_order' ), 10, 2 );
+
+		} else {
+
+			$order->add_order_note( $message );
+		}
+	}
+
+
+	/**
+	 * Gets the order note for an approved void.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \WC_Order $order order object (with refund class member already added)
+	 * @param SV_WC_Payment_Gateway_API_Response $response void response
+	 * @return string
+	 */
+	protected function get_voided_order_message( \WC_Order $order, $response ) {
+
 		$message = sprintf(
 			/* translators: Placeholders: %1$s - payment gateway title, %2$s - a monetary amount. Void as in to void an order. */
 			esc_html__( '%1$s Void in the amount of %2$s approved.', 'woocommerce-plugin-framework' ),
@@ -2394,17 +2605,7 @@ abstract class SV_WC_Payment_Gateway extends \WC_Payment_Gateway {
 			$message .= ' ' . sprintf( esc_html__( '(Transaction ID %s)', 'woocommerce-plugin-framework' ), $response->get_transaction_id() );
 		}
 
-		// mark order as cancelled, since no money was actually transferred
-		if ( ! $order->has_status( 'cancelled' ) ) {
-
-			$this->voided_order_message = $message;
-
-			add_filter( 'woocommerce_order_fully_refunded_status', array( $this, 'maybe_cancel_voided_order' ), 10, 2 );
-
-		} else {
-
-			$order->add_order_note( $message );
-		}
+		return $message;
 	}
 
 
@@ -3438,6 +3639,424 @@ abstract class SV_WC_Payment_Gateway extends \WC_Payment_Gateway {
 	}
 
 
+	/**
+	 * Gets the card brand rules used to validate the credit card form.
+	 *
+	 * Gateways can override this method to add brands or adjust the rules of the known ones.
+	 *
+	 * @see SV_WC_Payment_Gateway_Helper::get_card_brand_rules() for the rules format
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array card brand rules, with the brand `name` and `icon` URL added
+	 */
+	public function get_card_brand_rules() {
+
+		$rules = [];
+		$names = wp_list_pluck( SV_WC_Payment_Gateway_Helper::get_card_types(), 'name' );
+
+		foreach ( SV_WC_Payment_Gateway_Helper::get_card_brand_rules() as $type => $rule ) {
+
+			$rules[ $type ] = array_merge( $rule, [
+				'name' => isset( $names[ $type ] ) ? $names[ $type ] : SV_WC_Payment_Gateway_Helper::payment_type_to_name( $type ),
+				'icon' => $this->get_payment_method_image_url( $type ),
+			] );
+		}
+
+		/**
+		 * Filters the card brand rules used to validate the credit card form.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param array $rules card brand rules
+		 * @param SV_WC_Payment_Gateway $gateway gateway instance
+		 */
+		return (array) apply_filters( 'wc_payment_gateway_' . $this->get_id() . '_card_brand_rules', $rules, $this );
+	}
+
+
+	/**
+	 * Gets the co-badged card networks the customer can choose between.
+	 *
+	 * Returns a list of BIN ranges in the format:
+	 *
+	 * array(
+	 *     'pattern'  => '^4970',                       // regular expression matching the account number prefix
+	 *     'networks' => array( 'cartebleue', 'visa' ), // card brands, in order of preference
+	 * )
+	 *
+	 * None are known by default, as co-badged BIN ranges depend on the processor.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array
+	 */
+	public function get_co_badged_card_networks() {
+
+		/**
+		 * Filters the co-badged card networks the customer can choose between.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param array $networks co-badged BIN ranges and their networks
+		 * @param SV_WC_Payment_Gateway $gateway gateway instance
+		 */
+		return (array) apply_filters( 'wc_payment_gateway_' . $this->get_id() . '_co_badged_card_networks', [], $this );
+	}
+
+
+	/**
+	 * Gets the networks of a co-badged card.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $account_number card account number, or at least its BIN
+	 * @return string[] card brands the customer can choose between, empty if the card isn't co-badged
+	 */
+	public function get_card_co_badged_networks( $account_number ) {
+
+		$account_number = str_replace( [ ' ', '-' ], '', (string) $account_number );
+
+		foreach ( $this->get_co_badged_card_networks() as $range ) {
+
+			// like in the payment form JS, the range pattern only needs to match the account number prefix
+			if ( ! empty( $range['pattern'] ) && ! empty( $range['networks'] ) && SV_WC_Payment_Gateway_Helper::matches_pattern( $account_number, '.*(?:' . $range['pattern'] . ').*' ) ) {
+				return array_map( [ SV_WC_Payment_Gateway_Helper::class, 'normalize_card_type' ], (array) $range['networks'] );
+			}
+		}
+
+		return [];
+	}
+
+
+	/**
+	 * Determines whether a card type is accepted by the gateway.
+	 *
+	 * All card types are accepted by gateways that don't support choosing them.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $card_type card type
+	 * @return bool
+	 */
+	public function is_card_type_accepted( $card_type ) {
+
+		if ( ! $this->supports_card_types() || ! is_array( $this->get_card_types() ) || empty( $this->get_card_types() ) ) {
+			return true;
+		}
+
+		$card_types = array_map( [ SV_WC_Payment_Gateway_Helper::class, 'normalize_card_type' ], $this->get_card_types() );
+
+		return in_array( SV_WC_Payment_Gateway_Helper::normalize_card_type( $card_type ), $card_types, true );
+	}
+
+
+	/** Credential Test feature ***********************************************/
+
+
+	/**
+	 * Determines if the gateway supports testing its API credentials.
+	 *
+	 * Gateways that support this feature implement {@see SV_WC_Payment_Gateway::test_credentials()}.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return bool
+	 */
+	public function supports_credential_test() {
+
+		return $this->supports( self::FEATURE_CREDENTIAL_TEST );
+	}
+
+
+	/**
+	 * Tests the given API credentials.
+	 *
+	 * Gateways that support the credential test override this to make a
+	 * lightweight API call with the credentials, like fetching the merchant
+	 * account details, and throw an exception with the processor's error message
+	 * if the credentials are rejected.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param array $credentials credential setting values, keyed by setting key {@see SV_WC_Payment_Gateway::get_credentials()}
+	 * @throws SV_WC_Plugin_Exception if the credentials are invalid or could not be tested
+	 */
+	public function test_credentials( array $credentials ) {
+
+		throw new SV_WC_Payment_Gateway_Exception( __( 'This gateway does not support testing its credentials.', 'woocommerce-plugin-framework' ) );
+	}
+
+
+	/**
+	 * Gets the keys of the settings used to connect to the gateway API.
+	 *
+	 * These are the gateway-specific password fields, the fields flagged with `'credential' => true` and the
+	 * environment by default.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return string[]
+	 */
+	public function get_credential_field_keys() {
+
+		$keys = [];
+
+		foreach ( $this->get_method_form_fields() as $key => $field ) {
+
+			if ( ! empty( $field['credential'] ) || ( isset( $field['type'] ) && 'password' === $field['type'] ) ) {
+				$keys[] = $key;
+			}
+		}
+
+		if ( count( $this->get_environments() ) > 1 ) {
+			array_unshift( $keys, 'environment' );
+		}
+
+		/**
+		 * Filters the keys of the settings used to connect to the gateway API.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param string[] $keys setting keys
+		 * @param SV_WC_Payment_Gateway $gateway gateway instance
+		 */
+		return (array) apply_filters( 'wc_payment_gateway_' . $this->get_id() . '_credential_field_keys', $keys, $this );
+	}
+
+
+	/**
+	 * Gets the API credentials.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param array $values values to use instead of the saved settings, like those entered in a form before it's saved
+	 * @return array credential setting values, keyed by setting key
+	 */
+	public function get_credentials( array $values = [] ) {
+
+		$credentials = [];
+
+		foreach ( $this->get_credential_field_keys() as $key ) {
+			$credentials[ $key ] = array_key_exists( $key, $values ) ? $values[ $key ] : $this->get_option( $key );
+		}
+
+		return $credentials;
+	}
+
+
+	/**
+	 * Records that the given API credentials were successfully tested.
+	 *
+	 * Only a hash of the credentials is stored, to tell if the saved credentials are the ones that were verified.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param array $credentials credential setting values, keyed by setting key
+	 */
+	public function record_credentials_verified( array $credentials ) {
+
+		update_option( 'wc_' . $this->get_id() . '_credentials_verified', [
+			'time' => time(),
+			'hash' => $this->get_credentials_hash( $credentials ),
+		], false );
+
+		/**
+		 * Fires after the gateway API credentials are successfully tested.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param array $credentials credential setting values, keyed by setting key
+		 * @param SV_WC_Payment_Gateway $gateway gateway instance
+		 */
+		do_action( 'wc_payment_gateway_' . $this->get_id() . '_credentials_verified', $credentials, $this );
+	}
+
+
+	/**
+	 * Gets the time the saved API credentials were last verified.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return int|null timestamp, or null if the saved credentials were never verified
+	 */
+	public function get_credentials_verified_time() {
+
+		$verified = get_option( 'wc_' . $this->get_id() . '_credentials_verified', [] );
+
+		if ( empty( $verified['time'] ) || empty( $verified['hash'] ) || ! hash_equals( $verified['hash'], $this->get_credentials_hash( $this->get_credentials() ) ) ) {
+			return null;
+		}
+
+		return (int) $verified['time'];
+	}
+
+
+	/**
+	 * Gets the message telling when the credentials were last verified.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param int $timestamp time the credentials were verified
+	 * @return string
+	 */
+	public function get_credentials_verified_message( $timestamp ) {
+
+		return sprintf(
+			/* translators: Placeholders: %s - date and time */
+			__( 'Credentials last verified on %s.', 'woocommerce-plugin-framework' ),
+			date_i18n( wc_date_format() . ' ' . wc_time_format(), $timestamp + wc_timezone_offset() )
+		);
+	}
+
+
+	/**
+	 * Gets a hash of the given API credentials.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param array $credentials credential setting values, keyed by setting key
+	 * @return string
+	 */
+	protected function get_credentials_hash( array $credentials ) {
+
+		ksort( $credentials );
+
+		return wp_hash( wp_json_encode( $credentials ) );
+	}
+
+
+	/**
+	 * Gets the "Test Connection" control HTML.
+	 *
+	 * The control tests the values of the credential fields in its form,
+	 * falling back to the saved settings for any field that isn't in the form.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param array $field_names form field names, keyed by credential setting key - defaults to the gateway settings field names
+	 * @return string
+	 */
+	public function get_credential_test_html( array $field_names = [] ) {
+
+		$fields = [];
+
+		foreach ( $this->get_credential_field_keys() as $key ) {
+			$fields[ $key ] = isset( $field_names[ $key ] ) ? $field_names[ $key ] : $this->get_field_key( $key );
+		}
+
+		$verified_time = $this->get_credentials_verified_time();
+
+		ob_start();
+
+		?>
+		<div class="sv-wc-payment-gateway-credential-test" data-gateway-id="<?php echo esc_attr( $this->get_id() ); ?>" data-fields="<?php echo esc_attr( wp_json_encode( $fields ) ); ?>">
+			<button type="button" class="button sv-wc-payment-gateway-credential-test-button"><?php esc_html_e( 'Test Connection', 'woocommerce-plugin-framework' ); ?></button>
+			<span class="sv-wc-payment-gateway-credential-test-result" role="status" aria-live="polite"></span>
+			<p class="description sv-wc-payment-gateway-credential-test-verified"><?php echo $verified_time ? esc_html( $this->get_credentials_verified_message( $verified_time ) ) : ''; ?></p>
+		</div>
+		<?php
+
+		return ob_get_clean();
+	}
+
+
+	/**
+	 * Adds the "Test Connection" form field.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param array $form_fields gateway form fields
+	 * @return array $form_fields gateway form fields
+	 */
+	protected function add_credential_test_form_fields( $form_fields ) {
+
+		$form_fields['credential_test'] = [
+			'title'    => esc_html__( 'Test Connection', 'woocommerce-plugin-framework' ),
+			'type'     => 'credential_test',
+			'desc_tip' => esc_html__( 'Check that the gateway accepts the credentials above. They can be tested before they are saved.', 'woocommerce-plugin-framework' ),
+		];
+
+		return $form_fields;
+	}
+
+
+	/**
+	 * Generates the "Test Connection" form field HTML.
+	 *
+	 * @see \WC_Settings_API::generate_settings_html()
+	 *
+	 * @internal
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $key field key
+	 * @param array $data field data
+	 * @return string
+	 */
+	public function generate_credential_test_html( $key, $data ) {
+
+		$data = wp_parse_args( $data, [
+			'title'       => '',
+			'desc_tip'    => '',
+			'description' => '',
+		] );
+
+		ob_start();
+
+		?>
+		<tr valign="top">
+			<th scope="row" class="titledesc">
+				<?php echo wp_kses_post( $data['title'] ); ?> <?php echo wp_kses_post( $this->get_tooltip_html( $data ) ); ?>
+			</th>
+			<td class="forminp">
+				<?php echo wp_kses_post( $this->get_credential_test_html() ); ?>
+				<?php echo wp_kses_post( $this->get_description_html( $data ) ); ?>
+			</td>
+		</tr>
+		<?php
+
+		return ob_get_clean();
+	}
+
+
+	/**
+	 * Validates the "Test Connection" form field.
+	 *
+	 * The control has no value to save.
+	 *
+	 * @internal
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $key field key
+	 * @param mixed $value posted value
+	 * @return string
+	 */
+	public function validate_credential_test_field( $key, $value ) {
+
+		return '';
+	}
+
+
+	/**
+	 * Removes the "Test Connection" form field from the settings to save.
+	 *
+	 * @internal
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param array $settings sanitized gateway settings
+	 * @return array
+	 */
+	public function remove_credential_test_setting( $settings ) {
+
+		unset( $settings['credential_test'] );
+
+		return $settings;
+	}
+
+
 	/** Tokenization feature **************************************************/
 
 
@@ -4243,6 +4862,48 @@ abstract class SV_WC_Payment_Gateway extends \WC_Payment_Gateway {
 	}
 
 
+	/**
+	 * Gets the bank account format used by the eCheck payment form.
+	 *
+	 * Gateways processing non-US bank accounts can override this method to use one of
+	 * the formats in SV_WC_Payment_Gateway_Helper::get_bank_account_formats().
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return string bank account format ID, e.g. `us` or `iban`
+	 */
+	public function get_bank_account_format() {
+
+		/**
+		 * Filters the bank account format used by the eCheck payment form.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param string $format bank account format ID
+		 * @param SV_WC_Payment_Gateway $gateway gateway instance
+		 */
+		return (string) apply_filters( 'wc_payment_gateway_' . $this->get_id() . '_bank_account_format', SV_WC_Payment_Gateway_Helper::BANK_ACCOUNT_FORMAT_US, $this );
+	}
+
+
+	/**
+	 * Gets the definition of the bank account format used by the eCheck payment form.
+	 *
+	 * Falls back to the US format if the gateway uses an unknown format.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array format definition, see SV_WC_Payment_Gateway_Helper::get_bank_account_formats()
+	 */
+	public function get_bank_account_format_definition() {
+
+		$formats = SV_WC_Payment_Gateway_Helper::get_bank_account_formats();
+		$format  = $this->get_bank_account_format();
+
+		return isset( $formats[ $format ] ) ? $formats[ $format ] : $formats[ SV_WC_Payment_Gateway_Helper::BANK_ACCOUNT_FORMAT_US ];
+	}
+
+
 	/**
 	 * Returns the API instance for this gateway if it uses direct communication
 	 *
@@ -94,6 +94,9 @@ class SV_WC_Payment_Gateway_Integration_Subscriptions extends SV_WC_Payment_Gate
 		// update the customer/token ID on the subscription when updating a previously failing payment method
 		add_action( 'woocommerce_subscription_failing_payment_method_updated_' . $this->get_gateway()->get_id(), array( $this, 'update_failing_payment_method' ), 10, 2 );
 
+		// move subscriptions to the new token when a customer updates a saved payment method
+		add_action( 'wc_payment_gateway_' . $this->get_gateway()->get_id() . '_payment_method_replaced', [ $this, 'update_replaced_payment_method' ], 10, 3 );
+
 		// display the current payment method used for a subscription in the "My Subscriptions" table
 		add_filter( 'woocommerce_my_subscriptions_payment_method', array( $this, 'maybe_render_payment_method' ), 10, 3 );
 
@@ -584,6 +587,36 @@ class SV_WC_Payment_Gateway_Integration_Subscriptions extends SV_WC_Payment_Gate
 	}
 
 
+	/**
+	 * Moves the subscriptions tied to a payment token to the token that replaced it.
+	 *
+	 * @internal
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $new_token_id ID of the new token
+	 * @param string $old_token_id ID of the replaced token
+	 * @param int $user_id user ID
+	 */
+	public function update_replaced_payment_method( $new_token_id, $old_token_id, $user_id ) {
+
+		$old_token = $this->get_gateway()->get_payment_tokens_handler()->get_token( $user_id, $old_token_id );
+		$new_token = $this->get_gateway()->get_payment_tokens_handler()->get_token( $user_id, $new_token_id );
+
+		if ( ! $old_token instanceof SV_WC_Payment_Gateway_Payment_Token || ! $new_token instanceof SV_WC_Payment_Gateway_Payment_Token ) {
+			return;
+		}
+
+		foreach ( $this->get_payment_token_subscriptions( $user_id, $old_token ) as $subscription ) {
+
+			$this->get_gateway()->update_order_meta( $subscription, 'payment_token', $new_token->get_id() );
+
+			/* translators: Placeholders: %1$s - payment method type, such as Visa, %2$s - last four digits of the card */
+			$subscription->add_order_note( sprintf( __( 'Payment method updated by the customer to %1$s ending in %2$s.', 'woocommerce-plugin-framework' ), $new_token->get_type_full(), $new_token->get_last_four() ) );
+		}
+	}
+
+
 	/**
 	 * Get the order-specific meta keys that should not be copied to the WC_Subscription
 	 * object during upgrade to 2.0.x or during change payment method actions
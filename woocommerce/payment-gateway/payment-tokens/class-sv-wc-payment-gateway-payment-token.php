@@ -443,6 +443,65 @@ class SV_WC_Payment_Gateway_Payment_Token {
 	}
 
 
+	/**
+	 * Determines whether the credit card has expired.
+	 *
+	 * Cards can be used until the end of their expiration month.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return bool
+	 */
+	public function is_expired() {
+
+		$expiration = $this->get_expiration_timestamp();
+
+		return null !== $expiration && $expiration <= time();
+	}
+
+
+	/**
+	 * Determines whether the credit card expires within the given number of days.
+	 *
+	 * Cards that have already expired are not considered as expiring.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param int $days number of days
+	 * @return bool
+	 */
+	public function is_expiring( $days ) {
+
+		$expiration = $this->get_expiration_timestamp();
+
+		return null !== $expiration && $expiration > time() && $expiration <= time() + ( max( 0, (int) $days ) * DAY_IN_SECONDS );
+	}
+
+
+	/**
+	 * Gets the timestamp the credit card expires at, that is the start of the month after its expiration month.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return int|null UTC timestamp or null if the token has no expiration date
+	 */
+	protected function get_expiration_timestamp() {
+
+		if ( ! $this->is_credit_card() || ! $this->get_exp_month() || ! $this->get_exp_year() ) {
+			return null;
+		}
+
+		$year = (int) $this->get_exp_year();
+
+		// some gateways store two-digit years
+		if ( $year < 100 ) {
+			$year += 2000;
+		}
+
+		return gmmktime( 0, 0, 0, (int) $this->get_exp_month() + 1, 1, $year );
+	}
+
+
 	/**
 	 * Sets the full image URL based on the token payment type.
 	 *
@@ -562,6 +562,105 @@ class SV_WC_Payment_Gateway_Payment_Tokens_Handler {
 	}
 
 
+	/**
+	 * Gets the order in which a user prefers their payment tokens to be listed.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param int $user_id WordPress user ID
+	 * @param string|null $environment_id optional environment id, defaults to plugin current environment
+	 * @return string[] token IDs, in the preferred order
+	 */
+	public function get_token_order( $user_id, $environment_id = null ) {
+
+		$token_order = get_user_meta( $user_id, $this->get_token_order_meta_name( $environment_id ), true );
+
+		return is_array( $token_order ) ? array_values( array_map( 'strval', $token_order ) ) : [];
+	}
+
+
+	/**
+	 * Saves the order in which a user prefers their payment tokens to be listed.
+	 *
+	 * Token IDs that don't belong to the user are discarded.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param int $user_id WordPress user ID
+	 * @param string[] $token_ids token IDs, in the preferred order
+	 * @param string|null $environment_id optional environment id, defaults to plugin current environment
+	 * @return bool
+	 */
+	public function update_token_order( $user_id, array $token_ids, $environment_id = null ) {
+
+		// default to current environment
+		if ( null === $environment_id ) {
+			$environment_id = $this->get_environment_id();
+		}
+
+		$token_order = [];
+
+		foreach ( $token_ids as $token_id ) {
+
+			$token_id = (string) $token_id;
+
+			if ( ! in_array( $token_id, $token_order, true ) && $this->user_has_token( $user_id, $token_id, $environment_id ) ) {
+				$token_order[] = $token_id;
+			}
+		}
+
+		return (bool) update_user_meta( $user_id, $this->get_token_order_meta_name( $environment_id ), $token_order );
+	}
+
+
+	/**
+	 * Sorts a set of payment tokens by the user's preferred order.
+	 *
+	 * Tokens without a preferred position are kept in their current order, after the sorted ones.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param int $user_id WordPress user ID
+	 * @param SV_WC_Payment_Gateway_Payment_Token[] $tokens token objects, keyed by token ID
+	 * @param string|null $environment_id optional environment id, defaults to plugin current environment
+	 * @return SV_WC_Payment_Gateway_Payment_Token[]
+	 */
+	public function sort_tokens( $user_id, array $tokens, $environment_id = null ) {
+
+		$token_order = $this->get_token_order( $user_id, $environment_id );
+
+		if ( empty( $token_order ) ) {
+			return $tokens;
+		}
+
+		$sorted_tokens = [];
+
+		foreach ( $token_order as $token_id ) {
+
+			if ( isset( $tokens[ $token_id ] ) ) {
+				$sorted_tokens[ $token_id ] = $tokens[ $token_id ];
+			}
+		}
+
+		// we don't use array_merge here since the indexes could be numeric
+		return $sorted_tokens + $tokens;
+	}
+
+
+	/**
+	 * Gets the user meta name used to store the preferred order of the payment tokens.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string|null $environment_id optional environment id, defaults to plugin current environment
+	 * @return string
+	 */
+	protected function get_token_order_meta_name( $environment_id = null ) {
+
+		return $this->get_user_meta_name( $environment_id ) . '_order';
+	}
+
+
 	/** Handle all tokens *************************************************************************/
 
 
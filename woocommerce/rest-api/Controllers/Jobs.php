@@ -0,0 +1,455 @@
+<?php
+/**
+ * WooCommerce Plugin Framework
+ *
+ * This source file is subject to the GNU General Public License v3.0
+ * that is bundled with this package in the file license.txt.
+ * It is also available through the world-wide-web at this URL:
+ * http://www.gnu.org/licenses/gpl-3.0.html
+ * If you did not receive a copy of the license and are unable to
+ * obtain it through the world-wide-web, please send an email
+ * to license@skyverge.com so we can send you a copy immediately.
+ *
+ * DISCLAIMER
+ *
+ * Do not edit or add to this file if you wish to upgrade the plugin to newer
+ * versions in the future. If you wish to customize the plugin for your
+ * needs please refer to http://www.skyverge.com
+ *
+ * @package   SkyVerge/WooCommerce/Plugin/Classes
+ * @author    SkyVerge
+ * @copyright Copyright (c) 2013-2020, SkyVerge, Inc.
+ * @license   http://www.gnu.org/licenses/gpl-3.0.html GNU General Public License v3.0
+ */
+
+namespace SkyVerge\WooCommerce\PluginFramework\v5_10_8\REST_API\Controllers;
+
+use SkyVerge\WooCommerce\PluginFramework\v5_10_8\SV_WC_Plugin_Exception;
+use SkyVerge\WooCommerce\PluginFramework\v5_10_8\SV_WP_Job_Batch_Handler;
+
+defined( 'ABSPATH' ) or exit;
+
+if ( ! class_exists( '\\SkyVerge\\WooCommerce\\PluginFramework\\v5_10_8\\REST_API\\Controllers\\Jobs' ) ) :
+
+/**
+ * The batch jobs controller class.
+ *
+ * Exposes the jobs of a batch handler, so they can be created, processed
+ * batch by batch, checked on and cancelled by the admin UI, WP-CLI or external
+ * tools alike.
+ *
+ * @since 5.11.0
+ */
+class Jobs extends \WP_REST_Controller {
+
+
+	/** @var SV_WP_Job_Batch_Handler batch handler */
+	protected $batch_handler;
+
+
+	/**
+	 * Jobs constructor.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param SV_WP_Job_Batch_Handler $batch_handler batch handler
+	 */
+	public function __construct( SV_WP_Job_Batch_Handler $batch_handler ) {
+
+		$this->batch_handler = $batch_handler;
+		$this->namespace     = 'wc/v3';
+		$this->rest_base     = "{$batch_handler->get_identifier()}/jobs";
+	}
+
+
+	/**
+	 * Registers the API routes.
+	 *
+	 * @since 5.11.0
+	 */
+	public function register_routes() {
+
+		register_rest_route(
+			$this->namespace, "/{$this->rest_base}", [
+				[
+					'methods'             => \WP_REST_Server::READABLE,
+					'callback'            => [ $this, 'get_items' ],
+					'permission_callback' => [ $this, 'permissions_check' ],
+					'args'                => [
+						'status' => [
+							'description' => __( 'Limit the jobs to the given statuses.', 'woocommerce-plugin-framework' ),
+							'type'        => 'array',
+							'items'       => [
+								'type' => 'string',
+							],
+						],
+					],
+				],
+				[
+					'methods'             => \WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'create_item' ],
+					'permission_callback' => [ $this, 'permissions_check' ],
+					'args'                => [
+						'attributes' => [
+							'description' => __( 'Job attributes, like the items to process.', 'woocommerce-plugin-framework' ),
+							'type'        => 'object',
+							'required'    => true,
+						],
+					],
+				],
+				'schema' => [ $this, 'get_public_item_schema' ],
+			]
+		);
+
+		register_rest_route(
+			$this->namespace, "/{$this->rest_base}/(?P<id>[\w-]+)", [
+				'args' => [
+					'id' => [
+						'description' => __( 'Unique identifier for the resource.', 'woocommerce' ),
+						'type'        => 'string',
+					],
+				],
+				[
+					'methods'             => \WP_REST_Server::READABLE,
+					'callback'            => [ $this, 'get_item' ],
+					'permission_callback' => [ $this, 'permissions_check' ],
+				],
+				[
+					'methods'             => \WP_REST_Server::DELETABLE,
+					'callback'            => [ $this, 'delete_item' ],
+					'permission_callback' => [ $this, 'permissions_check' ],
+				],
+				'schema' => [ $this, 'get_public_item_schema' ],
+			]
+		);
+
+		register_rest_route(
+			$this->namespace, "/{$this->rest_base}/(?P<id>[\w-]+)/process", [
+				'args' => [
+					'id' => [
+						'description' => __( 'Unique identifier for the resource.', 'woocommerce' ),
+						'type'        => 'string',
+					],
+				],
+				[
+					'methods'             => \WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'process_item' ],
+					'permission_callback' => [ $this, 'permissions_check' ],
+				],
+				'schema' => [ $this, 'get_public_item_schema' ],
+			]
+		);
+	}
+
+
+	/**
+	 * Checks whether the user has permissions to manage jobs.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \WP_REST_Request $request request object
+	 * @return bool|\WP_Error
+	 */
+	public function permissions_check( $request ) {
+
+		if ( ! current_user_can( $this->batch_handler->get_rest_capability() ) ) {
+			return new \WP_Error( 'wc_rest_cannot_manage_jobs', __( 'Sorry, you cannot manage these jobs.', 'woocommerce-plugin-framework' ), [ 'status' => rest_authorization_required_code() ] );
+		}
+
+		return true;
+	}
+
+
+	/** Read methods **************************************************************************************************/
+
+
+	/**
+	 * Gets the jobs.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \WP_REST_Request $request request object
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function get_items( $request ) {
+
+		$items = [];
+		$args  = [];
+
+		if ( $status = $request->get_param( 'status' ) ) {
+			$args['status'] = $status;
+		}
+
+		foreach ( (array) $this->batch_handler->get_jobs( $args ) as $job ) {
+			$items[] = $this->prepare_job_item( $job, $request );
+		}
+
+		return rest_ensure_response( $items );
+	}
+
+
+	/**
+	 * Gets a single job.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \WP_REST_Request $request request object
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function get_item( $request ) {
+
+		if ( $job = $this->batch_handler->get_job( $request->get_param( 'id' ) ) ) {
+			return rest_ensure_response( $this->prepare_job_item( $job, $request ) );
+		}
+
+		return $this->get_job_not_found_error( $request->get_param( 'id' ) );
+	}
+
+
+	/** Write methods *************************************************************************************************/
+
+
+	/**
+	 * Creates a job.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \WP_REST_Request $request request object
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function create_item( $request ) {
+
+		$job = $this->batch_handler->create_job( (array) $request->get_param( 'attributes' ) );
+
+		if ( ! $job ) {
+
+			return new \WP_Error(
+				'wc_rest_job_could_not_create',
+				__( 'Could not create the job.', 'woocommerce-plugin-framework' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$response = rest_ensure_response( $this->prepare_job_item( $job, $request ) );
+
+		$response->set_status( 201 );
+		$response->header( 'Location', rest_url( "{$this->namespace}/{$this->rest_base}/{$job->id}" ) );
+
+		return $response;
+	}
+
+
+	/**
+	 * Processes the next batch of a job.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \WP_REST_Request $request request object
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function process_item( $request ) {
+
+		$job_id = $request->get_param( 'id' );
+
+		if ( ! $this->batch_handler->get_job( $job_id ) ) {
+			return $this->get_job_not_found_error( $job_id );
+		}
+
+		try {
+
+			$job = $this->batch_handler->process_job_batch( $job_id );
+
+			return rest_ensure_response( $this->prepare_job_item( $job, $request ) );
+
+		} catch ( \Exception $e ) {
+
+			// job errors are client errors, unless they carry their own HTTP status
+			if ( $e->getCode() >= 400 && $e->getCode() < 600 ) {
+				$status = $e->getCode();
+			} else {
+				$status = $e instanceof SV_WC_Plugin_Exception ? 400 : 500;
+			}
+
+			return new \WP_Error( 'wc_rest_job_could_not_process', $e->getMessage(), [ 'status' => $status ] );
+		}
+	}
+
+
+	/**
+	 * Cancels a job.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \WP_REST_Request $request request object
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function delete_item( $request ) {
+
+		$job_id = $request->get_param( 'id' );
+
+		if ( ! $job = $this->batch_handler->get_job( $job_id ) ) {
+			return $this->get_job_not_found_error( $job_id );
+		}
+
+		$this->batch_handler->cancel_job( $job_id );
+
+		$item = $this->prepare_job_item( $job, $request );
+
+		$item['status'] = 'cancelled';
+
+		return rest_ensure_response( $item );
+	}
+
+
+	/** Utility methods ***********************************************************************************************/
+
+
+	/**
+	 * Prepares a job for the REST response.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \stdClass|object $job job object
+	 * @param \WP_REST_Request $request request object
+	 * @return array
+	 */
+	public function prepare_job_item( $job, $request ) {
+
+		$progress = isset( $job->progress ) ? (int) $job->progress : 0;
+		$total    = isset( $job->total ) ? (int) $job->total : 0;
+
+		$item = [
+			'id'             => $job->id,
+			'status'         => $job->status,
+			'progress'       => $progress,
+			'total'          => $total,
+			'percentage'     => isset( $job->percentage ) ? $job->percentage : ( $total > 0 ? round( $progress / $total * 100 ) : 0 ),
+			'created_at'     => isset( $job->created_at ) ? $job->created_at : null,
+			'updated_at'     => isset( $job->updated_at ) ? $job->updated_at : null,
+			'completed_at'   => isset( $job->completed_at ) ? $job->completed_at : null,
+			'failed_at'      => isset( $job->failed_at ) ? $job->failed_at : null,
+			'failure_reason' => isset( $job->failure_reason ) ? $job->failure_reason : null,
+		];
+
+		/**
+		 * Filters a job prepared for the REST response.
+		 *
+		 * Plugins can use this to expose their own job properties.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param array $item job data
+		 * @param \stdClass|object $job job object
+		 * @param \WP_REST_Request $request request object
+		 */
+		return apply_filters( "{$this->batch_handler->get_identifier()}_rest_api_job_item", $item, $job, $request );
+	}
+
+
+	/**
+	 * Gets the error returned when a job does not exist.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $job_id job ID
+	 * @return \WP_Error
+	 */
+	protected function get_job_not_found_error( $job_id ) {
+
+		return new \WP_Error(
+			'wc_rest_job_not_found',
+			sprintf(
+				/* translators: Placeholder: %s - job ID */
+				__( 'Job %s does not exist', 'woocommerce-plugin-framework' ),
+				$job_id
+			),
+			[ 'status' => 404 ]
+		);
+	}
+
+
+	/**
+	 * Retrieves the item's schema, conforming to JSON Schema.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array
+	 */
+	public function get_item_schema() {
+
+		$schema = [
+			'$schema'    => 'http://json-schema.org/draft-04/schema#',
+			'title'      => "{$this->batch_handler->get_identifier()}_job",
+			'type'       => 'object',
+			'properties' => [
+				'id'             => [
+					'description' => __( 'Unique identifier of the job.', 'woocommerce-plugin-framework' ),
+					'type'        => 'string',
+					'context'     => [ 'view', 'edit' ],
+					'readonly'    => true,
+				],
+				'status'         => [
+					'description' => __( 'The status of the job.', 'woocommerce-plugin-framework' ),
+					'type'        => 'string',
+					'context'     => [ 'view', 'edit' ],
+					'enum'        => [ 'queued', 'processing', 'completed', 'failed', 'cancelled' ],
+					'readonly'    => true,
+				],
+				'progress'       => [
+					'description' => __( 'The number of items processed.', 'woocommerce-plugin-framework' ),
+					'type'        => 'integer',
+					'context'     => [ 'view', 'edit' ],
+					'readonly'    => true,
+				],
+				'total'          => [
+					'description' => __( 'The number of items to process.', 'woocommerce-plugin-framework' ),
+					'type'        => 'integer',
+					'context'     => [ 'view', 'edit' ],
+					'readonly'    => true,
+				],
+				'percentage'     => [
+					'description' => __( 'The percentage of items processed.', 'woocommerce-plugin-framework' ),
+					'type'        => 'number',
+					'context'     => [ 'view', 'edit' ],
+					'readonly'    => true,
+				],
+				'created_at'     => [
+					'description' => __( 'The date the job was created, in the site timezone.', 'woocommerce-plugin-framework' ),
+					'type'        => 'string',
+					'context'     => [ 'view', 'edit' ],
+					'readonly'    => true,
+				],
+				'updated_at'     => [
+					'description' => __( 'The date the job was last updated, in the site timezone.', 'woocommerce-plugin-framework' ),
+					'type'        => [ 'string', 'null' ],
+					'context'     => [ 'view', 'edit' ],
+					'readonly'    => true,
+				],
+				'completed_at'   => [
+					'description' => __( 'The date the job was completed, in the site timezone.', 'woocommerce-plugin-framework' ),
+					'type'        => [ 'string', 'null' ],
+					'context'     => [ 'view', 'edit' ],
+					'readonly'    => true,
+				],
+				'failed_at'      => [
+					'description' => __( 'The date the job failed, in the site timezone.', 'woocommerce-plugin-framework' ),
+					'type'        => [ 'string', 'null' ],
+					'context'     => [ 'view', 'edit' ],
+					'readonly'    => true,
+				],
+				'failure_reason' => [
+					'description' => __( 'The reason the job failed.', 'woocommerce-plugin-framework' ),
+					'type'        => [ 'string', 'null' ],
+					'context'     => [ 'view', 'edit' ],
+					'readonly'    => true,
+				],
+			],
+		];
+
+		return $this->add_additional_fields_schema( $schema );
+	}
+
+
+}
+
+endif;
@@ -60,13 +60,16 @@ class SV_WP_Job_Batch_Handler {
 	 */
 	public function __construct( $job_handler, SV_WC_Plugin $plugin ) {
 
+		$this->job_handler = $job_handler;
+		$this->plugin      = $plugin;
+
+		// the REST API isn't limited to the admin
+		add_action( 'rest_api_init', array( $this, 'register_rest_routes' ) );
+
 		if ( ! is_admin() ) {
 			return;
 		}
 
-		$this->job_handler = $job_handler;
-		$this->plugin      = $plugin;
-
 		$this->add_hooks();
 
 		$this->render_js();
@@ -126,16 +129,54 @@ class SV_WP_Job_Batch_Handler {
 	/**
 	 * Gets the JavaScript batch handler arguments.
 	 *
+	 * Failed batches are retried with an exponential backoff: the retry delays
+	 * are in milliseconds. The i18n strings are used by the progress component.
+	 * Active jobs are the jobs that were still being processed when the user
+	 * left the page they were processed from, so that they can be resumed.
+	 * The REST route details are only passed when jobs are processed over REST.
+	 *
 	 * @since 4.8.0
 	 *
 	 * @return array
 	 */
 	protected function get_js_args() {
 
+		$active_jobs = $this->get_active_jobs();
+
 		return array(
-			'id'            => $this->get_job_handler()->get_identifier(),
-			'process_nonce' => wp_create_nonce( $this->get_job_handler()->get_identifier() . '_process_batch' ),
-			'cancel_nonce'  => wp_create_nonce( $this->get_job_handler()->get_identifier() . '_cancel_job' ),
+			'id'              => $this->get_job_handler()->get_identifier(),
+			'process_nonce'   => wp_create_nonce( $this->get_job_handler()->get_identifier() . '_process_batch' ),
+			'cancel_nonce'    => wp_create_nonce( $this->get_job_handler()->get_identifier() . '_cancel_job' ),
+			'retries'         => 3,
+			'retry_delay'     => 1000,
+			'backoff'         => 2,
+			'max_retry_delay' => 30000,
+			'active_jobs'     => $active_jobs,
+			'rest'            => $this->use_rest_transport() ? array(
+				'url'   => rest_url( 'wc/v3/' . $this->get_identifier() . '/jobs' ),
+				'nonce' => wp_create_nonce( 'wp_rest' ),
+			) : null,
+			'i18n'            => array(
+				'pause'       => __( 'Pause', 'woocommerce-plugin-framework' ),
+				'resume'      => __( 'Resume', 'woocommerce-plugin-framework' ),
+				'cancel'      => __( 'Cancel', 'woocommerce-plugin-framework' ),
+				/* translators: Placeholders: %s - estimated time remaining, in minutes and seconds, e.g. 2:05 */
+				'eta'         => __( '%s remaining', 'woocommerce-plugin-framework' ),
+				/* translators: Placeholders: %d - number of times a failed batch was retried */
+				'retries'     => __( 'Retries: %d', 'woocommerce-plugin-framework' ),
+				'error'       => __( 'The job could not be completed.', 'woocommerce-plugin-framework' ),
+				/* translators: Placeholders: %d - number of jobs */
+				'interrupted' => sprintf( _n( '%d job was interrupted before it was completed. Would you like to resume it?', '%d jobs were interrupted before they were completed. Would you like to resume them?', count( $active_jobs ), 'woocommerce-plugin-framework' ), count( $active_jobs ) ),
+				'statuses'    => array(
+					'processing' => __( 'Processing…', 'woocommerce-plugin-framework' ),
+					'pausing'    => __( 'Pausing after the current batch…', 'woocommerce-plugin-framework' ),
+					'paused'     => __( 'Paused', 'woocommerce-plugin-framework' ),
+					'cancelling' => __( 'Cancelling…', 'woocommerce-plugin-framework' ),
+					'cancelled'  => __( 'Cancelled', 'woocommerce-plugin-framework' ),
+					'completed'  => __( 'Completed', 'woocommerce-plugin-framework' ),
+					'failed'     => __( 'Failed', 'woocommerce-plugin-framework' ),
+				),
+			),
 		);
 	}
 
@@ -174,9 +215,7 @@ class SV_WP_Job_Batch_Handler {
 
 		try {
 
-			$job = $this->process_batch( $_POST['job_id'] );
-
-			$job = $this->process_job_status( $job );
+			$job = $this->process_job_batch( $_POST['job_id'] );
 
 			wp_send_json_success( (array) $job );
 
@@ -206,12 +245,307 @@ class SV_WP_Job_Batch_Handler {
 			return;
 		}
 
-		$this->get_job_handler()->delete_job( $_POST['job_id'] );
+		$this->cancel_job( $_POST['job_id'] );
 
 		wp_send_json_success();
 	}
 
 
+	/**
+	 * Registers the REST API routes for the jobs.
+	 *
+	 * @internal
+	 *
+	 * @since 5.11.0
+	 */
+	public function register_rest_routes() {
+
+		$controller = new REST_API\Controllers\Jobs( $this );
+
+		$controller->register_routes();
+	}
+
+
+	/**
+	 * Processes the next batch of a job, then handles its status.
+	 *
+	 * This is what both the AJAX and REST endpoints do for each batch.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $job_id job to process
+	 * @return \stdClass|object $job job after processing the batch
+	 * @throws SV_WC_Plugin_Exception
+	 */
+	public function process_job_batch( $job_id ) {
+
+		try {
+
+			$job = $this->process_batch( $job_id );
+
+			$job = $this->process_job_status( $job );
+
+		} catch ( SV_WC_Plugin_Exception $e ) {
+
+			$this->remove_active_job( $job_id );
+
+			throw $e;
+		}
+
+		// remember the job until it's finished, in case its page is left before then
+		if ( $this->is_job_active( $job ) ) {
+			$this->add_active_job( $job->id );
+		} else {
+			$this->remove_active_job( $job->id );
+		}
+
+		return $job;
+	}
+
+
+	/**
+	 * Cancels a job, deleting it.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $job_id job ID
+	 */
+	public function cancel_job( $job_id ) {
+
+		$this->get_job_handler()->delete_job( $job_id );
+
+		$this->remove_active_job( $job_id );
+	}
+
+
+	/**
+	 * Creates a job.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param array $attrs job attributes
+	 * @return \stdClass|object|null
+	 */
+	public function create_job( $attrs ) {
+
+		return $this->get_job_handler()->create_job( $attrs );
+	}
+
+
+	/**
+	 * Gets a job.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $job_id job ID
+	 * @return \stdClass|object|null
+	 */
+	public function get_job( $job_id ) {
+
+		return $job_id ? $this->get_job_handler()->get_job( $job_id ) : null;
+	}
+
+
+	/**
+	 * Gets jobs.
+	 *
+	 * @see SV_WP_Background_Job_Handler::get_jobs() for the arguments
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param array $args query arguments
+	 * @return \stdClass[]|object[]|null
+	 */
+	public function get_jobs( $args = array() ) {
+
+		return $this->get_job_handler()->get_jobs( $args );
+	}
+
+
+	/**
+	 * Gets the job handler identifier, which prefixes the job actions, events and routes.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return string
+	 */
+	public function get_identifier() {
+
+		return $this->get_job_handler()->get_identifier();
+	}
+
+
+	/**
+	 * Gets the capability required to manage jobs over the REST API.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return string
+	 */
+	public function get_rest_capability() {
+
+		/**
+		 * Filters the capability required to manage jobs over the REST API.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param string $capability capability
+		 * @param SV_WP_Job_Batch_Handler $handler handler object
+		 */
+		return (string) apply_filters( $this->get_identifier() . '_batch_handler_rest_capability', 'manage_woocommerce', $this );
+	}
+
+
+	/**
+	 * Determines whether the JavaScript batch handler processes jobs over the REST API instead of admin AJAX.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return bool
+	 */
+	protected function use_rest_transport() {
+
+		/**
+		 * Filters whether the JavaScript batch handler processes jobs over the REST API.
+		 *
+		 * @since 5.11.0
+		 *
+		 * @param bool $use_rest whether to use the REST API, defaults to admin AJAX
+		 * @param SV_WP_Job_Batch_Handler $handler handler object
+		 */
+		return (bool) apply_filters( $this->get_identifier() . '_batch_handler_use_rest_transport', false, $this );
+	}
+
+
+	/**
+	 * Gets the jobs the current user left before they were finished.
+	 *
+	 * Jobs that are no longer active, e.g. because they were completed in the
+	 * background or deleted, are forgotten.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return array[] jobs data, with their id, status, progress, total and percentage
+	 */
+	public function get_active_jobs() {
+
+		$jobs = array();
+
+		foreach ( $this->get_active_job_ids() as $job_id ) {
+
+			$job = $this->get_job_handler()->get_job( $job_id );
+
+			if ( ! $job || ! $this->is_job_active( $job ) ) {
+
+				$this->remove_active_job( $job_id );
+				continue;
+			}
+
+			$progress = isset( $job->progress ) ? (int) $job->progress : 0;
+			$total    = isset( $job->total ) ? (int) $job->total : 0;
+
+			$jobs[] = array(
+				'id'         => $job->id,
+				'status'     => $job->status,
+				'progress'   => $progress,
+				'total'      => $total,
+				'percentage' => $total > 0 ? SV_WC_Helper::number_format( $progress / $total * 100 ) : 0,
+			);
+		}
+
+		return $jobs;
+	}
+
+
+	/**
+	 * Remembers a job as active for the current user, so it can be resumed if its page is left.
+	 *
+	 * Plugins that create a job before sending the user to the page processing it
+	 * can call this right away, so the job is resumable even before its first batch.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $job_id job ID
+	 */
+	public function add_active_job( $job_id ) {
+
+		$job_ids = $this->get_active_job_ids();
+
+		if ( ! in_array( $job_id, $job_ids, true ) ) {
+
+			$job_ids[] = $job_id;
+
+			update_user_meta( get_current_user_id(), $this->get_active_jobs_meta_key(), $job_ids );
+		}
+	}
+
+
+	/**
+	 * Forgets an active job for the current user.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param string $job_id job ID
+	 */
+	public function remove_active_job( $job_id ) {
+
+		$job_ids = $this->get_active_job_ids();
+
+		if ( in_array( $job_id, $job_ids, true ) ) {
+
+			$job_ids = array_values( array_diff( $job_ids, array( $job_id ) ) );
+
+			if ( empty( $job_ids ) ) {
+				delete_user_meta( get_current_user_id(), $this->get_active_jobs_meta_key() );
+			} else {
+				update_user_meta( get_current_user_id(), $this->get_active_jobs_meta_key(), $job_ids );
+			}
+		}
+	}
+
+
+	/**
+	 * Gets the IDs of the jobs remembered as active for the current user.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return string[]
+	 */
+	protected function get_active_job_ids() {
+
+		$job_ids = get_user_meta( get_current_user_id(), $this->get_active_jobs_meta_key(), true );
+
+		return is_array( $job_ids ) ? array_map( 'strval', $job_ids ) : array();
+	}
+
+
+	/**
+	 * Gets the user meta key the active job IDs are stored in.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @return string
+	 */
+	protected function get_active_jobs_meta_key() {
+
+		return '_' . $this->get_job_handler()->get_identifier() . '_batch_handler_active_jobs';
+	}
+
+
+	/**
+	 * Determines whether a job still needs processing.
+	 *
+	 * @since 5.11.0
+	 *
+	 * @param \stdClass|object $job job object
+	 * @return bool
+	 */
+	protected function is_job_active( $job ) {
+
+		return isset( $job->status ) && in_array( $job->status, array( 'queued', 'processing' ), true );
+	}
+
+
 	/**
 	 * Handles a job after processing one of its batches.
 	 *